@@ -2,292 +2,735 @@
  * Rida Module for ReadNovelFull.com
  *
  * Allows searching and reading web novels from ReadNovelFull.com.
- * WARNING: Uses Regex for HTML parsing, which can break if the site updates.
+ * Shared helpers are imported from ./lib; tools/registry.js hashes them together
+ * with this script into the module's index.json entry.
+ * Selectors can still break if the site updates its markup.
  */
-const readNovelFullModule = (fetch) => {
-  const BASE_URL = 'https://readnovelfull.com';
+import { parse, parseListItems, select, selectOne, attr, text, nextElement, cleanHtmlText } from './lib/html.js';
+import { fillPage, hasNextPageLink, pageResult, requestedPage } from './lib/paging.js';
+import { describeFilters, optionsFrom, resolveFilters } from './lib/filters.js';
+import { defaultSettings, describeSettings, mirrorSetting, resolveSettings } from './lib/settings.js';
+import { describeFeeds } from './lib/feeds.js';
+import { describeChapter, orderChapters, unseenChapters } from './lib/chapters.js';
+import { bookMetadata, normalizeStatus, presentOrNull } from './lib/metadata.js';
+import { CONTENT_FORMATS, isEmptyContent, renderContent } from './lib/content.js';
+import { fetchImageWith } from './lib/images.js';
+import { createMirrors } from './lib/mirrors.js';
+import { createRequester } from './lib/request.js';
+import { createCachedFetch } from './lib/cache.js';
+import { createCookieJar, withCookies } from './lib/cookies.js';
+import { asSourceError, extractorError, readPage, throwIfAborted } from './lib/errors.js';
+import { readPageChunks } from './lib/stream.js';
+import { createLog } from './lib/log.js';
+
+// The host may pass { cacheStore } (see lib/cache.js) to keep responses and the working mirror across sessions,
+// { cookieStore } (see lib/cookies.js) to keep session and verification cookies,
+// and { logger, logLevel } (see lib/log.js) to take over or quiet the module's logging.
+const readNovelFullModule = (fetch, { cacheStore, cookieStore, logger, logLevel } = {}) => {
+  // Domains the site is served from, in order of preference.
+  const MIRRORS = ['https://readnovelfull.com', 'https://www.readnovelfull.com'];
+  const CHAPTER_BATCH_SIZE = 100; // Chapters parsed at a time from the chapter archive
+  const log = createLog({ logger, level: logLevel, fields: { module: 'readnovelfull-v2' } });
+  const cookieJar = createCookieJar({ store: cookieStore, key: 'readnovelfull-v2:cookies', log });
+  const request = createRequester(withCookies(fetch, cookieJar), { concurrency: 2, minInterval: 500, log });
+  const cache = createCachedFetch(request, { store: cacheStore, namespace: 'readnovelfull-v2:', log });
+  const mirrors = createMirrors(cache, MIRRORS, { store: cacheStore, key: 'readnovelfull-v2:mirror', log });
+
+  // Filters map onto the site's listings: /genres/<genre> and /novel-list/completed-novel
+  const FILTERS = [
+    {
+      key: 'genre',
+      label: 'Genre',
+      type: 'select',
+      options: optionsFrom([
+        'Action', 'Adult', 'Adventure', 'Comedy', 'Drama', 'Eastern', 'Ecchi', 'Fantasy', 'Game',
+        'Gender Bender', 'Harem', 'Historical', 'Horror', 'Josei', 'Martial Arts', 'Mature', 'Mecha',
+        'Mystery', 'Psychological', 'Reincarnation', 'Romance', 'School Life', 'Sci-fi', 'Seinen',
+        'Shoujo', 'Shoujo Ai', 'Shounen', 'Shounen Ai', 'Slice of Life', 'Smut', 'Sports',
+        'Supernatural', 'Tragedy', 'Wuxia', 'Xianxia', 'Xuanhuan', 'Yaoi',
+      ], label => label.toLowerCase().replace(/\s+/g, '-')),
+    },
+    {
+      key: 'status',
+      label: 'Status',
+      type: 'select',
+      options: [{ value: 'completed', label: 'Completed' }],
+    },
+  ];
+
+  // User settings, see getSettingsSchema() and configure().
+  const SETTINGS = [
+    mirrorSetting(MIRRORS),
+    {
+      key: 'textStyle',
+      label: 'Text formatting',
+      type: 'select',
+      options: [
+        { value: 'paragraphs', label: 'Blank line between paragraphs' },
+        { value: 'lines', label: 'One paragraph per line' },
+        { value: 'continuous', label: 'No paragraph breaks' },
+      ],
+      default: 'paragraphs',
+      description: 'Layout of chapters read as plain text (the default getContent() format).',
+    },
+    {
+      key: 'placeholderCovers',
+      label: 'Placeholder covers',
+      type: 'toggle',
+      default: true,
+      description: 'Show a "No Cover" image for novels without a cover, instead of no image.',
+    },
+  ];
+  let settings = defaultSettings(SETTINGS);
+  const PLACEHOLDER_COVER = 'https://via.placeholder.com/150x200?text=No+Cover';
+  const missingCover = () => (settings.placeholderCovers ? PLACEHOLDER_COVER : '');
 
   // --- Helper Functions ---
 
-  const extractAll = (html, regex) => {
-    const matches = [];
-    let match;
-    while ((match = regex.exec(html)) !== null) {
-      matches.push(match);
+  // Novel rows on search and listing pages (.row within #list-page .list-novel).
+  // Completed novels carry a "Full" label, which lets genre listings be narrowed by status;
+  // their results are kept in completedRows.
+  const completedRows = new WeakSet();
+  const parseNovelRows = (doc) => {
+    const results = [];
+    const rows = select(doc, '.list-novel .row').filter(row => selectOne(row, 'h3.novel-title a[href]'));
+    for (const row of rows) {
+      const titleLink = selectOne(row, 'h3.novel-title a[href]');
+      const id = attr(titleLink, 'href').replace(/^\//, '').replace(/\.html$/, ''); // e.g., martial-peak
+      const cover = attr(selectOne(row, 'img[src]'), 'src') || attr(selectOne(row, 'img[data-src]'), 'data-src');
+      const coverUrl = mirrors.url(cover); // Make URL absolute if needed
+      const title = text(titleLink);
+      const author = text(selectOne(row, 'span.author'));
+      const description = cleanHtmlText(selectOne(row, '.novel-desc')); // Clean the description HTML
+
+      if (id && title) {
+        const result = {
+          id: id,
+          title: title,
+          author: presentOrNull(author),
+          coverUrl: coverUrl || missingCover(),
+          description: presentOrNull(description),
+        };
+        if (selectOne(row, '.label-full')) completedRows.add(result);
+        results.push(result);
+      }
+    }
+    return results;
+  };
+
+  // Fetch one page of a browse feed; failures throw typed errors, like search.
+  const browse = async (label, path, page, signal) => {
+    const pagePath = `${path}${page > 1 ? `?page=${page}` : ''}`;
+    const op = log.operation('browse', { url: pagePath, feed: label });
+    op.debug(`Fetching ${label}`);
+    try {
+      const response = await mirrors.fetch(pagePath, { cacheHint: { resource: 'search' }, signal });
+      const doc = parse(await readPage(response, pagePath, signal));
+      const results = parseNovelRows(doc);
+      op.info(`Parsed ${results.length} ${label} results`, { count: results.length });
+      return { results, hasNextPage: hasNextPageLink(doc, page), page };
+    } catch (error) {
+      throw op.failed(asSourceError(error, 'novel-rows', pagePath));
+    }
+  };
+
+  // Links following a "<label>Author(s):</label>"-style caption on the details page,
+  // whether they sit directly after it or inside a following <ul>.
+  const labelledLinks = (doc, labels) => {
+    const label = select(doc, 'label, h3').find(node => labels.includes(text(node)));
+    const links = [];
+    for (let node = nextElement(label); node; node = nextElement(node)) {
+      links.push(...(node.name === 'a' ? [node] : select(node, 'a')));
+    }
+    return links;
+  };
+
+  // Chapter links as served by /ajax/chapter-archive and the embedded #list-chapter,
+  // returned in ascending order whichever way the list runs.
+  const parseChapterLinks = (root) => {
+    const chapters = [];
+    for (const link of select(root, 'li a[href^="/"][title]')) {
+      const chapterId = attr(link, 'href').slice(1).replace(/\.html$/, ''); // e.g., martial-peak/chapter-1
+      const chapterTitle = text(link);
+      if (chapterId && chapterTitle) {
+        chapters.push(describeChapter({
+          id: chapterId,
+          title: chapterTitle,
+        }));
+      }
+    }
+    return orderChapters(chapters);
+  };
+
+  // Details page at /<id>.html, falling back to /<id>. Throws for the fallback's error too.
+  const fetchDetailsPage = async (id, cacheHint, op, signal) => {
+    const bookPath = `/${id}.html`; // URLs often end with .html
+    let response = await mirrors.fetch(bookPath, { cacheHint, signal });
+    if (!response.ok) {
+      // Try without .html if the first attempt failed
+      const fallbackPath = `/${id}`;
+      op.debug(`Retrying details fetch without .html: ${fallbackPath}`, { status: response.status });
+      response = await mirrors.fetch(fallbackPath, { cacheHint, signal });
     }
-    return matches;
+    return { response, html: await readPage(response, bookPath, signal) };
   };
 
-  const extractFirst = (html, regex) => {
-    const match = html.match(regex);
-    return match ? match.slice(1) : null; // Return capture groups
+  // The numerical novel ID the chapter archive is keyed by (the site loads chapters
+  // via /ajax/chapter-archive?novelId=XXXX, see the browser's network tab).
+  const findNovelId = (doc, html) => attr(selectOne(doc, '[data-novel-id]'), 'data-novel-id')
+    || (html.match(/novelId:\s*(\d+)/) || [])[1] // Alternative: the raty() init script
+    || null;
+
+  // The chapter archive in batches, in ascending order or, with newestFirst, from the
+  // latest chapter back. The response is one HTML list of every chapter; its <li> items
+  // are parsed one at a time as it arrives, so thousands of chapters never become one
+  // parsed tree. The archive is never cached.
+  async function* archiveBatches(novelId, id, referer, op, { newestFirst = false, signal } = {}) {
+    const chaptersPath = `/ajax/chapter-archive?novelId=${novelId}`;
+    op.debug(`Fetching chapter list from AJAX URL: ${chaptersPath}`, { novelId });
+
+    const chaptersResponse = await mirrors.fetch(chaptersPath, {
+      headers: { // Might need specific headers, check browser request
+        'Referer': referer,
+        'X-Requested-With': 'XMLHttpRequest' // Often needed for AJAX
+      },
+      cacheHint: { resource: 'chapters', book: id, stream: true },
+      signal
+    });
+
+    // The response IS the HTML list. Its items are parsed as it arrives and go out
+    // in batches as they fill. A list running the other way (as its first two
+    // numbered chapters show) has to be turned round, so it is held to its end.
+    const wanted = newestFirst ? -1 : 1;
+    const inOrder = chapters => (newestFirst ? orderChapters(chapters).reverse() : orderChapters(chapters));
+    const listed = [];
+    let firstNumber = null;
+    let direction = 0; // 1 ascending, -1 newest first, 0 not known yet
+    for await (const item of parseListItems(readPageChunks(chaptersResponse, chaptersPath, signal))) {
+      for (const chapter of parseChapterLinks(item)) {
+        listed.push(chapter);
+        if (direction === 0 && chapter.number !== null) {
+          if (firstNumber === null) firstNumber = chapter.number;
+          else if (chapter.number !== firstNumber) direction = chapter.number > firstNumber ? 1 : -1;
+        }
+      }
+      if (direction === wanted && listed.length >= CHAPTER_BATCH_SIZE) {
+        yield inOrder(listed.splice(0, CHAPTER_BATCH_SIZE));
+      }
+    }
+    if ((direction === -1) !== newestFirst) listed.reverse(); // A list of unknown direction is taken as ascending
+
+    for (let start = 0; start < listed.length; start += CHAPTER_BATCH_SIZE) {
+      throwIfAborted(signal, chaptersPath);
+      yield inOrder(listed.slice(start, start + CHAPTER_BATCH_SIZE));
+    }
+  }
+
+  // Full chapter list from the AJAX archive, in ascending order.
+  const fetchChapterArchive = async (novelId, id, referer, op, options) => {
+    const chapters = [];
+    for await (const batch of archiveBatches(novelId, id, referer, op, options)) chapters.push(...batch);
+    return chapters;
   };
 
-  const decodeEntities = (encodedString) => {
-    if (!encodedString) return '';
-    // Basic entities
-    const translate_re = /&(nbsp|amp|quot|lt|gt);/g;
-    const translate = {
-      "nbsp": " ", "amp": "&", "quot": "\"", "lt": "<", "gt": ">"
-    };
-    let decoded = encodedString.replace(translate_re, (match, entity) => translate[entity]);
-    // Numerical entities
-    decoded = decoded.replace(/&#(\d+);/gi, (match, numStr) => String.fromCharCode(parseInt(numStr, 10)));
-     // Hex entities
-    decoded = decoded.replace(/&#x([0-9A-Fa-f]+);/gi, (match, hexStr) => String.fromCharCode(parseInt(hexStr, 16)));
-    return decoded;
+  // Thrown when neither the chapter archive nor the embedded list can be found.
+  const chapterListError = (id, url, html) => extractorError('chapter-list', `No novel ID for the chapter archive and no div#list-chapter for ${id}`, {
+    url, html, patterns: ['[data-novel-id]', 'novelId: <digits> in an inline script', 'div#list-chapter'],
+  });
+
+  // First path segments of site pages that are not novels.
+  const SITE_SECTIONS = ['ajax', 'genres', 'novel-list', 'search'];
+
+  // Ids for a link to a novel (/<slug>.html) or chapter (/<slug>/<chapter>.html) page, see resolveUrl().
+  const resolveLink = (url) => {
+    const path = mirrors.linkPath(url);
+    const match = path && path.match(/^\/([^/]+?)(?:\/([^/]+?))?(?:\.html)?\/?$/);
+    if (!match || SITE_SECTIONS.includes(match[1])) return null;
+    return match[2]
+      ? { type: 'chapter', bookId: match[1], chapterId: `${match[1]}/${match[2]}` }
+      : { type: 'book', bookId: match[1], chapterId: null };
   };
 
-   const cleanHtmlText = (html) => {
-     if (!html) return '';
-     return decodeEntities(html.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, '').trim());
-   };
+  const idOf = value => (typeof value === 'string' ? value : value && value.id);
 
   // --- Module Definition ---
   return {
     // --- Module Information (from your JSON) ---
-    id: 'readnovelfull',
-    name: 'ReadNovelFull',
-    version: '1.0.1', // Incremented version due to rewrite
+    id: 'readnovelfull-v2', // Distinct from ReadNovelFull.js, which reads readwn.com
+    name: 'ReadNovelFull V2',
+    version: '1.4.9', // Incremented version due to rewrite
     author: 'vizor (Adapted for Rida)',
     description: 'ReadNovelFull source for web novels (Rida compatible)',
     supportedLanguages: ['en'],
     isEnabled: true,
-    baseURL: BASE_URL, // Include for reference
+    get baseURL() { return mirrors.baseUrl; }, // The mirror that last answered
+    mirrors: MIRRORS,
+    feeds: describeFeeds(['popular', 'latest', 'genre'], { genres: FILTERS.find(filter => filter.key === 'genre').options }),
+    contractVersion: 1, // The v1 shapes; adaptModule() in lib/contract.js presents the module as v2
+    contentType: 'text',
+    capabilities: { searchPages: true, filters: true, feeds: true, settings: true, urlResolution: true, chapterStream: true },
 
     // --- Required Methods ---
 
     /**
      * Search for novels.
      * @param {string} query - The search term.
-     * @returns {Promise<Array<object>>} - Array of book results.
+     * @param {object} [options]
+     * @param {number} [options.page=1] - Results page (1-based).
+     * @param {object} [options.filters] - Selected filters, see getFilters().
+     * @param {AbortSignal} [options.signal] - Cancels the call, which then rejects with an AbortError.
+     * @returns {Promise<Array<object>|object>} - Array of book results, or
+     *   { results, hasNextPage, page } when options are passed.
+     * @throws {SourceError} - When the site cannot be reached or answers with an error;
+     *   an empty result list always means "no matches".
      */
-    async search(query) {
-      const searchUrl = `${BASE_URL}/novel-list/search?keyword=${encodeURIComponent(query)}`;
-      console.log(`ReadNovelFull Searching: ${searchUrl}`);
+    async search(query, options) {
+      const keyword = String(query || '').trim();
+      const page = requestedPage(options);
+      const signal = options && options.signal;
+      const filters = resolveFilters(FILTERS, options && options.filters);
+      // Keyword search takes no filters, so filtered requests go to the listing pages instead
+      let searchPath = `/novel-list/search?keyword=${encodeURIComponent(query || '')}`;
+      if (filters.genre) {
+        searchPath = `/genres/${filters.genre}`;
+      } else if (filters.status === 'completed') {
+        searchPath = '/novel-list/completed-novel';
+      }
+      // Genre listings have no status filter: "Full" labels narrow them to completed novels
+      const completedOnly = Boolean(filters.genre && filters.status === 'completed');
+      const narrowed = Boolean((filters.genre || filters.status) && keyword) || completedOnly;
+      const pagePath = number => `${searchPath}${number > 1 ? `${searchPath.includes('?') ? '&' : '?'}page=${number}` : ''}`;
+      const op = log.operation('search', { url: pagePath(page) });
+      op.debug(`Searching for "${keyword}"`);
+
+      const loadPage = async (number) => {
+        const path = pagePath(number);
+        const response = await mirrors.fetch(path, { cacheHint: { resource: 'search' }, signal });
+        const doc = parse(await readPage(response, path, signal));
+        return { results: parseNovelRows(doc), hasNextPage: hasNextPageLink(doc, number) };
+      };
 
       try {
-        const response = await fetch(searchUrl);
-        if (!response.ok) {
-          console.error(`Search failed: ${response.status} ${response.statusText}`);
-          return [];
-        }
-        const html = await response.text();
-        const results = [];
-
-        // Regex to find search result blocks (.row within #list-page .list-novel)
-        // Captures: 1=novel slug (id), 2=coverUrl, 3=title, 4=author, 5=description HTML
-        const itemRegex = /<div class="row"[^>]*>\s*<div class="col-xs-3[^"]*">\s*<a href="\/([^"]+)"[^>]*>\s*<img[^>]*src="([^"]+)"[^>]*alt="([^"]+)"/gis;
-        // Secondary regex might be needed if layout differs or to grab author/desc separately
-        // This simpler regex focuses on getting the core link, image, and alt-text as title initially
-        // Let's try a more comprehensive one (might be less reliable):
-        const comprehensiveItemRegex = /<div class="col-xs-3.*?<a href="\/([^"]+)"[^>]*>\s*<img[^>]*src="([^"]+)"[^>]*>.*?<h3 class="novel-title"[^>]*><a[^>]*>([^<]+)<\/a><\/h3>.*?<span class="author"[^>]*>([^<]+)<\/span>.*?<div class="novel-desc">(.*?)<\/div>/gis;
-
-        const matches = extractAll(html, comprehensiveItemRegex);
-        console.log(`Found ${matches.length} potential search results.`);
-
-        for (const match of matches) {
-          const id = match[1]; // e.g., martial-peak
-          const coverUrl = match[2].startsWith('http') ? match[2] : BASE_URL + match[2]; // Make URL absolute if needed
-          const title = decodeEntities(match[3].trim());
-          const author = decodeEntities(match[4].trim());
-          const description = cleanHtmlText(match[5]); // Clean the description HTML
-
-          if (id && title) {
-            results.push({
-              id: id,
-              title: title,
-              author: author || 'Unknown Author',
-              coverUrl: coverUrl || 'https://via.placeholder.com/150x200?text=No+Cover',
-              description: description || 'No description available.',
-            });
-          }
+        let found;
+        if (narrowed) {
+          // Listings ignore the query: narrow them down, reading on until a page fills
+          const needle = keyword.toLowerCase();
+          const keep = result => result.title.toLowerCase().includes(needle)
+            && (!completedOnly || completedRows.has(result));
+          found = await fillPage(loadPage, keep, page);
+        } else {
+          found = await loadPage(page);
         }
 
-        console.log(`Parsed ${results.length} valid results.`);
-        return results;
+        op.info(`Parsed ${found.results.length} results`, { count: found.results.length });
+        return pageResult(found.results, found.hasNextPage, page, options);
 
       } catch (error) {
-        console.error('ReadNovelFull Search Error:', error);
-        return []; // Return empty array on error
+        throw op.failed(asSourceError(error, 'novel-rows', pagePath(page)));
       }
     },
 
     /**
      * Get detailed information for a specific novel, including chapters.
      * @param {string} id - The novel ID (slug, e.g., martial-peak).
-     * @returns {Promise<object>} - Detailed book information including chapters.
+     * @param {object} [options]
+     * @param {boolean} [options.includeChapters=true] - false skips the chapter archive (chapters is then null),
+     *   so details show at once while listChapters() streams the chapters.
+     * @param {AbortSignal} [options.signal] - Cancels the call, which then rejects with an AbortError.
+     * @returns {Promise<object>} - Detailed book information, normalized as described in
+     *   lib/metadata.js (missing fields are null), including chapters
+     *   ({ id, title, number, volume, kind, releaseDate }, oldest first).
      */
-    async getBookDetails(id) {
-      const bookUrl = `${BASE_URL}/${id}.html`; // URLs often end with .html
-      console.log(`Fetching details for: ${bookUrl}`);
+    async getBookDetails(id, options) {
+      const signal = options && options.signal;
+      const includeChapters = !(options && options.includeChapters === false);
+      const bookPath = `/${id}.html`; // URLs often end with .html
+      const op = log.operation('getBookDetails', { url: bookPath });
+      op.debug('Fetching details');
 
       try {
-        const response = await fetch(bookUrl);
-        if (!response.ok) {
-            // Try without .html if the first attempt failed
-            const fallbackUrl = `${BASE_URL}/${id}`;
-             console.log(`Retrying details fetch without .html: ${fallbackUrl}`);
-             response = await fetch(fallbackUrl);
-             if (!response.ok) {
-                 throw new Error(`Failed to fetch book details (tried with and without .html): ${response.status}`);
-            }
-        }
+        const { response, html } = await fetchDetailsPage(id, { resource: 'details', book: id }, op, signal);
+        const doc = parse(html);
 
-        const html = await response.text();
+        // --- Extract Details ---
+        const title = presentOrNull(text(selectOne(doc, 'h3.title')));
 
-        // --- Extract Details using Regex ---
-        const titleMatch = extractFirst(html, /<h3 class="title"[^>]*>([^<]+)<\/h3>/i);
-        const title = titleMatch ? decodeEntities(titleMatch[0].trim()) : 'Unknown Title';
+        // Author: the list following "Author(s):", one link per name
+        const author = labelledLinks(doc, ['Author(s):', 'Author:']).map(link => text(link)).filter(Boolean).join(', ');
 
-        // Author: Look for the structure around "Author(s):"
-        const authorMatch = extractFirst(html, />\s*Author\(s\):\s*<\/label>\s*<ul[^>]*>\s*<li[^>]*><a[^>]*>([^<]+)<\/a><\/li>\s*<\/ul>/i);
-        const author = authorMatch ? decodeEntities(authorMatch[0].trim()) : 'Unknown Author';
+        const cover = attr(selectOne(doc, 'div.book img[src]'), 'src');
+        const coverUrl = cover ? mirrors.url(cover) : missingCover();
 
-        const coverMatch = extractFirst(html, /<div class="book">\s*<img[^>]*src="([^"]+)"/i);
-        const coverUrl = coverMatch ? (coverMatch[0].startsWith('http') ? coverMatch[0] : BASE_URL + coverMatch[0]) : 'https://via.placeholder.com/150x200?text=No+Cover';
+        const descriptionNode = selectOne(doc, 'div.desc-text');
+        const description = presentOrNull(descriptionNode && cleanHtmlText(descriptionNode));
 
-        const descriptionMatch = extractFirst(html, /<div class="desc-text"[^>]*>(.*?)<\/div>/is);
-        const description = descriptionMatch ? cleanHtmlText(descriptionMatch[0]) : 'No description available.';
+        // Genres: Find links within the genre list following "Genre:"
+        const genres = labelledLinks(doc, ['Genre:']).map(link => text(link)).filter(Boolean);
 
-        // Genres: Find links within the genre list structure
-        const genres = [];
-        const genreListMatch = extractFirst(html, />\s*Genre:\s*<\/label>\s*<ul[^>]*>(.*?)<\/ul>/is);
-        if (genreListMatch) {
-            const genreRegex = /<a[^>]*>([^<]+)<\/a>/gi;
-            const genreMatches = extractAll(genreListMatch[0], genreRegex);
-            genreMatches.forEach(match => genres.push(decodeEntities(match[1].trim())));
-        }
-
-         // Status: Look for the structure around "Status:"
-         const statusMatch = extractFirst(html, />\s*Status:\s*<\/label>\s*<a[^>]*>([^<]+)<\/a>/i);
-         const status = statusMatch ? decodeEntities(statusMatch[0].trim()) : 'Unknown';
+         // Status: the link following "Status:"
+         const status = text(labelledLinks(doc, ['Status:'])[0]);
 
 
         // --- Extract Chapters ---
-        const chapters = [];
+        let chapters = [];
         // Find the chapter list container first (e.g., <div id="list-chapter">...</div>)
          // The site seems to load chapters via AJAX, check network tab in browser dev tools.
          // It calls /ajax/chapter-archive?novelId=XXXX where XXXX is a numerical ID.
          // Let's try to find that numerical ID first.
-         const novelIdMatch = extractFirst(html, /data-novel-id="(\d+)"/i)
-                           ?? extractFirst(html, /$('#rate').raty\(\{.*?readOnly: true, score: \d+, novelId: (\d+)\}/i); // Alternative pattern
-
-         if (novelIdMatch) {
-             const numericalNovelId = novelIdMatch[0];
-             const chaptersUrl = `${BASE_URL}/ajax/chapter-archive?novelId=${numericalNovelId}`;
-             console.log(`Fetching chapter list from AJAX URL: ${chaptersUrl}`);
-
-             const chaptersResponse = await fetch(chaptersUrl, {
-                headers: { // Might need specific headers, check browser request
-                    'Referer': bookUrl,
-                    'X-Requested-With': 'XMLHttpRequest' // Often needed for AJAX
-                }
-             });
-
-             if (!chaptersResponse.ok) {
-                 console.error(`Failed to fetch AJAX chapters: ${chaptersResponse.status}`);
-             } else {
-                 const chaptersHtml = await chaptersResponse.text(); // The response IS the HTML list
-                 // Regex captures: 1=chapter slug (id), 2=chapter title
-                 const chapterRegex = /<li[^>]*>\s*<a href="\/([^"]+)"[^>]*title="[^"]+">\s*([^<]+)\s*<\/a>\s*<\/li>/gi;
-                 const chapterMatches = extractAll(chaptersHtml, chapterRegex);
-
-                 for (const match of chapterMatches) {
-                     const chapterId = match[1]; // e.g., martial-peak/chapter-1
-                     const chapterTitle = decodeEntities(match[2].trim());
-                     if (chapterId && chapterTitle) {
-                         chapters.push({
-                             id: chapterId,
-                             title: chapterTitle,
-                         });
-                     }
-                 }
-                 // Chapters from AJAX are usually in correct order already.
-                 console.log(`Parsed ${chapters.length} chapters from AJAX response.`);
-             }
+         const numericalNovelId = findNovelId(doc, html);
+
+         if (!includeChapters) {
+             chapters = null;
+             op.info('Parsed details without chapters');
+         } else if (numericalNovelId) {
+             chapters = await fetchChapterArchive(numericalNovelId, id, response.url || mirrors.url(bookPath), op, { signal });
+             op.info(`Parsed details with ${chapters.length} chapters from the chapter archive`, { count: chapters.length });
          } else {
-            console.warn("Could not find numerical novel ID to fetch chapter list via AJAX for:", id);
+            op.warn('No numerical novel ID for the chapter archive, reading the embedded list');
             // Fallback: Try parsing the main page if chapters are directly embedded (less likely now)
-             const chapterListHtmlMatch = extractFirst(html, /<div id="list-chapter"[^>]*>(.*?)<\/div>/is);
-             if(chapterListHtmlMatch) {
-                const chapterRegex = /<li[^>]*>\s*<a href="\/([^"]+)"[^>]*title="[^"]+">\s*([^<]+)\s*<\/a>\s*<\/li>/gi;
-                const chapterMatches = extractAll(chapterListHtmlMatch[0], chapterRegex);
-                 for (const match of chapterMatches) {
-                     const chapterId = match[1];
-                     const chapterTitle = decodeEntities(match[2].trim());
-                     if (chapterId && chapterTitle) {
-                         chapters.push({ id: chapterId, title: chapterTitle });
-                     }
-                 }
-                 // Chapters embedded directly might be newest first, check site and reverse if needed.
-                  console.log(`Parsed ${chapters.length} chapters from direct HTML (fallback).`);
+             const chapterList = selectOne(doc, 'div#list-chapter');
+             if (!chapterList) {
+                 throw chapterListError(id, response.url || bookPath, html);
              }
+             chapters = parseChapterLinks(chapterList);
+             op.info(`Parsed details with ${chapters.length} chapters from the embedded list`, { count: chapters.length });
          }
 
         return {
           id: id, // Return the original slug ID
           title: title,
-          author: author,
+          ...bookMetadata({ author, status, genres }),
           coverUrl: coverUrl,
           description: description,
-          genres: genres,
-          status: status,
+          novelId: numericalNovelId || null, // Lets getNewChapters() go straight to the chapter archive
           chapters: chapters // Include the chapter list
         };
 
       } catch (error) {
-        console.error(`Get Book Details Error for ID ${id}:`, error);
-        throw new Error(`Failed to get details for ${id}: ${error.message}`);
+        throw op.failed(asSourceError(error, 'book-details', bookPath));
       }
     },
 
     /**
      * Get content for a specific chapter.
      * @param {string} id - The chapter ID (slug, e.g., martial-peak/chapter-1).
-     * @returns {Promise<string>} - The cleaned text content of the chapter.
+     * @param {object} [book] - Unused; the chapter ID already holds the novel slug.
+     * @param {object} [options]
+     * @param {string} [options.format='text'] - 'text', 'blocks' or 'html' (see lib/content.js).
+     * @param {AbortSignal} [options.signal] - Cancels the call, which then rejects with an AbortError.
+     * @returns {Promise<string|Array<object>>} - The chapter content in the requested format.
      */
-    async getContent(id) {
-      const chapterUrl = `${BASE_URL}/${id}.html`; // Chapters also often end with .html
-      console.log(`Fetching content for: ${chapterUrl}`);
+    async getContent(id, book, options) {
+      const format = (options && options.format) || 'text';
+      if (!CONTENT_FORMATS.includes(format)) {
+        throw new Error(`Unsupported content format "${format}". Use one of: ${CONTENT_FORMATS.join(', ')}`);
+      }
+      const signal = options && options.signal;
+      const chapterPath = `/${id}.html`; // Chapters also often end with .html
+      const op = log.operation('getContent', { url: chapterPath });
+      op.debug('Fetching chapter');
 
       try {
-        let response = await fetch(chapterUrl);
+        const cacheHint = { resource: 'content', book: id.split('/')[0] }; // Chapter IDs start with the novel slug
+        let response = await mirrors.fetch(chapterPath, { cacheHint, signal });
          if (!response.ok) {
-            const fallbackUrl = `${BASE_URL}/${id}`;
-            console.log(`Retrying content fetch without .html: ${fallbackUrl}`);
-            response = await fetch(fallbackUrl);
-             if (!response.ok) {
-                 throw new Error(`Failed to fetch chapter content (tried with and without .html): ${response.status}`);
-            }
+            const fallbackPath = `/${id}`;
+            op.debug(`Retrying content fetch without .html: ${fallbackPath}`, { status: response.status });
+            response = await mirrors.fetch(fallbackPath, { cacheHint, signal });
         }
 
-        const html = await response.text();
+        const html = await readPage(response, chapterPath, signal); // Throws for the fallback's error too
+        const doc = parse(html);
+        const patterns = ['div#chr-content'];
 
-        // Regex to find the main content div
-        const contentMatch = extractFirst(html, /<div id="chr-content"[^>]*>(.*?)<\/div>/is);
+        // The main content div
+        const contentNode = selectOne(doc, 'div#chr-content');
 
-        if (!contentMatch || !contentMatch[0]) {
-          console.error("Could not find #chr-content div for chapter:", id);
-          throw new Error('Chapter content container not found.');
+        if (!contentNode) {
+          throw extractorError('chr-content', 'Chapter content container (div#chr-content) not found.', { url: response.url || chapterPath, html, patterns });
         }
 
-        // Clean the extracted HTML content
-        const content = cleanHtmlText(contentMatch[0]);
+        // Clean the extracted HTML content into the requested format
+        const content = renderContent(contentNode, format, { textStyle: settings.textStyle, baseUrl: response.url || mirrors.url(chapterPath) });
 
-        if (!content) {
-             console.warn("Extracted content is empty for chapter:", id);
-             // Decide whether to throw error or return empty string
-             // Let's throw, as empty content is usually unexpected.
-             throw new Error('Extracted chapter content is empty.');
+        if (isEmptyContent(content)) {
+             // Empty content is unexpected, so treat it as an extraction failure
+             throw extractorError('chr-content', 'Extracted chapter content is empty.', { url: response.url || chapterPath, html, patterns });
         }
 
-        return content; // Return the cleaned text string
+        return content; // Text, blocks or sanitized HTML
 
       } catch (error) {
-        console.error(`Get Content Error for ID ${id}:`, error);
-        throw new Error(`Failed to get content for ${id}: ${error.message}`);
+        throw op.failed(asSourceError(error, 'chr-content', chapterPath));
       }
+    },
+
+    // --- Optional Methods ---
+
+    /**
+     * Check a library book for chapters released since it was last read in.
+     * The details page is read fresh for the status and the novel ID, then the
+     * chapter archive from the newest chapter back, stopping at the first known
+     * one. An archive listed newest first is cut off there; one listed oldest
+     * first still has to arrive in full before it can be walked back.
+     * @param {object} book - The book as returned by getBookDetails() ({ id, novelId }).
+     * @param {Array<string>} knownChapterIds - Ids of the chapters the host already has.
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the call, which then rejects with an AbortError.
+     * @returns {Promise<object>} - { id, status, chapters } with only the unseen chapters, oldest first
+     *   (status is one of BOOK_STATUSES in lib/metadata.js).
+     */
+    async getNewChapters(book, knownChapterIds, options) {
+      if (!book || !book.id) throw new Error('A book with an id is required.');
+      const signal = options && options.signal;
+      const id = book.id;
+      const bookPath = `/${id}.html`;
+      const op = log.operation('getNewChapters', { url: bookPath });
+      op.debug('Checking for new chapters');
+
+      try {
+        const { response, html } = await fetchDetailsPage(id, { resource: 'details', book: id, refresh: true }, op, signal);
+        const doc = parse(html);
+        const status = normalizeStatus(text(labelledLinks(doc, ['Status:'])[0]));
+        const novelId = findNovelId(doc, html) || book.novelId || null;
+        const referer = response.url || mirrors.url(bookPath);
+        let chapters;
+        if (novelId) {
+          const known = new Set(knownChapterIds || []);
+          const unseen = []; // Newest first
+          for await (const batch of archiveBatches(novelId, id, referer, op, { newestFirst: true, signal })) {
+            const stop = batch.findIndex(chapter => known.has(chapter.id));
+            unseen.push(...(stop === -1 ? batch : batch.slice(0, stop)));
+            if (stop !== -1) break; // Leaving the loop stops the download
+          }
+          chapters = unseen.reverse();
+        } else {
+          const chapterList = selectOne(doc, 'div#list-chapter');
+          if (!chapterList) throw chapterListError(id, referer, html);
+          chapters = unseenChapters(orderChapters(parseChapterLinks(chapterList)), knownChapterIds);
+        }
+
+        op.info(`Found ${chapters.length} new chapters`, { count: chapters.length });
+        return {
+          id: id,
+          status: status,
+          chapters: chapters
+        };
+      } catch (error) {
+        throw op.failed(asSourceError(error, 'chapter-list', bookPath));
+      }
+    },
+
+    /**
+     * Stream a novel's chapter list in batches, for novels with thousands of chapters.
+     * @param {string|object} book - The novel ID (slug), or the book; its novelId skips the details page.
+     * @param {object} [options]
+     * @param {boolean} [options.refresh=false] - Fetch the details page fresh rather than from cache
+     *   (the chapter archive is always fetched).
+     * @param {AbortSignal} [options.signal] - Cancels the listing, which then rejects with an AbortError.
+     * @returns {AsyncGenerator<Array<object>>} - Batches of chapters ({ id, title, number, volume, kind, releaseDate }),
+     *   in reading order.
+     */
+    async *listChapters(book, options) {
+      const id = idOf(book);
+      if (!id) throw new Error('A book id is required.');
+      const signal = options && options.signal;
+      const refresh = Boolean(options && options.refresh);
+      const bookPath = `/${id}.html`;
+      const op = log.operation('listChapters', { url: bookPath });
+      op.debug('Listing chapters');
+
+      try {
+        let novelId = (book && book.novelId) || null;
+        let referer = mirrors.url(bookPath);
+        let batches = null;
+        if (!novelId) {
+          const { response, html } = await fetchDetailsPage(id, { resource: 'details', book: id, refresh }, op, signal);
+          const doc = parse(html);
+          novelId = findNovelId(doc, html);
+          referer = response.url || referer;
+          if (!novelId) {
+            const chapterList = selectOne(doc, 'div#list-chapter');
+            if (!chapterList) throw chapterListError(id, referer, html);
+            batches = [parseChapterLinks(chapterList)];
+          }
+        }
+        let count = 0;
+        for await (const batch of batches || archiveBatches(novelId, id, referer, op, { signal })) {
+          count += batch.length;
+          yield batch;
+        }
+        op.info(`Listed ${count} chapters`, { count });
+      } catch (error) {
+        throw op.failed(asSourceError(error, 'chapter-list', bookPath));
+      }
+    },
+
+    /**
+     * Forget cached pages of a book (details and chapters), e.g. on pull-to-refresh.
+     * @param {string} bookId - The book ID as passed to getBookDetails().
+     * @returns {Promise<number>} - Number of cached responses dropped.
+     */
+    async invalidateBook(bookId) {
+      return cache.invalidateBook(bookId);
+    },
+
+    /**
+     * Forget every cached response of this module.
+     * @returns {Promise<number>} - Number of cached responses dropped.
+     */
+    async clearCache() {
+      return cache.clear();
+    },
+
+    /**
+     * Hand the module cookies from a webview, typically after the user passed
+     * the check behind a ChallengePageError (open error.verificationUrl, then
+     * call this with the same URL and the webview's cookies, and retry). The
+     * webview should use the same User-Agent as the module's fetch, since
+     * challenge cookies are usually tied to it.
+     * @param {string} url - The page the cookies come from: a site path, or a URL as is
+     *   (the challenge may have come from a mirror other than the working one).
+     * @param {string|Array<string|object>|object} cookies - A Cookie-header string, Set-Cookie strings
+     *   or cookie objects ({ name, value, domain, path, expires, secure }), see lib/cookies.js.
+     * @returns {Promise<number>} - Cookies stored.
+     */
+    async setCookies(url, cookies) {
+      return cookieJar.set(/^https?:\/\//i.test(url) ? url : mirrors.url(url), cookies);
+    },
+
+    /**
+     * The cookies the module sends to a page, e.g. to seed a webview.
+     * @param {string} [url] - A site path or URL; defaults to the home page of the working mirror.
+     * @returns {Promise<Array<object>>} - { name, value, domain, hostOnly, path, secure, expires } objects.
+     */
+    async getCookies(url = '/') {
+      return cookieJar.get(/^https?:\/\//i.test(url) ? url : mirrors.url(url));
+    },
+
+    /**
+     * Forget every cookie of this module, e.g. to sign out of a session.
+     * @returns {Promise<number>} - Cookies removed.
+     */
+    async clearCookies() {
+      return cookieJar.clear();
+    },
+
+    /**
+     * Point a stored URL (e.g. a coverUrl saved before the site moved) at the working mirror.
+     * @param {string} url
+     * @returns {string} - The URL on the current mirror; URLs on other hosts are returned as is.
+     */
+    rewriteUrl(url) {
+      return mirrors.rewrite(url);
+    },
+
+    /**
+     * Whether a link opens something in this module (see resolveUrl()).
+     * @param {string} url
+     * @returns {boolean}
+     */
+    canHandleUrl(url) {
+      return resolveLink(url) !== null;
+    },
+
+    /**
+     * Turn a shared link into ids, e.g. to open a book or chapter from a deep link.
+     * @param {string} url - A novel or chapter page on any mirror, with or without .html.
+     * @returns {object|null} - { type: 'book' | 'chapter', bookId, chapterId } (chapterId null for books),
+     *   or null for links this module cannot open.
+     */
+    resolveUrl(url) {
+      return resolveLink(url);
+    },
+
+    /**
+     * The site's page for a book or chapter, for "open in browser".
+     * @param {object|string} book - The book or its ID; may be null when a chapter is given.
+     * @param {object|string} [chapter] - A chapter or its ID.
+     * @returns {string} - Absolute URL on the working mirror.
+     */
+    toWebUrl(book, chapter) {
+      const id = idOf(chapter) || idOf(book);
+      if (!id) throw new Error('A book or chapter id is required.');
+      return mirrors.url(`/${id}.html`);
+    },
+
+    /**
+     * Download the cover image (e.g. for an EPUB export) with the site as Referer.
+     * @param {string|object} page - An image URL such as coverUrl, or a { url, headers } object.
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the call, which then rejects with an AbortError.
+     * @returns {Promise<object>} - { url, index, contentType, data } with data as a Uint8Array.
+     */
+    async fetchImage(page, options) {
+      return fetchImageWith(request, page, { Referer: `${mirrors.baseUrl}/` }, { signal: options && options.signal });
+    },
+
+    /**
+     * Describe the filters search() accepts.
+     * With filters set, results come from the genre/completed listings and a
+     * query only narrows the fetched page down by title.
+     * @returns {Array<object>} - Filter definitions ({ key, label, type, options }).
+     */
+    getFilters() {
+      return describeFilters(FILTERS);
+    },
+
+    /**
+     * Describe the settings configure() accepts, for a generic settings screen.
+     * @returns {Array<object>} - Setting definitions ({ key, label, type, options, default, description }).
+     */
+    getSettingsSchema() {
+      return describeSettings(SETTINGS);
+    },
+
+    /**
+     * Apply user settings at runtime; settings left out keep their value.
+     * @param {object} changes - { key: value } for keys from getSettingsSchema(); null restores the default.
+     * @returns {object} - Every setting now in effect.
+     * @throws {Error} - For unknown keys or values the schema does not allow.
+     */
+    configure(changes) {
+      settings = resolveSettings(SETTINGS, settings, changes);
+      if (changes && 'mirror' in changes) mirrors.prefer(settings.mirror === 'auto' ? null : settings.mirror);
+      return { ...settings };
+    },
+
+    /**
+     * Most popular novels.
+     * @param {object} [options]
+     * @param {number} [options.page=1] - Listing page (1-based).
+     * @param {AbortSignal} [options.signal] - Cancels the call, which then rejects with an AbortError.
+     * @returns {Promise<object>} - { results, hasNextPage, page }
+     */
+    async getPopular(options) {
+      return browse('Popular', '/novel-list/most-popular-novel', requestedPage(options), options && options.signal);
+    },
+
+    /**
+     * Novels with the latest released chapters.
+     * @param {object} [options]
+     * @param {number} [options.page=1] - Listing page (1-based).
+     * @param {AbortSignal} [options.signal] - Cancels the call, which then rejects with an AbortError.
+     * @returns {Promise<object>} - { results, hasNextPage, page }
+     */
+    async getLatestUpdates(options) {
+      return browse('Latest Updates', '/novel-list/latest-release-novel', requestedPage(options), options && options.signal);
+    },
+
+    /**
+     * Novels in a genre.
+     * @param {string} genre - A genre value from the 'genre' feed (or getFilters()).
+     * @param {object} [options]
+     * @param {number} [options.page=1] - Listing page (1-based).
+     * @param {AbortSignal} [options.signal] - Cancels the call, which then rejects with an AbortError.
+     * @returns {Promise<object>} - { results, hasNextPage, page }
+     */
+    async getByGenre(genre, options) {
+      if (!genre) throw new Error('A genre is required.');
+      const filters = resolveFilters(FILTERS, { genre });
+      return browse(`Genre ${genre}`, `/genres/${filters.genre}`, requestedPage(options), options && options.signal);
     }
   };
 };
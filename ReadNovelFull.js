@@ -1,282 +1,685 @@
-/**
- * Rida Module for ReadNovelFull.com
- *
- * Allows searching and reading web novels from ReadNovelFull.com.
- * Conforms to the Rida single-file module structure.
- * WARNING: Uses Regex for HTML parsing, which can break if the site updates.
- */
-const readNovelFullModule = (fetch) => {
-  const BASE_URL = 'https://readnovelfull.com'; // Consider using https://www.readwn.com/ as the site redirects
-
-  // --- Helper Functions ---
-
-  const extractAll = (html, regex) => {
-    const matches = [];
-    let match;
-    if (!html) return matches; // Prevent error on null html
-    while ((match = regex.exec(html)) !== null) {
-      matches.push(match);
-    }
-    return matches;
-  };
-
-  const extractFirst = (html, regex) => {
-    if (!html) return null; // Prevent error on null html
-    const match = html.match(regex);
-    return match ? match.slice(1) : null; // Return capture groups
-  };
-
-  const decodeEntities = (encodedString) => {
-    if (!encodedString) return '';
-    // Basic entities
-    const translate_re = /&(nbsp|amp|quot|lt|gt|apos);/g; // Added apos
-    const translate = {
-      "nbsp": " ", "amp": "&", "quot": "\"", "lt": "<", "gt": ">", "apos": "'"
-    };
-    let decoded = encodedString.replace(translate_re, (match, entity) => translate[entity]);
-    // Numerical entities
-    decoded = decoded.replace(/&#(\d+);/gi, (match, numStr) => String.fromCharCode(parseInt(numStr, 10)));
-     // Hex entities
-    decoded = decoded.replace(/&#x([0-9A-Fa-f]+);/gi, (match, hexStr) => String.fromCharCode(parseInt(hexStr, 16)));
-    return decoded;
-  };
-
-   const cleanHtmlText = (html) => {
-     if (!html) return '';
-     // Remove script/style blocks first
-     let cleaned = html.replace(/<script[^>]*>.*?<\/script>/gis, '');
-     cleaned = cleaned.replace(/<style[^>]*>.*?<\/style>/gis, '');
-     // Replace <p> tags with double newlines for paragraph breaks
-     cleaned = cleaned.replace(/<\/?p[^>]*>/gi, '\n\n');
-     // Replace <br> tags with single newlines
-     cleaned = cleaned.replace(/<br\s*\/?>/gi, '\n');
-     // Remove remaining HTML tags
-     cleaned = cleaned.replace(/<[^>]*>/g, '');
-     // Decode entities and normalize whitespace
-     return decodeEntities(cleaned).replace(/\n{3,}/g, '\n\n').trim(); // Collapse excess newlines
-   };
-
-  // --- Module Definition ---
-  return {
-    // --- Module Information (Matches the JSON structure) ---
-    id: 'readnovelfull',
-    name: 'ReadNovelFull',
-    version: '1.0.1', // Keep version consistent or increment
-    author: 'vizor (Adapted for Rida)',
-    description: 'ReadNovelFull source for web novels (Rida compatible)',
-    supportedLanguages: ['en'],
-    isEnabled: true,
-    baseURL: BASE_URL,
-
-    // --- Required Methods ---
-
-    /**
-     * Search for novels.
-     * @param {string} query - The search term.
-     * @returns {Promise<Array<object>>} - Array of book results.
-     */
-    async search(query) {
-      // The site redirects readnovelfull.com to www.readwn.com
-      // Update BASE_URL or the specific URL here if needed
-      const currentSiteUrl = 'https://www.readwn.com'; // Use the actual current domain
-      const searchUrl = `${currentSiteUrl}/search/${encodeURIComponent(query.replace(/\s+/g, '-'))}`; // Search seems to use path now
-      console.log(`ReadNovelFull Searching: ${searchUrl}`);
-
-      try {
-        // Need to handle potential redirects
-        const response = await fetch(searchUrl, { redirect: 'follow' }); // Follow redirects
-
-        if (!response.ok) {
-          console.error(`Search failed: ${response.status} ${response.statusText} at ${response.url}`);
-          return [];
-        }
-        const html = await response.text();
-        const results = [];
-
-        // Updated Regex for www.readwn.com search results structure (inspect the page source)
-        // Example: <div class="novel-item"> ... <a href="/novel/novel-slug"> <img src="..." alt="..."> <h3>Title</h3> ... <p>description</p> ...
-        const itemRegex = /<div class="novel-item[^"]*">\s*<a href="(\/novel\/[^"]+)"[^>]*>\s*<img[^>]*src="([^"]+)"[^>]*alt="([^"]+)"[^>]*>\s*<\/a>\s*<div class="novel-detail">\s*<h3><a[^>]*>([^<]+)<\/a><\/h3>.*?<p>(.*?)<\/p>/gis;
-
-        const matches = extractAll(html, itemRegex);
-        console.log(`Found ${matches.length} potential search results on ${response.url}.`);
-
-        for (const match of matches) {
-          const relativePath = match[1]; // e.g., /novel/martial-peak
-          const id = relativePath.split('/').pop(); // Extract 'martial-peak' as the ID
-          const coverUrl = match[2].startsWith('http') ? match[2] : currentSiteUrl + match[2];
-          const title = decodeEntities(match[4].trim()); // Title from h3 content
-          const description = cleanHtmlText(match[5]); // Clean the description HTML from <p>
-
-          // Author is often not directly in search results, get later
-          const author = '';
-
-          if (id && title) {
-            results.push({
-              id: id, // Use the slug as ID
-              title: title,
-              author: author,
-              coverUrl: coverUrl,
-              description: description,
-              // Store the relative path if needed for constructing URLs later
-              _path: relativePath
-            });
-          }
-        }
-
-        console.log(`Parsed ${results.length} valid results.`);
-        return results;
-
-      } catch (error) {
-        console.error('ReadNovelFull Search Error:', error);
-        return [];
-      }
-    },
-
-    /**
-     * Get detailed information for a specific novel, including chapters.
-     * @param {string} id - The novel ID (slug, e.g., martial-peak).
-     * @returns {Promise<object>} - Detailed book information including chapters.
-     */
-    async getBookDetails(id) {
-      const currentSiteUrl = 'https://www.readwn.com';
-      const bookUrl = `${currentSiteUrl}/novel/${id}`; // Construct URL using the slug
-      console.log(`Fetching details for: ${bookUrl}`);
-
-      try {
-        const response = await fetch(bookUrl);
-        if (!response.ok) {
-          throw new Error(`Failed to fetch book details: ${response.status} at ${bookUrl}`);
-        }
-        const html = await response.text();
-
-        // --- Extract Details using Regex for www.readwn.com ---
-        const titleMatch = extractFirst(html, /<h1 class="novel-title"[^>]*>([^<]+)<\/h1>/i);
-        const title = titleMatch ? decodeEntities(titleMatch[0].trim()) : 'Unknown Title';
-
-        // Author: Look for the structure around "Author:"
-        const authorMatch = extractFirst(html, /<th scope="row">\s*Author\s*<\/th>\s*<td><a[^>]*>([^<]+)<\/a><\/td>/i);
-        const author = authorMatch ? decodeEntities(authorMatch[0].trim()) : 'Unknown Author';
-
-        const coverMatch = extractFirst(html, /<figure class="cover">\s*<img[^>]*src="([^"]+)"/i);
-        const coverUrl = coverMatch ? (coverMatch[0].startsWith('http') ? coverMatch[0] : currentSiteUrl + coverMatch[0]) : 'https://via.placeholder.com/150x200?text=No+Cover';
-
-        const descriptionMatch = extractFirst(html, /<div class="novel-summary"[^>]*>(.*?)<\/div>/is);
-        const description = descriptionMatch ? cleanHtmlText(descriptionMatch[0]) : 'No description available.';
-
-        // Genres: Find links within the genre list structure
-        const genres = [];
-        const genreListMatch = extractFirst(html, /<th scope="row">\s*Genre\s*<\/th>\s*<td>(.*?)<\/td>/is);
-        if (genreListMatch) {
-            const genreRegex = /<a[^>]*>([^<]+)<\/a>/gi;
-            const genreMatches = extractAll(genreListMatch[0], genreRegex);
-            genreMatches.forEach(match => genres.push(decodeEntities(match[1].trim())));
-        }
-
-         // Status: Look for the structure around "Status:"
-         const statusMatch = extractFirst(html, /<th scope="row">\s*Status\s*<\/th>\s*<td>([^<]+)<\/td>/i);
-         const status = statusMatch ? decodeEntities(statusMatch[0].trim()) : 'Unknown';
-
-        // --- Extract Chapters (Chapters are usually listed directly now) ---
-        const chapters = [];
-        const chapterListHtmlMatch = extractFirst(html, /<ul class="chapter-list">(.*?)<\/ul>/is);
-        if(chapterListHtmlMatch) {
-            // Regex captures: 1=chapter path, 2=chapter title
-            const chapterRegex = /<a href="(\/novel\/[^"]+)"[^>]*title="([^"]+)"/gi;
-            const chapterMatches = extractAll(chapterListHtmlMatch[0], chapterRegex);
-             for (const match of chapterMatches) {
-                 const chapterPath = match[1]; // e.g. /novel/martial-peak/chapter-1
-                 const chapterId = chapterPath.split('/').pop(); // Get 'chapter-1' as ID
-                 const chapterTitle = decodeEntities(match[2].trim());
-                 if (chapterId && chapterTitle) {
-                     chapters.push({
-                         id: chapterId, // Use chapter slug as ID
-                         title: chapterTitle,
-                         _path: chapterPath // Store full path for getContent if needed
-                        });
-                 }
-             }
-             // Chapters seem listed oldest first on this site. No reverse needed.
-             console.log(`Parsed ${chapters.length} chapters from direct HTML.`);
-        } else {
-            console.warn("Could not find chapter list (ul.chapter-list) for:", id);
-        }
-
-        return {
-          id: id, // Return the original slug ID
-          title: title,
-          author: author,
-          coverUrl: coverUrl,
-          description: description,
-          genres: genres,
-          status: status,
-          chapters: chapters // Include the chapter list
-        };
-
-      } catch (error) {
-        console.error(`Get Book Details Error for ID ${id}:`, error);
-        throw new Error(`Failed to get details for ${id}: ${error.message}`);
-      }
-    },
-
-    /**
-     * Get content for a specific chapter.
-     * @param {string} id - The chapter ID (slug, e.g., chapter-1). Needs the novel ID to construct URL.
-     * @param {object} book - The full book details object (needed to get novel slug).
-     * @returns {Promise<string>} - The cleaned text content of the chapter.
-     */
-    async getContent(id, book) {
-      // We need the novel's slug (book.id) and the chapter slug (id)
-      if (!book || !book.id) {
-           throw new Error("Book details (including novel slug 'id') are required to fetch chapter content.");
-       }
-      const novelSlug = book.id;
-      const chapterSlug = id;
-      const currentSiteUrl = 'https://www.readwn.com';
-      const chapterUrl = `${currentSiteUrl}/novel/${novelSlug}/${chapterSlug}`;
-      console.log(`Fetching content for: ${chapterUrl}`);
-
-      try {
-        const response = await fetch(chapterUrl);
-        if (!response.ok) {
-          throw new Error(`Failed to fetch chapter content: ${response.status} for ${chapterUrl}`);
-        }
-
-        const html = await response.text();
-
-        // Updated Regex for www.readwn.com chapter content
-        const contentMatch = extractFirst(html, /<div id="chapter-container"[^>]*>(.*?)<\/div>/is);
-
-        if (!contentMatch || !contentMatch[0]) {
-          console.error("Could not find #chapter-container div for chapter:", chapterUrl);
-          // Try fallback if site structure changed slightly
-          const fallbackMatch = extractFirst(html, /<div class="chapter-content"[^>]*>(.*?)<\/div>/is);
-           if (!fallbackMatch || !fallbackMatch[0]) {
-                throw new Error('Chapter content container not found (#chapter-container or .chapter-content).');
-           }
-            console.log("Used fallback regex for chapter content.");
-            var contentHtml = fallbackMatch[0];
-        } else {
-             var contentHtml = contentMatch[0];
-        }
-
-
-        // Clean the extracted HTML content
-        const content = cleanHtmlText(contentHtml);
-
-        if (!content) {
-             console.warn("Extracted content is empty for chapter:", chapterUrl);
-             throw new Error('Extracted chapter content is empty.');
-        }
-
-        return content; // Return the cleaned text string
-
-      } catch (error) {
-        console.error(`Get Content Error for Chapter ID ${id} (Novel ${novelSlug}):`, error);
-        throw new Error(`Failed to get content for chapter ${id}: ${error.message}`);
-      }
-    }
-  };
-};
-
-// Export the module function as the default export for Rida
-export default readNovelFullModule;
+/**
+ * Rida Module for ReadNovelFull.com
+ *
+ * Allows searching and reading web novels from ReadNovelFull.com.
+ * Shared helpers are imported from ./lib; tools/registry.js hashes them together
+ * with this script into the module's index.json entry.
+ * Selectors can still break if the site updates its markup.
+ */
+import { parse, select, selectOne, attr, text, nextElement, cleanHtmlText } from './lib/html.js';
+import { fillPage, hasNextPageLink, loadInOrder, pageResult, requestedPage } from './lib/paging.js';
+import { describeFilters, optionsFrom, resolveFilters } from './lib/filters.js';
+import { defaultSettings, describeSettings, mirrorSetting, resolveSettings } from './lib/settings.js';
+import { describeFeeds } from './lib/feeds.js';
+import { describeChapter, orderChapters, unseenChapters } from './lib/chapters.js';
+import { bookMetadata, normalizeStatus, presentOrNull } from './lib/metadata.js';
+import { CONTENT_FORMATS, isEmptyContent, renderContent } from './lib/content.js';
+import { fetchImageWith } from './lib/images.js';
+import { createMirrors } from './lib/mirrors.js';
+import { createRequester } from './lib/request.js';
+import { createCachedFetch } from './lib/cache.js';
+import { createCookieJar, withCookies } from './lib/cookies.js';
+import { asSourceError, extractorError, readPage, throwIfAborted } from './lib/errors.js';
+import { createLog } from './lib/log.js';
+
+// The host may pass { cacheStore } (see lib/cache.js) to keep responses and the working mirror across sessions,
+// { cookieStore } (see lib/cookies.js) to keep session and verification cookies,
+// and { logger, logLevel } (see lib/log.js) to take over or quiet the module's logging.
+const readNovelFullModule = (fetch, { cacheStore, cookieStore, logger, logLevel } = {}) => {
+  // readnovelfull.com used to redirect here; the site now lives on readwn. Listed in order of preference.
+  const MIRRORS = ['https://www.readwn.com', 'https://readwn.com'];
+  const log = createLog({ logger, level: logLevel, fields: { module: 'readnovelfull' } });
+  const cookieJar = createCookieJar({ store: cookieStore, key: 'readnovelfull:cookies', log });
+  const request = createRequester(withCookies(fetch, cookieJar), { concurrency: 2, minInterval: 500, log });
+  const cache = createCachedFetch(request, { store: cacheStore, namespace: 'readnovelfull:', log });
+  const mirrors = createMirrors(cache, MIRRORS, { store: cacheStore, key: 'readnovelfull:mirror', log });
+
+  // Filters map onto readwn's listing pages: /list/<genre>/<status>-newstime-<page>.html
+  const FILTERS = [
+    {
+      key: 'genre',
+      label: 'Genre',
+      type: 'select',
+      options: optionsFrom([
+        'Action', 'Adult', 'Adventure', 'Comedy', 'Drama', 'Ecchi', 'Fan-Fiction', 'Fantasy',
+        'Gender Bender', 'Harem', 'Historical', 'Horror', 'Josei', 'Martial Arts', 'Mature', 'Mecha',
+        'Mystery', 'Psychological', 'Romance', 'School Life', 'Sci-fi', 'Seinen', 'Shoujo', 'Shounen',
+        'Slice of Life', 'Smut', 'Sports', 'Supernatural', 'Tragedy', 'Wuxia', 'Xianxia', 'Xuanhuan',
+        'Yaoi',
+      ], label => label.toLowerCase().replace(/\s+/g, '-')),
+    },
+    {
+      key: 'status',
+      label: 'Status',
+      type: 'select',
+      options: optionsFrom(['Ongoing', 'Completed'], label => label.toLowerCase()),
+    },
+  ];
+
+  // User settings, see getSettingsSchema() and configure().
+  const SETTINGS = [
+    mirrorSetting(MIRRORS),
+    {
+      key: 'textStyle',
+      label: 'Text formatting',
+      type: 'select',
+      options: [
+        { value: 'paragraphs', label: 'Blank line between paragraphs' },
+        { value: 'lines', label: 'One paragraph per line' },
+        { value: 'continuous', label: 'No paragraph breaks' },
+      ],
+      default: 'paragraphs',
+      description: 'Layout of chapters read as plain text (the default getContent() format).',
+    },
+    {
+      key: 'placeholderCovers',
+      label: 'Placeholder covers',
+      type: 'toggle',
+      default: true,
+      description: 'Show a "No Cover" image for novels without a cover, instead of no image.',
+    },
+  ];
+  let settings = defaultSettings(SETTINGS);
+  const PLACEHOLDER_COVER = 'https://via.placeholder.com/150x200?text=No+Cover';
+  const CHAPTER_PAGE_CONCURRENCY = 3; // Chapter list pages fetched at once
+  const missingCover = () => (settings.placeholderCovers ? PLACEHOLDER_COVER : '');
+
+  // --- Helper Functions ---
+
+  // Novel cards on search and listing pages.
+  // Example: <div class="novel-item"> ... <a href="/novel/novel-slug"> <img src="..." alt="..."> <h3>Title</h3> ... <p>description</p> ...
+  const parseNovelItems = (doc) => {
+    const results = [];
+    for (const item of select(doc, '.novel-item')) {
+      const link = selectOne(item, 'a[href^="/novel/"]');
+      if (!link) continue;
+      const relativePath = attr(link, 'href'); // e.g., /novel/martial-peak
+      const id = relativePath.split('/').pop(); // Extract 'martial-peak' as the ID
+      const cover = attr(selectOne(item, 'img[src]'), 'src') || '';
+      const coverUrl = cover ? mirrors.url(cover) : '';
+      const title = text(selectOne(item, '.novel-detail h3')) || attr(link, 'title') || ''; // Title from h3 content
+      const description = presentOrNull(cleanHtmlText(selectOne(item, '.novel-detail p'))); // Clean the description HTML from <p>
+
+      // Author is often not directly in search results, get later
+      const author = null;
+
+      if (id && title) {
+        results.push({
+          id: id, // Use the slug as ID
+          title: title,
+          author: author,
+          coverUrl: coverUrl,
+          description: description,
+          // Store the relative path if needed for constructing URLs later
+          _path: relativePath
+        });
+      }
+    }
+    return results;
+  };
+
+  // readwn listing page: /list/<genre>/<status>-<order>-<page>.html, pages counted from 0
+  const LISTING_PAGE = { pageParam: /-(\d+)\.html$/, firstPage: 0 };
+  const listingPath = ({ genre = 'all', status = 'all', order = 'newstime' }, page) => (
+    `/list/${genre}/${status}-${order}-${page - 1}.html`
+  );
+
+  // Fetch one page of a browse feed; failures throw typed errors, like search.
+  const browse = async (label, path, page, signal) => {
+    const op = log.operation('browse', { url: path, feed: label });
+    op.debug(`Fetching ${label}`);
+    try {
+      const response = await mirrors.fetch(path, { redirect: 'follow', cacheHint: { resource: 'search' }, signal });
+      const doc = parse(await readPage(response, path, signal));
+      const results = parseNovelItems(doc);
+      op.info(`Parsed ${results.length} ${label} results`, { count: results.length });
+      return { results, hasNextPage: hasNextPageLink(doc, page, LISTING_PAGE), page };
+    } catch (error) {
+      throw op.failed(asSourceError(error, 'novel-items', path));
+    }
+  };
+
+  // The <td> next to a "<th scope="row">Label</th>" row header on the details page.
+  const rowValue = (doc, label) => {
+    const header = select(doc, 'th[scope="row"]').find(th => text(th) === label);
+    return header ? nextElement(header) : null;
+  };
+
+  // Chapters in ul.chapter-list on the details page, in ascending reading order.
+  const parseChapterList = (doc, html, id, url) => {
+    const chapterList = selectOne(doc, 'ul.chapter-list');
+    if (!chapterList) {
+      throw extractorError('chapter-list', `Chapter list (ul.chapter-list) not found for ${id}`, {
+        url, html, patterns: ['ul.chapter-list', 'a[href^="/novel/"][title]'],
+      });
+    }
+    const chapters = [];
+    for (const link of select(chapterList, 'a[href^="/novel/"][title]')) {
+      const chapterPath = attr(link, 'href'); // e.g. /novel/martial-peak/chapter-1
+      const chapterId = chapterPath.split('/').pop(); // Get 'chapter-1' as ID
+      const chapterTitle = attr(link, 'title').trim();
+      // Update time, e.g. <time class="chapter-update" datetime="...">3 days ago</time>
+      const time = selectOne(link.parent, 'time, .chapter-update');
+      if (chapterId && chapterTitle) {
+        chapters.push(describeChapter({
+          id: chapterId, // Use chapter slug as ID
+          title: chapterTitle,
+          _path: chapterPath // Store full path for getContent if needed
+        }, attr(time, 'datetime') || text(time)));
+      }
+    }
+    // Chapters seem listed oldest first on this site; ordering checks anyway.
+    return orderChapters(chapters);
+  };
+
+  // Long chapter lists are paged: the details page shows the first page and the
+  // list's .pagination links the others (e.g. /e/extend/fy.php?page=1&wjm=<slug>).
+  // Paths of every page from the lowest linked number to the highest, in order.
+  const CHAPTER_PAGE_PARAM = /([?&]page=)(\d+)/;
+  const chapterPagePaths = (doc, id, url) => {
+    const links = select(doc, '.pagination a[href]')
+      .map(link => attr(link, 'href'))
+      .filter(href => href.includes(id) && CHAPTER_PAGE_PARAM.test(href));
+    if (links.length === 0) return [];
+    const numbers = links.map(href => parseInt(CHAPTER_PAGE_PARAM.exec(href)[2], 10));
+    const first = Math.min(...numbers);
+    const last = Math.max(...numbers);
+    const template = mirrors.path(new URL(links[numbers.indexOf(last)], url).href);
+    return Array.from({ length: last - first + 1 }, (_, offset) => template.replace(CHAPTER_PAGE_PARAM, `$1${first + offset}`));
+  };
+
+  // One page of a novel's chapter list, from chapterPagePaths().
+  const loadChapterPage = async (id, path, { refresh = false, signal }) => {
+    const response = await mirrors.fetch(path, { cacheHint: { resource: 'chapters', book: id, refresh }, signal });
+    const pageHtml = await readPage(response, path, signal);
+    return parseChapterList(parse(pageHtml), pageHtml, id, response.url || path);
+  };
+
+  // A novel's chapter list in batches, one per list page, starting with the details
+  // page already in hand. Chapters repeated on a later page are dropped.
+  async function* chapterBatches(id, doc, html, url, { refresh = false, signal, op }) {
+    const seen = new Set();
+    const unseen = chapters => chapters.filter(chapter => !seen.has(chapter.id) && seen.add(chapter.id));
+    const firstPage = unseen(parseChapterList(doc, html, id, url));
+    if (firstPage.length) yield firstPage;
+
+    const paths = chapterPagePaths(doc, id, url);
+    if (paths.length) op.debug(`Chapter list runs over ${paths.length} more pages`, { pages: paths.length });
+    const loadPage = path => loadChapterPage(id, path, { refresh, signal });
+    for await (const chapters of loadInOrder(paths, loadPage, { concurrency: CHAPTER_PAGE_CONCURRENCY })) {
+      throwIfAborted(signal, url);
+      const batch = unseen(chapters);
+      if (batch.length) yield batch;
+    }
+  }
+
+  // Ids for a link to a novel (/novel/<slug>) or chapter (/novel/<slug>/<chapter>) page, see resolveUrl().
+  const resolveLink = (url) => {
+    const path = mirrors.linkPath(url);
+    const match = path && path.match(/^\/novel\/([^/]+?)(?:\/([^/]+?))?(?:\.html)?\/?$/);
+    if (!match) return null;
+    return match[2]
+      ? { type: 'chapter', bookId: match[1], chapterId: match[2] }
+      : { type: 'book', bookId: match[1], chapterId: null };
+  };
+
+  const idOf = value => (typeof value === 'string' ? value : value && value.id);
+
+  // --- Module Definition ---
+  return {
+    // --- Module Information (Matches the JSON structure) ---
+    id: 'readnovelfull',
+    name: 'ReadNovelFull',
+    version: '1.4.8', // Keep version consistent or increment
+    author: 'vizor (Adapted for Rida)',
+    description: 'ReadNovelFull source for web novels (Rida compatible)',
+    supportedLanguages: ['en'],
+    isEnabled: true,
+    get baseURL() { return mirrors.baseUrl; }, // The mirror that last answered
+    mirrors: MIRRORS,
+    feeds: describeFeeds(['popular', 'latest', 'genre'], { genres: FILTERS.find(filter => filter.key === 'genre').options }),
+    contractVersion: 1, // The v1 shapes; adaptModule() in lib/contract.js presents the module as v2
+    contentType: 'text',
+    capabilities: { searchPages: true, filters: true, feeds: true, settings: true, urlResolution: true, chapterStream: true },
+
+    // --- Required Methods ---
+
+    /**
+     * Search for novels.
+     * @param {string} [query] - The search term; without one, the listing of every novel (newest first) is returned.
+     * @param {object} [options]
+     * @param {number} [options.page=1] - Results page (1-based).
+     * @param {object} [options.filters] - Selected filters, see getFilters().
+     * @param {AbortSignal} [options.signal] - Cancels the call, which then rejects with an AbortError.
+     * @returns {Promise<Array<object>|object>} - Array of book results, or
+     *   { results, hasNextPage, page } when options are passed.
+     * @throws {SourceError} - When the site cannot be reached or answers with an error;
+     *   an empty result list always means "no matches".
+     */
+    async search(query, options) {
+      const keyword = String(query || '').trim();
+      const page = requestedPage(options);
+      const signal = options && options.signal;
+      const filters = resolveFilters(FILTERS, options && options.filters);
+      // Search has no filter parameters, so filtered requests go to the listing pages instead,
+      // as do requests without a query (the whole catalogue, newest first)
+      const useListing = Boolean(filters.genre || filters.status || !keyword);
+      const pagePath = number => (useListing
+        ? listingPath(filters, number)
+        : `/search/${encodeURIComponent(keyword.replace(/\s+/g, '-'))}${number > 1 ? `?page=${number}` : ''}`); // Search seems to use path now
+      const searchPath = pagePath(page);
+      const op = log.operation('search', { url: searchPath });
+      op.debug(`Searching for "${keyword}"`);
+
+      const loadPage = async (number) => {
+        const path = pagePath(number);
+        // Follow redirects; a move to another of the listed mirrors is picked up by the mirror set
+        const response = await mirrors.fetch(path, { redirect: 'follow', cacheHint: { resource: 'search' }, signal });
+        const doc = parse(await readPage(response, path, signal));
+        const results = parseNovelItems(doc);
+        op.debug(`Found ${results.length} potential search results`, { url: response.url || path });
+        return { results, hasNextPage: hasNextPageLink(doc, number, useListing ? LISTING_PAGE : undefined) };
+      };
+
+      try {
+        let found;
+        if (useListing && keyword) {
+          // Listing pages ignore the query: narrow them down by title, reading on until a page fills
+          const needle = keyword.toLowerCase();
+          found = await fillPage(loadPage, result => result.title.toLowerCase().includes(needle), page);
+        } else {
+          found = await loadPage(page);
+        }
+
+        op.info(`Parsed ${found.results.length} results`, { count: found.results.length });
+        return pageResult(found.results, found.hasNextPage, page, options);
+
+      } catch (error) {
+        throw op.failed(asSourceError(error, 'novel-items', searchPath));
+      }
+    },
+
+    /**
+     * Get detailed information for a specific novel, including chapters.
+     * @param {string} id - The novel ID (slug, e.g., martial-peak).
+     * @param {object} [options]
+     * @param {boolean} [options.includeChapters=true] - false skips the chapter list (chapters is then null),
+     *   so details show at once while listChapters() streams the chapters.
+     * @param {AbortSignal} [options.signal] - Cancels the call, which then rejects with an AbortError.
+     * @returns {Promise<object>} - Detailed book information, normalized as described in
+     *   lib/metadata.js (missing fields are null), including chapters from every page of
+     *   the list ({ id, title, number, volume, kind, releaseDate }, oldest first).
+     */
+    async getBookDetails(id, options) {
+      const signal = options && options.signal;
+      const includeChapters = !(options && options.includeChapters === false);
+      const bookPath = `/novel/${id}`; // Construct the path using the slug
+      const op = log.operation('getBookDetails', { url: bookPath });
+      op.debug('Fetching details');
+
+      try {
+        const response = await mirrors.fetch(bookPath, { cacheHint: { resource: 'details', book: id }, signal });
+        const html = await readPage(response, bookPath, signal);
+        const doc = parse(html);
+
+        // --- Extract Details (readwn markup) ---
+        const title = presentOrNull(text(selectOne(doc, 'h1.novel-title')));
+
+        // Author: the links in the row headed "Author", one per name
+        const author = select(rowValue(doc, 'Author'), 'a').map(link => text(link)).filter(Boolean).join(', ');
+
+        const cover = attr(selectOne(doc, 'figure.cover img[src]'), 'src');
+        const coverUrl = cover ? mirrors.url(cover) : missingCover();
+
+        const summary = selectOne(doc, 'div.novel-summary');
+        const description = presentOrNull(summary && cleanHtmlText(summary));
+
+        // Genres: Find links within the genre row
+        const genres = select(rowValue(doc, 'Genre'), 'a').map(link => text(link)).filter(Boolean);
+
+         // Status: the row headed "Status"
+         const status = text(rowValue(doc, 'Status'));
+
+        // --- Extract Chapters (every page of the list) ---
+        let chapters = null;
+        if (includeChapters) {
+          chapters = [];
+          for await (const batch of chapterBatches(id, doc, html, response.url || bookPath, { signal, op })) chapters.push(...batch);
+          op.info(`Parsed details with ${chapters.length} chapters`, { count: chapters.length });
+        } else {
+          op.info('Parsed details without chapters');
+        }
+
+        return {
+          id: id, // Return the original slug ID
+          title: title,
+          ...bookMetadata({ author, status, genres }),
+          coverUrl: coverUrl,
+          description: description,
+          chapters: chapters // Include the chapter list
+        };
+
+      } catch (error) {
+        throw op.failed(asSourceError(error, 'book-details', bookPath));
+      }
+    },
+
+    /**
+     * Get content for a specific chapter.
+     * @param {string} id - The chapter ID (slug, e.g., chapter-1). Needs the novel ID to construct URL.
+     * @param {object} book - The full book details object (needed to get novel slug).
+     * @param {object} [options]
+     * @param {string} [options.format='text'] - 'text', 'blocks' or 'html' (see lib/content.js).
+     * @param {AbortSignal} [options.signal] - Cancels the call, which then rejects with an AbortError.
+     * @returns {Promise<string|Array<object>>} - The chapter content in the requested format.
+     */
+    async getContent(id, book, options) {
+      const format = (options && options.format) || 'text';
+      if (!CONTENT_FORMATS.includes(format)) {
+        throw new Error(`Unsupported content format "${format}". Use one of: ${CONTENT_FORMATS.join(', ')}`);
+      }
+      // We need the novel's slug (book.id) and the chapter slug (id)
+      if (!book || !book.id) {
+           throw new Error("Book details (including novel slug 'id') are required to fetch chapter content.");
+       }
+      const signal = options && options.signal;
+      const novelSlug = book.id;
+      const chapterSlug = id;
+      const chapterPath = `/novel/${novelSlug}/${chapterSlug}`;
+      const op = log.operation('getContent', { url: chapterPath });
+      op.debug('Fetching chapter');
+
+      try {
+        const response = await mirrors.fetch(chapterPath, { cacheHint: { resource: 'content', book: novelSlug }, signal });
+        const chapterUrl = response.url || mirrors.url(chapterPath);
+        const html = await readPage(response, chapterUrl, signal);
+        const doc = parse(html);
+        const patterns = ['div#chapter-container', 'div.chapter-content'];
+
+        // readwn chapter content
+        let contentNode = selectOne(doc, 'div#chapter-container');
+
+        if (!contentNode) {
+          // Try fallback if site structure changed slightly
+          contentNode = selectOne(doc, 'div.chapter-content');
+          if (!contentNode) {
+            throw extractorError('chapter-container', 'Chapter content container not found (#chapter-container or .chapter-content).', { url: chapterUrl, html, patterns });
+          }
+          op.warn('Used fallback selector for chapter content', { selector: 'div.chapter-content' });
+        }
+
+        // Clean the extracted HTML content into the requested format
+        const content = renderContent(contentNode, format, { textStyle: settings.textStyle, baseUrl: chapterUrl });
+
+        if (isEmptyContent(content)) {
+             throw extractorError('chapter-container', 'Extracted chapter content is empty.', { url: chapterUrl, html, patterns });
+        }
+
+        return content; // Text, blocks or sanitized HTML
+
+      } catch (error) {
+        throw op.failed(asSourceError(error, 'chapter-container', chapterPath), { book: novelSlug });
+      }
+    },
+
+    // --- Optional Methods ---
+
+    /**
+     * Check a library book for chapters released since it was last read in.
+     * The chapter list runs oldest first, so its pages are read fresh from the
+     * last one back, stopping at the first page that holds a known chapter.
+     * Pages before that are never fetched.
+     * @param {object} book - The book as returned by getBookDetails() (only id is needed).
+     * @param {Array<string>} knownChapterIds - Ids of the chapters the host already has.
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the call, which then rejects with an AbortError.
+     * @returns {Promise<object>} - { id, status, chapters } with only the unseen chapters, oldest first
+     *   (status is one of BOOK_STATUSES in lib/metadata.js).
+     */
+    async getNewChapters(book, knownChapterIds, options) {
+      if (!book || !book.id) throw new Error('A book with an id is required.');
+      const signal = options && options.signal;
+      const bookPath = `/novel/${book.id}`;
+      const op = log.operation('getNewChapters', { url: bookPath });
+      op.debug('Checking for new chapters');
+
+      try {
+        const response = await mirrors.fetch(bookPath, { cacheHint: { resource: 'details', book: book.id, refresh: true }, signal });
+        const html = await readPage(response, bookPath, signal);
+        const doc = parse(html);
+        const url = response.url || bookPath;
+        const known = new Set(knownChapterIds || []);
+        const pages = []; // Newest page last
+        for (const path of chapterPagePaths(doc, book.id, url).reverse()) {
+          const listedOnPage = await loadChapterPage(book.id, path, { refresh: true, signal });
+          throwIfAborted(signal, url);
+          pages.unshift(listedOnPage);
+          if (listedOnPage.some(chapter => known.has(chapter.id))) break;
+        }
+        if (!pages.length || !pages[0].some(chapter => known.has(chapter.id))) pages.unshift(parseChapterList(doc, html, book.id, url));
+        op.debug(`Read ${pages.length} chapter list pages`, { pages: pages.length });
+
+        // Chapters repeated on a later page count once, where first listed
+        const seen = new Set();
+        const listed = pages.flat().filter(chapter => !seen.has(chapter.id) && seen.add(chapter.id));
+        const chapters = unseenChapters(listed, known);
+        op.info(`Found ${chapters.length} new chapters`, { count: chapters.length });
+        return {
+          id: book.id,
+          status: normalizeStatus(text(rowValue(doc, 'Status'))),
+          chapters: chapters
+        };
+      } catch (error) {
+        throw op.failed(asSourceError(error, 'chapter-list', bookPath));
+      }
+    },
+
+    /**
+     * Stream a novel's chapter list one page at a time, for novels with thousands of chapters.
+     * Pages are fetched a few at a time and come out in order.
+     * @param {string|object} book - The novel ID (slug) or the book.
+     * @param {object} [options]
+     * @param {boolean} [options.refresh=false] - Fetch the pages fresh rather than from cache.
+     * @param {AbortSignal} [options.signal] - Cancels the listing, which then rejects with an AbortError.
+     * @returns {AsyncGenerator<Array<object>>} - Batches of chapters ({ id, title, number, volume, kind, releaseDate }),
+     *   in reading order.
+     */
+    async *listChapters(book, options) {
+      const id = idOf(book);
+      if (!id) throw new Error('A book id is required.');
+      const signal = options && options.signal;
+      const refresh = Boolean(options && options.refresh);
+      const bookPath = `/novel/${id}`;
+      const op = log.operation('listChapters', { url: bookPath });
+      op.debug('Listing chapters');
+
+      try {
+        const response = await mirrors.fetch(bookPath, { cacheHint: { resource: 'details', book: id, refresh }, signal });
+        const html = await readPage(response, bookPath, signal);
+        let count = 0;
+        for await (const batch of chapterBatches(id, parse(html), html, response.url || bookPath, { refresh, signal, op })) {
+          count += batch.length;
+          yield batch;
+        }
+        op.info(`Listed ${count} chapters`, { count });
+      } catch (error) {
+        throw op.failed(asSourceError(error, 'chapter-list', bookPath));
+      }
+    },
+
+    /**
+     * Forget cached pages of a book (details, chapter list and chapters), e.g. on pull-to-refresh.
+     * @param {string} bookId - The book ID as passed to getBookDetails().
+     * @returns {Promise<number>} - Number of cached responses dropped.
+     */
+    async invalidateBook(bookId) {
+      return cache.invalidateBook(bookId);
+    },
+
+    /**
+     * Forget every cached response of this module.
+     * @returns {Promise<number>} - Number of cached responses dropped.
+     */
+    async clearCache() {
+      return cache.clear();
+    },
+
+    /**
+     * Hand the module cookies from a webview, typically after the user passed
+     * the check behind a ChallengePageError (open error.verificationUrl, then
+     * call this with the same URL and the webview's cookies, and retry). The
+     * webview should use the same User-Agent as the module's fetch, since
+     * challenge cookies are usually tied to it.
+     * @param {string} url - The page the cookies come from: a site path, or a URL as is
+     *   (the challenge may have come from a mirror other than the working one).
+     * @param {string|Array<string|object>|object} cookies - A Cookie-header string, Set-Cookie strings
+     *   or cookie objects ({ name, value, domain, path, expires, secure }), see lib/cookies.js.
+     * @returns {Promise<number>} - Cookies stored.
+     */
+    async setCookies(url, cookies) {
+      return cookieJar.set(/^https?:\/\//i.test(url) ? url : mirrors.url(url), cookies);
+    },
+
+    /**
+     * The cookies the module sends to a page, e.g. to seed a webview.
+     * @param {string} [url] - A site path or URL; defaults to the home page of the working mirror.
+     * @returns {Promise<Array<object>>} - { name, value, domain, hostOnly, path, secure, expires } objects.
+     */
+    async getCookies(url = '/') {
+      return cookieJar.get(/^https?:\/\//i.test(url) ? url : mirrors.url(url));
+    },
+
+    /**
+     * Forget every cookie of this module, e.g. to sign out of a session.
+     * @returns {Promise<number>} - Cookies removed.
+     */
+    async clearCookies() {
+      return cookieJar.clear();
+    },
+
+    /**
+     * Point a stored URL (e.g. a coverUrl saved before the site moved) at the working mirror.
+     * @param {string} url
+     * @returns {string} - The URL on the current mirror; URLs on other hosts are returned as is.
+     */
+    rewriteUrl(url) {
+      return mirrors.rewrite(url);
+    },
+
+    /**
+     * Whether a link opens something in this module (see resolveUrl()).
+     * @param {string} url
+     * @returns {boolean}
+     */
+    canHandleUrl(url) {
+      return resolveLink(url) !== null;
+    },
+
+    /**
+     * Turn a shared link into ids, e.g. to open a book or chapter from a deep link.
+     * Chapter ids are slugs within their novel, so chapters need the returned bookId too.
+     * @param {string} url - A novel or chapter page on any mirror.
+     * @returns {object|null} - { type: 'book' | 'chapter', bookId, chapterId } (chapterId null for books),
+     *   or null for links this module cannot open.
+     */
+    resolveUrl(url) {
+      return resolveLink(url);
+    },
+
+    /**
+     * The site's page for a book or chapter, for "open in browser".
+     * @param {object|string} book - The book or its ID.
+     * @param {object|string} [chapter] - A chapter or its ID.
+     * @returns {string} - Absolute URL on the working mirror.
+     */
+    toWebUrl(book, chapter) {
+      const bookId = idOf(book);
+      if (!bookId) throw new Error("Book details (including novel slug 'id') are required to build a link.");
+      const chapterId = idOf(chapter);
+      return mirrors.url(`/novel/${bookId}${chapterId ? `/${chapterId}` : ''}`);
+    },
+
+    /**
+     * Download the cover image (e.g. for an EPUB export) with the site as Referer.
+     * @param {string|object} page - An image URL such as coverUrl, or a { url, headers } object.
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the call, which then rejects with an AbortError.
+     * @returns {Promise<object>} - { url, index, contentType, data } with data as a Uint8Array.
+     */
+    async fetchImage(page, options) {
+      return fetchImageWith(request, page, { Referer: `${mirrors.baseUrl}/` }, { signal: options && options.signal });
+    },
+
+    /**
+     * Describe the filters search() accepts.
+     * With filters set, results come from the genre/status listing pages and
+     * a query only narrows the fetched page down by title.
+     * @returns {Array<object>} - Filter definitions ({ key, label, type, options }).
+     */
+    getFilters() {
+      return describeFilters(FILTERS);
+    },
+
+    /**
+     * Describe the settings configure() accepts, for a generic settings screen.
+     * @returns {Array<object>} - Setting definitions ({ key, label, type, options, default, description }).
+     */
+    getSettingsSchema() {
+      return describeSettings(SETTINGS);
+    },
+
+    /**
+     * Apply user settings at runtime; settings left out keep their value.
+     * @param {object} changes - { key: value } for keys from getSettingsSchema(); null restores the default.
+     * @returns {object} - Every setting now in effect.
+     * @throws {Error} - For unknown keys or values the schema does not allow.
+     */
+    configure(changes) {
+      settings = resolveSettings(SETTINGS, settings, changes);
+      if (changes && 'mirror' in changes) mirrors.prefer(settings.mirror === 'auto' ? null : settings.mirror);
+      return { ...settings };
+    },
+
+    /**
+     * Most-viewed novels.
+     * @param {object} [options]
+     * @param {number} [options.page=1] - Listing page (1-based).
+     * @param {AbortSignal} [options.signal] - Cancels the call, which then rejects with an AbortError.
+     * @returns {Promise<object>} - { results, hasNextPage, page }
+     */
+    async getPopular(options) {
+      const page = requestedPage(options);
+      return browse('Popular', listingPath({ order: 'onclick' }, page), page, options && options.signal);
+    },
+
+    /**
+     * Novels with recently added chapters.
+     * @param {object} [options]
+     * @param {number} [options.page=1] - Listing page (1-based).
+     * @param {AbortSignal} [options.signal] - Cancels the call, which then rejects with an AbortError.
+     * @returns {Promise<object>} - { results, hasNextPage, page }
+     */
+    async getLatestUpdates(options) {
+      const page = requestedPage(options);
+      return browse('Latest Updates', listingPath({ order: 'lastdotime' }, page), page, options && options.signal);
+    },
+
+    /**
+     * Novels in a genre.
+     * @param {string} genre - A genre value from the 'genre' feed (or getFilters()).
+     * @param {object} [options]
+     * @param {number} [options.page=1] - Listing page (1-based).
+     * @param {AbortSignal} [options.signal] - Cancels the call, which then rejects with an AbortError.
+     * @returns {Promise<object>} - { results, hasNextPage, page }
+     */
+    async getByGenre(genre, options) {
+      const page = requestedPage(options);
+      if (!genre) throw new Error('A genre is required.');
+      const filters = resolveFilters(FILTERS, { genre });
+      return browse(`Genre ${genre}`, listingPath(filters, page), page, options && options.signal);
+    }
+  };
+};
+
+// Export the module function as the default export for Rida
+export default readNovelFullModule;
@@ -0,0 +1,225 @@
+/**
+ * HTTP response cache for module requests.
+ *
+ * Sits between a module's requests and its fetch. Requests opt in with a
+ * cache hint naming the kind of resource and, where it belongs to one, the
+ * book:
+ *
+ *   mirrors.fetch(path, { cacheHint: { resource: 'details', book: id } })
+ *
+ * Fresh entries are answered from the store. Stale entries that carried an
+ * ETag or Last-Modified are revalidated with If-None-Match/If-Modified-Since,
+ * so a 304 only costs a round trip. Requests without a hint are not cached.
+ * A hint with refresh: true skips the fresh-entry shortcut (update checks must
+ * see the site as it is now) but still revalidates and stores the answer.
+ * A hint with stream: true marks a page read in pieces as it arrives (see
+ * lib/stream.js); it is too long to hold, so it is neither buffered nor stored.
+ * Responses that belong to a book are keyed under it, so invalidateBook()
+ * finds them from the keys alone.
+ *
+ * Stores are adapters with async get/set/delete/keys; createMemoryStore() is
+ * the default and createStorageStore() persists through a host key-value
+ * storage (AsyncStorage- or localStorage-like).
+ */
+import { isChallengePage } from './errors.js';
+import { defaultLog } from './log.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// How long each kind of resource stays fresh.
+export const DEFAULT_TTLS = {
+  search: 5 * MINUTE, // Search results and browse feeds
+  details: 30 * MINUTE, // Book details pages
+  chapters: 30 * MINUTE, // Separately fetched chapter lists
+  content: 7 * 24 * HOUR, // Chapter text and page lists rarely change once published
+};
+
+// --- Stores ---
+
+/**
+ * In-memory store, least recently used entries evicted first.
+ * @param {object} [options]
+ * @param {number} [options.maxEntries=300]
+ * @returns {object} - Store adapter.
+ */
+export const createMemoryStore = ({ maxEntries = 300 } = {}) => {
+  const entries = new Map();
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (entry === undefined) return undefined;
+      entries.delete(key); // Re-insert to mark as recently used
+      entries.set(key, entry);
+      return entry;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async keys() {
+      return [...entries.keys()];
+    },
+  };
+};
+
+/**
+ * Persistent store on top of a host key-value storage.
+ * Accepts AsyncStorage-style (getItem/setItem/removeItem/getAllKeys, async)
+ * and localStorage-style (sync, with key(i) and length) storages.
+ * @param {object} storage
+ * @param {object} [options]
+ * @param {string} [options.prefix='rida-cache:'] - Keeps cache keys apart from the host's own.
+ * @returns {object} - Store adapter.
+ */
+export const createStorageStore = (storage, { prefix = 'rida-cache:' } = {}) => ({
+  async get(key) {
+    const raw = await storage.getItem(prefix + key);
+    if (raw === null || raw === undefined) return undefined;
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      return undefined; // Corrupt entry: treat as a miss
+    }
+  },
+  async set(key, entry) {
+    await storage.setItem(prefix + key, JSON.stringify(entry));
+  },
+  async delete(key) {
+    await storage.removeItem(prefix + key);
+  },
+  async keys() {
+    let all;
+    if (typeof storage.getAllKeys === 'function') {
+      all = await storage.getAllKeys();
+    } else {
+      all = [];
+      for (let i = 0; i < storage.length; i++) all.push(storage.key(i));
+    }
+    return all.filter(key => key && key.startsWith(prefix)).map(key => key.slice(prefix.length));
+  },
+});
+
+// --- Cached Fetch ---
+
+const VALIDATOR_HEADERS = ['etag', 'last-modified', 'content-type'];
+
+const plainHeaders = (headers) => {
+  if (!headers) return {};
+  if (typeof headers.entries === 'function') return Object.fromEntries(headers.entries());
+  return { ...headers };
+};
+
+// Response-like object served from a cache entry.
+const cachedResponse = entry => ({
+  ok: entry.status >= 200 && entry.status < 300,
+  status: entry.status,
+  statusText: '',
+  url: entry.url,
+  redirected: false,
+  fromCache: true,
+  headers: { get: name => entry.headers[name.toLowerCase()] ?? null },
+  text: async () => entry.body,
+  json: async () => JSON.parse(entry.body),
+  arrayBuffer: async () => new TextEncoder().encode(entry.body).buffer,
+});
+
+/**
+ * Wrap a fetch with a response cache.
+ * @param {Function} fetch - The fetch to cache (usually the module's requester).
+ * @param {object} [options]
+ * @param {object} [options.store] - Store adapter; defaults to a new memory store.
+ * @param {string} [options.namespace=''] - Key prefix, so modules can share one store.
+ * @param {object} [options.ttls] - Overrides for DEFAULT_TTLS, in ms.
+ * @param {Function} [options.now=Date.now]
+ * @param {object} [options.log] - Log for store failures (see lib/log.js).
+ * @returns {Function} - fetch(url, options) plus .invalidateBook(book) and .clear().
+ */
+export const createCachedFetch = (fetch, { store = createMemoryStore(), namespace = '', ttls = {}, now = Date.now, log = defaultLog } = {}) => {
+  const lifetimes = { ...DEFAULT_TTLS, ...ttls };
+  const bookPrefix = book => `${namespace}book/${encodeURIComponent(book)}/`;
+  const keyFor = (url, book) => (book ? bookPrefix(book) : namespace) + url;
+
+  const save = async (key, entry) => {
+    try {
+      await store.set(key, entry);
+    } catch (error) {
+      log.warn(`Cache write failed for ${entry.url}: ${error.message}`, { url: entry.url }); // A full store must not break reading
+    }
+    return entry;
+  };
+
+  const store200 = async (key, url, response, ttl) => {
+    const body = await response.text();
+    const headers = {};
+    for (const name of VALIDATOR_HEADERS) {
+      const value = response.headers && response.headers.get ? response.headers.get(name) : null;
+      if (value) headers[name] = value;
+    }
+    const entry = {
+      url: response.url || url,
+      status: response.status,
+      headers,
+      body,
+      expiresAt: now() + ttl,
+    };
+    // Never keep an anti-bot interstitial around in place of the page
+    return isChallengePage(body) ? entry : save(key, entry);
+  };
+
+  const cachedFetch = async (url, options = {}) => {
+    const { cacheHint, ...fetchOptions } = options;
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const ttl = cacheHint ? lifetimes[cacheHint.resource] || 0 : 0;
+    if (!cacheHint || cacheHint.stream || ttl <= 0 || method !== 'GET') return fetch(url, fetchOptions);
+
+    const key = keyFor(url, cacheHint.book);
+    let entry;
+    try {
+      entry = await store.get(key);
+    } catch (error) {
+      entry = undefined; // An unreadable store is a miss, not a failed request
+    }
+    if (entry && entry.expiresAt > now() && !cacheHint.refresh) return cachedResponse(entry);
+
+    // Stale: ask the site whether it changed, if it gave us something to ask with
+    const headers = plainHeaders(fetchOptions.headers);
+    if (entry && entry.headers.etag) headers['If-None-Match'] = entry.headers.etag;
+    if (entry && entry.headers['last-modified']) headers['If-Modified-Since'] = entry.headers['last-modified'];
+
+    const response = await fetch(url, { ...fetchOptions, headers });
+    if (response.status === 304 && entry) {
+      return cachedResponse(await save(key, { ...entry, expiresAt: now() + ttl }));
+    }
+    if (response.status !== 200) return response;
+    return cachedResponse(await store200(key, url, response, ttl));
+  };
+
+  /**
+   * Drop every cached response that belongs to a book.
+   * @param {string} book - The book id used in cache hints.
+   * @returns {Promise<number>} - Entries removed.
+   */
+  cachedFetch.invalidateBook = async (book) => {
+    const prefix = bookPrefix(book);
+    const keys = (await store.keys()).filter(key => key.startsWith(prefix));
+    for (const key of keys) await store.delete(key);
+    return keys.length;
+  };
+
+  /**
+   * Drop every cached response in this namespace.
+   * @returns {Promise<number>} - Entries removed.
+   */
+  cachedFetch.clear = async () => {
+    const keys = (await store.keys()).filter(key => key.startsWith(namespace));
+    for (const key of keys) await store.delete(key);
+    return keys.length;
+  };
+
+  return cachedFetch;
+};
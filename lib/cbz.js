@@ -0,0 +1,142 @@
+/**
+ * CBZ export for manga modules.
+ *
+ *   const archives = await exportCbz(module, book, { from: 1, to: 10 });
+ *   // [{ fileName: 'One Piece - Chapter 1.cbz', mimeType, data, chapter }, ...]
+ *
+ * Each chapter becomes one archive: its pages, fetched through the module's
+ * getContent(id, book, { format: 'pages' }) and fetchImage(page) so the image
+ * CDN gets the Referer it wants, named 001.jpg, 002.png, ... in reading order,
+ * plus a ComicInfo.xml (the Anansi ComicInfo schema most comic readers
+ * understand) built from the book details.
+ */
+import { chapterRange } from './chapters.js';
+import { escapeXml, meaningful, safeFileName } from './export.js';
+import { createZip } from './zip.js';
+
+export const CBZ_MIME_TYPE = 'application/vnd.comicbook+zip';
+
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp', 'image/avif': 'avif', 'image/bmp': 'bmp',
+};
+
+// ComicInfo's Manga field: whether the book reads right to left.
+const MANGA_READING = { manga: 'YesAndRightToLeft', manhwa: 'Yes', manhua: 'Yes', doujinshi: 'YesAndRightToLeft', 'one-shot': 'YesAndRightToLeft' };
+
+// Mihon's wording for the statuses in lib/metadata.js.
+const PUBLISHING_STATUS = { ongoing: 'Ongoing', completed: 'Completed', hiatus: 'On hiatus', cancelled: 'Cancelled', unknown: null };
+
+const element = (name, value) => (value === null || value === undefined || value === '' ? '' : `  <${name}>${escapeXml(value)}</${name}>\n`);
+
+/**
+ * Build ComicInfo.xml for a chapter.
+ * Elements follow the schema's order; the publishing status goes into the
+ * PublishingStatusTachiyomi extension that Mihon-style readers pick up.
+ * @param {object} book - Book details (title, author, description, genres, status, type).
+ * @param {object} chapter - The chapter ({ title, number, volume, releaseDate }).
+ * @param {object} [options]
+ * @param {number} [options.pageCount] - Number of pages in the archive.
+ * @param {string} [options.url] - The chapter's web page.
+ * @param {string} [options.language='en'] - ISO language code.
+ * @returns {string}
+ */
+export const comicInfoXml = (book, chapter, { pageCount = null, url = null, language = 'en' } = {}) => {
+  const released = chapter.releaseDate ? new Date(chapter.releaseDate) : null;
+  const type = meaningful(book.type);
+  const status = Object.hasOwn(PUBLISHING_STATUS, book.status) ? PUBLISHING_STATUS[book.status] : meaningful(book.status);
+  const pages = pageCount
+    ? `  <Pages>\n${Array.from({ length: pageCount }, (_, index) => `    <Page Image="${index}"${index === 0 ? ' Type="FrontCover"' : ''}/>\n`).join('')}  </Pages>\n`
+    : '';
+  return '<?xml version="1.0" encoding="utf-8"?>\n'
+    + '<ComicInfo xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema">\n'
+    + element('Title', chapter.title)
+    + element('Series', meaningful(book.title) || book.id)
+    + element('Number', chapter.number)
+    + element('Volume', chapter.volume)
+    + element('Summary', meaningful(book.description))
+    + element('Year', released && released.getUTCFullYear())
+    + element('Month', released && released.getUTCMonth() + 1)
+    + element('Day', released && released.getUTCDate())
+    + element('Writer', meaningful(book.author))
+    + element('Genre', (book.genres || []).join(', '))
+    + element('Web', url)
+    + element('PageCount', pageCount)
+    + element('LanguageISO', language)
+    + element('Format', type)
+    + element('Manga', type ? MANGA_READING[type.toLowerCase()] || 'Unknown' : null)
+    + pages
+    + (status ? `  <ty:PublishingStatusTachiyomi xmlns:ty="http://www.w3.org/2001/XMLSchema">${escapeXml(status)}</ty:PublishingStatusTachiyomi>\n` : '')
+    + '</ComicInfo>\n';
+};
+
+const chapterUrl = (source, chapter) => {
+  if (/^https?:\/\//.test(chapter.id)) return chapter.id;
+  return chapter.id.startsWith('/') && source.baseURL ? `${source.baseURL}${chapter.id}` : null;
+};
+
+/**
+ * Download one chapter and pack it as a CBZ archive.
+ * @param {object} source - A manga module instance (getContent with 'pages', fetchImage).
+ * @param {object} book - The book from getBookDetails().
+ * @param {object} chapter - One of book.chapters.
+ * @param {object} [options]
+ * @param {Function} [options.onPage] - Called after each page download with { done, total, page }.
+ * @param {Date} [options.date=new Date()] - Modification time of the archive entries.
+ * @returns {Promise<{fileName: string, mimeType: string, data: Uint8Array, chapter: object}>}
+ * @throws {SourceError} - When the chapter or one of its pages cannot be fetched.
+ */
+export const exportChapterCbz = async (source, book, chapter, { onPage, date = new Date() } = {}) => {
+  if (typeof source.fetchImage !== 'function') throw new Error(`Module ${source.id} cannot download images (no fetchImage).`);
+  const pages = await source.getContent(chapter.id, book, { format: 'pages' });
+  const digits = Math.max(3, String(pages.length).length);
+
+  // Requests go through the module's rate-limited fetch, so they can all be queued at once
+  let done = 0;
+  const images = await Promise.all(pages.map(async (page) => {
+    const image = await source.fetchImage(page);
+    done++;
+    if (onPage) onPage({ done, total: pages.length, page });
+    return image;
+  }));
+
+  const zip = createZip({ date });
+  images.forEach((image, index) => {
+    const extension = IMAGE_EXTENSIONS[image.contentType] || 'jpg';
+    zip.add(`${String(index + 1).padStart(digits, '0')}.${extension}`, image.data, { compress: false }); // Images are compressed already
+  });
+  const language = (source.supportedLanguages && source.supportedLanguages[0]) || 'en';
+  zip.add('ComicInfo.xml', comicInfoXml(book, chapter, { pageCount: images.length, url: chapterUrl(source, chapter), language }));
+
+  const series = safeFileName(meaningful(book.title) || book.id);
+  const fileName = `${series} - ${safeFileName(chapter.title, `Chapter ${chapter.number ?? ''}`.trim())}.cbz`;
+  return { fileName, mimeType: CBZ_MIME_TYPE, data: await zip.toBytes(), chapter };
+};
+
+/**
+ * Export a chapter range of a manga as one CBZ archive per chapter.
+ * Chapters are downloaded one after another; all archives are held in memory
+ * until the range is done, so hosts exporting long ranges should rather call
+ * exportChapterCbz() per chapter and write each file as it comes.
+ * @param {object} source - A manga module instance.
+ * @param {object|string} book - The book from getBookDetails(), or its ID (details are then fetched).
+ * @param {object} [options]
+ * @param {number} [options.from] - First chapter number to include (see chapterRange() in lib/chapters.js).
+ * @param {number} [options.to] - Last chapter number to include.
+ * @param {Function} [options.onProgress] - Called after each chapter with { done, total, chapter }.
+ * @param {Date} [options.date=new Date()]
+ * @returns {Promise<Array<object>>} - Archives as returned by exportChapterCbz(), in reading order.
+ */
+export const exportCbz = async (source, book, { from = null, to = null, onProgress, date = new Date() } = {}) => {
+  const details = book && typeof book === 'object' && Array.isArray(book.chapters)
+    ? book
+    : await source.getBookDetails(typeof book === 'string' ? book : book.id);
+  const chapters = chapterRange(details.chapters, { from, to });
+  if (chapters.length === 0) throw new Error(`No chapters of ${details.id} in the requested range.`);
+
+  const archives = [];
+  for (const [index, chapter] of chapters.entries()) {
+    archives.push(await exportChapterCbz(source, details, chapter, { date }));
+    if (onProgress) onProgress({ done: index + 1, total: chapters.length, chapter });
+  }
+  return archives;
+};
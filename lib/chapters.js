@@ -0,0 +1,169 @@
+/**
+ * Shared chapter metadata helpers: number/volume parsing, release dates, ordering
+ * and picking out new chapters or a range of them.
+ */
+
+const VOLUME_RE = /\b(?:vol(?:ume)?)\.?\s*(\d+(?:\.\d+)?)/i;
+const CHAPTER_RE = /\b(?:chapter|chap|ch|episode|ep)\.?\s*(\d+(?:[.,]\d+)?)/i;
+const LEADING_NUMBER_RE = /^\s*#?(\d+(?:\.\d+)?)(?=\s|$|[:.\-–—)])/;
+const SLUG_NUMBER_RE = /(?:chapter|ch|episode|ep)[-_](\d+)(?:[-_.](\d+))?(?:[-_]|\.html|$)/i;
+// Side stories, extras and the like have no place in the main numbering, even when
+// they carry a chapter number of their own ("Side Story Chapter 2").
+const EXTRA_RE = /\b(?:side[\s-]?stor(?:y|ies)|extra|special|bonus|omake|afterword|illustrations?|author'?s?\s+notes?|announcement|notice)\b/i;
+const PROLOGUE_RE = /\bprologue\b/i;
+
+const toNumber = (value) => parseFloat(String(value).replace(',', '.'));
+
+/**
+ * Parse the chapter and volume numbers out of a chapter title, and tell main
+ * chapters from extras. Extras get no main-line number.
+ *
+ *   "Chapter 12.5 - Title"   -> { number: 12.5, volume: null, kind: 'main' }
+ *   "Vol.3 Ch.21"            -> { number: 21, volume: 3, kind: 'main' }
+ *   "Side Story Chapter 2"   -> { number: null, volume: null, kind: 'extra' }
+ *   "Chapter 7: Bonus Round" -> { number: 7, volume: null, kind: 'main' }
+ *   "Prologue"               -> { number: 0, volume: null, kind: 'main' }
+ *
+ * @param {string} title - Chapter title as listed by the site.
+ * @param {string} [id] - Chapter id or path; its slug is tried when the title has no number.
+ * @returns {{number: number|null, volume: number|null, kind: string}} - kind is 'main' or 'extra'.
+ */
+export const parseChapterNumber = (title, id) => {
+  const value = title || '';
+  const volumeMatch = VOLUME_RE.exec(value);
+  const volume = volumeMatch ? toNumber(volumeMatch[1]) : null;
+
+  // An extra marker counts unless it only turns up in the name of a numbered chapter
+  const chapterMatch = CHAPTER_RE.exec(value);
+  const extraMatch = EXTRA_RE.exec(value);
+  if (extraMatch && !(chapterMatch && chapterMatch.index < extraMatch.index)) {
+    return { number: null, volume, kind: 'extra' };
+  }
+  if (chapterMatch) return { number: toNumber(chapterMatch[1]), volume, kind: 'main' };
+  if (PROLOGUE_RE.test(value)) return { number: 0, volume, kind: 'main' };
+
+  const leading = LEADING_NUMBER_RE.exec(value.replace(VOLUME_RE, ''));
+  if (leading) return { number: toNumber(leading[1]), volume, kind: 'main' };
+
+  const slugMatch = id ? SLUG_NUMBER_RE.exec(id) : null;
+  if (slugMatch) {
+    return { number: toNumber(slugMatch[2] ? `${slugMatch[1]}.${slugMatch[2]}` : slugMatch[1]), volume, kind: 'main' };
+  }
+  return { number: null, volume, kind: 'main' };
+};
+
+const RELATIVE_UNITS = {
+  second: 1000, minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000, month: 30 * 24 * 60 * 60 * 1000, year: 365 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a release date as shown in chapter listings.
+ * Handles absolute dates ("Jan 5, 2024", "2024-01-05"; slashed dates are read
+ * month first) and relative ones ("3 days ago", "an hour ago", "yesterday").
+ * @param {string} value - Date text or a datetime attribute.
+ * @param {Date} [now=new Date()] - Reference point for relative dates.
+ * @returns {string|null} - ISO 8601 timestamp, or null when unparseable.
+ */
+export const parseReleaseDate = (value, now = new Date()) => {
+  const input = (value || '').trim().toLowerCase();
+  if (!input) return null;
+
+  if (input === 'today' || input === 'just now') return now.toISOString();
+  if (input === 'yesterday') return new Date(now.getTime() - RELATIVE_UNITS.day).toISOString();
+
+  const relative = /^(\d+|an?|one)\s+(second|minute|min|hour|hr|day|week|month|year)s?\s+ago$/.exec(input);
+  if (relative) {
+    const amount = /^\d+$/.test(relative[1]) ? parseInt(relative[1], 10) : 1;
+    const unit = { min: 'minute', hr: 'hour' }[relative[2]] || relative[2];
+    return new Date(now.getTime() - amount * RELATIVE_UNITS[unit]).toISOString();
+  }
+
+  const timestamp = Date.parse(value.trim());
+  return Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString();
+};
+
+/**
+ * Add number, volume, kind and releaseDate to a listed chapter.
+ * @param {object} chapter - { id, title, ... } as scraped.
+ * @param {string} [dateText] - Release date text from the listing, if any.
+ * @returns {object} - The chapter with { number, volume, kind, releaseDate } filled in.
+ */
+export const describeChapter = (chapter, dateText) => ({
+  ...chapter,
+  ...parseChapterNumber(chapter.title, chapter.id),
+  releaseDate: dateText ? parseReleaseDate(dateText) : null,
+});
+
+const compareKeys = (a, b) => (a === b ? 0 : a < b ? -1 : 1);
+
+/**
+ * Sort chapters into ascending reading order.
+ *
+ * Listings that run newest-first are detected from their numbers. Chapters
+ * without a number (side stories, extras) stay right after the numbered
+ * chapter they followed in the listing. When every numbered chapter has a
+ * volume, volumes are compared first, so per-volume numbering still sorts.
+ * @param {Array<object>} chapters - Chapters with number/volume from describeChapter().
+ * @returns {Array<object>} - A new, sorted array.
+ */
+export const orderChapters = (chapters) => {
+  const numbered = chapters.filter(chapter => chapter.number !== null);
+  const list = chapters.slice();
+  if (numbered.length > 1 && numbered[0].number > numbered[numbered.length - 1].number) {
+    list.reverse();
+  }
+
+  const byVolume = numbered.length > 0 && numbered.every(chapter => chapter.volume !== null);
+  let lastKey = [-Infinity, -Infinity];
+  const keyed = list.map((chapter, index) => {
+    if (chapter.number !== null) {
+      lastKey = [byVolume ? chapter.volume : 0, chapter.number];
+    }
+    return { chapter, key: lastKey, extra: chapter.number === null ? 1 : 0, index };
+  });
+
+  keyed.sort((a, b) => compareKeys(a.key[0], b.key[0])
+    || compareKeys(a.key[1], b.key[1])
+    || a.extra - b.extra
+    || a.index - b.index);
+  return keyed.map(entry => entry.chapter);
+};
+
+/**
+ * Chapters released after the newest known one, for library update checks.
+ * Walks back from the latest chapter and stops at the first known id, so
+ * re-uploaded or renamed chapters further back are not reported again.
+ * @param {Array<object>} chapters - Listed chapters in ascending order (see orderChapters()).
+ * @param {Iterable<string>} knownIds - Ids of the chapters the host already has.
+ * @returns {Array<object>} - The unseen chapters, ascending; all of them when none is known.
+ */
+export const unseenChapters = (chapters, knownIds) => {
+  const known = new Set(knownIds || []);
+  let start = chapters.length;
+  while (start > 0 && !known.has(chapters[start - 1].id)) start--;
+  return chapters.slice(start);
+};
+
+/**
+ * Chapters between two chapter numbers, inclusive, e.g. for exports.
+ * Unnumbered chapters (extras) that sit inside the range come along; a bound
+ * left out leaves that end open.
+ * @param {Array<object>} chapters - Chapters in ascending order (see orderChapters()).
+ * @param {object} [range]
+ * @param {number} [range.from] - First chapter number to include.
+ * @param {number} [range.to] - Last chapter number to include.
+ * @returns {Array<object>}
+ */
+export const chapterRange = (chapters, { from = null, to = null } = {}) => {
+  const inRange = chapter => chapter.number !== null
+    && (from === null || chapter.number >= from)
+    && (to === null || chapter.number <= to);
+  const first = from === null ? 0 : chapters.findIndex(inRange);
+  if (first === -1) return [];
+  let last = chapters.length - 1;
+  if (to !== null) {
+    while (last >= first && !inRange(chapters[last])) last--;
+  }
+  return chapters.slice(first, last + 1);
+};
@@ -0,0 +1,262 @@
+/**
+ * Shared chapter-content renderers for novel modules.
+ *
+ * Turns a chapter's content element into one of three formats:
+ *   text   - plain text with paragraph breaks (cleanHtmlText), laid out per TEXT_STYLES
+ *   blocks - JSON blocks with inline emphasis spans, for native rendering
+ *   html   - sanitized HTML built from a strict tag and attribute allowlist
+ */
+import { cleanHtmlText, parse, traverse } from './html.js';
+
+export const CONTENT_FORMATS = ['text', 'blocks', 'html'];
+
+// Layouts for the 'text' format: blank lines between paragraphs, one paragraph per line, or no breaks at all.
+export const TEXT_STYLES = ['paragraphs', 'lines', 'continuous'];
+
+const styleText = (text, style) => {
+  switch (style) {
+    case 'lines': return text.replace(/\n{2,}/g, '\n');
+    case 'continuous': return text.replace(/\s*\n\s*/g, ' ');
+    default: return text;
+  }
+};
+
+// Never rendered, contents included.
+const DROPPED_ELEMENTS = new Set([
+  'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'form', 'input',
+  'button', 'select', 'textarea', 'ins', 'svg', 'canvas', 'video', 'audio', 'head', 'title', 'meta', 'link',
+]);
+
+const resolveUrl = (src, baseUrl) => {
+  if (!src) return null;
+  try {
+    const url = baseUrl ? new URL(src, baseUrl) : new URL(src);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Lazy-loading sites keep the real image URL in data-src.
+const imageSource = (node, baseUrl) => resolveUrl(node.attrs['data-src'] || node.attrs.src, baseUrl);
+
+// --- Blocks ---
+
+const MARKS = {
+  em: 'italic', i: 'italic', cite: 'italic',
+  strong: 'bold', b: 'bold',
+  u: 'underline',
+  s: 'strikethrough', strike: 'strikethrough', del: 'strikethrough',
+  sup: 'superscript', sub: 'subscript', code: 'code',
+};
+
+const HEADINGS = { h1: 1, h2: 2, h3: 3, h4: 4, h5: 5, h6: 6 };
+
+// Elements that end the current paragraph and start a new one.
+const BLOCK_BREAKS = new Set([
+  'p', 'div', 'section', 'article', 'blockquote', 'li', 'ul', 'ol', 'dl', 'dt', 'dd', 'pre',
+  'table', 'thead', 'tbody', 'tfoot', 'tr', 'figure', 'figcaption', 'center', 'header', 'footer', 'main', 'aside',
+]);
+
+/**
+ * Convert content to blocks:
+ *   { type: 'paragraph', spans: [{ text, marks: ['italic', 'bold', ...] }] }
+ *   { type: 'heading', level: 1-6, spans }
+ *   { type: 'image', src, alt }
+ *   { type: 'separator' }
+ * Table rows become paragraphs with cells joined by " | "; list items get a bullet.
+ * @param {string|object} input - HTML string or content node.
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] - Page URL, for resolving relative image sources.
+ * @returns {Array<object>}
+ */
+export const toBlocks = (input, { baseUrl } = {}) => {
+  const root = typeof input === 'string' ? parse(input) : input;
+  const blocks = [];
+  let spans = [];
+
+  const pushText = (value, marks) => {
+    if (!value) return;
+    const last = spans[spans.length - 1];
+    if (last && last.marks.join() === marks.join()) {
+      last.text += value;
+    } else {
+      spans.push({ text: value, marks: marks.slice() });
+    }
+  };
+
+  // Trim the paragraph's edges and drop it if nothing visible is left.
+  const flush = (type = 'paragraph', extra = {}) => {
+    const collected = spans;
+    spans = [];
+    if (collected.length === 0) return;
+    collected[0].text = collected[0].text.replace(/^\s+/, '');
+    const lastSpan = collected[collected.length - 1];
+    lastSpan.text = lastSpan.text.replace(/\s+$/, '');
+    const kept = collected.filter(span => span.text !== '');
+    if (kept.length === 0 || !kept.some(span => span.text.trim())) return;
+    blocks.push({ type, ...extra, spans: kept });
+  };
+
+  // Marks in effect inside each entered element, innermost last.
+  const markStack = [[]];
+
+  const enter = (node) => {
+    const marks = markStack[markStack.length - 1];
+    if (node.type === 'text') {
+      pushText(node.value.replace(/\s+/g, ' '), marks);
+      return false;
+    }
+    if (node.type !== 'element' && node.type !== 'document') return false;
+    if (DROPPED_ELEMENTS.has(node.name)) return false;
+
+    const { name } = node;
+    if (name === 'br') {
+      pushText('\n', marks);
+      return false;
+    }
+    if (name === 'hr') {
+      flush();
+      blocks.push({ type: 'separator' });
+      return false;
+    }
+    if (name === 'img') {
+      const src = imageSource(node, baseUrl);
+      if (src) {
+        flush();
+        blocks.push({ type: 'image', src, alt: node.attrs.alt || '' });
+      }
+      return false;
+    }
+    if (HEADINGS[name]) {
+      flush();
+      markStack.push(marks);
+      return true;
+    }
+    if (name === 'td' || name === 'th') {
+      if (spans.length) pushText(' | ', marks);
+      markStack.push(marks);
+      return true;
+    }
+
+    const mark = MARKS[name];
+    const childMarks = mark && !marks.includes(mark) ? [...marks, mark] : marks;
+    if (BLOCK_BREAKS.has(name)) flush();
+    if (name === 'li') pushText('• ', childMarks);
+    markStack.push(childMarks);
+    return true;
+  };
+
+  const leave = (node) => {
+    markStack.pop();
+    if (HEADINGS[node.name]) {
+      flush('heading', { level: HEADINGS[node.name] });
+    } else if (BLOCK_BREAKS.has(node.name)) {
+      flush();
+    }
+  };
+
+  traverse(root, enter, leave);
+  flush();
+  return blocks;
+};
+
+// --- Sanitized HTML ---
+
+const ALLOWED_TAGS = new Set([
+  'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'em', 'i', 'strong', 'b', 'u', 's',
+  'sub', 'sup', 'blockquote', 'ul', 'ol', 'li', 'table', 'thead', 'tbody', 'tfoot', 'tr',
+  'th', 'td', 'img', 'figure', 'figcaption', 'pre', 'code',
+]);
+
+const ALLOWED_ATTRIBUTES = {
+  img: ['alt', 'width', 'height'],
+  td: ['colspan', 'rowspan'],
+  th: ['colspan', 'rowspan'],
+  ol: ['start'],
+};
+
+const VOID_TAGS = new Set(['br', 'hr', 'img']);
+
+export const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Render content as sanitized HTML.
+ * Only allowlisted tags survive; other elements are unwrapped (their text is
+ * kept) and scripts, embeds and forms are dropped with their contents.
+ * Attributes are limited to the allowlist plus img src, which must be http(s).
+ * @param {string|object} input - HTML string or content node.
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] - Page URL, for resolving relative image sources.
+ * @returns {string}
+ */
+export const toSafeHtml = (input, { baseUrl } = {}) => {
+  const root = typeof input === 'string' ? parse(input) : input;
+
+  const kept = node => node.type === 'element' && ALLOWED_TAGS.has(node.name);
+  let out = '';
+
+  traverse(root, (node) => {
+    if (node.type === 'text') {
+      out += escapeHtml(node.value);
+      return false;
+    }
+    if (node.type !== 'element' && node.type !== 'document') return false;
+    if (DROPPED_ELEMENTS.has(node.name)) return false;
+    if (!kept(node)) return true; // Unwrapped: only the contents are rendered
+
+    const attrs = [];
+    if (node.name === 'img') {
+      const src = imageSource(node, baseUrl);
+      if (!src) return false;
+      attrs.push(`src="${escapeHtml(src)}"`);
+    }
+    for (const name of ALLOWED_ATTRIBUTES[node.name] || []) {
+      const value = node.attrs[name];
+      if (value === undefined) continue;
+      if (name !== 'alt' && !/^\d{1,4}$/.test(value)) continue; // Numeric attributes only
+      attrs.push(`${name}="${escapeHtml(value)}"`);
+    }
+
+    out += `<${node.name}${attrs.length ? ` ${attrs.join(' ')}` : ''}>`;
+    return !VOID_TAGS.has(node.name);
+  }, (node) => {
+    if (kept(node)) out += `</${node.name}>`;
+  });
+
+  return out
+    .replace(/<p>\s*<\/p>/g, '')
+    .trim();
+};
+
+/**
+ * Render chapter content in the requested format.
+ * @param {object} node - The chapter's content element.
+ * @param {string} [format='text'] - 'text', 'blocks' or 'html'.
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] - Page URL, for resolving relative image sources.
+ * @param {string} [options.textStyle='paragraphs'] - Layout of the 'text' format, one of TEXT_STYLES.
+ * @returns {string|Array<object>}
+ */
+export const renderContent = (node, format = 'text', options = {}) => {
+  switch (format) {
+    case 'text': return styleText(cleanHtmlText(node), options.textStyle);
+    case 'blocks': return toBlocks(node, options);
+    case 'html': return toSafeHtml(node, options);
+    default: throw new Error(`Unsupported content format "${format}". Use one of: ${CONTENT_FORMATS.join(', ')}`);
+  }
+};
+
+/**
+ * Is rendered content empty?
+ * @param {string|Array<object>} content - Output of renderContent().
+ * @returns {boolean}
+ */
+export const isEmptyContent = (content) => {
+  if (Array.isArray(content)) return content.length === 0;
+  return !/<img\b/.test(content) && !content.replace(/<[^>]*>/g, '').trim();
+};
@@ -0,0 +1,148 @@
+/**
+ * The module contract, version 2.
+ *
+ * Version 1 grew without being written down: search() returns an array unless
+ * options are passed, getContent() wants the book on some modules and not on
+ * others, and returns image URLs or a text string depending on the site. A v2
+ * module declares what it serves and what it can do:
+ *
+ *   contractVersion: 2
+ *   contentType: 'images' | 'text'
+ *   capabilities: { searchPages, filters, feeds, settings, urlResolution, chapterStream }   // booleans
+ *
+ * and every v2 module takes and returns the same shapes:
+ *
+ *   search(query, { page, filters, signal })           -> { results, hasNextPage, page }
+ *   getBookDetails(id, { signal })                     -> book (see lib/metadata.js)
+ *   getContent(chapterId, book, { format, signal })    -> { contentType: 'images', pages: [{ url, headers, index }] }
+ *                                                       or { contentType: 'text', format, content }
+ *
+ * Text formats are those of lib/content.js ('text' and 'html' give strings,
+ * 'blocks' an array). Other methods (getNewChapters, fetchImage, feeds,
+ * settings, cookies, deep links, listChapters) keep their v1 signatures.
+ *
+ * Modules written to version 1 are wrapped with adaptModule(), so the host only
+ * ever deals with v2:
+ *
+ *   const source = adaptModule(mangapillModule(fetch));
+ *   const { pages } = await source.getContent(chapter.id, book);
+ */
+import { CONTENT_FORMATS } from './content.js';
+
+export const CONTRACT_VERSION = 2;
+
+export const CONTENT_TYPES = ['images', 'text'];
+
+// Each capability and the methods a module needs to offer it.
+const CAPABILITY_METHODS = {
+  searchPages: [],
+  filters: ['getFilters'],
+  feeds: [],
+  settings: ['getSettingsSchema', 'configure'],
+  urlResolution: ['canHandleUrl', 'resolveUrl', 'toWebUrl'],
+  chapterStream: ['listChapters'],
+};
+
+export const CAPABILITIES = Object.keys(CAPABILITY_METHODS);
+
+/**
+ * What a module can do, from its declaration or, for undeclared capabilities, its methods.
+ * Whether search() honors options.page cannot be seen from outside, so searchPages
+ * is only true when declared.
+ * @param {object} module - A module instance.
+ * @returns {object} - { searchPages, filters, feeds, settings, urlResolution, chapterStream }
+ */
+export const moduleCapabilities = (module) => {
+  const declared = module.capabilities || {};
+  return Object.fromEntries(CAPABILITIES.map((name) => {
+    if (typeof declared[name] === 'boolean') return [name, declared[name]];
+    const methods = CAPABILITY_METHODS[name];
+    if (name === 'feeds') return [name, Array.isArray(module.feeds) && module.feeds.length > 0];
+    return [name, methods.length > 0 && methods.every(method => typeof module[method] === 'function')];
+  }));
+};
+
+/**
+ * Check a module's contract declaration against what it implements.
+ * @param {object} module - A module instance.
+ * @returns {Array<string>} - Problems found; empty when the declaration holds up.
+ */
+export const contractErrors = (module) => {
+  const errors = [];
+  if (module.contractVersion !== undefined && ![1, CONTRACT_VERSION].includes(module.contractVersion)) {
+    errors.push(`Unknown contractVersion ${JSON.stringify(module.contractVersion)}.`);
+  }
+  if (module.contentType !== undefined && !CONTENT_TYPES.includes(module.contentType)) {
+    errors.push(`contentType must be one of ${CONTENT_TYPES.join(', ')}, not ${JSON.stringify(module.contentType)}.`);
+  }
+  if (module.contractVersion === CONTRACT_VERSION && module.contentType === undefined) {
+    errors.push('A v2 module must declare its contentType.');
+  }
+  for (const [name, value] of Object.entries(module.capabilities || {})) {
+    if (!CAPABILITIES.includes(name)) {
+      errors.push(`Unknown capability "${name}".`);
+    } else if (typeof value !== 'boolean') {
+      errors.push(`Capability "${name}" must be true or false.`);
+    } else if (value) {
+      const missing = CAPABILITY_METHODS[name].filter(method => typeof module[method] !== 'function');
+      if (missing.length) errors.push(`Capability "${name}" is declared but ${missing.map(method => `${method}()`).join(', ')} missing.`);
+      if (name === 'feeds' && !(Array.isArray(module.feeds) && module.feeds.length)) errors.push('Capability "feeds" is declared but feeds is empty.');
+    }
+  }
+  return errors;
+};
+
+// --- v1 adapter ---
+
+const searchPage = (answer, page) => (Array.isArray(answer)
+  ? { results: answer, hasNextPage: false, page }
+  : { results: (answer && answer.results) || [], hasNextPage: Boolean(answer && answer.hasNextPage), page: (answer && answer.page) || page });
+
+/**
+ * Present a module through the v2 contract. v2 modules are returned as they are.
+ * Everything not covered by the contract (info fields, getters, other methods)
+ * is reached through the original module.
+ * @param {object} module - A module instance.
+ * @param {object} [options]
+ * @param {string} [options.contentType=module.contentType] - For v1 modules that do not declare it.
+ * @returns {object} - The v2 module.
+ * @throws {Error} - When the content type is neither declared nor given.
+ */
+export const adaptModule = (module, { contentType = module.contentType } = {}) => {
+  if (module.contractVersion === CONTRACT_VERSION) return module;
+  if (!CONTENT_TYPES.includes(contentType)) {
+    throw new Error(`Module "${module.id}" does not declare its contentType; pass { contentType: ${CONTENT_TYPES.map(type => `'${type}'`).join(' | ')} }.`);
+  }
+
+  const adapted = Object.create(module);
+  Object.assign(adapted, {
+    contractVersion: CONTRACT_VERSION,
+    contentType,
+    capabilities: moduleCapabilities(module),
+
+    async search(query, options = {}) {
+      return searchPage(await module.search(query, options), options.page || 1);
+    },
+
+    async getBookDetails(id, options = {}) {
+      return module.getBookDetails(id, options);
+    },
+
+    async getContent(chapterId, book, options = {}) {
+      if (contentType === 'images') {
+        // v1 image modules without page objects ignore format and return URLs
+        const content = await module.getContent(chapterId, book, { ...options, format: 'pages' });
+        const pages = content.map((page, index) => (typeof page === 'string' ? { url: page, headers: {}, index } : { headers: {}, ...page, index }));
+        return { contentType, pages };
+      }
+      const format = options.format || 'text';
+      if (!CONTENT_FORMATS.includes(format)) {
+        throw new Error(`Unsupported content format "${format}". Use one of: ${CONTENT_FORMATS.join(', ')}`);
+      }
+      const content = await module.getContent(chapterId, book, { ...options, format });
+      // v1 text modules without formats ignore the option and return plain text
+      return { contentType, format: typeof content === 'string' && format === 'blocks' ? 'text' : format, content };
+    },
+  });
+  return adapted;
+};
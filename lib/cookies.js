@@ -0,0 +1,293 @@
+/**
+ * Per-module cookie jar.
+ *
+ * Some sites hand out a session cookie before serving real pages, and
+ * anti-bot checks (see ChallengePageError in lib/errors.js) are passed by
+ * cookies a browser earns. Modules keep a jar and layer it onto their
+ * injected fetch, below the requester:
+ *
+ *   const cookies = createCookieJar({ store: cookieStore });
+ *   const request = createRequester(withCookies(fetch, cookies), { ... });
+ *
+ * Set-Cookie headers follow RFC 6265: Domain and Path scope a cookie, a
+ * cookie without Domain only goes back to the host that set it, Secure
+ * cookies only travel over https, and Max-Age/Expires end them. Public
+ * suffixes are not checked, so a site could set a cookie for its whole TLD;
+ * the jar only ever talks to one site's mirrors, which keeps that harmless.
+ * Cookies set on redirects that fetch follows by itself are not seen.
+ *
+ * With a store adapter (see lib/cache.js) the jar is saved after every change
+ * and read back on first use, session cookies included, so a verification
+ * survives an app restart.
+ */
+import { defaultLog } from './log.js';
+
+const STORE_KEY = 'cookies';
+
+// --- Parsing ---
+
+const parseUrl = (url) => {
+  try {
+    return new URL(url);
+  } catch (error) {
+    return null;
+  }
+};
+
+// The directory of the request path, RFC 6265 section 5.1.4.
+const defaultPath = (pathname) => {
+  if (!pathname || !pathname.startsWith('/')) return '/';
+  const last = pathname.lastIndexOf('/');
+  return last <= 0 ? '/' : pathname.slice(0, last);
+};
+
+const domainMatches = (host, domain) => host === domain || (host.endsWith(`.${domain}`) && !/^[\d.]+$/.test(host));
+
+const pathMatches = (requestPath, cookiePath) => requestPath === cookiePath
+  || (requestPath.startsWith(cookiePath) && (cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/'));
+
+/**
+ * Parse one Set-Cookie header as the given URL would receive it.
+ * @param {string} header - e.g. 'sid=abc; Path=/; Max-Age=3600; HttpOnly'.
+ * @param {string} url - The URL that sent the header.
+ * @param {number} [now=Date.now()]
+ * @returns {object|null} - { name, value, domain, hostOnly, path, secure, expires } (expires in ms, null for
+ *   session cookies), or null when the header is malformed or names a domain the URL cannot set.
+ */
+export const parseSetCookie = (header, url, now = Date.now()) => {
+  const target = parseUrl(url);
+  if (!target || typeof header !== 'string') return null;
+  const [pair, ...attributes] = header.split(';');
+  const eq = pair.indexOf('=');
+  if (eq <= 0) return null;
+  const name = pair.slice(0, eq).trim();
+  if (!name) return null;
+
+  const host = target.hostname.toLowerCase();
+  const cookie = {
+    name,
+    value: pair.slice(eq + 1).trim().replace(/^"(.*)"$/, '$1'),
+    domain: host,
+    hostOnly: true,
+    path: defaultPath(target.pathname),
+    secure: false,
+    expires: null,
+  };
+  let maxAge = null;
+  for (const attribute of attributes) {
+    const split = attribute.indexOf('=');
+    const key = (split < 0 ? attribute : attribute.slice(0, split)).trim().toLowerCase();
+    const value = split < 0 ? '' : attribute.slice(split + 1).trim();
+    if (key === 'domain' && value) {
+      const domain = value.replace(/^\./, '').toLowerCase();
+      if (!domainMatches(host, domain)) return null; // A site may not set cookies for another one
+      cookie.domain = domain;
+      cookie.hostOnly = false;
+    } else if (key === 'path') {
+      cookie.path = value.startsWith('/') ? value : defaultPath(target.pathname);
+    } else if (key === 'secure') {
+      cookie.secure = true;
+    } else if (key === 'max-age' && /^-?\d+$/.test(value)) {
+      maxAge = parseInt(value, 10);
+    } else if (key === 'expires') {
+      const date = Date.parse(value);
+      if (!Number.isNaN(date)) cookie.expires = date;
+    }
+  }
+  if (maxAge !== null) cookie.expires = maxAge <= 0 ? 0 : now + maxAge * 1000; // Max-Age wins over Expires
+  return cookie;
+};
+
+/**
+ * Read the Set-Cookie headers of a response.
+ * Uses Headers.getSetCookie() where available; otherwise splits the combined
+ * header at commas that start a new cookie (not the ones inside Expires dates).
+ * @param {object} response - A fetch response.
+ * @returns {Array<string>}
+ */
+export const setCookieHeaders = (response) => {
+  const headers = response && response.headers;
+  if (!headers) return [];
+  if (typeof headers.getSetCookie === 'function') return headers.getSetCookie();
+  const combined = typeof headers.get === 'function' ? headers.get('set-cookie') : null;
+  return combined ? combined.split(/,\s*(?=[^;,\s]+=)/) : [];
+};
+
+// --- Jar ---
+
+const keyOf = cookie => `${cookie.domain};${cookie.path};${cookie.name}`;
+
+// Cookies handed in by the host: a Cookie-header string, Set-Cookie strings, cookie objects or a name-keyed map of them.
+const normalizeCookies = (cookies, url, now) => {
+  const target = parseUrl(url);
+  if (typeof cookies === 'string') {
+    return cookies.split(';').map(pair => pair.trim()).filter(Boolean)
+      .map(pair => parseSetCookie(`${pair}; Path=/`, url, now));
+  }
+  const list = Array.isArray(cookies) ? cookies : Object.values(cookies || {});
+  return list.map((cookie) => {
+    if (typeof cookie === 'string') return parseSetCookie(cookie, url, now);
+    if (!cookie || !cookie.name || !target) return null;
+    const expires = cookie.expires === undefined || cookie.expires === null ? null : new Date(cookie.expires).getTime();
+    const attributes = [
+      cookie.domain ? `Domain=${cookie.domain}` : '',
+      `Path=${cookie.path || '/'}`,
+      cookie.secure ? 'Secure' : '',
+      Number.isFinite(expires) ? `Expires=${new Date(expires).toUTCString()}` : '',
+    ].filter(Boolean);
+    return parseSetCookie([`${cookie.name}=${cookie.value ?? ''}`, ...attributes].join('; '), url, now);
+  });
+};
+
+/**
+ * Create a cookie jar.
+ * @param {object} [options]
+ * @param {object} [options.store] - Store adapter to persist the jar in; without one it lives in memory.
+ * @param {string} [options.key='cookies'] - Store key, so modules can share one store.
+ * @param {Function} [options.now=Date.now]
+ * @param {object} [options.log] - Log for store failures (see lib/log.js).
+ * @returns {object} - { cookieHeader(url), receive(url, headers), set(url, cookies), get(url), clear() }, all async.
+ */
+export const createCookieJar = ({ store = null, key = STORE_KEY, now = Date.now, log = defaultLog } = {}) => {
+  const cookies = new Map();
+  let loading = null;
+
+  const load = () => {
+    if (!loading) {
+      loading = (async () => {
+        if (!store) return;
+        try {
+          for (const cookie of (await store.get(key)) || []) cookies.set(keyOf(cookie), cookie);
+        } catch (error) {
+          log.warn(`Could not read stored cookies: ${error.message}`); // Start empty rather than fail requests
+        }
+      })();
+    }
+    return loading;
+  };
+
+  const dropExpired = () => {
+    const time = now();
+    for (const [id, cookie] of cookies) {
+      if (cookie.expires !== null && cookie.expires <= time) cookies.delete(id);
+    }
+  };
+
+  const save = async () => {
+    if (!store) return;
+    try {
+      await store.set(key, [...cookies.values()]);
+    } catch (error) {
+      log.warn(`Could not save cookies: ${error.message}`); // The jar keeps working in memory
+    }
+  };
+
+  // Add parsed cookies; expired ones delete their namesakes, as Set-Cookie does.
+  const put = async (parsed) => {
+    await load();
+    const time = now();
+    let changed = 0;
+    for (const cookie of parsed) {
+      if (!cookie) continue;
+      if (cookie.expires !== null && cookie.expires <= time) {
+        if (cookies.delete(keyOf(cookie))) changed++;
+      } else {
+        cookies.set(keyOf(cookie), cookie);
+        changed++;
+      }
+    }
+    if (changed) await save();
+    return changed;
+  };
+
+  const matching = async (url) => {
+    await load();
+    dropExpired();
+    const target = parseUrl(url);
+    if (!target) return [];
+    const host = target.hostname.toLowerCase();
+    const secure = target.protocol === 'https:';
+    return [...cookies.values()]
+      .filter(cookie => (cookie.hostOnly ? host === cookie.domain : domainMatches(host, cookie.domain))
+        && pathMatches(target.pathname || '/', cookie.path)
+        && (secure || !cookie.secure))
+      .sort((a, b) => b.path.length - a.path.length); // Most specific path first
+  };
+
+  return {
+    /**
+     * The Cookie header for a request, or null when no cookie applies.
+     * @param {string} url
+     * @returns {Promise<string|null>}
+     */
+    async cookieHeader(url) {
+      const applicable = await matching(url);
+      return applicable.length ? applicable.map(cookie => `${cookie.name}=${cookie.value}`).join('; ') : null;
+    },
+
+    /**
+     * Take in the Set-Cookie headers of a response.
+     * @param {string} url - The URL that answered.
+     * @param {Array<string>} headers - From setCookieHeaders(response).
+     * @returns {Promise<number>} - Cookies added, replaced or removed.
+     */
+    async receive(url, headers) {
+      return put(headers.map(header => parseSetCookie(header, url, now())));
+    },
+
+    /**
+     * Add cookies from elsewhere, e.g. a webview where the user passed a challenge.
+     * @param {string} url - The page they belong to; scopes cookies that name no domain.
+     * @param {string|Array<string|object>|object} cookies - A Cookie-header string ('a=1; b=2'),
+     *   Set-Cookie strings, { name, value, domain, path, expires, secure } objects, or an object
+     *   of those keyed by name (as webview cookie managers return them).
+     * @returns {Promise<number>} - Cookies stored.
+     */
+    async set(url, cookies) {
+      return put(normalizeCookies(cookies, url, now()));
+    },
+
+    /**
+     * The cookies that would be sent to a URL, e.g. to copy into a webview.
+     * @param {string} url
+     * @returns {Promise<Array<object>>} - { name, value, domain, hostOnly, path, secure, expires } objects.
+     */
+    async get(url) {
+      return (await matching(url)).map(cookie => ({ ...cookie }));
+    },
+
+    /**
+     * Forget every cookie.
+     * @returns {Promise<number>} - Cookies removed.
+     */
+    async clear() {
+      await load();
+      const removed = cookies.size;
+      cookies.clear();
+      await save();
+      return removed;
+    },
+  };
+};
+
+// --- Fetch ---
+
+/**
+ * Wrap a fetch so requests carry the jar's cookies and responses feed it.
+ * A Cookie header the caller sets itself is left alone.
+ * @param {Function} fetch - The module's injected fetch.
+ * @param {object} jar - From createCookieJar().
+ * @returns {Function} - fetch(url, options) with the same contract as the wrapped fetch.
+ */
+export const withCookies = (fetch, jar) => async (url, options = {}) => {
+  const given = options.headers || {};
+  const headers = typeof given.entries === 'function' ? Object.fromEntries(given.entries()) : { ...given };
+  if (!Object.keys(headers).some(name => name.toLowerCase() === 'cookie')) {
+    const cookie = await jar.cookieHeader(url);
+    if (cookie) headers.Cookie = cookie;
+  }
+  const response = await fetch(url, { ...options, headers });
+  const received = setCookieHeaders(response);
+  if (received.length) await jar.receive(response.url || url, received);
+  return response;
+};
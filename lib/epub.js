@@ -0,0 +1,259 @@
+/**
+ * EPUB 3 export for novel modules.
+ *
+ *   const { fileName, data } = await exportEpub(module, book, { from: 1, to: 50, store });
+ *
+ * Chapters are fetched through the module's getContent(id, book, { format: 'blocks' })
+ * and written as one XHTML file each, with the cover (via module.fetchImage),
+ * title, author, genres and description in the package metadata, a navigation
+ * document and an NCX table of contents for older readers.
+ *
+ * Every converted chapter is saved to the store before the next one is
+ * fetched. If an export fails part-way (network, rate limits), calling it again
+ * with the same store picks up where it stopped; pass a persistent store
+ * (createStorageStore(), see lib/cache.js) to resume across sessions. The saved
+ * chapters are dropped once the EPUB is built.
+ */
+import { createMemoryStore } from './cache.js';
+import { chapterRange } from './chapters.js';
+import { escapeXml as xml, meaningful, safeFileName } from './export.js';
+import { defaultLog } from './log.js';
+import { createZip } from './zip.js';
+
+export const EPUB_MIME_TYPE = 'application/epub+zip';
+
+// Image types EPUB reading systems must support, with the file extension used for them.
+const COVER_TYPES = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp' };
+
+const isPlaceholderCover = url => !url || /placeholder\.com/.test(url);
+
+const MARK_TAGS = {
+  italic: 'em', bold: 'strong', underline: 'u', strikethrough: 's',
+  superscript: 'sup', subscript: 'sub', code: 'code',
+};
+
+const renderSpans = spans => spans.map(({ text, marks }) => {
+  let html = text.split('\n').map(xml).join('<br/>');
+  for (const mark of marks.slice().reverse()) {
+    const tag = MARK_TAGS[mark];
+    if (tag) html = `<${tag}>${html}</${tag}>`;
+  }
+  return html;
+}).join('');
+
+const blockText = block => (block.spans || []).map(span => span.text).join('').trim();
+
+/**
+ * Render content blocks (see toBlocks() in lib/content.js) as XHTML body markup.
+ * Images are left out: EPUB content may not load remote resources.
+ * @param {Array<object>} blocks
+ * @returns {string}
+ */
+export const blocksToXhtml = blocks => blocks.map((block) => {
+  switch (block.type) {
+    case 'heading': return `<h${block.level}>${renderSpans(block.spans)}</h${block.level}>`;
+    case 'paragraph': return `<p>${renderSpans(block.spans)}</p>`;
+    case 'separator': return '<hr/>';
+    default: return '';
+  }
+}).filter(Boolean).join('\n');
+
+const xhtmlPage = (title, body, { language, stylesheet }) => `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${xml(language)}" xml:lang="${xml(language)}">
+<head>
+<meta charset="utf-8"/>
+<title>${xml(title)}</title>
+${stylesheet ? `<link rel="stylesheet" type="text/css" href="${stylesheet}"/>\n` : ''}</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+// The chapter title as a heading, unless the chapter text already opens with it.
+const chapterBody = (chapter, blocks) => {
+  const first = blocks.find(block => block.type !== 'separator');
+  const normalize = value => value.replace(/\s+/g, ' ').trim().toLowerCase();
+  const hasTitle = first && normalize(blockText(first)) === normalize(chapter.title || '');
+  const heading = hasTitle ? '' : `<h2>${xml(chapter.title)}</h2>\n`;
+  return `<section epub:type="chapter">\n${heading}${blocksToXhtml(blocks)}\n</section>`;
+};
+
+const STYLESHEET = `body { margin: 0 5%; line-height: 1.5; }
+h1, h2 { text-align: center; }
+p { margin: 0 0 0.8em; text-align: justify; }
+hr { margin: 1.5em 20%; }
+.cover { margin: 0; padding: 0; text-align: center; }
+.cover img { max-width: 100%; max-height: 100%; }
+`;
+
+const CONTAINER_XML = `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`;
+
+// "Martial Peak (1-50).epub"; the range only shows when one was asked for.
+const epubFileName = (title, chapters, range) => {
+  const base = safeFileName(meaningful(title));
+  const ranged = range.from != null || range.to != null;
+  const numbers = chapters.map(chapter => chapter.number).filter(number => number !== null);
+  const suffix = ranged && numbers.length ? ` (${numbers[0]}-${numbers[numbers.length - 1]})` : '';
+  return `${base}${suffix}.epub`;
+};
+
+const loadCover = async (source, book, log) => {
+  if (isPlaceholderCover(book.coverUrl) || typeof source.fetchImage !== 'function') return null;
+  try {
+    const image = await source.fetchImage(book.coverUrl);
+    const extension = COVER_TYPES[image.contentType];
+    if (!extension) {
+      log.warn(`Skipping cover in unsupported format ${image.contentType}`, { url: book.coverUrl });
+      return null;
+    }
+    return { ...image, file: `images/cover.${extension}` };
+  } catch (error) {
+    // A missing cover should not cost the whole export
+    log.warn(`Could not download cover: ${error.message}`, { url: book.coverUrl, error });
+    return null;
+  }
+};
+
+/**
+ * Export a novel, or a range of its chapters, as an EPUB 3 file.
+ * @param {object} source - A novel module instance (getBookDetails, getContent with 'blocks', optional fetchImage).
+ * @param {object|string} book - The book from getBookDetails(), or its ID (details are then fetched).
+ * @param {object} [options]
+ * @param {number} [options.from] - First chapter number to include (see chapterRange() in lib/chapters.js).
+ * @param {number} [options.to] - Last chapter number to include.
+ * @param {object} [options.store] - Store adapter holding converted chapters between attempts; defaults to a memory store.
+ * @param {Function} [options.onProgress] - Called after each chapter with { done, total, chapter, resumed }.
+ * @param {Date} [options.date=new Date()] - Modification date written to the package.
+ * @param {object} [options.log] - Log for skipped covers and store trouble (see lib/log.js).
+ * @returns {Promise<{fileName: string, mimeType: string, data: Uint8Array}>}
+ * @throws {SourceError} - When a chapter cannot be fetched; chapters done so far stay in the store.
+ */
+export const exportEpub = async (source, book, { from = null, to = null, store = createMemoryStore({ maxEntries: Infinity }), onProgress, date = new Date(), log = defaultLog } = {}) => {
+  const details = book && typeof book === 'object' && Array.isArray(book.chapters)
+    ? book
+    : await source.getBookDetails(typeof book === 'string' ? book : book.id);
+  const chapters = chapterRange(details.chapters, { from, to });
+  if (chapters.length === 0) throw new Error(`No chapters of ${details.id} in the requested range.`);
+
+  const language = (source.supportedLanguages && source.supportedLanguages[0]) || 'en';
+  const progressKey = chapter => `epub:${source.id}:${details.id}:${chapter.id}`;
+
+  // --- Chapters (resumable) ---
+  const sections = [];
+  for (const [index, chapter] of chapters.entries()) {
+    const key = progressKey(chapter);
+    let body = await store.get(key);
+    const resumed = body !== undefined;
+    if (!resumed) {
+      const blocks = await source.getContent(chapter.id, details, { format: 'blocks' });
+      body = chapterBody(chapter, blocks);
+      try {
+        await store.set(key, body);
+      } catch (error) {
+        log.warn(`Could not save ${chapter.id} for resuming: ${error.message}`); // The export itself can go on
+      }
+    }
+    const id = `chapter-${String(index + 1).padStart(4, '0')}`;
+    sections.push({ id, file: `text/${id}.xhtml`, title: chapter.title || `Chapter ${index + 1}`, body });
+    if (onProgress) onProgress({ done: index + 1, total: chapters.length, chapter, resumed });
+  }
+
+  const cover = await loadCover(source, details, log);
+
+  // --- Package ---
+  const identifier = `urn:rida:${source.id}:${details.id}`;
+  const title = meaningful(details.title) || details.id;
+  const authors = details.authors && details.authors.length ? details.authors : [meaningful(details.author)].filter(Boolean);
+  const description = meaningful(details.description);
+  const modified = date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+  const metadata = [
+    `<dc:identifier id="book-id">${xml(identifier)}</dc:identifier>`,
+    `<dc:title>${xml(title)}</dc:title>`,
+    `<dc:language>${xml(language)}</dc:language>`,
+    ...authors.map(author => `<dc:creator>${xml(author)}</dc:creator>`),
+    ...(details.genres || []).map(genre => `<dc:subject>${xml(genre)}</dc:subject>`),
+    description ? `<dc:description>${xml(description)}</dc:description>` : '',
+    `<meta property="dcterms:modified">${modified}</meta>`,
+    cover ? '<meta name="cover" content="cover-image"/>' : '', // EPUB 2 readers look for this
+  ].filter(Boolean);
+
+  const manifest = [
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>',
+    '<item id="style" href="style.css" media-type="text/css"/>',
+    ...(cover ? [
+      `<item id="cover-image" href="${cover.file}" media-type="${cover.contentType}" properties="cover-image"/>`,
+      '<item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>',
+    ] : []),
+    ...sections.map(section => `<item id="${section.id}" href="${section.file}" media-type="application/xhtml+xml"/>`),
+  ];
+
+  const spine = [
+    ...(cover ? ['<itemref idref="cover"/>'] : []),
+    ...sections.map(section => `<itemref idref="${section.id}"/>`),
+  ];
+
+  const opf = `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${xml(language)}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+${metadata.join('\n')}
+</metadata>
+<manifest>
+${manifest.join('\n')}
+</manifest>
+<spine toc="ncx">
+${spine.join('\n')}
+</spine>
+</package>
+`;
+
+  const nav = xhtmlPage(title, `<nav epub:type="toc" id="toc">
+<h1>${xml(title)}</h1>
+<ol>
+${sections.map(section => `<li><a href="${section.file}">${xml(section.title)}</a></li>`).join('\n')}
+</ol>
+</nav>`, { language, stylesheet: 'style.css' });
+
+  const ncx = `<?xml version="1.0" encoding="utf-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head>
+<meta name="dtb:uid" content="${xml(identifier)}"/>
+</head>
+<docTitle><text>${xml(title)}</text></docTitle>
+<navMap>
+${sections.map((section, index) => `<navPoint id="nav-${section.id}" playOrder="${index + 1}"><navLabel><text>${xml(section.title)}</text></navLabel><content src="${section.file}"/></navPoint>`).join('\n')}
+</navMap>
+</ncx>
+`;
+
+  // The mimetype entry must come first and stay uncompressed so readers can sniff the file type.
+  const zip = createZip({ date });
+  zip.add('mimetype', EPUB_MIME_TYPE, { compress: false });
+  zip.add('META-INF/container.xml', CONTAINER_XML);
+  zip.add('OEBPS/content.opf', opf);
+  zip.add('OEBPS/nav.xhtml', nav);
+  zip.add('OEBPS/toc.ncx', ncx);
+  zip.add('OEBPS/style.css', STYLESHEET);
+  if (cover) {
+    zip.add(`OEBPS/${cover.file}`, cover.data, { compress: false });
+    zip.add('OEBPS/cover.xhtml', xhtmlPage(title, `<section class="cover" epub:type="cover"><img src="${cover.file}" alt="${xml(title)}"/></section>`, { language, stylesheet: 'style.css' }));
+  }
+  for (const section of sections) {
+    zip.add(`OEBPS/${section.file}`, xhtmlPage(section.title, section.body, { language, stylesheet: '../style.css' }));
+  }
+  const data = await zip.toBytes();
+
+  // Done: the saved chapters are no longer needed for a resume
+  for (const chapter of chapters) await store.delete(progressKey(chapter));
+
+  return { fileName: epubFileName(details.title, chapters, { from, to }), mimeType: EPUB_MIME_TYPE, data };
+};
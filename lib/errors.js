@@ -0,0 +1,329 @@
+/**
+ * Typed errors thrown by modules, so the host can tell "no results" from
+ * "site down" and decide whether a retry makes sense.
+ *
+ *   NetworkError        the request never got a response (DNS, TLS, offline)
+ *   HttpError           the site answered with an error status (error.status)
+ *   NotFoundError       404/410: the book or chapter is gone
+ *   RateLimitedError    429: slow down (error.retryAfter, in seconds, when known)
+ *   ChallengePageError  an anti-bot interstitial (e.g. Cloudflare) instead of the page;
+ *                       needs a person to pass it in a webview (error.verificationUrl)
+ *   ParseError          the page loaded but an extractor found nothing (error.extractor)
+ *   AbortError          the caller's AbortSignal fired; nothing more was fetched or parsed
+ *   TimeoutError        the source took longer than the caller allowed (error.timeoutMs)
+ *
+ * All of them extend SourceError and carry the url involved, when known.
+ */
+import { diagnosticsSnapshot } from './log.js';
+
+export class SourceError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [options]
+   * @param {string} [options.url] - The URL being fetched or parsed.
+   * @param {Error} [options.cause] - The underlying error.
+   */
+  constructor(message, { url = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = new.target.name;
+    this.url = url;
+  }
+
+  /** Whether repeating the same request later may succeed. */
+  get retryable() {
+    return false;
+  }
+}
+
+export class NetworkError extends SourceError {
+  get retryable() {
+    return true;
+  }
+}
+
+export class HttpError extends SourceError {
+  /**
+   * @param {number} status - HTTP status code.
+   * @param {string} message
+   * @param {object} [options] - { url, cause }
+   */
+  constructor(status, message, options) {
+    super(message, options);
+    this.status = status;
+  }
+
+  get retryable() {
+    return this.status >= 500 || this.status === 408;
+  }
+}
+
+export class NotFoundError extends HttpError {
+  constructor(message, { status = 404, ...options } = {}) {
+    super(status, message, options);
+  }
+
+  get retryable() {
+    return false;
+  }
+}
+
+export class RateLimitedError extends HttpError {
+  /**
+   * @param {string} message
+   * @param {object} [options]
+   * @param {number|null} [options.retryAfter] - Seconds to wait, from the Retry-After header.
+   */
+  constructor(message, { retryAfter = null, status = 429, ...options } = {}) {
+    super(status, message, options);
+    this.retryAfter = retryAfter;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/**
+ * An anti-bot check stands between the module and the page. Modules cannot
+ * pass it themselves: the host opens error.verificationUrl in a webview, lets
+ * the user through, hands the webview's cookies to the module's setCookies()
+ * and tries again.
+ */
+export class ChallengePageError extends SourceError {
+  /**
+   * @param {string} message
+   * @param {object} [options]
+   * @param {string|null} [options.provider] - Who served it: 'cloudflare', 'ddos-guard', 'sucuri' or 'generic'.
+   */
+  constructor(message, { provider = null, ...options } = {}) {
+    super(message, options);
+    this.provider = provider;
+  }
+
+  /** Always true: the way past is interactive verification. */
+  get needsVerification() {
+    return true;
+  }
+
+  /** The page to open in a webview. */
+  get verificationUrl() {
+    return this.url;
+  }
+}
+
+// Named like the DOM's AbortError, so hosts can keep checking error.name === 'AbortError'.
+export class AbortError extends SourceError {}
+
+export class TimeoutError extends SourceError {
+  /**
+   * @param {string} message
+   * @param {object} [options] - { url, cause, timeoutMs }
+   * @param {number} [options.timeoutMs] - The time allowed.
+   */
+  constructor(message, { timeoutMs = null, ...options } = {}) {
+    super(message, options);
+    this.timeoutMs = timeoutMs;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+export class ParseError extends SourceError {
+  /**
+   * @param {string} extractor - What failed to extract, e.g. 'chapter-list' or 'chr-content'.
+   * @param {string} message
+   * @param {object} [options] - { url, cause, diagnostics }
+   * @param {object} [options.diagnostics] - Page snapshot, see extractorError().
+   */
+  constructor(extractor, message, { diagnostics = null, ...options } = {}) {
+    super(message, options);
+    this.extractor = extractor;
+    this.diagnostics = diagnostics;
+  }
+}
+
+/**
+ * A ParseError for an extractor that found nothing on a page, carrying a
+ * diagnostics snapshot (trimmed HTML and the patterns tried, see lib/log.js).
+ * @param {string} extractor
+ * @param {string} message
+ * @param {object} details
+ * @param {string} [details.url]
+ * @param {string} details.html - The page as fetched.
+ * @param {Array<string>} details.patterns - Selectors or patterns that were tried, in order.
+ * @returns {ParseError}
+ */
+export const extractorError = (extractor, message, { url = null, html, patterns }) => (
+  new ParseError(extractor, message, { url, diagnostics: diagnosticsSnapshot({ extractor, url, html, patterns }) })
+);
+
+// --- Response Checks ---
+
+// Markers of anti-bot interstitials served in place of the real page, by provider.
+const CHALLENGE_MARKERS = [
+  { provider: 'cloudflare', pattern: /<title>\s*(?:just a moment|attention required)|cf-browser-verification|challenge-platform|cf_chl_opt|cf-turnstile/i },
+  { provider: 'ddos-guard', pattern: /<title>\s*ddos-guard|check\.ddos-guard\.net|ddos-guard\.net\/js\//i },
+  { provider: 'sucuri', pattern: /<title>\s*sucuri website firewall|sucuri_cloudproxy_js/i },
+  { provider: 'generic', pattern: /<title>\s*(?:please wait|checking your browser|security check|one more step|verify(?:ing)? (?:that )?you are (?:a )?human)|id="challenge-form"/i },
+];
+
+const header = (response, name) => (response && response.headers && response.headers.get ? response.headers.get(name) : null);
+
+/**
+ * Which anti-bot check, if any, answered instead of the page.
+ * @param {object|null} response - The response, for provider headers (Cloudflare's cf-mitigated).
+ * @param {string} [html] - Its body, if read.
+ * @returns {string|null} - 'cloudflare', 'ddos-guard', 'sucuri', 'generic', or null for a real page.
+ */
+export const challengeProvider = (response, html = '') => {
+  if (header(response, 'cf-mitigated') === 'challenge') return 'cloudflare';
+  const found = CHALLENGE_MARKERS.find(({ pattern }) => pattern.test(html || ''));
+  return found ? found.provider : null;
+};
+
+/**
+ * Does this HTML look like an anti-bot challenge rather than the requested page?
+ * @param {string} html
+ * @returns {boolean}
+ */
+export const isChallengePage = html => challengeProvider(null, html) !== null;
+
+/**
+ * The error for a challenge page met at `where`.
+ * @param {string} where - URL the challenge was served at.
+ * @param {string} provider - From challengeProvider().
+ * @returns {ChallengePageError}
+ */
+export const challengeError = (where, provider) => new ChallengePageError(
+  `Blocked by an anti-bot challenge at ${where}`,
+  { url: where, provider },
+);
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date).
+ * @param {string|null} value
+ * @param {Date} [now=new Date()]
+ * @returns {number|null} - Seconds to wait, or null when absent or unparseable.
+ */
+export const parseRetryAfter = (value, now = new Date()) => {
+  if (!value) return null;
+  if (/^\s*\d+\s*$/.test(value)) return parseInt(value, 10);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - now.getTime()) / 1000));
+};
+
+// --- Cancellation ---
+
+/**
+ * The error for a request cancelled through its AbortSignal.
+ * @param {AbortSignal} signal
+ * @param {string} [url]
+ * @returns {AbortError}
+ */
+export const abortedError = (signal, url = null) => new AbortError(
+  `Request${url ? ` to ${url}` : ''} was aborted`,
+  { url, cause: signal && signal.reason },
+);
+
+/**
+ * Throw an AbortError if the signal has fired; a missing signal never has.
+ * @param {AbortSignal} [signal]
+ * @param {string} [url]
+ */
+export const throwIfAborted = (signal, url) => {
+  if (signal && signal.aborted) throw abortedError(signal, url);
+};
+
+// A DOM-style AbortError from fetch or a body read, or anything thrown once the signal fired.
+export const isAbort = (error, signal) => Boolean((error && error.name === 'AbortError') || (signal && signal.aborted));
+
+// --- Requests ---
+
+/**
+ * Fetch, turning transport failures into NetworkError and cancellation into AbortError.
+ * Errors that are already SourceErrors (e.g. from a wrapping fetch) pass through.
+ * @param {Function} fetch
+ * @param {string} url
+ * @param {object} [options]
+ * @returns {Promise<object>} - The response, whatever its status.
+ */
+export const fetchOrThrow = async (fetch, url, options) => {
+  const signal = options && options.signal;
+  throwIfAborted(signal, url);
+  try {
+    return await fetch(url, options);
+  } catch (error) {
+    if (error instanceof SourceError) throw error;
+    if (isAbort(error, signal)) throw abortedError(signal, url);
+    throw new NetworkError(`Request to ${url} failed: ${error.message}`, { url, cause: error });
+  }
+};
+
+/**
+ * The error a failed response stands for.
+ * @param {object} response - A fetch response that is not ok.
+ * @param {string} [url] - The requested URL, for messages when response.url is empty.
+ * @param {string} [body] - The response body, if already read; used to spot challenge pages.
+ * @returns {HttpError|ChallengePageError}
+ */
+export const responseError = (response, url, body = '') => {
+  const where = response.url || url;
+  const { status } = response;
+  if (status === 404 || status === 410) {
+    return new NotFoundError(`Not found (${status}): ${where}`, { status, url: where });
+  }
+  if (status === 429) {
+    const retryAfter = parseRetryAfter(header(response, 'retry-after'));
+    return new RateLimitedError(`Rate limited by ${where}${retryAfter !== null ? `; retry after ${retryAfter}s` : ''}`, { retryAfter, url: where });
+  }
+  const provider = status === 403 || status === 503 ? challengeProvider(response, body) : null;
+  if (provider) return challengeError(where, provider);
+  return new HttpError(status, `HTTP ${status}${response.statusText ? ` ${response.statusText}` : ''}: ${where}`, { url: where });
+};
+
+/**
+ * Read a page's HTML, or throw the error its response stands for.
+ * @param {object} response - A fetch response.
+ * @param {string} [url] - The requested URL, for messages when response.url is empty.
+ * @param {AbortSignal} [signal] - Checked once the body is in, so a cancelled call parses nothing
+ *   (cached responses are read without touching the network).
+ * @returns {Promise<string>} - The body of a successful, non-challenge response.
+ */
+export const readPage = async (response, url, signal) => {
+  throwIfAborted(signal, url);
+  if (!response.ok) {
+    // Challenge pages come back as 403/503; the body tells them apart from real errors
+    const body = response.status === 403 || response.status === 503 ? await response.text().catch(() => '') : '';
+    throwIfAborted(signal, url);
+    throw responseError(response, url, body);
+  }
+
+  let html;
+  try {
+    html = await response.text();
+  } catch (error) {
+    if (isAbort(error, signal)) throw abortedError(signal, url);
+    throw error;
+  }
+  throwIfAborted(signal, url);
+  const provider = challengeProvider(response, html);
+  if (provider) throw challengeError(response.url || url, provider);
+  return html;
+};
+
+/**
+ * Pass SourceErrors through, turn a DOM-style AbortError into ours and
+ * anything else (a bug or an unexpected page shape tripping the extraction
+ * code) into a ParseError.
+ * @param {Error} error
+ * @param {string} extractor - The extractor that was running.
+ * @param {string} [url]
+ * @returns {SourceError}
+ */
+export const asSourceError = (error, extractor, url) => {
+  if (error instanceof SourceError) return error;
+  if (isAbort(error)) return new AbortError(`Request${url ? ` to ${url}` : ''} was aborted`, { url, cause: error });
+  return new ParseError(extractor, error.message, { url, cause: error });
+};
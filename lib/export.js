@@ -0,0 +1,34 @@
+/**
+ * Helpers shared by the exporters (lib/epub.js, lib/cbz.js).
+ */
+import { escapeHtml } from './content.js';
+
+// Stand-ins for missing values (books saved before lib/metadata.js returned null); better left out of exported metadata.
+const PLACEHOLDERS = new Set(['', 'N/A', 'Unknown', 'Unknown Author', 'Unknown Title', 'No description available.']);
+
+// Characters XML does not allow at all, even escaped.
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+/**
+ * Escape text for XML content or a double-quoted attribute.
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeXml = value => escapeHtml(String(value ?? '').replace(INVALID_XML_CHARS, ''));
+
+/**
+ * A metadata value worth exporting, or null for empty values and module placeholders.
+ * @param {*} value
+ * @returns {string|null}
+ */
+export const meaningful = value => (value && !PLACEHOLDERS.has(String(value).trim()) ? String(value).trim() : null);
+
+/**
+ * A file name without the characters common file systems reject.
+ * @param {string} name
+ * @param {string} [fallback='book'] - Used when nothing is left.
+ * @returns {string}
+ */
+export const safeFileName = (name, fallback = 'book') => (
+  String(name || '').replace(/[\\/:*?"<>|\u0000-\u001F]+/g, '').replace(/\s+/g, ' ').trim() || fallback
+);
@@ -0,0 +1,25 @@
+/**
+ * Shared description of browse feeds.
+ *
+ * Modules list the feeds they support in a `feeds` property so the host can
+ * build a "Browse" tab without special-casing each source. Every feed method
+ * resolves to { results, hasNextPage, page } with the same items search() returns.
+ */
+
+const FEED_INFO = {
+  popular: { label: 'Popular', method: 'getPopular' },
+  latest: { label: 'Latest Updates', method: 'getLatestUpdates' },
+  genre: { label: 'Genres', method: 'getByGenre' },
+};
+
+/**
+ * Build a module's `feeds` declaration.
+ * @param {Array<string>} ids - Supported feeds: 'popular', 'latest', 'genre'.
+ * @param {object} [options]
+ * @param {Array<{value: string, label: string}>} [options.genres] - Values getByGenre() accepts.
+ * @returns {Array<object>} - [{ id, label, method, genres? }]
+ */
+export const describeFeeds = (ids, { genres = [] } = {}) => ids.map((id) => {
+  if (!FEED_INFO[id]) throw new Error(`Unknown feed "${id}".`);
+  return id === 'genre' ? { id, ...FEED_INFO[id], genres } : { id, ...FEED_INFO[id] };
+});
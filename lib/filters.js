@@ -0,0 +1,68 @@
+/**
+ * Shared helpers for declarative search filters.
+ *
+ * A module describes its filters as plain data so the host can render filter
+ * panels generically:
+ *
+ *   {
+ *     key: 'status',               // key used in search(query, { filters: { status } })
+ *     label: 'Status',
+ *     type: 'select',              // 'select' (one value) or 'multiselect' (array of values)
+ *     options: [{ value: 'finished', label: 'Finished' }],
+ *   }
+ */
+
+/**
+ * Build select options from labels, deriving each value with `toValue`.
+ * @param {Array<string>} labels
+ * @param {Function} [toValue] - label -> value (defaults to the label itself).
+ * @returns {Array<{value: string, label: string}>}
+ */
+export const optionsFrom = (labels, toValue = label => label) => (
+  labels.map(label => ({ value: toValue(label), label }))
+);
+
+/**
+ * Validate the filters passed to search() against a module's definitions.
+ * Empty values are dropped; unknown keys or values throw, since they point to
+ * a host bug rather than a site problem.
+ * @param {Array<object>} definitions - The module's filter definitions.
+ * @param {object} [selected] - { key: value | [values] } as passed by the host.
+ * @returns {object} - Only the filters that are set: strings for 'select', arrays for 'multiselect'.
+ */
+export const resolveFilters = (definitions, selected) => {
+  const resolved = {};
+  if (!selected) return resolved;
+
+  for (const [key, raw] of Object.entries(selected)) {
+    const definition = definitions.find(filter => filter.key === key);
+    if (!definition) {
+      throw new Error(`Unknown filter "${key}". Supported: ${definitions.map(filter => filter.key).join(', ')}`);
+    }
+
+    const values = (Array.isArray(raw) ? raw : [raw]).filter(value => value !== undefined && value !== null && value !== '');
+    if (values.length === 0) continue;
+
+    for (const value of values) {
+      if (!definition.options.some(option => option.value === value)) {
+        throw new Error(`Unsupported value "${value}" for filter "${key}".`);
+      }
+    }
+
+    if (definition.type === 'multiselect') {
+      resolved[key] = values;
+    } else if (values.length > 1) {
+      throw new Error(`Filter "${key}" accepts a single value.`);
+    } else {
+      resolved[key] = values[0];
+    }
+  }
+  return resolved;
+};
+
+/**
+ * Copy of a module's filter definitions, safe to hand to the host.
+ * @param {Array<object>} definitions
+ * @returns {Array<object>}
+ */
+export const describeFilters = (definitions) => JSON.parse(JSON.stringify(definitions));
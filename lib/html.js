@@ -0,0 +1,829 @@
+/**
+ * Shared HTML helpers for Rida modules.
+ *
+ * A forgiving, dependency-free HTML tokenizer and tree builder, a small CSS
+ * selector engine and full HTML5 entity decoding. Replaces the per-module
+ * regex scraping, which broke on nested markup.
+ *
+ * Usage:
+ *   const doc = parse(html);
+ *   for (const link of select(doc, 'div#chapters a[href^="/chapters/"]')) {
+ *     console.log(attr(link, 'href'), text(link));
+ *   }
+ */
+import { NAMED_ENTITIES, LEGACY_ENTITIES } from './entities.js';
+
+// --- Entity Decoding ---
+
+// Numeric references in the 0x80-0x9F range are interpreted as windows-1252, as browsers do.
+const WINDOWS_1252 = {
+  0x80: 0x20AC, 0x82: 0x201A, 0x83: 0x0192, 0x84: 0x201E, 0x85: 0x2026, 0x86: 0x2020,
+  0x87: 0x2021, 0x88: 0x02C6, 0x89: 0x2030, 0x8A: 0x0160, 0x8B: 0x2039, 0x8C: 0x0152,
+  0x8E: 0x017D, 0x91: 0x2018, 0x92: 0x2019, 0x93: 0x201C, 0x94: 0x201D, 0x95: 0x2022,
+  0x96: 0x2013, 0x97: 0x2014, 0x98: 0x02DC, 0x99: 0x2122, 0x9A: 0x0161, 0x9B: 0x203A,
+  0x9C: 0x0153, 0x9E: 0x017E, 0x9F: 0x0178,
+};
+
+const LONGEST_LEGACY_ENTITY = Math.max(...[...LEGACY_ENTITIES].map(name => name.length));
+
+const decodeCodePoint = (codePoint) => {
+  if (codePoint === 0 || codePoint > 0x10FFFF || (codePoint >= 0xD800 && codePoint <= 0xDFFF)) {
+    return '\uFFFD';
+  }
+  return String.fromCodePoint(WINDOWS_1252[codePoint] ?? codePoint);
+};
+
+const ENTITY_RE = /&(?:#(\d+)|#[xX]([0-9A-Fa-f]+)|([A-Za-z][A-Za-z0-9]*))(;?)/g;
+
+/**
+ * Decode HTML character references (named, decimal and hex).
+ * @param {string} encodedString - Text containing entities.
+ * @param {boolean} [inAttribute=false] - Apply the attribute-value rules for legacy entities.
+ * @returns {string} - Decoded text.
+ */
+export const decodeEntities = (encodedString, inAttribute = false) => {
+  if (!encodedString) return '';
+  if (encodedString.indexOf('&') === -1) return encodedString;
+
+  return encodedString.replace(ENTITY_RE, (match, dec, hex, name, semicolon, offset, source) => {
+    if (dec !== undefined) return decodeCodePoint(parseInt(dec, 10));
+    if (hex !== undefined) return decodeCodePoint(parseInt(hex, 16));
+
+    if (semicolon && Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, name)) {
+      return NAMED_ENTITIES[name];
+    }
+
+    // Without a ';', only legacy entities decode, and only the longest matching prefix.
+    for (let length = Math.min(name.length, LONGEST_LEGACY_ENTITY); length > 1; length--) {
+      const candidate = name.slice(0, length);
+      if (!LEGACY_ENTITIES.has(candidate)) continue;
+      const rest = name.slice(length) + semicolon;
+      // In attributes "&copy=1" or "&copyx" stay literal (query strings in hrefs).
+      const next = rest ? rest[0] : source[offset + match.length];
+      if (inAttribute && next && /[=A-Za-z0-9]/.test(next)) return match;
+      return NAMED_ENTITIES[candidate] + rest;
+    }
+    return match;
+  });
+};
+
+// --- Tree Builder ---
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'keygen', 'link', 'meta',
+  'param', 'source', 'track', 'wbr',
+]);
+
+// Contents are kept verbatim up to the matching end tag.
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'xmp', 'iframe', 'noembed', 'noframes', 'noscript']);
+// Like raw text, but entities are still decoded.
+const RCDATA_ELEMENTS = new Set(['textarea', 'title']);
+
+// SVG and MathML: a "/>" closes the element here, where HTML ignores the slash.
+const FOREIGN_ROOTS = new Set(['svg', 'math']);
+// Places inside SVG that hold HTML again.
+const HTML_INTEGRATION_POINTS = new Set(['foreignobject', 'desc', 'title']);
+
+const P_CLOSERS = [
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption',
+  'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'menu',
+  'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul',
+];
+
+// Start tag -> open elements it implicitly closes (checked from the top of the stack).
+const IMPLIED_END = {
+  li: new Set(['li', 'p']),
+  dt: new Set(['dt', 'dd', 'p']),
+  dd: new Set(['dt', 'dd', 'p']),
+  tr: new Set(['tr', 'td', 'th']),
+  td: new Set(['td', 'th']),
+  th: new Set(['td', 'th']),
+  thead: new Set(['thead', 'tbody', 'tfoot', 'tr', 'td', 'th']),
+  tbody: new Set(['thead', 'tbody', 'tfoot', 'tr', 'td', 'th']),
+  tfoot: new Set(['thead', 'tbody', 'tfoot', 'tr', 'td', 'th']),
+  option: new Set(['option']),
+  optgroup: new Set(['option', 'optgroup']),
+};
+for (const name of P_CLOSERS) {
+  IMPLIED_END[name] = IMPLIED_END[name] ?? new Set(['p']);
+}
+
+const rawTextEndCache = new Map();
+const rawTextEnd = (name) => {
+  if (!rawTextEndCache.has(name)) {
+    rawTextEndCache.set(name, new RegExp(`</${name}(?=[\\s/>])`, 'ig'));
+  }
+  return rawTextEndCache.get(name);
+};
+
+const isSpace = (ch) => ch === ' ' || ch === '\n' || ch === '\t' || ch === '\r' || ch === '\f';
+
+// Reads a start tag beginning at html[start] === '<'.
+const readStartTag = (html, start) => {
+  let i = start + 1;
+  let name = '';
+  while (i < html.length && !isSpace(html[i]) && html[i] !== '/' && html[i] !== '>') {
+    name += html[i++];
+  }
+
+  const attrs = {};
+  let selfClosing = false;
+  while (i < html.length) {
+    while (i < html.length && (isSpace(html[i]) || html[i] === '/')) {
+      selfClosing = html[i] === '/';
+      i++;
+    }
+    if (i >= html.length) break;
+    if (html[i] === '>') {
+      i++;
+      return { name: name.toLowerCase(), attrs, selfClosing, end: i };
+    }
+    selfClosing = false;
+
+    let attrName = html[i++];
+    while (i < html.length && !isSpace(html[i]) && !'/>='.includes(html[i])) {
+      attrName += html[i++];
+    }
+    while (i < html.length && isSpace(html[i])) i++;
+
+    let value = '';
+    if (html[i] === '=') {
+      i++;
+      while (i < html.length && isSpace(html[i])) i++;
+      const quote = html[i];
+      if (quote === '"' || quote === "'") {
+        const close = html.indexOf(quote, i + 1);
+        const valueEnd = close === -1 ? html.length : close;
+        value = html.slice(i + 1, valueEnd);
+        i = valueEnd + 1;
+      } else {
+        const valueStart = i;
+        while (i < html.length && !isSpace(html[i]) && html[i] !== '>') i++;
+        value = html.slice(valueStart, i);
+      }
+    }
+
+    const key = attrName.toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(attrs, key)) {
+      attrs[key] = decodeEntities(value, true);
+    }
+  }
+
+  // Unterminated tag at end of input: keep what we have.
+  return { name: name.toLowerCase(), attrs, selfClosing, end: html.length };
+};
+
+/**
+ * Parse an HTML string into a lightweight tree.
+ *
+ * Nodes are plain objects:
+ *   { type: 'document', children }
+ *   { type: 'element', name, attrs, children, parent }
+ *   { type: 'text', value, parent }     (entities already decoded)
+ *   { type: 'comment', value, parent }
+ *
+ * Never throws: unclosed, stray and misnested tags are handled the way a
+ * browser roughly would.
+ * @param {string} html - The HTML source.
+ * @returns {object} - The document node.
+ */
+export const parse = (html) => {
+  const source = html == null ? '' : String(html);
+  const root = { type: 'document', name: '#document', attrs: {}, children: [], parent: null };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  // Open elements whose contents are SVG or MathML rather than HTML.
+  const foreignParents = new Set();
+
+  const append = (node) => {
+    const parent = current();
+    node.parent = parent;
+    parent.children.push(node);
+  };
+
+  const appendText = (value) => {
+    if (!value) return;
+    const siblings = current().children;
+    const last = siblings[siblings.length - 1];
+    if (last && last.type === 'text') {
+      last.value += value;
+    } else {
+      append({ type: 'text', value });
+    }
+  };
+
+  let i = 0;
+  while (i < source.length) {
+    const lt = source.indexOf('<', i);
+    if (lt === -1) {
+      appendText(decodeEntities(source.slice(i)));
+      break;
+    }
+    if (lt > i) appendText(decodeEntities(source.slice(i, lt)));
+    i = lt;
+
+    const next = source[i + 1];
+
+    if (source.startsWith('<!--', i)) {
+      const close = source.indexOf('-->', i + 4);
+      const end = close === -1 ? source.length : close;
+      append({ type: 'comment', value: source.slice(i + 4, end) });
+      i = close === -1 ? source.length : close + 3;
+      continue;
+    }
+
+    if (next === '!' || next === '?') {
+      // Doctype, CDATA and processing instructions are dropped.
+      const close = source.indexOf('>', i + 2);
+      i = close === -1 ? source.length : close + 1;
+      continue;
+    }
+
+    if (next === '/') {
+      const match = /^<\/([A-Za-z][^\s/>]*)[^>]*>?/.exec(source.slice(i, i + 256));
+      if (!match) {
+        // "</>" or "</ 3" - not a tag, skip as a bogus comment.
+        const close = source.indexOf('>', i + 2);
+        i = close === -1 ? source.length : close + 1;
+        continue;
+      }
+      const name = match[1].toLowerCase();
+      for (let depth = stack.length - 1; depth > 0; depth--) {
+        if (stack[depth].name === name) {
+          stack.length = depth;
+          break;
+        }
+      }
+      i += match[0].length;
+      continue;
+    }
+
+    if (!next || !/[A-Za-z]/.test(next)) {
+      appendText('<');
+      i++;
+      continue;
+    }
+
+    const tag = readStartTag(source, i);
+    i = tag.end;
+
+    const closes = IMPLIED_END[tag.name];
+    while (closes && stack.length > 1 && closes.has(current().name)) {
+      stack.pop();
+    }
+
+    const foreign = FOREIGN_ROOTS.has(tag.name) || foreignParents.has(current());
+    const element = { type: 'element', name: tag.name, attrs: tag.attrs, children: [] };
+    append(element);
+
+    // "<div/>" opens a div like "<div>" does; only void and foreign elements close at "/>".
+    if (VOID_ELEMENTS.has(tag.name) || (tag.selfClosing && foreign)) continue;
+
+    if (!foreign && (RAW_TEXT_ELEMENTS.has(tag.name) || RCDATA_ELEMENTS.has(tag.name))) {
+      const endRe = rawTextEnd(tag.name);
+      endRe.lastIndex = i;
+      const endMatch = endRe.exec(source);
+      const end = endMatch ? endMatch.index : source.length;
+      const raw = source.slice(i, end);
+      if (raw) {
+        const value = RCDATA_ELEMENTS.has(tag.name) ? decodeEntities(raw) : raw;
+        element.children.push({ type: 'text', value, parent: element });
+      }
+      const close = endMatch ? source.indexOf('>', end) : -1;
+      i = close === -1 ? source.length : close + 1;
+      continue;
+    }
+
+    if (foreign && !HTML_INTEGRATION_POINTS.has(tag.name)) foreignParents.add(element);
+    stack.push(element);
+  }
+
+  return root;
+};
+
+// Where a list item starts or ends: its start tag, its end tag or the end of its list.
+const LIST_ITEM_BOUNDARY = /<li(?=[\s/>])|<\/(?:li|ol|ul|menu)(?=[\s/>])/ig;
+
+/**
+ * Parse the items of a list as its HTML arrives, for lists too long to hold
+ * whole (chapter archives). An item runs from its start tag to its end tag,
+ * the next item or the end of its list, so unclosed <li>s come out as parse()
+ * reads them. Lists nested inside items are not supported.
+ * @param {AsyncIterable<string>} chunks - The HTML in pieces, e.g. from readPageChunks() in lib/stream.js.
+ * @returns {AsyncGenerator<object>} - Each <li> element node, in document order.
+ */
+export async function* parseListItems(chunks) {
+  const boundaries = new RegExp(LIST_ITEM_BOUNDARY.source, 'ig');
+  let buffer = '';
+  let open = false; // The buffer starts with an item's start tag
+  for await (const chunk of chunks) {
+    buffer += chunk;
+    let rest = 0;
+    boundaries.lastIndex = open ? 1 : 0;
+    for (let match = boundaries.exec(buffer); match; match = boundaries.exec(buffer)) {
+      if (open) yield selectOne(parse(buffer.slice(rest, match.index)), 'li');
+      open = match[0][1] !== '/';
+      rest = open ? match.index : match.index + match[0].length;
+    }
+    // Between items only a boundary cut off by the end of the piece is worth keeping
+    buffer = open ? buffer.slice(rest) : buffer.slice(Math.max(rest, buffer.length - '</menu'.length));
+  }
+  if (open) yield selectOne(parse(buffer), 'li');
+}
+
+// --- Tree Helpers ---
+
+const toNode = (input) => (typeof input === 'string' ? parse(input) : input);
+
+const parentElement = (node) => (node.parent && node.parent.type === 'element' ? node.parent : null);
+
+const elementChildren = (node) => (node.children || []).filter(child => child.type === 'element');
+
+/**
+ * The next element sibling of a node, skipping text and comments.
+ * @param {object} node - An element node.
+ * @returns {object|null}
+ */
+export const nextElement = (node) => {
+  if (!node || !node.parent) return null;
+  const siblings = node.parent.children;
+  for (let i = siblings.indexOf(node) + 1; i < siblings.length; i++) {
+    if (siblings[i].type === 'element') return siblings[i];
+  }
+  return null;
+};
+
+const previousElement = (node) => {
+  if (!node.parent) return null;
+  const siblings = node.parent.children;
+  for (let i = siblings.indexOf(node) - 1; i >= 0; i--) {
+    if (siblings[i].type === 'element') return siblings[i];
+  }
+  return null;
+};
+
+/**
+ * Visit a node and its descendants depth-first, in document order. Works
+ * without recursion, so pages with thousands of unclosed tags (and as many
+ * levels of nesting) cannot overflow the call stack.
+ * @param {object} root - A node returned by parse() or select().
+ * @param {Function} enter - Called with each node on the way down; return false
+ *   to skip its descendants (leave() is then not called for it either).
+ * @param {Function} [leave] - Called with each entered node once its descendants are done.
+ */
+export const traverse = (root, enter, leave) => {
+  const pending = [{ node: root, entered: false }];
+  while (pending.length) {
+    const frame = pending[pending.length - 1];
+    if (frame.entered) {
+      pending.pop();
+      if (leave) leave(frame.node);
+      continue;
+    }
+    frame.entered = true;
+    if (enter(frame.node) === false) {
+      pending.pop();
+      continue;
+    }
+    const children = frame.node.children || [];
+    for (let i = children.length - 1; i >= 0; i--) pending.push({ node: children[i], entered: false });
+  }
+};
+
+// Depth-first, document order; stops when visit() returns false.
+const walkElements = (node, visit) => {
+  const pending = elementChildren(node).reverse();
+  while (pending.length) {
+    const el = pending.pop();
+    if (visit(el) === false) return;
+    for (let i = el.children.length - 1; i >= 0; i--) {
+      if (el.children[i].type === 'element') pending.push(el.children[i]);
+    }
+  }
+};
+
+const SKIPPED_TEXT_ELEMENTS = new Set(['script', 'style', 'noscript', 'template']);
+
+const rawText = (node) => {
+  let out = '';
+  traverse(node, (current) => {
+    if (current.type === 'text') out += current.value;
+    return (current.type === 'element' || current.type === 'document') && !SKIPPED_TEXT_ELEMENTS.has(current.name);
+  });
+  return out;
+};
+
+/**
+ * Text content of a node (or of every node in an array), whitespace collapsed and trimmed.
+ * Script and style contents are ignored. Returns '' for null.
+ * @param {object|Array<object>|null} node
+ * @returns {string}
+ */
+export const text = (node) => {
+  if (!node) return '';
+  const value = Array.isArray(node) ? node.map(rawText).join(' ') : rawText(node);
+  return value.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Attribute value of an element, or null if the element or attribute is missing.
+ * @param {object|null} node
+ * @param {string} name - Attribute name (case-insensitive).
+ * @returns {string|null}
+ */
+export const attr = (node, name) => {
+  if (!node || !node.attrs) return null;
+  const value = node.attrs[name.toLowerCase()];
+  return value === undefined ? null : value;
+};
+
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr',
+  'li', 'main', 'nav', 'ol', 'pre', 'section', 'table', 'tr', 'ul',
+]);
+
+/**
+ * Convert markup to readable plain text: paragraphs become blank lines,
+ * <br> and block elements become line breaks, everything else is flattened.
+ * @param {string|object|null} input - HTML string or node.
+ * @returns {string}
+ */
+export const cleanHtmlText = (input) => {
+  if (!input) return '';
+  const node = toNode(input);
+  let out = '';
+
+  const breaks = current => (current.name === 'p' ? '\n\n' : BLOCK_ELEMENTS.has(current.name) ? '\n' : '');
+  traverse(node, (current) => {
+    if (current.type === 'text') {
+      out += current.value.replace(/\s+/g, ' ');
+      return false;
+    }
+    if (current.type !== 'element' && current.type !== 'document') return false;
+    if (SKIPPED_TEXT_ELEMENTS.has(current.name)) return false;
+    if (current.name === 'br') {
+      out += '\n';
+      return false;
+    }
+    out += breaks(current);
+    return true;
+  }, (current) => {
+    out += breaks(current);
+  });
+
+  return out
+    .replace(/[ \t]*\n[ \t]*/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+// --- CSS Selectors ---
+// Supported: type, *, #id, .class, [attr], [attr=|~=|^=|$=|*=||= value i],
+// :first-child, :last-child, :only-child, :nth-child(an+b), :empty, :not(sel),
+// :contains(text), combinators ' ', '>', '+', '~' and selector lists.
+
+const IDENT_CHAR = /[A-Za-z0-9_\-\u00A0-\uFFFF]/;
+
+function parseSelector(selector) {
+  let pos = 0;
+  const src = selector.trim();
+
+  const fail = (message) => {
+    throw new SyntaxError(`Invalid selector "${selector}": ${message} at ${pos}`);
+  };
+
+  const skipSpace = () => {
+    let skipped = false;
+    while (pos < src.length && isSpace(src[pos])) {
+      pos++;
+      skipped = true;
+    }
+    return skipped;
+  };
+
+  const readIdent = () => {
+    let out = '';
+    while (pos < src.length) {
+      if (src[pos] === '\\' && pos + 1 < src.length) {
+        out += src[pos + 1];
+        pos += 2;
+      } else if (IDENT_CHAR.test(src[pos])) {
+        out += src[pos++];
+      } else {
+        break;
+      }
+    }
+    if (!out) fail('expected identifier');
+    return out;
+  };
+
+  const readValue = () => {
+    const quote = src[pos];
+    if (quote === '"' || quote === "'") {
+      let out = '';
+      pos++;
+      while (pos < src.length && src[pos] !== quote) {
+        if (src[pos] === '\\' && pos + 1 < src.length) pos++;
+        out += src[pos++];
+      }
+      if (src[pos] !== quote) fail('unterminated string');
+      pos++;
+      return out;
+    }
+    return readIdent();
+  };
+
+  // Reads up to the matching ')', honouring nested parentheses and quotes.
+  const readArgument = () => {
+    const start = pos;
+    let depth = 1;
+    let quote = null;
+    while (pos < src.length) {
+      const ch = src[pos];
+      if (quote) {
+        if (ch === '\\') pos++;
+        else if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '(') {
+        depth++;
+      } else if (ch === ')' && --depth === 0) {
+        const arg = src.slice(start, pos);
+        pos++;
+        return arg.trim();
+      }
+      pos++;
+    }
+    return fail('unterminated parenthesis');
+  };
+
+  const parseNth = (arg) => {
+    const value = arg.replace(/\s+/g, '').toLowerCase();
+    if (value === 'odd') return { a: 2, b: 1 };
+    if (value === 'even') return { a: 2, b: 0 };
+    const match = /^([+-]?\d*)n([+-]\d+)?$/.exec(value);
+    if (match) {
+      const a = match[1] === '' || match[1] === '+' ? 1 : match[1] === '-' ? -1 : parseInt(match[1], 10);
+      return { a, b: match[2] ? parseInt(match[2], 10) : 0 };
+    }
+    if (/^[+-]?\d+$/.test(value)) return { a: 0, b: parseInt(value, 10) };
+    return fail(`bad nth-child argument "${arg}"`);
+  };
+
+  const parseCompound = () => {
+    const compound = { tag: null, id: null, classes: [], attrs: [], pseudos: [] };
+    let empty = true;
+
+    if (src[pos] === '*') {
+      pos++;
+      empty = false;
+    } else if (pos < src.length && IDENT_CHAR.test(src[pos])) {
+      compound.tag = readIdent().toLowerCase();
+      empty = false;
+    }
+
+    while (pos < src.length) {
+      const ch = src[pos];
+      if (ch === '#') {
+        pos++;
+        compound.id = readIdent();
+      } else if (ch === '.') {
+        pos++;
+        compound.classes.push(readIdent());
+      } else if (ch === '[') {
+        pos++;
+        skipSpace();
+        const name = readIdent().toLowerCase();
+        skipSpace();
+        let operator = null;
+        let value = null;
+        let ignoreCase = false;
+        const opMatch = /^([~|^$*]?=)/.exec(src.slice(pos));
+        if (opMatch) {
+          operator = opMatch[1];
+          pos += operator.length;
+          skipSpace();
+          value = readValue();
+          skipSpace();
+          if (/[iI]/.test(src[pos] || '')) {
+            ignoreCase = true;
+            pos++;
+            skipSpace();
+          }
+        }
+        if (src[pos] !== ']') fail('expected "]"');
+        pos++;
+        compound.attrs.push({ name, operator, value, ignoreCase });
+      } else if (ch === ':') {
+        pos++;
+        const name = readIdent().toLowerCase();
+        let arg = null;
+        if (src[pos] === '(') {
+          pos++;
+          arg = readArgument();
+        }
+        if (name === 'not') {
+          compound.pseudos.push({ name, list: parseSelector(arg) });
+        } else if (name === 'nth-child') {
+          compound.pseudos.push({ name, nth: parseNth(arg) });
+        } else if (name === 'contains') {
+          compound.pseudos.push({ name, value: arg.replace(/^(["'])(.*)\1$/, '$2') });
+        } else if (['first-child', 'last-child', 'only-child', 'empty'].includes(name)) {
+          compound.pseudos.push({ name });
+        } else {
+          fail(`unsupported pseudo-class ":${name}"`);
+        }
+      } else {
+        break;
+      }
+      empty = false;
+    }
+
+    if (empty) fail('expected selector');
+    return compound;
+  };
+
+  const parseComplex = () => {
+    // Each step: { compound, combinator } where combinator links it to the step before.
+    const steps = [{ compound: parseCompound(), combinator: null }];
+    while (pos < src.length) {
+      const hadSpace = skipSpace();
+      const ch = src[pos];
+      if (pos >= src.length || ch === ',' || ch === ')') break;
+      let combinator = ' ';
+      if (ch === '>' || ch === '+' || ch === '~') {
+        combinator = ch;
+        pos++;
+        skipSpace();
+      } else if (!hadSpace) {
+        fail(`unexpected "${ch}"`);
+      }
+      steps.push({ compound: parseCompound(), combinator });
+    }
+    return steps;
+  };
+
+  const parseList = () => {
+    const list = [];
+    skipSpace();
+    list.push(parseComplex());
+    while (src[pos] === ',') {
+      pos++;
+      skipSpace();
+      list.push(parseComplex());
+    }
+    if (pos < src.length) fail(`unexpected "${src[pos]}"`);
+    return list;
+  };
+
+  return parseList();
+}
+
+const selectorCache = new Map();
+const compileSelector = (selector) => {
+  if (!selectorCache.has(selector)) {
+    selectorCache.set(selector, parseSelector(selector));
+  }
+  return selectorCache.get(selector);
+};
+
+const matchAttribute = (el, { name, operator, value, ignoreCase }) => {
+  if (!Object.prototype.hasOwnProperty.call(el.attrs, name)) return false;
+  if (!operator) return true;
+  let actual = el.attrs[name];
+  let expected = value;
+  if (ignoreCase) {
+    actual = actual.toLowerCase();
+    expected = expected.toLowerCase();
+  }
+  switch (operator) {
+    case '=': return actual === expected;
+    case '~=': return expected !== '' && actual.split(/\s+/).includes(expected);
+    case '|=': return actual === expected || actual.startsWith(`${expected}-`);
+    case '^=': return expected !== '' && actual.startsWith(expected);
+    case '$=': return expected !== '' && actual.endsWith(expected);
+    case '*=': return expected !== '' && actual.includes(expected);
+    default: return false;
+  }
+};
+
+const matchPseudo = (el, pseudo) => {
+  switch (pseudo.name) {
+    case 'first-child': return previousElement(el) === null;
+    case 'last-child': return nextElement(el) === null;
+    case 'only-child': return previousElement(el) === null && nextElement(el) === null;
+    case 'empty': return el.children.every(child => child.type === 'comment');
+    case 'contains': return rawText(el).includes(pseudo.value);
+    case 'not': return !pseudo.list.some(complex => matchComplex(el, complex, complex.length - 1));
+    case 'nth-child': {
+      const siblings = el.parent ? elementChildren(el.parent) : [el];
+      const index = siblings.indexOf(el) + 1;
+      const { a, b } = pseudo.nth;
+      if (a === 0) return index === b;
+      const n = (index - b) / a;
+      return Number.isInteger(n) && n >= 0;
+    }
+    default: return false;
+  }
+};
+
+const matchCompound = (el, compound) => {
+  if (compound.tag && el.name !== compound.tag) return false;
+  if (compound.id && el.attrs.id !== compound.id) return false;
+  if (compound.classes.length) {
+    const classes = (el.attrs.class || '').split(/\s+/);
+    if (!compound.classes.every(cls => classes.includes(cls))) return false;
+  }
+  if (!compound.attrs.every(condition => matchAttribute(el, condition))) return false;
+  return compound.pseudos.every(pseudo => matchPseudo(el, pseudo));
+};
+
+function matchComplex(el, steps, index) {
+  const { compound, combinator } = steps[index];
+  if (!matchCompound(el, compound)) return false;
+  if (index === 0) return true;
+
+  switch (combinator) {
+    case '>': {
+      const parent = parentElement(el);
+      return !!parent && matchComplex(parent, steps, index - 1);
+    }
+    case '+': {
+      const previous = previousElement(el);
+      return !!previous && matchComplex(previous, steps, index - 1);
+    }
+    case '~': {
+      for (let sibling = previousElement(el); sibling; sibling = previousElement(sibling)) {
+        if (matchComplex(sibling, steps, index - 1)) return true;
+      }
+      return false;
+    }
+    default: {
+      for (let ancestor = parentElement(el); ancestor; ancestor = parentElement(ancestor)) {
+        if (matchComplex(ancestor, steps, index - 1)) return true;
+      }
+      return false;
+    }
+  }
+}
+
+/**
+ * Does an element match a selector?
+ * @param {object} node - An element node.
+ * @param {string} selector - CSS selector (list).
+ * @returns {boolean}
+ */
+export const matches = (node, selector) => {
+  if (!node || node.type !== 'element') return false;
+  return compileSelector(selector).some(steps => matchComplex(node, steps, steps.length - 1));
+};
+
+/**
+ * Find all descendant elements matching a selector, in document order.
+ * @param {string|object} root - HTML string or a node returned by parse()/select().
+ * @param {string} selector - CSS selector, e.g. 'div#chapters a[href^="/chapters/"]'.
+ * @returns {Array<object>} - Matching element nodes.
+ */
+export const select = (root, selector) => {
+  if (!root) return [];
+  const list = compileSelector(selector);
+  const results = [];
+  walkElements(toNode(root), (el) => {
+    if (list.some(steps => matchComplex(el, steps, steps.length - 1))) {
+      results.push(el);
+    }
+  });
+  return results;
+};
+
+/**
+ * Nearest element (the node itself or an ancestor) matching a selector.
+ * @param {object} node - An element node.
+ * @param {string} selector - CSS selector.
+ * @returns {object|null}
+ */
+export const closest = (node, selector) => {
+  for (let current = node; current && current.type === 'element'; current = current.parent) {
+    if (matches(current, selector)) return current;
+  }
+  return null;
+};
+
+/**
+ * First descendant element matching a selector.
+ * @param {string|object} root - HTML string or node.
+ * @param {string} selector - CSS selector.
+ * @returns {object|null}
+ */
+export const selectOne = (root, selector) => {
+  if (!root) return null;
+  const list = compileSelector(selector);
+  let found = null;
+  walkElements(toNode(root), (el) => {
+    if (!list.some(steps => matchComplex(el, steps, steps.length - 1))) return true;
+    found = el;
+    return false;
+  });
+  return found;
+};
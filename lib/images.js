@@ -0,0 +1,124 @@
+/**
+ * Shared helpers for manga page images.
+ *
+ * Image CDNs often reject requests without the right Referer, so getContent()
+ * can return page objects that carry the headers each request needs:
+ *
+ *   { url: 'https://cdn.example.com/1.jpeg', headers: { Referer: 'https://example.com/' }, index: 0 }
+ *
+ * and modules expose fetchImage(page) to download them through their own fetch.
+ */
+import { ParseError, abortedError, fetchOrThrow, responseError, throwIfAborted } from './errors.js';
+
+// 'urls' is the original bare-string form; 'pages' returns page objects.
+export const PAGE_FORMATS = ['urls', 'pages'];
+
+// 'original' loads each page as it is; 'data-saver' the smallest size the site offers.
+export const IMAGE_QUALITIES = ['original', 'data-saver'];
+
+// Magic numbers, checked before the Content-Type header since CDNs often send octet-stream.
+const SIGNATURES = [
+  { type: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] },
+  { type: 'image/avif', bytes: [null, null, null, null, 0x66, 0x74, 0x79, 0x70, 0x61, 0x76, 0x69, 0x66] },
+  { type: 'image/bmp', bytes: [0x42, 0x4D] },
+];
+
+/**
+ * Detect an image type from its first bytes.
+ * @param {Uint8Array} data
+ * @returns {string|null} - A MIME type, or null when the bytes match no known image format.
+ */
+export const sniffImageType = (data) => {
+  const found = SIGNATURES.find(({ bytes }) => (
+    data.length >= bytes.length && bytes.every((byte, i) => byte === null || data[i] === byte)
+  ));
+  return found ? found.type : null;
+};
+
+/**
+ * Read a srcset attribute.
+ * @param {string} srcset - e.g. 'page-800.webp 800w, page-400.webp 400w' or 'page.jpg, page@2x.jpg 2x'.
+ * @returns {Array<{url: string, width: number|null, density: number|null}>} - Candidates as listed;
+ *   one without a descriptor has density 1.
+ */
+export const parseSrcset = (srcset) => {
+  const candidates = [];
+  let rest = srcset || '';
+  for (let match = /^[\s,]*(\S+)/.exec(rest); match; match = /^[\s,]*(\S+)/.exec(rest)) {
+    rest = rest.slice(match[0].length);
+    let url = match[1];
+    let descriptor = '';
+    if (url.endsWith(',')) {
+      url = url.replace(/,+$/, '');
+    } else {
+      const descriptors = /^([^,]*),?/.exec(rest);
+      descriptor = descriptors[1].trim();
+      rest = rest.slice(descriptors[0].length);
+    }
+    const width = /^(\d+)w$/.exec(descriptor);
+    const density = /^(\d+(?:\.\d+)?)x$/.exec(descriptor);
+    candidates.push({ url, width: width ? parseInt(width[1], 10) : null, density: density ? parseFloat(density[1]) : (width ? null : 1) });
+  }
+  return candidates;
+};
+
+// The URL to load for a page image: the image itself, or for 'data-saver' its smallest candidate.
+const imageUrl = (image, quality) => {
+  if (typeof image === 'string') return image;
+  const candidates = image.candidates || [];
+  if (quality !== 'data-saver' || candidates.length === 0) return image.url;
+  const sized = candidates.filter(candidate => candidate.width !== null);
+  const smallest = sized.length
+    ? sized.reduce((a, b) => (b.width < a.width ? b : a))
+    : candidates.reduce((a, b) => (b.density < a.density ? b : a));
+  return smallest.url;
+};
+
+/**
+ * Turn page images into page objects.
+ * @param {Array<string|object>} images - Image URLs in reading order, or { url, candidates }
+ *   with the other sizes the page offers (see parseSrcset()).
+ * @param {object} headers - Headers every image request needs.
+ * @param {object} [options]
+ * @param {string} [options.quality='original'] - One of IMAGE_QUALITIES.
+ * @returns {Array<{url: string, headers: object, index: number}>}
+ */
+export const toPages = (images, headers, { quality = 'original' } = {}) => images.map((image, index) => (
+  { url: imageUrl(image, quality), headers: { ...headers }, index }
+));
+
+/**
+ * Download an image with the headers its host requires.
+ * @param {Function} fetch - The module's injected fetch.
+ * @param {string|object} page - An image URL or a page object from getContent().
+ * @param {object} defaultHeaders - Headers used when the page carries none (bare URLs, covers).
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the download with an AbortError.
+ * @returns {Promise<{url: string, index: number|null, contentType: string, data: Uint8Array}>}
+ */
+export const fetchImageWith = async (fetch, page, defaultHeaders, { signal } = {}) => {
+  const { url, headers = defaultHeaders, index = null } = typeof page === 'string' ? { url: page } : (page || {});
+  if (!url) throw new Error('An image URL or page object is required.');
+
+  const response = await fetchOrThrow(fetch, url, { method: 'GET', headers, signal });
+  if (!response.ok) throw responseError(response, url);
+
+  let data;
+  try {
+    data = new Uint8Array(await response.arrayBuffer());
+  } catch (error) {
+    if (signal && signal.aborted) throw abortedError(signal, url);
+    throw error;
+  }
+  throwIfAborted(signal, url);
+  const header = ((response.headers && response.headers.get('content-type')) || '').split(';')[0].trim().toLowerCase();
+  const contentType = sniffImageType(data) || (header.startsWith('image/') ? header : null);
+  if (!contentType) {
+    // Usually an HTML error or hotlink-protection page served with a 200
+    throw new ParseError('image-data', `Response for ${url} is not an image (${header || 'no content type'}).`, { url });
+  }
+  return { url, index, contentType, data };
+};
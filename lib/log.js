@@ -0,0 +1,170 @@
+/**
+ * Structured, leveled logging for modules and the shared helpers.
+ *
+ * The host passes a logger when creating a module:
+ *
+ *   const module = mangapillModule(fetch, { logger, logLevel: 'warn' });
+ *
+ * A logger is either a function receiving one event object, or an object
+ * with debug/info/warn/error methods called as logger.warn(message, fields)
+ * (console, pino-style and most app loggers fit). Every event carries the
+ * module id and, inside a module call, the operation, its URL, an
+ * operationId shared by all events of that call and the elapsed durationMs:
+ *
+ *   { level: 'info', message: 'Parsed 20 results', module: 'mangapill',
+ *     operation: 'search', operationId: 'mangapill-3', url: '/search?q=x',
+ *     durationMs: 412, count: 20 }
+ *
+ * Without a logger, events go to the console as one readable line each.
+ * When an extractor finds nothing, the ParseError it throws carries a
+ * diagnostics snapshot (trimmed page HTML and the patterns tried), which is
+ * also logged as a 'diagnostics' warning so it can be attached to bug reports.
+ */
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const prefixOf = ({ module, operation }) => [module, operation].filter(Boolean).join(' ');
+
+// Console output: "[mangapill search] Parsed 20 results (412ms)", plus the error itself when there is one.
+const consoleLogger = Object.fromEntries(LOG_LEVELS.map(level => [level, (message, fields) => {
+  const prefix = prefixOf(fields);
+  const line = `${prefix ? `[${prefix}] ` : ''}${message}${fields.durationMs !== undefined ? ` (${fields.durationMs}ms)` : ''}`;
+  const write = console[level] || console.log; // Looked up per call so tests can silence the console
+  if (fields.error) {
+    write.call(console, line, fields.error);
+  } else {
+    write.call(console, line);
+  }
+}]));
+
+const deliver = (logger, level, message, fields) => {
+  if (typeof logger === 'function') {
+    logger({ level, message, ...fields });
+  } else if (logger && typeof logger[level] === 'function') {
+    logger[level](message, fields);
+  } else if (logger && typeof logger.log === 'function') {
+    logger.log(message, { level, ...fields });
+  }
+};
+
+let operationCount = 0;
+
+/**
+ * Create a log.
+ * @param {object} [options]
+ * @param {Function|object} [options.logger] - The host's logger; defaults to the console.
+ * @param {string} [options.level='info'] - Least severe level delivered: 'debug', 'info', 'warn', 'error' or 'silent'.
+ * @param {object} [options.fields] - Fields added to every event, e.g. { module: 'mangapill' }.
+ * @returns {object} - { debug, info, warn, error, child(fields), operation(name, fields), failed(error, fields) }
+ */
+export const createLog = ({ logger = consoleLogger, level = 'info', fields = {} } = {}) => {
+  if (level !== 'silent' && !LOG_LEVELS.includes(level)) {
+    throw new Error(`Unknown log level "${level}". Use one of: ${LOG_LEVELS.join(', ')}, silent`);
+  }
+  const threshold = level === 'silent' ? Infinity : LOG_LEVELS.indexOf(level);
+  const sink = logger || consoleLogger;
+
+  const build = (base, startedAt) => {
+    const emit = (eventLevel, message, extra = {}) => {
+      if (LOG_LEVELS.indexOf(eventLevel) < threshold) return;
+      const event = { ...base, ...extra };
+      if (startedAt !== null) event.durationMs = Date.now() - startedAt;
+      try {
+        deliver(sink, eventLevel, message, event);
+      } catch (error) {
+        // A broken logger must never break a module call
+      }
+    };
+
+    const log = {
+      debug: (message, extra) => emit('debug', message, extra),
+      info: (message, extra) => emit('info', message, extra),
+      warn: (message, extra) => emit('warn', message, extra),
+      error: (message, extra) => emit('error', message, extra),
+
+      /** A log whose events all carry these extra fields. */
+      child: extra => build({ ...base, ...extra }, startedAt),
+
+      /**
+       * A log for one module call: events carry the operation, an operationId and durationMs.
+       * @param {string} name - e.g. 'search', 'getContent'.
+       * @param {object} [extra] - Usually { url }.
+       */
+      operation: (name, extra = {}) => {
+        operationCount++;
+        const operationId = `${base.module || 'op'}-${operationCount}`;
+        return build({ ...base, operation: name, operationId, ...extra }, Date.now());
+      },
+
+      /**
+       * Report a failed call, plus the diagnostics snapshot of a ParseError if it has one.
+       * Calls cancelled by the host are not failures and only show at debug level.
+       * @param {Error} error
+       * @param {object} [extra]
+       * @returns {Error} - The error, so callers can `throw op.failed(error)`.
+       */
+      failed: (error, extra = {}) => {
+        if (error.name === 'AbortError') {
+          emit('debug', `${base.operation || 'Request'} aborted`, { errorType: error.name, ...extra });
+          return error;
+        }
+        emit('error', `${base.operation || 'Request'} failed: ${error.message}`, { errorType: error.name, error, ...extra });
+        if (error.diagnostics) {
+          emit('warn', `Diagnostics for extractor "${error.diagnostics.extractor}"`, { diagnostics: error.diagnostics });
+        }
+        return error;
+      },
+    };
+    return log;
+  };
+
+  return build(fields, null);
+};
+
+// Console log for helpers used on their own, outside a module.
+export const defaultLog = createLog();
+
+// --- Diagnostics ---
+
+const NOISE_RE = /<script\b[\s\S]*?<\/script\s*>|<style\b[\s\S]*?<\/style\s*>|<svg\b[\s\S]*?<\/svg\s*>|<!--[\s\S]*?-->/gi;
+
+/**
+ * Trim a page down to what helps with selector debugging: scripts, styles,
+ * inline SVG and comments go, whitespace collapses, and very long pages keep
+ * their start and end.
+ * @param {string} html
+ * @param {number} [maxLength=16000]
+ * @returns {{html: string, htmlLength: number, trimmed: boolean}}
+ */
+export const trimHtml = (html, maxLength = 16000) => {
+  const source = String(html || '');
+  const bodyStart = source.search(/<body\b/i);
+  let cleaned = (bodyStart >= 0 ? source.slice(bodyStart) : source)
+    .replace(NOISE_RE, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const trimmed = cleaned.length > maxLength;
+  if (trimmed) {
+    const head = Math.floor(maxLength * 0.75);
+    const tail = maxLength - head;
+    cleaned = `${cleaned.slice(0, head)} <!-- ${cleaned.length - maxLength} characters trimmed --> ${cleaned.slice(-tail)}`;
+  }
+  return { html: cleaned, htmlLength: source.length, trimmed };
+};
+
+/**
+ * Snapshot of a page an extractor failed on, for ParseError.diagnostics.
+ * @param {object} details
+ * @param {string} details.extractor - e.g. 'chr-content'.
+ * @param {string} [details.url]
+ * @param {string} details.html - The page as fetched.
+ * @param {Array<string>} details.patterns - Selectors or patterns that were tried, in order.
+ * @returns {object} - { extractor, url, patterns, html, htmlLength, trimmed, capturedAt }
+ */
+export const diagnosticsSnapshot = ({ extractor, url = null, html, patterns }) => ({
+  extractor,
+  url,
+  patterns: patterns.slice(),
+  ...trimHtml(html),
+  capturedAt: new Date().toISOString(),
+});
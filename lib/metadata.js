@@ -0,0 +1,150 @@
+/**
+ * Normalized book metadata.
+ *
+ * Sites word the same facts differently ("Publishing", "Ongoing", "Full"),
+ * list several authors in one string and name genres their own way. Modules
+ * pass what they scraped through bookMetadata() so every source returns:
+ *
+ *   author       the author line as the site shows it, or null
+ *   authors      that line split into names: ['A', 'B'] for "A, B"
+ *   status       one of BOOK_STATUSES
+ *   statusLabel  the site's own wording, or null
+ *   genres           the site's genre labels, as scraped
+ *   canonicalGenres  those labels as canonical genre ids (see GENRES), for filtering
+ *                    and grouping across sources
+ *
+ * Missing values are null (or empty arrays), never placeholder text.
+ */
+
+export const BOOK_STATUSES = ['ongoing', 'completed', 'hiatus', 'cancelled', 'unknown'];
+
+// Site wording for each status, lower-cased. Anything else is 'unknown'.
+const STATUS_WORDS = {
+  ongoing: ['ongoing', 'on going', 'publishing', 'releasing', 'serializing', 'serialized', 'active'],
+  completed: ['completed', 'complete', 'finished', 'full', 'end', 'ended'],
+  hiatus: ['hiatus', 'on hiatus', 'paused', 'on hold'],
+  cancelled: ['cancelled', 'canceled', 'discontinued', 'dropped', 'abandoned'],
+};
+
+// What sites print when they do not know. This includes 'updating', which novel sites show
+// for an author or a status they have not filled in yet.
+const MISSING = new Set(['', '-', 'n/a', 'na', 'none', 'unknown', 'unknown author', 'unknown title', 'updating', 'no description available.']);
+
+/**
+ * Canonical genres: an id, a display label and the other names sites use for it.
+ * Labels are matched case-insensitively, ignoring spaces, hyphens and underscores.
+ * Aliases are other names for the same genre only; a label that merely overlaps
+ * one (Wuxia, Magic, Vampire) is left without a canonical genre.
+ */
+export const GENRES = [
+  { id: 'action', label: 'Action' },
+  { id: 'adult', label: 'Adult', aliases: ['Smut', 'Hentai'] },
+  { id: 'adventure', label: 'Adventure' },
+  { id: 'boys-love', label: "Boys' Love", aliases: ['Yaoi', 'Shounen Ai', 'Shonen Ai', 'BL'] },
+  { id: 'comedy', label: 'Comedy', aliases: ['Parody'] },
+  { id: 'cooking', label: 'Cooking' },
+  { id: 'drama', label: 'Drama' },
+  { id: 'eastern', label: 'Eastern', aliases: ['Eastern Fantasy'] },
+  { id: 'ecchi', label: 'Ecchi' },
+  { id: 'fan-fiction', label: 'Fan-Fiction', aliases: ['Fanfiction', 'Fan Fic'] },
+  { id: 'fantasy', label: 'Fantasy' },
+  { id: 'game', label: 'Game', aliases: ['Games', 'Gaming', 'Video Games', 'LitRPG', 'System'] },
+  { id: 'gender-bender', label: 'Gender Bender' },
+  { id: 'girls-love', label: "Girls' Love", aliases: ['Yuri', 'Shoujo Ai', 'Shojo Ai', 'GL'] },
+  { id: 'harem', label: 'Harem', aliases: ['Reverse Harem'] },
+  { id: 'historical', label: 'Historical', aliases: ['History'] },
+  { id: 'horror', label: 'Horror' },
+  { id: 'isekai', label: 'Isekai', aliases: ['Transmigration'] },
+  { id: 'josei', label: 'Josei' },
+  { id: 'kids', label: 'Kids', aliases: ['Children'] },
+  { id: 'martial-arts', label: 'Martial Arts' },
+  { id: 'mature', label: 'Mature' },
+  { id: 'mecha', label: 'Mecha' },
+  { id: 'military', label: 'Military', aliases: ['War'] },
+  { id: 'music', label: 'Music' },
+  { id: 'mystery', label: 'Mystery', aliases: ['Detective'] },
+  { id: 'psychological', label: 'Psychological', aliases: ['Dementia'] },
+  { id: 'romance', label: 'Romance' },
+  { id: 'school-life', label: 'School Life', aliases: ['School'] },
+  { id: 'sci-fi', label: 'Sci-fi', aliases: ['Science Fiction', 'SciFi'] },
+  { id: 'seinen', label: 'Seinen' },
+  { id: 'shoujo', label: 'Shoujo', aliases: ['Shojo'] },
+  { id: 'shounen', label: 'Shounen', aliases: ['Shonen'] },
+  { id: 'slice-of-life', label: 'Slice of Life' },
+  { id: 'sports', label: 'Sports', aliases: ['Sport'] },
+  { id: 'supernatural', label: 'Supernatural', aliases: ['Super Power', 'Superpower'] },
+  { id: 'thriller', label: 'Thriller', aliases: ['Suspense'] },
+  { id: 'tragedy', label: 'Tragedy' },
+  { id: 'urban', label: 'Urban', aliases: ['Urban Life', 'Modern'] },
+];
+
+const genreKey = label => String(label).toLowerCase().replace(/[\s\-_'’]+/g, '');
+
+const GENRE_IDS = new Map(GENRES.flatMap(genre => [genre.label, genre.id, ...(genre.aliases || [])]
+  .map(name => [genreKey(name), genre.id])));
+
+/**
+ * A scraped value, or null when it is empty or a "don't know" placeholder.
+ * @param {*} value
+ * @returns {string|null}
+ */
+export const presentOrNull = (value) => {
+  const trimmed = typeof value === 'string' ? value.trim() : '';
+  return trimmed && !MISSING.has(trimmed.toLowerCase()) ? trimmed : null;
+};
+
+/**
+ * Map a site's status wording onto BOOK_STATUSES.
+ * @param {string} [label] - e.g. 'Publishing', 'Completed', 'On Hiatus'.
+ * @returns {string} - 'unknown' when the wording is missing or not recognized.
+ */
+export const normalizeStatus = (label) => {
+  const key = (presentOrNull(label) || '').toLowerCase();
+  const status = Object.keys(STATUS_WORDS).find(name => STATUS_WORDS[name].includes(key));
+  return status || 'unknown';
+};
+
+/**
+ * Split an author line into names.
+ * Separators are commas, semicolons, slashes, ampersands and the CJK list comma.
+ * @param {string|Array<string>} [authors]
+ * @returns {Array<string>} - Names in order, without duplicates or placeholders.
+ */
+export const splitAuthors = (authors) => {
+  const parts = (Array.isArray(authors) ? authors : [authors])
+    .map(presentOrNull) // Before splitting, so 'N/A' stays one placeholder
+    .flatMap(line => (line ? line.split(/[,;/&、]/) : []))
+    .map(presentOrNull)
+    .filter(Boolean);
+  return [...new Set(parts)];
+};
+
+/**
+ * Map genre labels onto canonical ids. Labels with no canonical genre are left out.
+ * @param {Array<string>} [labels]
+ * @returns {Array<string>} - Ids from GENRES, in first-seen order, without duplicates.
+ */
+export const canonicalGenres = (labels) => {
+  const ids = (labels || []).map(label => GENRE_IDS.get(genreKey(label))).filter(Boolean);
+  return [...new Set(ids)];
+};
+
+/**
+ * Normalize the author, status and genres a module scraped.
+ * @param {object} scraped
+ * @param {string} [scraped.author] - The author line as the page shows it.
+ * @param {string} [scraped.status] - The status as the page words it.
+ * @param {Array<string>} [scraped.genres] - The page's genre labels.
+ * @returns {object} - { author, authors, status, statusLabel, genres, canonicalGenres }
+ */
+export const bookMetadata = ({ author, status, genres } = {}) => {
+  const labels = (genres || []).map(label => String(label).trim()).filter(Boolean);
+  return {
+    author: presentOrNull(author),
+    authors: splitAuthors(author),
+    status: normalizeStatus(status),
+    statusLabel: presentOrNull(status),
+    genres: labels,
+    canonicalGenres: canonicalGenres(labels),
+  };
+};
@@ -0,0 +1,219 @@
+/**
+ * Mirror and domain failover for sources that move between domains.
+ *
+ * A module lists its domains in order of preference and sends its site
+ * requests through the returned fetch. Requests go to the domain that last
+ * worked; when it fails (network error, 5xx or a block page) the next mirror
+ * is tried with the same path. When a site redirects to another of its mirrors,
+ * that one becomes the working mirror. Redirects to domains outside the list
+ * are never adopted (a parking page or hijacked redirect must not take over
+ * later requests): the mirror counts as failing and the next one is tried.
+ * With a store adapter (see lib/cache.js) the working mirror is saved whenever
+ * it changes and read back on first use.
+ *
+ * Ids stay domain-free (slugs or paths), and absolute URLs on any known mirror
+ * can be rewritten to the working one, so stored books survive a move.
+ */
+import { AbortError, fetchOrThrow } from './errors.js';
+import { defaultLog } from './log.js';
+
+// Statuses that mean "this domain is not serving the site right now"; 404 and friends are real answers.
+const isDomainFailure = status => status >= 500 || status === 403 || status === 451;
+
+const bareHost = host => host.toLowerCase().replace(/^www\./, '');
+
+const originOf = (url) => {
+  try {
+    const { protocol, host } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:' ? `${protocol}//${host}` : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Create a mirror set for a module.
+ * @param {Function} fetch - The module's injected fetch.
+ * @param {Array<string>} domains - Origins in order of preference, e.g. ['https://www.example.com'].
+ * @param {object} [options]
+ * @param {object} [options.store] - Store adapter to persist the working mirror in; without one it lives in memory.
+ * @param {string} [options.key='mirror'] - Store key, so modules can share one store.
+ * @param {object} [options.log] - Log for failover and store events (see lib/log.js).
+ * @returns {object} - { baseUrl, domains, fetch(urlOrPath, options), url(pathOrUrl), path(urlOrId), linkPath(url),
+ *   rewrite(url), prefer(domain) }
+ */
+export const createMirrors = (fetch, domains, { store = null, key = 'mirror', log = defaultLog } = {}) => {
+  const known = domains.map((domain) => {
+    const origin = originOf(domain);
+    if (!origin) throw new Error(`Invalid mirror domain "${domain}".`);
+    return origin;
+  });
+  if (known.length === 0) throw new Error('At least one mirror domain is required.');
+  let active = known[0];
+
+  // Known origin a URL starts with, if any.
+  const mirrorOf = (value) => {
+    const origin = originOf(value);
+    return origin && known.includes(origin) ? origin : null;
+  };
+
+  let loading = store ? null : Promise.resolve();
+  let preferred = false;
+  let working = known[0]; // The stored or last failed-over-to mirror, used again when no mirror is chosen
+  const load = () => {
+    if (!loading) {
+      loading = (async () => {
+        try {
+          const stored = await store.get(key);
+          const origin = typeof stored === 'string' ? mirrorOf(stored) : null;
+          if (origin) { // A mirror dropped from the list since is ignored
+            working = origin;
+            if (!preferred) active = origin;
+          }
+        } catch (error) {
+          log.warn(`Could not read the stored mirror: ${error.message}`); // Start from the first mirror
+        }
+      })();
+    }
+    return loading;
+  };
+
+  const use = async (origin) => {
+    if (origin === active) return;
+    active = origin;
+    working = origin;
+    if (!store) return;
+    try {
+      await store.set(key, origin);
+    } catch (error) {
+      log.warn(`Could not save the working mirror: ${error.message}`); // Failover still works in memory
+    }
+  };
+
+  /**
+   * Strip a known mirror's origin, leaving the path (ids and paths pass through).
+   * @param {string} value - An absolute URL, a path or an id.
+   * @returns {string}
+   */
+  const path = (value) => {
+    const origin = value && mirrorOf(value);
+    return origin ? value.slice(origin.length) || '/' : value;
+  };
+
+  /**
+   * Point a URL on any known mirror at the working one; other URLs are unchanged.
+   * @param {string} value
+   * @returns {string}
+   */
+  const rewrite = (value) => {
+    const origin = value && mirrorOf(value);
+    return origin ? active + value.slice(origin.length) : value;
+  };
+
+  /**
+   * Absolute URL on the working mirror for a site path; absolute URLs are rewritten.
+   * @param {string} value - '/novel/x', '//cdn.example.com/x.jpg' or 'https://...'.
+   * @returns {string}
+   */
+  const url = (value) => {
+    if (!value) return value;
+    if (/^https?:\/\//i.test(value)) return rewrite(value);
+    if (value.startsWith('//')) return `${active.split('//')[0]}${value}`;
+    return `${active}${value.startsWith('/') ? '' : '/'}${value}`;
+  };
+
+  /**
+   * Fetch a site URL or path, failing over across mirrors.
+   * URLs outside the mirror set (CDNs, other sites) are fetched as they are.
+   * @param {string} target - A path or an absolute URL on any known mirror.
+   * @param {object} [options] - Passed through to fetch.
+   * @returns {Promise<object>} - The first usable response, or the last failing one.
+   *   Throws the last NetworkError when no mirror answered at all, and an AbortError
+   *   as soon as options.signal fires.
+   */
+  const mirrorFetch = async (target, options) => {
+    if (/^https?:\/\//i.test(target) && !mirrorOf(target)) return fetchOrThrow(fetch, target, options);
+    await load();
+    const sitePath = path(target);
+    const order = [active, ...known.filter(origin => origin !== active)];
+
+    let lastResponse = null;
+    let lastError = null;
+    for (const origin of order) {
+      let response;
+      try {
+        response = await fetchOrThrow(fetch, `${origin}${sitePath}`, options);
+      } catch (error) {
+        if (error instanceof AbortError) throw error; // The caller gave up; other mirrors will not change that
+        log.warn(`Mirror ${origin} failed: ${error.message}`, { url: `${origin}${sitePath}` });
+        lastError = error;
+        continue;
+      }
+      if (isDomainFailure(response.status)) {
+        log.warn(`Mirror ${origin} answered ${response.status}`, { url: `${origin}${sitePath}`, status: response.status });
+        lastResponse = response;
+        continue;
+      }
+
+      // Follow the site if it redirected us to another of its mirrors.
+      const landed = response.ok ? originOf(response.url) : null;
+      if (landed && landed !== origin && !known.includes(landed)) {
+        log.warn(`Mirror ${origin} redirected to unlisted ${landed}`, { url: response.url });
+        lastResponse = response;
+        continue;
+      }
+      if (landed && landed !== origin) log.info(`Site moved from ${origin} to ${landed}`, { url: response.url });
+      await use(landed || origin);
+      return response;
+    }
+    if (lastResponse) return lastResponse;
+    throw lastError;
+  };
+
+  /**
+   * The site path a link points to, for links to any known mirror whether over
+   * http or https, with or without "www.". Query and fragment are dropped.
+   * @param {string} value - e.g. a shared 'http://example.com/novel/x?ref=share'.
+   * @returns {string|null} - e.g. '/novel/x', or null for other sites and non-URLs.
+   */
+  const linkPath = (value) => {
+    let link;
+    try {
+      link = new URL(value);
+    } catch (error) {
+      return null;
+    }
+    const host = bareHost(link.hostname);
+    if (!/^https?:$/.test(link.protocol) || !known.some(origin => bareHost(new URL(origin).hostname) === host)) return null;
+    return link.pathname || '/';
+  };
+
+  /**
+   * Make a known domain the working one, e.g. from a user setting.
+   * Failover still moves on from it when it stops answering.
+   * @param {string|null} domain - One of the mirror domains, or null to stop preferring one
+   *   and go back to the stored (or last working) mirror.
+   */
+  const prefer = (domain) => {
+    if (domain === null) {
+      preferred = false;
+      active = working;
+      return;
+    }
+    const origin = mirrorOf(domain);
+    if (!origin) throw new Error(`Unknown mirror domain "${domain}".`);
+    preferred = true; // The user's choice wins over a stored mirror
+    active = origin;
+  };
+
+  return {
+    get baseUrl() { return active; },
+    get domains() { return known.slice(); },
+    fetch: mirrorFetch,
+    url,
+    path,
+    linkPath,
+    rewrite,
+    prefer,
+  };
+};
@@ -0,0 +1,115 @@
+/**
+ * Shared pagination helpers for listing methods (search, browse feeds).
+ */
+import { select, selectOne, attr } from './html.js';
+
+const PAGE_PARAM_RE = /[?&]page=(\d+)/i;
+
+/**
+ * Does a listing page link to the page after `page`?
+ *
+ * Checks, in order: a rel="next" link, a Bootstrap-style ".pagination .next"
+ * item that is not disabled, and any link whose page number is page + 1.
+ * @param {object} doc - Parsed listing page.
+ * @param {number} page - The page that was fetched (1-based).
+ * @param {object} [options]
+ * @param {RegExp} [options.pageParam] - Extracts the page number from an href (first capture group).
+ * @param {number} [options.firstPage=1] - Number the site gives its first page (0 for zero-based paths).
+ * @returns {boolean}
+ */
+export const hasNextPageLink = (doc, page, { pageParam = PAGE_PARAM_RE, firstPage = 1 } = {}) => {
+  if (selectOne(doc, 'a[rel~="next"][href], link[rel~="next"][href]')) return true;
+  if (selectOne(doc, '.pagination .next:not(.disabled) a[href]')) return true;
+  return select(doc, 'a[href]').some((link) => {
+    const match = pageParam.exec(attr(link, 'href'));
+    return match !== null && parseInt(match[1], 10) - firstPage + 1 === page + 1;
+  });
+};
+
+/**
+ * Read the requested page from a listing method's options.
+ * @param {object} [options] - { page }
+ * @returns {number} - A page number >= 1.
+ */
+export const requestedPage = (options) => {
+  const page = parseInt(options && options.page, 10);
+  return Number.isFinite(page) && page > 0 ? page : 1;
+};
+
+/**
+ * Shape a listing method's return value.
+ * Callers that passed no options (the original single-argument form) get the
+ * plain results array; everyone else gets { results, hasNextPage, page }.
+ * @param {Array<object>} results
+ * @param {boolean} hasNextPage
+ * @param {number} page
+ * @param {object} [options] - The options the method was called with.
+ * @returns {Array<object>|{results: Array<object>, hasNextPage: boolean, page: number}}
+ */
+export const pageResult = (results, hasNextPage, page, options) => (
+  options === undefined ? results : { results, hasNextPage, page }
+);
+
+/**
+ * One page of results from a listing the site cannot narrow down itself, keeping
+ * only the entries that pass `keep`.
+ *
+ * Listing pages are read in order from the first until the requested page of
+ * matches fills, so results pages are as long as a listing page (the first one
+ * read sets the size) and no match is skipped between them. A results page that
+ * has not filled after `maxPages` listing pages is returned short, with
+ * hasNextPage set while the listing goes on; the next page carries on from there.
+ * @param {Function} loadPage - async (listingPage) => { results, hasNextPage }, listingPage 1-based.
+ * @param {Function} keep - (result) => boolean.
+ * @param {number} page - The results page wanted (1-based).
+ * @param {object} [options]
+ * @param {number} [options.maxPages=10] - Listing pages read for one results page at most.
+ * @returns {Promise<{results: Array<object>, hasNextPage: boolean, page: number}>}
+ */
+export const fillPage = async (loadPage, keep, page, { maxPages = 10 } = {}) => {
+  let size = 0;
+  let pending = [];
+  let listingPage = 0;
+  let more = true;
+  for (let current = 1; ; current++) {
+    for (let read = 0; more && read < maxPages && !(size && pending.length >= size); read++) {
+      const loaded = await loadPage(++listingPage);
+      size = size || loaded.results.length;
+      pending.push(...loaded.results.filter(keep));
+      more = loaded.hasNextPage;
+    }
+    const results = pending.slice(0, size);
+    pending = pending.slice(size);
+    const hasNextPage = more || pending.length > 0;
+    if (current === page || !hasNextPage) {
+      return { results: current === page ? results : [], hasNextPage, page };
+    }
+  }
+};
+
+/**
+ * Load pages with a bounded number in flight, yielding each result in page order.
+ * Stops at the first failure, which is thrown; loads already started then run
+ * out on their own.
+ * @param {Array<*>} pages - What load() takes for each page, e.g. page paths.
+ * @param {Function} load - async (page, index) => result.
+ * @param {object} [options]
+ * @param {number} [options.concurrency=3] - Loads running at once.
+ * @returns {AsyncGenerator<*>} - The results of load(), in the order of pages.
+ */
+export async function* loadInOrder(pages, load, { concurrency = 3 } = {}) {
+  const running = [];
+  let next = 0;
+  const start = () => {
+    const index = next++;
+    const loading = Promise.resolve().then(() => load(pages[index], index));
+    loading.catch(() => {}); // Awaited below; this only keeps abandoned loads from going unhandled
+    running.push(loading);
+  };
+  while (next < pages.length && running.length < Math.max(1, concurrency)) start();
+  while (running.length) {
+    const result = await running.shift();
+    if (next < pages.length) start();
+    yield result;
+  }
+}
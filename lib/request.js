@@ -0,0 +1,193 @@
+/**
+ * Polite fetch: retries with backoff, Retry-After and per-host rate limits.
+ *
+ * Modules wrap their injected fetch once and send every request through the
+ * result, so bulk operations (downloads, library updates) stay within what a
+ * site tolerates:
+ *
+ *   const request = createRequester(fetch, { concurrency: 2, minInterval: 300 });
+ *
+ * Only GET and HEAD requests are retried. Retries happen on network errors,
+ * 408, 429 and 5xx, with exponential backoff plus jitter; a Retry-After header
+ * replaces the computed delay and pauses the whole host. When the retries run
+ * out the last response is returned (or the last error thrown) so callers can
+ * report it as usual.
+ *
+ * A request whose options.signal fires stops at once, whether it is in flight,
+ * queued for a slot or waiting out a backoff, and rejects with an AbortError.
+ */
+import { abortedError, parseRetryAfter, throwIfAborted } from './errors.js';
+import { defaultLog } from './log.js';
+
+const RETRY_STATUSES = new Set([408, 429, 500, 502, 503, 504, 520, 521, 522, 523, 524]);
+const RETRY_METHODS = new Set(['GET', 'HEAD']);
+
+const defaultSleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return '';
+  }
+};
+
+// Wait for a promise unless the signal fires first; then reject with an AbortError.
+const unlessAborted = (signal, url, wait) => {
+  if (!signal) return wait;
+  return new Promise((resolve, reject) => {
+    const abort = () => reject(abortedError(signal, url));
+    if (signal.aborted) {
+      abort();
+      return;
+    }
+    signal.addEventListener('abort', abort, { once: true });
+    wait.then(
+      (value) => { signal.removeEventListener('abort', abort); resolve(value); },
+      (error) => { signal.removeEventListener('abort', abort); reject(error); },
+    );
+  });
+};
+
+// Retry-After in milliseconds, or null.
+const retryAfterMs = (response) => {
+  const seconds = parseRetryAfter(response.headers && response.headers.get ? response.headers.get('retry-after') : null);
+  return seconds === null ? null : seconds * 1000;
+};
+
+// Aborted requests and the module's own typed errors are final; anything else thrown by fetch is transport trouble.
+const isRetryableError = error => error && error.name !== 'AbortError' && error.retryable !== false;
+
+// Cloudflare marks challenge pages; asking again will not get past them.
+const isRetryableResponse = response => RETRY_STATUSES.has(response.status)
+  && !(response.headers && response.headers.get && response.headers.get('cf-mitigated'));
+
+/**
+ * Wrap a fetch with retries and per-host rate limiting.
+ * @param {Function} fetch - The module's injected fetch.
+ * @param {object} [options]
+ * @param {number} [options.retries=3] - Retries after the first attempt.
+ * @param {number} [options.baseDelay=500] - Backoff before the first retry, in ms; doubles each time.
+ * @param {number} [options.maxDelay=30000] - Cap for computed backoff, in ms.
+ * @param {number} [options.maxRetryAfter=60000] - Longest Retry-After honored, in ms; longer waits are not retried.
+ * @param {number} [options.concurrency=2] - Requests in flight per host.
+ * @param {number} [options.minInterval=0] - Minimum time between request starts per host, in ms.
+ * @param {Function} [options.sleep] - (ms) => Promise; injectable for tests.
+ * @param {Function} [options.random=Math.random] - Jitter source; injectable for tests.
+ * @param {object} [options.log] - Log for retry warnings (see lib/log.js).
+ * @returns {Function} - fetch(url, options) with the same contract as the wrapped fetch.
+ */
+export const createRequester = (fetch, {
+  retries = 3,
+  baseDelay = 500,
+  maxDelay = 30000,
+  maxRetryAfter = 60000,
+  concurrency = 2,
+  minInterval = 0,
+  sleep = defaultSleep,
+  random = Math.random,
+  log = defaultLog,
+} = {}) => {
+  const hosts = new Map();
+
+  const hostState = (host) => {
+    if (!hosts.has(host)) hosts.set(host, { active: 0, waiting: [], nextStart: 0 });
+    return hosts.get(host);
+  };
+
+  // Take a slot for the host, then wait out its minimum interval (or Retry-After pause).
+  // An abort gives up the place in the queue, or the slot if it was already taken.
+  const acquire = async (state, signal, url) => {
+    if (state.active < concurrency) {
+      state.active++;
+    } else {
+      let handOver;
+      const slot = new Promise((resolve) => { // Slot handed over by release()
+        handOver = resolve;
+        state.waiting.push(resolve);
+      });
+      try {
+        await unlessAborted(signal, url, slot);
+      } catch (error) {
+        const queued = state.waiting.indexOf(handOver);
+        if (queued >= 0) {
+          state.waiting.splice(queued, 1);
+        } else {
+          release(state); // Handed over just as the abort came in; pass it on
+        }
+        throw error;
+      }
+    }
+    const now = Date.now();
+    const startAt = Math.max(now, state.nextStart);
+    state.nextStart = startAt + minInterval;
+    if (startAt > now) {
+      try {
+        await unlessAborted(signal, url, sleep(startAt - now));
+      } catch (error) {
+        release(state);
+        throw error;
+      }
+    }
+  };
+
+  const release = (state) => {
+    const next = state.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      state.active--;
+    }
+  };
+
+  // Exponential backoff with "equal jitter": half fixed, half random.
+  const backoff = (attempt) => {
+    const delay = Math.min(maxDelay, baseDelay * 2 ** attempt);
+    return Math.round(delay / 2 + random() * (delay / 2));
+  };
+
+  const discard = (response) => {
+    if (response.body && typeof response.body.cancel === 'function') response.body.cancel().catch(() => {});
+  };
+
+  return async (url, options = {}) => {
+    const state = hostState(hostOf(url));
+    const canRetry = RETRY_METHODS.has((options.method || 'GET').toUpperCase());
+    const { signal } = options;
+
+    for (let attempt = 0; ; attempt++) {
+      throwIfAborted(signal, url);
+      await acquire(state, signal, url);
+      let response = null;
+      let error = null;
+      try {
+        response = await fetch(url, options);
+      } catch (caught) {
+        error = caught;
+      } finally {
+        release(state);
+      }
+
+      const retryable = error ? isRetryableError(error) : isRetryableResponse(response);
+      if (!canRetry || !retryable || attempt >= retries) {
+        if (error) throw error;
+        return response;
+      }
+
+      let delay = backoff(attempt);
+      if (response) {
+        const requested = retryAfterMs(response);
+        if (requested !== null) {
+          if (requested > maxRetryAfter) return response; // Too long to wait inline; let the caller decide
+          delay = requested;
+          state.nextStart = Math.max(state.nextStart, Date.now() + requested); // Pause the whole host
+        }
+        discard(response);
+      }
+      log.warn(`Retrying ${url} in ${delay}ms (${error ? error.message : `HTTP ${response.status}`})`, {
+        url, attempt: attempt + 1, delayMs: delay, status: response ? response.status : null,
+      });
+      await unlessAborted(signal, url, sleep(delay));
+    }
+  };
+};
@@ -0,0 +1,185 @@
+/**
+ * Search across modules.
+ *
+ *   const { groups, sources } = await searchAll([mangapill, readnovelfull, readwn], 'martial peak', {
+ *     timeoutMs: 10000,
+ *     onUpdate: ({ groups }) => render(groups),
+ *   });
+ *
+ * Every module's search() runs at once, each with its own time limit. As each
+ * one answers, onUpdate() gets the grouped results so far, so the host can show
+ * the fast sources without waiting for the slow ones. A source that fails or
+ * runs out of time is reported in sources[] and the others carry on.
+ *
+ * Results are grouped when their titles match after normalization (case,
+ * accents, punctuation, leading articles, bracketed notes like "(Novel)"), or
+ * are close enough by bigram similarity to absorb small spelling differences.
+ * A group holds at most one result per source: two hits from the same site are
+ * two different books.
+ */
+import { TimeoutError, abortedError, throwIfAborted } from './errors.js';
+import { defaultLog } from './log.js';
+
+export const DEFAULT_SEARCH_TIMEOUT = 15000;
+
+// Titles at least this similar (Dice coefficient of character bigrams) are the same book.
+export const DEFAULT_MATCH_THRESHOLD = 0.85;
+
+// --- Titles ---
+
+/**
+ * A title reduced to what identifies the book.
+ * @param {string} title - e.g. 'The Beginning After the End (Novel)'.
+ * @returns {string} - e.g. 'beginning after the end'.
+ */
+export const normalizeTitle = (title) => {
+  const plain = String(title || '').normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase().replace(/&/g, ' and ');
+  const unbracketed = plain.replace(/[([{][^)\]}]*[)\]}]/g, ' ');
+  const words = (/[\p{L}\p{N}]/u.test(unbracketed) ? unbracketed : plain) // Keep a title that is all brackets
+    .replace(/[^\p{L}\p{N}]+/gu, ' ').trim().split(' ').filter(Boolean);
+  return (words.length > 1 && ['the', 'a', 'an'].includes(words[0]) ? words.slice(1) : words).join(' ');
+};
+
+const bigrams = (key) => {
+  const compact = key.replace(/ /g, '');
+  const pairs = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const pair = compact.slice(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+  return pairs;
+};
+
+/**
+ * How alike two titles are, from 0 to 1, after normalizeTitle().
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - 1 for the same normalized title.
+ */
+export const titleSimilarity = (a, b) => {
+  const left = normalizeTitle(a);
+  const right = normalizeTitle(b);
+  if (left === right) return 1;
+  const leftPairs = bigrams(left);
+  const rightPairs = bigrams(right);
+  let total = 0;
+  let shared = 0;
+  for (const count of leftPairs.values()) total += count;
+  for (const [pair, count] of rightPairs) {
+    total += count;
+    shared += Math.min(count, leftPairs.get(pair) || 0);
+  }
+  return total ? (2 * shared) / total : 0;
+};
+
+// --- Grouping ---
+
+/**
+ * Group results from several sources by title.
+ * @param {Array<{source: object, result: object}>} entries - In display order; source is { id, name }.
+ * @param {object} [options]
+ * @param {number} [options.threshold=DEFAULT_MATCH_THRESHOLD]
+ * @returns {Array<object>} - [{ title, key, items: [{ source, result }] }], in order of first appearance.
+ */
+export const groupResults = (entries, { threshold = DEFAULT_MATCH_THRESHOLD } = {}) => {
+  const groups = [];
+  for (const entry of entries) {
+    const key = normalizeTitle(entry.result.title);
+    const group = groups.find(candidate => !candidate.items.some(item => item.source.id === entry.source.id)
+      && (candidate.key === key || titleSimilarity(candidate.key, key) >= threshold));
+    if (group) {
+      group.items.push(entry);
+    } else {
+      groups.push({ title: entry.result.title, key, items: [entry] });
+    }
+  }
+  return groups;
+};
+
+// --- Searching ---
+
+const sourceInfo = (source, index) => ({ id: source.id || `source-${index}`, name: source.name || source.id || `Source ${index + 1}` });
+
+// One source's search, bounded by the timeout and the caller's signal.
+const searchSource = (source, query, { timeoutMs, signal }) => {
+  const controller = new AbortController();
+  let timer = null;
+  let cancel = null;
+  const stopped = new Promise((resolve, reject) => {
+    cancel = () => {
+      controller.abort(signal.reason);
+      reject(abortedError(signal));
+    };
+    timer = setTimeout(() => {
+      const error = new TimeoutError(`${source.name || source.id} did not answer within ${timeoutMs}ms`, { timeoutMs });
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+  if (signal) signal.addEventListener('abort', cancel, { once: true });
+  const search = Promise.resolve().then(() => source.search(query, { signal: controller.signal }));
+  search.catch(() => {}); // Still settles after a timeout or abort; nobody is listening by then
+  return Promise.race([search, stopped]).finally(() => {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', cancel);
+  });
+};
+
+/**
+ * Search every given module at once and group the results by title.
+ * @param {Array<object>} sources - Module instances (each with search(), id and name), in display order.
+ * @param {string} query
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs=DEFAULT_SEARCH_TIMEOUT] - Time each source gets; a slower one fails with a TimeoutError.
+ * @param {number} [options.threshold=DEFAULT_MATCH_THRESHOLD] - Title similarity needed to group results.
+ * @param {Function} [options.onUpdate] - Called each time a source settles with
+ *   { source, groups, sources, pending } (source is the one that just settled).
+ *   Errors it throws are logged and do not stop the search.
+ * @param {AbortSignal} [options.signal] - Cancels every search; the call then rejects with an AbortError.
+ * @param {object} [options.log] - Log for failing sources and onUpdate errors (see lib/log.js).
+ * @returns {Promise<object>} - { groups, sources }: groups as from groupResults(), and one
+ *   { id, name, status: 'ok' | 'failed', results, error } per source, in the order given.
+ */
+export const searchAll = async (sources, query, {
+  timeoutMs = DEFAULT_SEARCH_TIMEOUT,
+  threshold = DEFAULT_MATCH_THRESHOLD,
+  onUpdate,
+  signal,
+  log = defaultLog,
+} = {}) => {
+  throwIfAborted(signal);
+  const states = sources.map((source, index) => ({ ...sourceInfo(source, index), status: 'pending', results: [], error: null }));
+
+  const snapshot = () => {
+    const entries = states.flatMap(state => state.results.map(result => ({ source: { id: state.id, name: state.name }, result })));
+    return {
+      groups: groupResults(entries, { threshold }),
+      sources: states.map(state => ({ ...state, results: [...state.results] })),
+    };
+  };
+
+  const settle = (index, outcome) => {
+    if (signal && signal.aborted) return;
+    Object.assign(states[index], outcome);
+    if (outcome.error) {
+      log.warn(`Search failed on ${states[index].name}: ${outcome.error.message}`, { source: states[index].id, error: outcome.error });
+    }
+    if (onUpdate) {
+      try {
+        onUpdate({ source: states[index].id, ...snapshot(), pending: states.filter(state => state.status === 'pending').length });
+      } catch (error) {
+        // A failing callback must not cost the other sources their results
+        log.error(`onUpdate failed after ${states[index].name} answered: ${error.message}`, { source: states[index].id, error });
+      }
+    }
+  };
+
+  await Promise.all(sources.map((source, index) => searchSource(source, query, { timeoutMs, signal })
+    .then((answer) => {
+      const results = Array.isArray(answer) ? answer : (answer && answer.results) || [];
+      settle(index, { status: 'ok', results });
+    }, error => settle(index, { status: 'failed', error }))));
+
+  if (signal && signal.aborted) throw abortedError(signal);
+  return snapshot();
+};
@@ -0,0 +1,112 @@
+/**
+ * Shared helpers for per-module user settings.
+ *
+ * A module describes its settings as plain data, like its filters (see
+ * lib/filters.js), so the host can render a settings screen generically:
+ *
+ *   {
+ *     key: 'textStyle',            // key used in configure({ textStyle })
+ *     label: 'Text formatting',
+ *     type: 'select',              // 'select', 'toggle' (boolean), 'text' or 'number'
+ *     options: [{ value: 'paragraphs', label: 'Blank line between paragraphs' }],
+ *     default: 'paragraphs',
+ *     description: 'Layout of chapters read as plain text.', // optional, shown as help text
+ *   }
+ *
+ * Number settings may add min and max. The host keeps the chosen values in its
+ * own storage and passes them to module.configure() after creating the module
+ * and whenever the user changes one.
+ */
+
+export const SETTING_TYPES = ['select', 'toggle', 'text', 'number'];
+
+const isValid = (definition, value) => {
+  switch (definition.type) {
+    case 'select': return definition.options.some(option => option.value === value);
+    case 'toggle': return typeof value === 'boolean';
+    case 'text': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value)
+      && (definition.min === undefined || value >= definition.min)
+      && (definition.max === undefined || value <= definition.max);
+    default: return false;
+  }
+};
+
+/**
+ * Check a module's setting definitions: known types, options for selects, valid defaults.
+ * @param {Array<object>} definitions
+ * @throws {Error} - Naming the first broken definition.
+ */
+export const validateSettingsSchema = (definitions) => {
+  const keys = new Set();
+  for (const definition of definitions) {
+    const { key, label, type } = definition;
+    if (!key || !label) throw new Error('Every setting needs a key and a label.');
+    if (keys.has(key)) throw new Error(`Setting "${key}" is defined twice.`);
+    keys.add(key);
+    if (!SETTING_TYPES.includes(type)) throw new Error(`Setting "${key}" has unknown type "${type}".`);
+    if (type === 'select' && !(Array.isArray(definition.options) && definition.options.length)) {
+      throw new Error(`Select setting "${key}" has no options.`);
+    }
+    if (!isValid(definition, definition.default)) throw new Error(`Setting "${key}" has an invalid default.`);
+  }
+};
+
+/**
+ * The default value of every setting.
+ * @param {Array<object>} definitions
+ * @returns {object} - { key: default }
+ */
+export const defaultSettings = definitions => Object.fromEntries(definitions.map(definition => [definition.key, definition.default]));
+
+/**
+ * Apply changes to a module's current settings.
+ * Like filters, unknown keys and invalid values throw, since they point to a
+ * host bug; null or undefined puts a setting back to its default.
+ * @param {Array<object>} definitions - The module's setting definitions.
+ * @param {object} current - The values in effect.
+ * @param {object} [changes] - { key: value } as passed by the host.
+ * @returns {object} - The full set of values, current ones updated by the changes.
+ */
+export const resolveSettings = (definitions, current, changes) => {
+  const resolved = { ...current };
+  for (const [key, value] of Object.entries(changes || {})) {
+    const definition = definitions.find(setting => setting.key === key);
+    if (!definition) {
+      throw new Error(`Unknown setting "${key}". Supported: ${definitions.map(setting => setting.key).join(', ')}`);
+    }
+    if (value === undefined || value === null) {
+      resolved[key] = definition.default;
+    } else if (isValid(definition, value)) {
+      resolved[key] = value;
+    } else {
+      throw new Error(`Unsupported value ${JSON.stringify(value)} for setting "${key}".`);
+    }
+  }
+  return resolved;
+};
+
+/**
+ * Copy of a module's setting definitions, safe to hand to the host.
+ * @param {Array<object>} definitions
+ * @returns {Array<object>}
+ */
+export const describeSettings = definitions => JSON.parse(JSON.stringify(definitions));
+
+/**
+ * The 'mirror' setting every multi-domain module offers: automatic failover,
+ * or one domain tried first (see prefer() in lib/mirrors.js).
+ * @param {Array<string>} domains - The module's mirror list.
+ * @returns {object} - A select definition defaulting to 'auto'.
+ */
+export const mirrorSetting = domains => ({
+  key: 'mirror',
+  label: 'Preferred domain',
+  type: 'select',
+  options: [
+    { value: 'auto', label: 'Automatic' },
+    ...domains.map(domain => ({ value: domain, label: new URL(domain).host })),
+  ],
+  default: 'auto',
+  description: 'Domain tried first. Others are still used when it is down.',
+});
@@ -0,0 +1,59 @@
+/**
+ * Reading long pages in pieces as they arrive.
+ *
+ * Some listings (a chapter archive of thousands of chapters) are too long to
+ * hold as one string. readPageChunks() hands their HTML on piece by piece,
+ * with the checks readPage() makes, so it can be parsed as it comes in:
+ *
+ *   for await (const item of parseListItems(readPageChunks(response, url, signal))) ...
+ *
+ * Such responses are not cached (see lib/cache.js), so stopping early (a
+ * break, an error, an abort) cancels the body and the download stops with it.
+ */
+import { abortedError, challengeError, challengeProvider, isAbort, readPage, throwIfAborted } from './errors.js';
+
+// Characters kept from the end of the last piece, so challenge markers split between pieces still match.
+const TAIL_LENGTH = 256;
+
+/**
+ * readPage() for long pages, yielding the HTML in pieces as it arrives instead
+ * of all at once. The same errors are thrown, a challenge page as soon as one
+ * shows. Responses without a readable body (cached ones) come as one piece.
+ * @param {object} response
+ * @param {string} url - The requested URL, for error messages.
+ * @param {AbortSignal} [signal]
+ * @returns {AsyncGenerator<string>} - The body of a successful, non-challenge response, in pieces.
+ */
+export async function* readPageChunks(response, url, signal) {
+  if (!response.ok || !response.body || typeof response.body.getReader !== 'function') {
+    yield await readPage(response, url, signal);
+    return;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let tail = '';
+  let done = false;
+  try {
+    while (!done) {
+      throwIfAborted(signal, url);
+      let read;
+      try {
+        read = await reader.read();
+      } catch (error) {
+        if (isAbort(error, signal)) throw abortedError(signal, url);
+        throw error;
+      }
+      throwIfAborted(signal, url);
+      done = read.done;
+      const chunk = done ? decoder.decode() : decoder.decode(read.value, { stream: true });
+      const provider = challengeProvider(response, tail + chunk);
+      if (provider) throw challengeError(response.url || url, provider);
+      if (chunk) yield chunk;
+      tail = (tail + chunk).slice(-TAIL_LENGTH);
+    }
+  } finally {
+    // Stops the download when the reader gives up before the end
+    if (!done) reader.cancel().catch(() => {});
+  }
+}
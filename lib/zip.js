@@ -0,0 +1,167 @@
+/**
+ * Dependency-free ZIP writer for export containers (EPUB, CBZ).
+ *
+ *   const zip = createZip();
+ *   zip.add('mimetype', 'application/epub+zip', { compress: false });
+ *   zip.add('OEBPS/chapter-1.xhtml', xhtml);
+ *   const bytes = await zip.toBytes();
+ *
+ * Entries are deflated with the platform's CompressionStream where it exists
+ * (browsers, Node 21+) and stored otherwise, so no native code or external
+ * binaries are involved. Archives stay under the 4 GB limit of plain ZIP.
+ */
+
+const encoder = new TextEncoder();
+
+const STORE = 0;
+const DEFLATE = 8;
+const UTF8_NAMES = 0x0800; // General purpose flag: file names are UTF-8
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 of some bytes, as stored in ZIP headers.
+ * @param {Uint8Array} data
+ * @returns {number} - Unsigned 32-bit checksum.
+ */
+export const crc32 = (data) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// MS-DOS time and date fields (local time, two-second resolution, years from 1980).
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+const canDeflate = () => {
+  try {
+    return typeof CompressionStream === 'function' && Boolean(new CompressionStream('deflate-raw'));
+  } catch (error) {
+    return false; // Older runtimes only know 'gzip' and 'deflate'
+  }
+};
+
+const deflateRaw = async (data) => {
+  const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Start a new archive.
+ * @param {object} [options]
+ * @param {Date} [options.date=new Date()] - Modification time written for every entry.
+ * @param {boolean} [options.compress=true] - Deflate entries when the runtime supports it.
+ * @returns {object} - { add(name, data, options), has(name), toBytes() }
+ */
+export const createZip = ({ date = new Date(), compress = true } = {}) => {
+  const entries = [];
+  const names = new Set();
+  const stamp = dosDateTime(date);
+
+  return {
+    /**
+     * Queue a file. Entries are written in the order they are added.
+     * @param {string} name - Path inside the archive, with forward slashes.
+     * @param {string|Uint8Array} data - Strings are written as UTF-8.
+     * @param {object} [options]
+     * @param {boolean} [options.compress] - false to store this entry as is (e.g. EPUB's mimetype).
+     * @returns {object} - The archive, for chaining.
+     */
+    add(name, data, { compress: compressEntry = true } = {}) {
+      if (!name || name.startsWith('/') || name.includes('\\')) throw new Error(`Invalid ZIP entry name "${name}".`);
+      if (names.has(name)) throw new Error(`Duplicate ZIP entry "${name}".`);
+      names.add(name);
+      entries.push({ name, data: typeof data === 'string' ? encoder.encode(data) : data, compress: compressEntry });
+      return this;
+    },
+
+    has(name) {
+      return names.has(name);
+    },
+
+    /**
+     * Build the archive.
+     * @returns {Promise<Uint8Array>}
+     */
+    async toBytes() {
+      const deflate = compress && canDeflate();
+      const chunks = [];
+      const central = [];
+      let offset = 0;
+
+      for (const entry of entries) {
+        const nameBytes = encoder.encode(entry.name);
+        const crc = crc32(entry.data);
+        let method = STORE;
+        let body = entry.data;
+        if (deflate && entry.compress && entry.data.length > 0) {
+          const packed = await deflateRaw(entry.data);
+          if (packed.length < entry.data.length) { // Already-compressed images usually do not shrink
+            method = DEFLATE;
+            body = packed;
+          }
+        }
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true); // Version needed: 2.0
+        local.setUint16(6, UTF8_NAMES, true);
+        local.setUint16(8, method, true);
+        local.setUint16(10, stamp.time, true);
+        local.setUint16(12, stamp.date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, body.length, true);
+        local.setUint32(22, entry.data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true); // No extra field
+        chunks.push(new Uint8Array(local.buffer), nameBytes, body);
+
+        const header = new DataView(new ArrayBuffer(46));
+        header.setUint32(0, 0x02014B50, true);
+        header.setUint16(4, 20, true); // Version made by
+        header.setUint16(6, 20, true); // Version needed
+        header.setUint16(8, UTF8_NAMES, true);
+        header.setUint16(10, method, true);
+        header.setUint16(12, stamp.time, true);
+        header.setUint16(14, stamp.date, true);
+        header.setUint32(16, crc, true);
+        header.setUint32(20, body.length, true);
+        header.setUint32(24, entry.data.length, true);
+        header.setUint16(28, nameBytes.length, true);
+        // Extra field and comment lengths, disk number and attributes stay 0
+        header.setUint32(42, offset, true);
+        central.push(new Uint8Array(header.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + body.length;
+      }
+
+      const centralSize = central.reduce((size, chunk) => size + chunk.length, 0);
+      const end = new DataView(new ArrayBuffer(22));
+      end.setUint32(0, 0x06054B50, true);
+      end.setUint16(8, entries.length, true); // Entries on this disk
+      end.setUint16(10, entries.length, true); // Entries in total
+      end.setUint32(12, centralSize, true);
+      end.setUint32(16, offset, true);
+
+      const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+      const bytes = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+      let position = 0;
+      for (const part of parts) {
+        bytes.set(part, position);
+        position += part.length;
+      }
+      return bytes;
+    },
+  };
+};
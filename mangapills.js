@@ -2,272 +2,624 @@
  * Rida Module for MangaPill.com
  *
  * Allows searching and reading manga from MangaPill.
- * Conforms to the Rida single-file module structure.
+ * Shared helpers are imported from ./lib; tools/registry.js hashes them together
+ * with this script into the module's index.json entry.
  */
-const mangapillModule = (fetch) => {
-  const baseURL = 'https://mangapill.com';
-
-  // --- Helper Function for Basic HTML Parsing ---
-  // CAUTION: Regex on HTML is brittle!
-  const extractAll = (html, regex) => {
-    const matches = [];
-    let match;
-    while ((match = regex.exec(html)) !== null) {
-      matches.push(match);
+import { parse, select, selectOne, attr, text, nextElement, closest } from './lib/html.js';
+import { hasNextPageLink, pageResult, requestedPage } from './lib/paging.js';
+import { describeFilters, optionsFrom, resolveFilters } from './lib/filters.js';
+import { defaultSettings, describeSettings, mirrorSetting, resolveSettings } from './lib/settings.js';
+import { describeFeeds } from './lib/feeds.js';
+import { describeChapter, orderChapters, unseenChapters } from './lib/chapters.js';
+import { bookMetadata, normalizeStatus, presentOrNull } from './lib/metadata.js';
+import { PAGE_FORMATS, fetchImageWith, parseSrcset, toPages } from './lib/images.js';
+import { createMirrors } from './lib/mirrors.js';
+import { createRequester } from './lib/request.js';
+import { createCachedFetch } from './lib/cache.js';
+import { createCookieJar, withCookies } from './lib/cookies.js';
+import { asSourceError, extractorError, readPage } from './lib/errors.js';
+import { createLog } from './lib/log.js';
+
+// The host may pass { cacheStore } (see lib/cache.js) to keep responses and the working mirror across sessions,
+// { cookieStore } (see lib/cookies.js) to keep session and verification cookies,
+// and { logger, logLevel } (see lib/log.js) to take over or quiet the module's logging.
+const mangapillModule = (fetch, { cacheStore, cookieStore, logger, logLevel } = {}) => {
+  // Domains the site is served from, in order of preference.
+  const MIRRORS = ['https://mangapill.com', 'https://www.mangapill.com'];
+  const log = createLog({ logger, level: logLevel, fields: { module: 'mangapill' } });
+  const cookieJar = createCookieJar({ store: cookieStore, key: 'mangapill:cookies', log });
+  // MangaPill answers bursts with 429s; keep chapter and page requests spaced out.
+  const request = createRequester(withCookies(fetch, cookieJar), { concurrency: 2, minInterval: 300, log });
+  const cache = createCachedFetch(request, { store: cacheStore, namespace: 'mangapill:', log });
+  const mirrors = createMirrors(cache, MIRRORS, { store: cacheStore, key: 'mangapill:mirror', log });
+  // Site requests and the image CDN both expect the site as Referer (unless the user set another).
+  const siteHeaders = () => ({ Referer: settings.referer || `${mirrors.baseUrl}/` });
+
+  // Filters accepted by /search (values are the site's own query parameter values).
+  const FILTERS = [
+    {
+      key: 'type',
+      label: 'Type',
+      type: 'select',
+      options: optionsFrom(['Manga', 'Novel', 'One-Shot', 'Doujinshi', 'Manhwa', 'Manhua', 'OEL'], label => label.toLowerCase()),
+    },
+    {
+      key: 'status',
+      label: 'Status',
+      type: 'select',
+      options: optionsFrom(['Publishing', 'Finished', 'On Hiatus', 'Discontinued', 'Not Yet Published'], label => label.toLowerCase()),
+    },
+    {
+      key: 'genre',
+      label: 'Genres',
+      type: 'multiselect',
+      options: optionsFrom([
+        'Action', 'Adventure', 'Cars', 'Comedy', 'Dementia', 'Demons', 'Drama', 'Ecchi', 'Fantasy',
+        'Game', 'Harem', 'Historical', 'Horror', 'Isekai', 'Josei', 'Kids', 'Magic', 'Martial Arts',
+        'Mecha', 'Military', 'Music', 'Mystery', 'Parody', 'Police', 'Psychological', 'Romance',
+        'Samurai', 'School', 'Sci-Fi', 'Seinen', 'Shoujo', 'Shoujo Ai', 'Shounen', 'Shounen Ai',
+        'Slice of Life', 'Space', 'Sports', 'Super Power', 'Supernatural', 'Thriller', 'Vampire',
+        'Yaoi', 'Yuri',
+      ]),
+    },
+  ];
+
+  // User settings, see getSettingsSchema() and configure().
+  const SETTINGS = [
+    mirrorSetting(MIRRORS),
+    {
+      key: 'referer',
+      label: 'Referer',
+      type: 'text',
+      default: '',
+      description: 'Referer sent to the site and its image CDN. Leave empty for the home page of the working domain.',
+    },
+    {
+      key: 'imageQuality',
+      label: 'Image quality',
+      type: 'select',
+      options: [
+        { value: 'original', label: 'Original' },
+        { value: 'data-saver', label: 'Data saver' },
+      ],
+      default: 'original',
+      description: 'Data saver loads the smallest size of each page the site offers; pages offered in one size load as they are.',
+    },
+  ];
+  let settings = defaultSettings(SETTINGS);
+
+  // --- Helper Functions ---
+
+  // Manga cards on search, home and latest-chapter pages: a cover image and a
+  // /manga/ link with a title block, sharing one container.
+  const parseMangaCards = (root) => {
+    const results = [];
+    for (const link of select(root, 'a[href^="/manga/"]')) {
+      const id = attr(link, 'href'); // e.g., /manga/1/one-piece
+      if (results.some(result => result.id === id)) continue;
+
+      // Walk up to the card: the nearest ancestor that also holds the cover image
+      let card = link;
+      for (let depth = 0; card && card.type === 'element' && depth < 4 && !selectOne(card, 'img[data-src]'); depth++) {
+        card = card.parent;
+      }
+      if (!card || card.type !== 'element') continue;
+      if (card === link) card = link.parent; // Cover link: the title sits next to it
+
+      const img = selectOne(card, 'img[data-src]');
+      const coverUrl = attr(img, 'data-src'); // Usually absolute URL in data-src
+      // Title from the div below image is more reliable than the img alt; the link's own
+      // title block comes first, as latest-chapter cards also carry the chapter's heading
+      const titleBlock = '[class*="font-bold"], [class*="font-black"]';
+      const title = text(selectOne(link, titleBlock)) || text(selectOne(card, titleBlock)) || attr(img, 'alt') || text(link);
+
+      // Description and Author are not directly available on listing pages
+      const description = null; // Get full description in getBookDetails
+      const author = null; // Try to get in getBookDetails
+
+      if (title) {
+        results.push({
+          id: id,
+          title: title,
+          author: author,
+          coverUrl: coverUrl,
+          description: description,
+        });
+      }
     }
-    return matches;
+    return results;
+  };
+
+  // Fetch one page of a browse feed; failures throw typed errors, like search.
+  const browse = async (label, url, page, signal, pickSection = doc => doc) => {
+    const op = log.operation('browse', { url, feed: label });
+    op.debug(`Fetching ${label}`);
+    try {
+      const response = await mirrors.fetch(url, {
+          method: 'GET',
+          headers: siteHeaders(),
+          cacheHint: { resource: 'search' },
+          signal
+      });
+      const doc = parse(await readPage(response, url, signal));
+      const results = parseMangaCards(pickSection(doc));
+      op.info(`Parsed ${results.length} ${label} results`, { count: results.length });
+      return { results, hasNextPage: hasNextPageLink(doc, page), page };
+    } catch (error) {
+      throw op.failed(asSourceError(error, 'manga-cards', url));
+    }
+  };
+
+  // Value cell of the "<label>Label</label><div>value</div>" pairs on the details page
+  // (older pages use a <div> for the label).
+  const labelledValue = (doc, labels) => {
+    const label = select(doc, 'label, div').find(node => !selectOne(node, '*') && labels.includes(text(node)));
+    return text(nextElement(label));
   };
 
-  const extractFirst = (html, regex) => {
-      const match = html.match(regex);
-      return match ? match.slice(1) : null; // Return capture groups
+  // Chapters from the details page's div#chapters (listed newest first), in ascending reading order.
+  const parseChapterList = (doc, html, id, url) => {
+    const chapterList = selectOne(doc, 'div#chapters');
+    if (!chapterList) {
+      throw extractorError('chapter-list', `Chapter list (div#chapters) not found for ${id}`, { url, html, patterns: ['div#chapters'] });
+    }
+    const listed = [];
+    for (const link of select(chapterList, 'a[href^="/chapters/"]')) {
+      const chapterTitle = text(link);
+      if (chapterTitle) {
+        listed.push(describeChapter({
+          id: attr(link, 'href'), // e.g., /chapters/1-1000000/one-piece-chapter-0, used as ID for getContent
+          title: chapterTitle,
+        }));
+      }
+    }
+    return orderChapters(listed);
   };
 
-   // Simple HTML entity decoder
-   const decodeEntities = (encodedString) => {
-    if (!encodedString) return '';
-    const translate_re = /&(nbsp|amp|quot|lt|gt);/g;
-    const translate = {
-        "nbsp": " ", "amp" : "&", "quot": "\"", "lt"  : "<", "gt"  : ">"
+  // Ids for a link to a manga (/manga/<n>/<slug>) or chapter (/chapters/<n>-<m>/<slug>) page, see resolveUrl().
+  // Chapter slugs read '<manga slug>-chapter-<number>', which gives the manga's id back.
+  const resolveLink = (url) => {
+    const path = mirrors.linkPath(url);
+    const book = path && path.match(/^\/manga\/(\d+)\/([^/]+)\/?$/);
+    if (book) return { type: 'book', bookId: `/manga/${book[1]}/${book[2]}`, chapterId: null };
+    const chapter = path && path.match(/^\/chapters\/(\d+)-\d+\/([^/]+?)\/?$/);
+    if (!chapter) return null;
+    const slug = chapter[2].match(/^(.+)-chapter-[\d.]+$/);
+    return {
+      type: 'chapter',
+      bookId: slug ? `/manga/${chapter[1]}/${slug[1]}` : null,
+      chapterId: path.replace(/\/$/, ''),
     };
-    let decoded = encodedString.replace(translate_re, (match, entity) => translate[entity]);
-     // Numerical entities
-    decoded = decoded.replace(/&#(\d+);/gi, (match, numStr) => String.fromCharCode(parseInt(numStr, 10)));
-     // Hex entities
-    decoded = decoded.replace(/&#x([0-9A-Fa-f]+);/gi, (match, hexStr) => String.fromCharCode(parseInt(hexStr, 16)));
-    return decoded;
-  }
+  };
 
   // --- Module Definition ---
   return {
     // --- Module Information ---
     id: 'mangapill', // Corresponds to JSON 'id'
     name: 'MangaPill', // Corresponds to JSON 'name'
-    version: '1.0.1', // Corresponds to JSON 'version'
+    version: '1.5.8', // Corresponds to JSON 'version'
     author: 'AI Assistant (Adapted for Rida)', // Corresponds to JSON 'author'
     description: 'Search and read manga from MangaPill.com.', // Corresponds to JSON 'description'
     supportedLanguages: ['en'], // Corresponds to JSON 'supportedLanguages'
     isEnabled: true,          // Corresponds to JSON 'isEnabled'
-    baseURL: baseURL, // Expose baseURL for potential external use/debugging
+    get baseURL() { return mirrors.baseUrl; }, // The mirror that last answered
+    mirrors: MIRRORS,
+    feeds: describeFeeds(['popular', 'latest', 'genre'], { genres: FILTERS.find(filter => filter.key === 'genre').options }),
+    contractVersion: 1, // The v1 shapes; adaptModule() in lib/contract.js presents the module as v2
+    contentType: 'images',
+    capabilities: { searchPages: true, filters: true, feeds: true, settings: true, urlResolution: true, chapterStream: false },
 
     // --- Required Methods ---
 
     /**
      * Search for manga.
      * @param {string} query - The search term.
-     * @returns {Promise<Array<object>>} - Array of book results.
+     * @param {object} [options]
+     * @param {number} [options.page=1] - Results page (1-based).
+     * @param {object} [options.filters] - Selected filters, see getFilters().
+     * @param {AbortSignal} [options.signal] - Cancels the call, which then rejects with an AbortError.
+     * @returns {Promise<Array<object>|object>} - Array of book results, or
+     *   { results, hasNextPage, page } when options are passed.
+     * @throws {SourceError} - When the site cannot be reached or answers with an error;
+     *   an empty result list always means "no matches".
      */
-    async search(query) {
-      const searchURL = `${baseURL}/search?q=${encodeURIComponent(query)}`;
-      console.log(`Searching MangaPill: ${searchURL}`);
+    async search(query, options) {
+      const page = requestedPage(options);
+      const signal = options && options.signal;
+      const filters = resolveFilters(FILTERS, options && options.filters);
+      const params = [`q=${encodeURIComponent(query || '')}`];
+      for (const { key } of FILTERS) {
+        for (const value of [].concat(filters[key] || [])) {
+          params.push(`${key}=${encodeURIComponent(value)}`);
+        }
+      }
+      if (page > 1) params.push(`page=${page}`);
+      const searchURL = `/search?${params.join('&')}`;
+      const op = log.operation('search', { url: searchURL });
+      op.debug(`Searching for "${query || ''}"`);
 
       try {
-        const response = await fetch(searchURL, {
+        const response = await mirrors.fetch(searchURL, {
             method: 'GET',
-            headers: { 'Referer': baseURL + '/' } // Add Referer
+            headers: siteHeaders(), // Add Referer
+            cacheHint: { resource: 'search' },
+            signal
         });
 
-        if (!response.ok) {
-          console.error(`Search failed: ${response.status} ${response.statusText}`);
-          return [];
-        }
-
-        const html = await response.text();
-        const results = [];
-
-        // Regex to find search result blocks (adjust if structure changes)
-        // Captures: 1=manga path, 2=image URL, 3=title (from img alt), 4=title (from div)
-        const itemRegex = /<a href="(\/manga\/[^"]+)"[^>]*>\s*<img[^>]+data-src="([^"]+)"[^>]*alt="([^"]+)"[^>]*>\s*<\/a>\s*<div class="mt-3 font-bold[^"]*">([^<]+)<\/div>/gi;
-
-
-        const matches = extractAll(html, itemRegex);
-        console.log(`Found ${matches.length} potential search results.`);
-
-
-        for (const match of matches) {
-          // Basic check if the structure looks like a valid manga item link
-           if (match[1] && match[1].startsWith('/manga/')) {
-                const id = match[1]; // e.g., /manga/1/one-piece
-                const coverUrl = match[2]; // Usually absolute URL in data-src
-                const title = decodeEntities(match[4].trim()); // Title from the div below image more reliable
-
-                // Description and Author are not directly available on search page
-                const description = ''; // Get full description in getBookDetails
-                const author = ''; // Try to get in getBookDetails
-
-                results.push({
-                  id: id,
-                  title: title,
-                  author: author,
-                  coverUrl: coverUrl,
-                  description: description,
-                });
-            }
-        }
-
-        console.log(`Parsed ${results.length} valid results.`);
-        return results;
+        const doc = parse(await readPage(response, searchURL, signal));
+        const results = parseMangaCards(doc);
+        op.info(`Parsed ${results.length} results`, { count: results.length });
+        return pageResult(results, hasNextPageLink(doc, page), page, options);
 
       } catch (error) {
-        console.error('MangaPill Search Error:', error);
-        return []; // Return empty array on error as per Rida guide
+        throw op.failed(asSourceError(error, 'manga-cards', searchURL));
       }
     },
 
     /**
      * Get detailed information for a specific manga.
      * @param {string} id - The manga ID (path, e.g., /manga/1/one-piece).
-     * @returns {Promise<object>} - Detailed book information including chapters.
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the call, which then rejects with an AbortError.
+     * @returns {Promise<object>} - Detailed book information, normalized as described in
+     *   lib/metadata.js (missing fields are null), including chapters
+     *   ({ id, title, number, volume, kind, releaseDate }, oldest first).
      */
-    async getBookDetails(id) {
-      const bookURL = baseURL + id;
-      console.log(`Fetching details for: ${bookURL}`);
+    async getBookDetails(id, options) {
+      const signal = options && options.signal;
+      const bookURL = mirrors.path(id); // Ids are paths; URLs from an older domain work too
+      const op = log.operation('getBookDetails', { url: bookURL });
+      op.debug('Fetching details');
 
       try {
-        const response = await fetch(bookURL, {
+        const response = await mirrors.fetch(bookURL, {
              method: 'GET',
-             headers: { 'Referer': baseURL + '/' }
+             headers: siteHeaders(),
+             cacheHint: { resource: 'details', book: id },
+             signal
         });
 
-        if (!response.ok) {
-          throw new Error(`Failed to fetch book details: ${response.status}`);
-        }
-
-        const html = await response.text();
+        const html = await readPage(response, bookURL, signal);
+        const doc = parse(html);
 
-        // --- Extract Details using Regex ---
+        // --- Extract Details ---
 
         // Title (from h1)
-        const titleMatch = extractFirst(html, /<h1[^>]*>([^<]+)<\/h1>/i);
-        const title = titleMatch ? decodeEntities(titleMatch[0].trim()) : 'Unknown Title';
+        const title = presentOrNull(text(selectOne(doc, 'h1')));
 
         // Cover URL (from img with data-src inside the main container)
-        const coverMatch = extractFirst(html, /<img[^>]+class="[^"]*mb-3[^"]*"[^>]*data-src="([^"]+)"/i)
-                       ?? extractFirst(html, /<div class="flex flex-col sm:flex-row my-3">\s*<div>\s*<img[^>]+data-src="([^"]+)"/i);
-        const coverUrl = coverMatch ? coverMatch[0] : '';
+        const coverImg = selectOne(doc, 'img.mb-3[data-src]')
+                      ?? selectOne(doc, 'div.flex.flex-col.my-3 img[data-src]');
+        const coverUrl = attr(coverImg, 'data-src') || '';
 
         // Description (often in a <p> tag with specific classes)
-        const descriptionMatch = extractFirst(html, /<p class="text-sm[^"]*">\s*([^<]+(?:\s+[^<]+)*)\s*<\/p>/i); // Allow spaces
-        const description = descriptionMatch ? decodeEntities(descriptionMatch[0].trim()) : 'No description available.';
+        const description = presentOrNull(text(selectOne(doc, 'p.text-sm')));
 
         // Author (Attempt to find it)
-         const authorMatch = extractFirst(html, /<div>Author\(s\)<\/div>\s*<div[^>]*>([^<]+)<\/div>/i)
-                         ?? extractFirst(html, /<div>Author<\/div>\s*<div[^>]*>([^<]+)<\/div>/i);
-        const author = authorMatch ? decodeEntities(authorMatch[0].trim()) : 'N/A';
+        const author = labelledValue(doc, ['Author(s)', 'Author']);
 
         // Status
-        const statusMatch = extractFirst(html, /<div>Status<\/div>\s*<div[^>]*>([^<]+)<\/div>/i);
-        const status = statusMatch ? decodeEntities(statusMatch[0].trim()) : 'N/A';
+        const status = labelledValue(doc, ['Status']);
 
         // Type (e.g., Manga, Manhwa)
-        const typeMatch = extractFirst(html, /<div>Type<\/div>\s*<div[^>]*>([^<]+)<\/div>/i);
-        const type = typeMatch ? decodeEntities(typeMatch[0].trim()) : 'N/A';
-
+        const type = presentOrNull(labelledValue(doc, ['Type']));
 
         // Genres (find all genre links)
-        const genreRegex = /<a[^>]+href="\/search\?genre=[^"]+"[^>]*>([^<]+)<\/a>/gi;
-        const genreMatches = extractAll(html, genreRegex);
-        const genres = genreMatches.map(match => decodeEntities(match[1].trim()));
-
-        // Chapters (find all chapter links in the #chapters div)
-        const chapters = [];
-        const chapterListHtmlMatch = html.match(/<div id="chapters"[^>]*>(.*?)<\/div>/is);
-        if(chapterListHtmlMatch && chapterListHtmlMatch[1]) {
-            const chapterListHtml = chapterListHtmlMatch[1];
-            // Regex captures: 1=chapter path, 2=chapter title
-             const chapterRegex = /<a href="(\/chapters\/[^"]+)"[^>]*>\s*([^<]+)\s*<\/a>/gi;
-             const chapterMatches = extractAll(chapterListHtml, chapterRegex);
-
-             for (const match of chapterMatches) {
-                const chapterId = match[1]; // e.g., /chapters/1-1000000/one-piece-chapter-0
-                const chapterTitle = decodeEntities(match[2].trim());
-                chapters.push({
-                    id: chapterId,        // Use chapter path as ID for getContent
-                    title: chapterTitle,
-                });
-            }
-            chapters.reverse(); // Reverse for reading order
-        }
+        const genres = select(doc, 'a[href^="/search?genre="]').map(link => text(link)).filter(Boolean);
+
+        const chapters = parseChapterList(doc, html, id, response.url || bookURL);
+        op.info(`Parsed details with ${chapters.length} chapters`, { count: chapters.length });
 
 
         return {
           id: id, // Return the original ID
           title: title,
-          author: author,
+          ...bookMetadata({ author, status, genres }),
           coverUrl: coverUrl,
           description: description,
-          genres: genres,
-          status: status,
           type: type,
           chapters: chapters
         };
 
       } catch (error) {
-        console.error(`Get Book Details Error for ID ${id}:`, error);
-        throw new Error(`Failed to get details for ${id}: ${error.message}`);
+        throw op.failed(asSourceError(error, 'book-details', bookURL));
       }
     },
 
     /**
      * Get content for a specific chapter (list of image URLs).
      * @param {string} id - The chapter ID (path, e.g., /chapters/1-1000000/one-piece-chapter-0).
-     * @returns {Promise<Array<string>>} - Array of image URLs for the chapter pages.
+     * @param {object} [book] - The book, if known; only used to file the cached page under it.
+     * @param {object} [options]
+     * @param {string} [options.format='urls'] - 'urls' for bare image URLs, 'pages' for
+     *   { url, headers, index } objects carrying the headers the image CDN requires.
+     * @param {AbortSignal} [options.signal] - Cancels the call, which then rejects with an AbortError.
+     * @returns {Promise<Array<string>|Array<object>>} - The chapter pages in reading order.
      */
-    async getContent(id) {
-      const chapterURL = baseURL + id;
-      console.log(`Fetching content for: ${chapterURL}`);
+    async getContent(id, book, options) {
+      const format = (options && options.format) || 'urls';
+      if (!PAGE_FORMATS.includes(format)) {
+        throw new Error(`Unsupported page format "${format}". Use one of: ${PAGE_FORMATS.join(', ')}`);
+      }
+      const signal = options && options.signal;
+      const chapterURL = mirrors.path(id);
+      const op = log.operation('getContent', { url: chapterURL });
+      op.debug('Fetching chapter pages');
 
       try {
-        const response = await fetch(chapterURL, {
+        const response = await mirrors.fetch(chapterURL, {
              method: 'GET',
-             headers: { 'Referer': baseURL + '/' }
+             headers: siteHeaders(),
+             cacheHint: { resource: 'content', book: book ? book.id : null },
+             signal
         });
 
-        if (!response.ok) {
-          throw new Error(`Failed to fetch chapter content: ${response.status}`);
-        }
-
-        const html = await response.text();
+        const html = await readPage(response, chapterURL, signal);
+        const doc = parse(html);
         const pages = [];
 
-        // Regex to find page image URLs within <chapter-page> -> <picture> -> <img data-src>
-        const pageRegex = /<chapter-page[^>]*>\s*<picture(?:[^>]*\s*>\s*<source[^>]*>)*[^>]*\s*<img[^>]+data-src="([^"]+)"/gi;
-
-        const matches = extractAll(html, pageRegex);
-         console.log(`Found ${matches.length} potential page images.`);
-
+        // Page images live in <chapter-page> -> <picture> -> <img data-src>
+        const pageImages = select(doc, 'chapter-page img[data-src]');
+        op.debug(`Found ${pageImages.length} potential page images`);
+
+        for (const img of pageImages) {
+          const src = attr(img, 'data-src');
+          if (src.includes('mangapill')) { // Basic validation
+            // Other sizes, from the img's srcset and the <source>s of its <picture>
+            const sources = [...select(closest(img, 'picture'), 'source'), img];
+            const candidates = sources.flatMap(node => parseSrcset(attr(node, 'data-srcset') || attr(node, 'srcset')));
+            pages.push({ url: src, candidates });
+          }
+        }
 
-        for (const match of matches) {
-             if (match[1] && match[1].includes('mangapill')) { // Basic validation
-                pages.push(match[1]);
+        if (pages.length === 0) {
+          op.warn('No pages extracted using the chapter-page selector, trying fallback');
+          // Fallback: Look for any data-src image that looks like a chapter page
+          const fallbackImages = select(doc, 'img[data-src]');
+          op.debug(`Fallback found ${fallbackImages.length} potential images`);
+          for (const img of fallbackImages) {
+            const src = attr(img, 'data-src');
+            if (src.includes('mangapill') && /\/chapters\/\d+/.test(src)) { // Stricter fallback check
+              pages.push(src);
             }
+          }
         }
 
-         if (pages.length === 0) {
-             console.warn("No pages extracted using primary regex, trying fallback pattern for chapter:", id);
-             // Fallback: Look for any data-src image that looks like a chapter page
-             const fallbackPageRegex = /<img[^>]+data-src="([^"]+)"/gi;
-             const fallbackMatches = extractAll(html, fallbackPageRegex);
-             console.log(`Fallback found ${fallbackMatches.length} potential images.`);
-             for (const match of fallbackMatches) {
-                 if (match[1] && match[1].includes('mangapill') && /\/chapters\/\d+/.test(match[1])) { // Stricter fallback check
-                     pages.push(match[1]);
-                 }
-             }
-         }
-
         if (pages.length === 0) {
-          console.error("Could not extract any page image URLs for chapter:", id);
-           throw new Error('No page images found for this chapter.');
+          throw extractorError('chapter-pages', `No page images found for chapter ${id}`, {
+            url: response.url || chapterURL,
+            html,
+            patterns: ['chapter-page img[data-src]', 'img[data-src] with "mangapill" and /chapters/<n> in the URL'],
+          });
         }
 
-        console.log(`Extracted ${pages.length} pages for chapter ${id}`);
-        return pages; // Return array of image URLs
+        op.info(`Extracted ${pages.length} pages`, { count: pages.length });
+        const pageObjects = toPages(pages, siteHeaders(), { quality: settings.imageQuality });
+        return format === 'pages' ? pageObjects : pageObjects.map(page => page.url);
+
+      } catch (error) {
+        throw op.failed(asSourceError(error, 'chapter-pages', chapterURL));
+      }
+    },
+
+    // --- Optional Methods ---
+
+    /**
+     * Check a library book for chapters released since it was last read in.
+     * Reads the top of the details page's chapter list (newest first) and
+     * stops at the first known chapter; the page is fetched fresh, not from cache.
+     * @param {object} book - The book as returned by getBookDetails() (only id is needed).
+     * @param {Array<string>} knownChapterIds - Ids of the chapters the host already has.
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the call, which then rejects with an AbortError.
+     * @returns {Promise<object>} - { id, status, chapters } with only the unseen chapters, oldest first
+     *   (status is one of BOOK_STATUSES in lib/metadata.js).
+     */
+    async getNewChapters(book, knownChapterIds, options) {
+      if (!book || !book.id) throw new Error('A book with an id is required.');
+      const signal = options && options.signal;
+      const bookURL = mirrors.path(book.id);
+      const op = log.operation('getNewChapters', { url: bookURL });
+      op.debug('Checking for new chapters');
 
+      try {
+        const response = await mirrors.fetch(bookURL, {
+             method: 'GET',
+             headers: siteHeaders(),
+             cacheHint: { resource: 'details', book: book.id, refresh: true },
+             signal
+        });
+        const html = await readPage(response, bookURL, signal);
+        const doc = parse(html);
+        const chapters = unseenChapters(parseChapterList(doc, html, book.id, response.url || bookURL), knownChapterIds);
+        op.info(`Found ${chapters.length} new chapters`, { count: chapters.length });
+        return {
+          id: book.id,
+          status: normalizeStatus(labelledValue(doc, ['Status'])),
+          chapters: chapters
+        };
       } catch (error) {
-        console.error(`Get Content Error for ID ${id}:`, error);
-        throw new Error(`Failed to get content for ${id}: ${error.message}`);
+        throw op.failed(asSourceError(error, 'chapter-list', bookURL));
       }
+    },
+
+    /**
+     * Forget cached pages of a book (details, chapter list and chapters), e.g. on pull-to-refresh.
+     * @param {string} bookId - The book ID as passed to getBookDetails().
+     * @returns {Promise<number>} - Number of cached responses dropped.
+     */
+    async invalidateBook(bookId) {
+      return cache.invalidateBook(bookId);
+    },
+
+    /**
+     * Forget every cached response of this module.
+     * @returns {Promise<number>} - Number of cached responses dropped.
+     */
+    async clearCache() {
+      return cache.clear();
+    },
+
+    /**
+     * Hand the module cookies from a webview, typically after the user passed
+     * the check behind a ChallengePageError (open error.verificationUrl, then
+     * call this with the same URL and the webview's cookies, and retry). The
+     * webview should use the same User-Agent as the module's fetch, since
+     * challenge cookies are usually tied to it.
+     * @param {string} url - The page the cookies come from: a site path, or a URL as is
+     *   (the challenge may have come from a mirror other than the working one).
+     * @param {string|Array<string|object>|object} cookies - A Cookie-header string, Set-Cookie strings
+     *   or cookie objects ({ name, value, domain, path, expires, secure }), see lib/cookies.js.
+     * @returns {Promise<number>} - Cookies stored.
+     */
+    async setCookies(url, cookies) {
+      return cookieJar.set(/^https?:\/\//i.test(url) ? url : mirrors.url(url), cookies);
+    },
+
+    /**
+     * The cookies the module sends to a page, e.g. to seed a webview.
+     * @param {string} [url] - A site path or URL; defaults to the home page of the working mirror.
+     * @returns {Promise<Array<object>>} - { name, value, domain, hostOnly, path, secure, expires } objects.
+     */
+    async getCookies(url = '/') {
+      return cookieJar.get(/^https?:\/\//i.test(url) ? url : mirrors.url(url));
+    },
+
+    /**
+     * Forget every cookie of this module, e.g. to sign out of a session.
+     * @returns {Promise<number>} - Cookies removed.
+     */
+    async clearCookies() {
+      return cookieJar.clear();
+    },
+
+    /**
+     * Point a stored URL at the working mirror.
+     * Covers and pages are served from the image CDN, so this only matters for site URLs.
+     * @param {string} url
+     * @returns {string} - The URL on the current mirror; URLs on other hosts are returned as is.
+     */
+    rewriteUrl(url) {
+      return mirrors.rewrite(url);
+    },
+
+    /**
+     * Whether a link opens something in this module (see resolveUrl()).
+     * @param {string} url
+     * @returns {boolean}
+     */
+    canHandleUrl(url) {
+      return resolveLink(url) !== null;
+    },
+
+    /**
+     * Turn a shared link into ids, e.g. to open a book or chapter from a deep link.
+     * @param {string} url - A manga or chapter page on any mirror.
+     * @returns {object|null} - { type: 'book' | 'chapter', bookId, chapterId } (chapterId null for books),
+     *   or null for links this module cannot open. A chapter's bookId is null when its slug
+     *   does not name the manga.
+     */
+    resolveUrl(url) {
+      return resolveLink(url);
+    },
+
+    /**
+     * The site's page for a book or chapter, for "open in browser".
+     * @param {object|string} book - The book or its ID; may be null when a chapter is given.
+     * @param {object|string} [chapter] - A chapter or its ID.
+     * @returns {string} - Absolute URL on the working mirror.
+     */
+    toWebUrl(book, chapter) {
+      const target = chapter || book;
+      const id = typeof target === 'string' ? target : target && target.id;
+      if (!id) throw new Error('A book or chapter id is required.');
+      return mirrors.url(mirrors.path(id));
+    },
+
+    /**
+     * Download a page or cover image with the headers the image CDN requires.
+     * @param {string|object} page - A page object from getContent(id, book, { format: 'pages' }),
+     *   or a bare image URL (chapter page or coverUrl).
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the call, which then rejects with an AbortError.
+     * @returns {Promise<object>} - { url, index, contentType, data } with data as a Uint8Array.
+     */
+    async fetchImage(page, options) {
+      return fetchImageWith(request, page, siteHeaders(), { signal: options && options.signal });
+    },
+
+    /**
+     * Describe the filters search() accepts.
+     * @returns {Array<object>} - Filter definitions ({ key, label, type, options }).
+     */
+    getFilters() {
+      return describeFilters(FILTERS);
+    },
+
+    /**
+     * Describe the settings configure() accepts, for a generic settings screen.
+     * @returns {Array<object>} - Setting definitions ({ key, label, type, options, default, description }).
+     */
+    getSettingsSchema() {
+      return describeSettings(SETTINGS);
+    },
+
+    /**
+     * Apply user settings at runtime; settings left out keep their value.
+     * @param {object} changes - { key: value } for keys from getSettingsSchema(); null restores the default.
+     * @returns {object} - Every setting now in effect.
+     * @throws {Error} - For unknown keys or values the schema does not allow.
+     */
+    configure(changes) {
+      settings = resolveSettings(SETTINGS, settings, changes);
+      if (changes && 'mirror' in changes) mirrors.prefer(settings.mirror === 'auto' ? null : settings.mirror);
+      return { ...settings };
+    },
+
+    /**
+     * Trending manga from the home page (a single page).
+     * @param {object} [options]
+     * @param {number} [options.page=1] - Only page 1 exists.
+     * @param {AbortSignal} [options.signal] - Cancels the call, which then rejects with an AbortError.
+     * @returns {Promise<object>} - { results, hasNextPage, page }
+     */
+    async getPopular(options) {
+      const page = requestedPage(options);
+      if (page > 1) return { results: [], hasNextPage: false, page };
+      const result = await browse('Popular', '/', page, options && options.signal, (doc) => {
+        // Only the cards under the "Trending" heading, not the recent chapters below it
+        const heading = select(doc, 'h1, h2, h3, h4').find(node => /trending|popular/i.test(text(node)));
+        return (heading && nextElement(heading)) || doc;
+      });
+      return { ...result, hasNextPage: false };
+    },
+
+    /**
+     * Manga with recently released chapters.
+     * @param {object} [options]
+     * @param {number} [options.page=1] - Listing page (1-based).
+     * @param {AbortSignal} [options.signal] - Cancels the call, which then rejects with an AbortError.
+     * @returns {Promise<object>} - { results, hasNextPage, page }
+     */
+    async getLatestUpdates(options) {
+      const page = requestedPage(options);
+      return browse('Latest Updates', `/chapters${page > 1 ? `?page=${page}` : ''}`, page, options && options.signal);
+    },
+
+    /**
+     * Manga in a genre.
+     * @param {string} genre - A genre value from the 'genre' feed (or getFilters()).
+     * @param {object} [options]
+     * @param {number} [options.page=1] - Listing page (1-based).
+     * @param {AbortSignal} [options.signal] - Cancels the call, which then rejects with an AbortError.
+     * @returns {Promise<object>} - { results, hasNextPage, page }
+     */
+    async getByGenre(genre, options) {
+      const page = requestedPage(options);
+      if (!genre) throw new Error('A genre is required.');
+      const filters = resolveFilters(FILTERS, { genre: [genre] });
+      const url = `/search?genre=${encodeURIComponent(filters.genre[0])}${page > 1 ? `&page=${page}` : ''}`;
+      return browse(`Genre ${genre}`, url, page, options && options.signal);
     }
   };
 };
@@ -0,0 +1,85 @@
+/**
+ * Cancellation: module methods called with an AbortSignal stop fetching and
+ * parsing once it fires, and reject with an AbortError.
+ *
+ *   node --test test/abort.test.js
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import mangapillModule from '../mangapills.js';
+import readwnModule from '../ReadNovelFull.js';
+import readNovelFullModule from '../ReadFullNovelV2.js';
+import { AbortError, SourceError } from '../lib/errors.js';
+
+const html = body => new Response(body, { status: 200, headers: { 'content-type': 'text/html' } });
+
+// A fetch that records requests and honors the signal like the real one.
+const recordingFetch = (answer) => {
+  const requests = [];
+  const fetch = async (url, options = {}) => {
+    requests.push(url);
+    if (options.signal && options.signal.aborted) throw new DOMException('This operation was aborted', 'AbortError');
+    return answer(url, options);
+  };
+  return { requests, fetch };
+};
+
+test('an already aborted signal rejects before any request', async () => {
+  const { requests, fetch } = recordingFetch(() => html('<div id="chapters"></div>'));
+  const controller = new AbortController();
+  controller.abort();
+  const signal = controller.signal;
+
+  const calls = [
+    source => source.search('x', { signal }),
+    source => source.getPopular({ signal }),
+    source => source.getBookDetails('/manga/1/x', { signal }),
+    source => source.getContent('/chapters/1-1/x-chapter-1', null, { signal }),
+    source => source.getNewChapters({ id: '/manga/1/x' }, [], { signal }),
+    source => source.fetchImage('https://cdn.example.com/1.jpeg', { signal }),
+  ];
+  for (const call of calls) {
+    const error = await call(mangapillModule(fetch, { logLevel: 'silent' })).catch(caught => caught);
+    assert.ok(error instanceof AbortError && error instanceof SourceError, `${call}: ${error}`);
+    assert.equal(error.name, 'AbortError');
+    assert.equal(error.retryable, false);
+  }
+  assert.deepEqual(requests, []);
+});
+
+test('V2 details stop before the chapter archive when aborted mid-call', async () => {
+  const controller = new AbortController();
+  const { requests, fetch } = recordingFetch(async (url) => {
+    controller.abort(); // The user leaves while the details page is loading
+    return html(`<h3 class="title">T</h3><div id="rating" data-novel-id="42"></div>${url}`);
+  });
+  const source = readNovelFullModule(fetch, { logLevel: 'silent' });
+
+  await assert.rejects(source.getBookDetails('t', { signal: controller.signal }), { name: 'AbortError' });
+  assert.deepEqual(requests, ['https://readnovelfull.com/t.html']);
+});
+
+test('cached responses honor the signal too', async () => {
+  const { requests, fetch } = recordingFetch(() => html('<ul class="novel-list"></ul>'));
+  const source = readwnModule(fetch, { logLevel: 'silent' });
+  await source.search('x', {});
+  assert.equal(requests.length, 1);
+
+  // The page is cached now, so the network would not be asked either way
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(source.search('x', { signal: controller.signal }), { name: 'AbortError' });
+  assert.equal(requests.length, 1);
+});
+
+test('aborting while a mirror is down does not fail over', async () => {
+  const controller = new AbortController();
+  const { requests, fetch } = recordingFetch(async () => {
+    controller.abort();
+    throw new DOMException('This operation was aborted', 'AbortError');
+  });
+  const source = readNovelFullModule(fetch, { logLevel: 'silent' });
+
+  await assert.rejects(source.getContent('t/chapter-1', null, { signal: controller.signal }), { name: 'AbortError' });
+  assert.deepEqual(requests, ['https://readnovelfull.com/t/chapter-1.html']);
+});
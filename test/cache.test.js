@@ -0,0 +1,198 @@
+/**
+ * Tests for lib/cache.js, with a fake clock and a fake fetch.
+ *
+ *   node --test test/cache.test.js
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { DEFAULT_TTLS, createCachedFetch, createMemoryStore, createStorageStore } from '../lib/cache.js';
+import { createLog } from '../lib/log.js';
+
+const log = createLog({ level: 'silent' });
+const MINUTE = 60 * 1000;
+
+// A site whose pages can be changed, answering conditional requests like a server would.
+const fakeSite = () => {
+  const pages = new Map();
+  const requests = [];
+  const fetch = async (url, options = {}) => {
+    const headers = options.headers || {};
+    requests.push({ url, method: options.method || 'GET', headers });
+    const page = pages.get(url);
+    if (!page) return new Response('missing', { status: 404 });
+    const validators = {};
+    if (page.etag) validators.etag = page.etag;
+    if (page.lastModified) validators['last-modified'] = page.lastModified;
+    const unchanged = (page.etag && headers['If-None-Match'] === page.etag)
+      || (!page.etag && page.lastModified && headers['If-Modified-Since'] === page.lastModified);
+    if (unchanged) return new Response(null, { status: 304, headers: validators });
+    return new Response(page.body, { status: 200, headers: { 'content-type': 'text/html', ...validators } });
+  };
+  return { pages, requests, fetch };
+};
+
+const fakeClock = () => {
+  let time = Date.parse('2026-01-01T00:00:00Z');
+  return { now: () => time, advance: (ms) => { time += ms; } };
+};
+
+const setup = (options = {}) => {
+  const site = fakeSite();
+  const clock = fakeClock();
+  const store = options.store || createMemoryStore();
+  const cache = createCachedFetch(site.fetch, { store, namespace: 'test:', now: clock.now, log, ...options });
+  return { site, clock, store, cache };
+};
+
+const read = async (cache, url, hint) => (await cache(url, { cacheHint: hint })).text();
+
+test('answers fresh entries from the store until their TTL runs out', async () => {
+  const { site, clock, cache } = setup();
+  site.pages.set('https://x/search', { body: 'v1' });
+  const hint = { resource: 'search' };
+
+  assert.equal(await read(cache, 'https://x/search', hint), 'v1');
+  site.pages.set('https://x/search', { body: 'v2' });
+  clock.advance(DEFAULT_TTLS.search - 1);
+  const cached = await cache('https://x/search', { cacheHint: hint });
+  assert.equal(cached.fromCache, true);
+  assert.equal(await cached.text(), 'v1');
+  assert.equal(site.requests.length, 1);
+
+  clock.advance(1);
+  assert.equal(await read(cache, 'https://x/search', hint), 'v2', 'expired: fetched again');
+  assert.equal(site.requests.length, 2);
+  assert.deepEqual(site.requests[1].headers, {}, 'nothing to revalidate with');
+});
+
+test('revalidates stale entries with ETag or Last-Modified and keeps them on 304', async () => {
+  const { site, clock, cache } = setup({ ttls: { details: MINUTE } });
+  site.pages.set('https://x/a', { body: 'A', etag: '"a1"' });
+  site.pages.set('https://x/b', { body: 'B', lastModified: 'Wed, 31 Dec 2025 12:00:00 GMT' });
+  const hint = { resource: 'details', book: 'x' };
+  await read(cache, 'https://x/a', hint);
+  await read(cache, 'https://x/b', hint);
+
+  clock.advance(MINUTE);
+  assert.equal(await read(cache, 'https://x/a', hint), 'A');
+  assert.equal(await read(cache, 'https://x/b', hint), 'B');
+  assert.equal(site.requests[2].headers['If-None-Match'], '"a1"');
+  assert.equal(site.requests[3].headers['If-Modified-Since'], 'Wed, 31 Dec 2025 12:00:00 GMT');
+
+  // The 304 made the entries fresh again
+  assert.equal(await read(cache, 'https://x/a', hint), 'A');
+  assert.equal(site.requests.length, 4);
+
+  clock.advance(MINUTE);
+  site.pages.set('https://x/a', { body: 'A2', etag: '"a2"' });
+  assert.equal(await read(cache, 'https://x/a', hint), 'A2', 'a changed page replaces the entry');
+  assert.equal(await read(cache, 'https://x/a', hint), 'A2');
+  assert.equal(site.requests.length, 5);
+});
+
+test('a refresh hint skips the fresh entry but still revalidates and stores', async () => {
+  const { site, cache } = setup();
+  site.pages.set('https://x/chapters', { body: 'list', etag: '"1"' });
+  await read(cache, 'https://x/chapters', { resource: 'chapters', book: 'x' });
+
+  assert.equal(await read(cache, 'https://x/chapters', { resource: 'chapters', book: 'x', refresh: true }), 'list');
+  assert.equal(site.requests.length, 2);
+  assert.equal(site.requests[1].headers['If-None-Match'], '"1"');
+
+  site.pages.set('https://x/chapters', { body: 'longer list', etag: '"2"' });
+  assert.equal(await read(cache, 'https://x/chapters', { resource: 'chapters', book: 'x', refresh: true }), 'longer list');
+  assert.equal(await read(cache, 'https://x/chapters', { resource: 'chapters', book: 'x' }), 'longer list', 'the refreshed answer is stored');
+  assert.equal(site.requests.length, 3);
+});
+
+test('a stream hint passes the response through without buffering or storing it', async () => {
+  const { site, store, cache } = setup();
+  site.pages.set('https://x/archive', { body: '<li>1</li><li>2</li>', etag: '"1"' });
+  const hint = { resource: 'chapters', book: 'b', stream: true };
+
+  const response = await cache('https://x/archive', { cacheHint: hint });
+  assert.ok(response.body && typeof response.body.getReader === 'function', 'the body is still unread');
+  assert.equal(response.fromCache, undefined);
+  assert.equal(await response.text(), '<li>1</li><li>2</li>');
+  await cache('https://x/archive', { cacheHint: hint });
+  assert.deepEqual(await store.keys(), []);
+  assert.equal(site.requests.length, 2);
+  assert.equal(site.requests[1].headers['If-None-Match'], undefined);
+});
+
+test('leaves uncacheable requests and answers alone', async () => {
+  const { site, store, cache } = setup();
+  site.pages.set('https://x/page', { body: 'page' });
+  site.pages.set('https://x/challenge', { body: '<title>Just a moment...</title>' });
+
+  await cache('https://x/page');
+  await cache('https://x/page', { method: 'POST', cacheHint: { resource: 'search' } });
+  await cache('https://x/page', { cacheHint: { resource: 'unknown' } });
+  assert.equal((await cache('https://x/missing', { cacheHint: { resource: 'search' } })).status, 404);
+  await read(cache, 'https://x/challenge', { resource: 'search' });
+  assert.deepEqual(await store.keys(), [], 'no hint, other methods, unknown resources, errors and challenges are not stored');
+});
+
+test('invalidateBook drops a book\'s entries by key, without reading any entry', async () => {
+  const gets = [];
+  const memory = createMemoryStore();
+  const store = { ...memory, get: async (key) => { gets.push(key); return memory.get(key); } };
+  const { site, cache } = setup({ store });
+  for (const path of ['a', 'a/1', 'b', 'search']) site.pages.set(`https://x/${path}`, { body: path });
+  await read(cache, 'https://x/a', { resource: 'details', book: 'a' });
+  await read(cache, 'https://x/a/1', { resource: 'content', book: 'a' });
+  await read(cache, 'https://x/b', { resource: 'details', book: 'b' });
+  await read(cache, 'https://x/search', { resource: 'search' });
+  await memory.set('other:https://x/a', { foreign: true });
+
+  gets.length = 0;
+  assert.equal(await cache.invalidateBook('a'), 2);
+  assert.deepEqual(gets, []);
+  assert.equal(await cache.invalidateBook('a'), 0);
+  assert.equal((await memory.keys()).length, 3);
+
+  assert.equal(await read(cache, 'https://x/a', { resource: 'details', book: 'a' }), 'a');
+  assert.equal(site.requests.length, 5, 'the invalidated page is fetched again');
+  assert.equal(await read(cache, 'https://x/b', { resource: 'details', book: 'b' }), 'b');
+  assert.equal(site.requests.length, 5, 'other books stay cached');
+
+  assert.equal(await cache.clear(), 3);
+  assert.deepEqual(await memory.keys(), ['other:https://x/a'], 'clear() keeps to its namespace');
+});
+
+test('book ids with separators do not reach into other books', async () => {
+  const { site, cache } = setup();
+  site.pages.set('https://x/1', { body: '1' });
+  site.pages.set('https://x/2', { body: '2' });
+  await read(cache, 'https://x/1', { resource: 'details', book: '/manga/2/one-piece' });
+  await read(cache, 'https://x/2', { resource: 'details', book: '/manga/2' });
+  assert.equal(await cache.invalidateBook('/manga/2'), 1);
+  await read(cache, 'https://x/1', { resource: 'details', book: '/manga/2/one-piece' });
+  assert.equal(site.requests.length, 2);
+});
+
+test('the memory store evicts least recently used entries; the storage store persists as JSON', async () => {
+  const memory = createMemoryStore({ maxEntries: 2 });
+  await memory.set('a', 1);
+  await memory.set('b', 2);
+  await memory.get('a');
+  await memory.set('c', 3);
+  assert.deepEqual(await memory.keys(), ['a', 'c']);
+
+  const backing = new Map();
+  const storage = {
+    getItem: async key => (backing.has(key) ? backing.get(key) : null),
+    setItem: async (key, value) => { backing.set(key, value); },
+    removeItem: async (key) => { backing.delete(key); },
+    getAllKeys: async () => [...backing.keys()],
+  };
+  const store = createStorageStore(storage);
+  await store.set('k', { body: 'x' });
+  backing.set('rida-cache:bad', '{not json');
+  backing.set('host-key', '1');
+  assert.deepEqual(await store.get('k'), { body: 'x' });
+  assert.equal(await store.get('bad'), undefined);
+  assert.deepEqual(await store.keys(), ['k', 'bad']);
+  await store.delete('k');
+  assert.equal(await store.get('k'), undefined);
+});
@@ -0,0 +1,58 @@
+/**
+ * Fixture suites: which module each suite drives and the calls it makes.
+ *
+ * Every case needs its pages recorded under test/fixtures/<suite>/ (see
+ * test/run.js --record) and a golden output in test/fixtures/<suite>/golden/.
+ */
+import mangapillModule from '../mangapills.js';
+import readNovelFullModule from '../ReadNovelFull.js';
+import readNovelFullV2Module from '../ReadFullNovelV2.js';
+
+export default [
+  {
+    name: 'mangapill',
+    factory: mangapillModule,
+    cases: [
+      { name: 'search', method: 'search', args: ['one piece'] },
+      { name: 'search-page-2', method: 'search', args: ['one piece', { page: 2 }] },
+      { name: 'search-filtered', method: 'search', args: ['', { filters: { genre: ['Action'], status: 'finished' } }] },
+      { name: 'popular', method: 'getPopular', args: [{}] },
+      { name: 'latest', method: 'getLatestUpdates', args: [{}] },
+      { name: 'book-details', method: 'getBookDetails', args: ['/manga/2/one-piece'] },
+      { name: 'content', method: 'getContent', args: ['/chapters/2-10001000/one-piece-chapter-1'] },
+      { name: 'content-pages', method: 'getContent', args: ['/chapters/2-10001000/one-piece-chapter-1', null, { format: 'pages' }] },
+      { name: 'new-chapters', method: 'getNewChapters', args: [{ id: '/manga/2/one-piece' }, ['/chapters/2-10001000/one-piece-chapter-1']] },
+    ],
+  },
+  {
+    name: 'readwn',
+    factory: readNovelFullModule,
+    cases: [
+      { name: 'search', method: 'search', args: ['martial peak'] },
+      { name: 'search-page-2', method: 'search', args: ['martial peak', { page: 2 }] },
+      { name: 'search-no-query', method: 'search', args: [] },
+      { name: 'popular', method: 'getPopular', args: [{}] },
+      { name: 'latest', method: 'getLatestUpdates', args: [{}] },
+      { name: 'book-details', method: 'getBookDetails', args: ['martial-peak'] },
+      { name: 'content', method: 'getContent', args: ['chapter-1', { id: 'martial-peak' }] },
+      { name: 'content-blocks', method: 'getContent', args: ['chapter-1', { id: 'martial-peak' }, { format: 'blocks' }] },
+      { name: 'content-html', method: 'getContent', args: ['chapter-1', { id: 'martial-peak' }, { format: 'html' }] },
+      { name: 'new-chapters', method: 'getNewChapters', args: [{ id: 'martial-peak' }, ['chapter-1']] },
+    ],
+  },
+  {
+    name: 'readnovelfull',
+    factory: readNovelFullV2Module,
+    cases: [
+      { name: 'search', method: 'search', args: ['martial peak'] },
+      { name: 'search-page-2', method: 'search', args: ['martial peak', { page: 2 }] },
+      { name: 'popular', method: 'getPopular', args: [{}] },
+      { name: 'latest', method: 'getLatestUpdates', args: [{}] },
+      { name: 'book-details', method: 'getBookDetails', args: ['martial-peak'] },
+      { name: 'content', method: 'getContent', args: ['martial-peak/chapter-1'] },
+      { name: 'content-blocks', method: 'getContent', args: ['martial-peak/chapter-1', null, { format: 'blocks' }] },
+      { name: 'content-html', method: 'getContent', args: ['martial-peak/chapter-1', null, { format: 'html' }] },
+      { name: 'new-chapters', method: 'getNewChapters', args: [{ id: 'martial-peak' }, ['martial-peak/chapter-1']] },
+    ],
+  },
+];
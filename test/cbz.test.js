@@ -0,0 +1,128 @@
+/**
+ * Tests for lib/cbz.js: the MangaPill module against recorded-style pages,
+ * with page images served by a local stub that insists on the site's Referer.
+ *
+ *   node --test test/cbz.test.js
+ */
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { after, before, test } from 'node:test';
+import mangapillModule from '../mangapills.js';
+import { comicInfoXml, exportCbz } from '../lib/cbz.js';
+import { readZip } from './read-zip.js';
+
+const JPEG = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 1, 2, 3]);
+const PNG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 4, 5, 6]);
+
+let server;
+let imageBase;
+const imageHits = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    imageHits.push(req.url);
+    if (req.headers.referer !== 'https://mangapill.com/') {
+      res.writeHead(403, { 'content-type': 'text/html' });
+      res.end('<h1>Hotlinking not allowed</h1>');
+      return;
+    }
+    if (req.url.includes('missing')) {
+      res.writeHead(404, { 'content-type': 'text/html' });
+      res.end('<h1>Not found</h1>');
+      return;
+    }
+    const png = req.url.endsWith('.png');
+    res.writeHead(200, { 'content-type': 'application/octet-stream' }); // CDNs often send no image type
+    res.end(png ? PNG : JPEG);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  imageBase = `http://127.0.0.1:${server.address().port}/mangapill`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const DETAILS = `<div class="flex flex-col my-3"><img class="mb-3" data-src="https://cdn.example.com/cover.jpg"></div>
+<h1>One Piece</h1><p class="text-sm">Pirates &amp; treasure.</p>
+<div><div>Author(s)</div><div>Oda Eiichiro</div></div>
+<div><div>Status</div><div>publishing</div></div>
+<div><div>Type</div><div>Manga</div></div>
+<a href="/search?genre=Action">Action</a><a href="/search?genre=Adventure">Adventure</a>
+<div id="chapters">
+<a href="/chapters/2-10003000/one-piece-chapter-3">Chapter 3</a>
+<a href="/chapters/2-10002000/one-piece-chapter-2">Chapter 2</a>
+<a href="/chapters/2-10001000/one-piece-chapter-1">Chapter 1</a>
+</div>`;
+
+const chapterPage = images => images.map(src => `<chapter-page><picture><img data-src="${imageBase}/${src}"></picture></chapter-page>`).join('');
+
+// Site pages come from memory; everything else (the image stub) goes over the network.
+const siteFetch = async (url, options) => {
+  const pages = {
+    'https://mangapill.com/manga/2/one-piece': DETAILS,
+    'https://mangapill.com/chapters/2-10001000/one-piece-chapter-1': chapterPage(['1-1.jpeg', '1-2.png']),
+    'https://mangapill.com/chapters/2-10002000/one-piece-chapter-2': chapterPage(Array.from({ length: 12 }, (_, i) => `2-${i + 1}.jpeg`)),
+    'https://mangapill.com/chapters/2-10003000/one-piece-chapter-3': chapterPage(['3-1.jpeg', 'missing.jpeg']),
+  };
+  if (!url.startsWith('https://mangapill.com')) return fetch(url, options);
+  const body = pages[url];
+  return new Response(body || 'Not found', { status: body ? 200 : 404, headers: { 'content-type': 'text/html' } });
+};
+
+test('packs each chapter with zero-padded pages and ComicInfo.xml', async () => {
+  const source = mangapillModule(siteFetch, { logLevel: 'silent' });
+  const progress = [];
+  const archives = await exportCbz(source, '/manga/2/one-piece', {
+    from: 1,
+    to: 2,
+    onProgress: ({ done, total }) => progress.push(`${done}/${total}`),
+  });
+
+  assert.deepEqual(progress, ['1/2', '2/2']);
+  assert.deepEqual(archives.map(archive => archive.fileName), ['One Piece - Chapter 1.cbz', 'One Piece - Chapter 2.cbz']);
+  assert.ok(archives.every(archive => archive.mimeType === 'application/vnd.comicbook+zip'));
+
+  const first = readZip(archives[0].data);
+  assert.deepEqual(first.map(entry => entry.name), ['001.jpg', '002.png', 'ComicInfo.xml']);
+  assert.deepEqual(Buffer.from(first[0].data), JPEG);
+  assert.deepEqual(Buffer.from(first[1].data), PNG);
+
+  const info = first[2].text;
+  assert.match(info, /<Title>Chapter 1<\/Title>/);
+  assert.match(info, /<Series>One Piece<\/Series>/);
+  assert.match(info, /<Number>1<\/Number>/);
+  assert.match(info, /<Summary>Pirates &amp; treasure.<\/Summary>/);
+  assert.match(info, /<Writer>Oda Eiichiro<\/Writer>/);
+  assert.match(info, /<Genre>Action, Adventure<\/Genre>/);
+  assert.match(info, /<Web>https:\/\/mangapill.com\/chapters\/2-10001000\/one-piece-chapter-1<\/Web>/);
+  assert.match(info, /<PageCount>2<\/PageCount>/);
+  assert.match(info, /<Format>Manga<\/Format>/);
+  assert.match(info, /<Manga>YesAndRightToLeft<\/Manga>/);
+  assert.match(info, /<ty:PublishingStatusTachiyomi [^>]*>Ongoing</);
+
+  const second = readZip(archives[1].data).map(entry => entry.name);
+  assert.equal(second.length, 13);
+  assert.equal(second[0], '001.jpg');
+  assert.equal(second[11], '012.jpg');
+
+  // Every image request carried the Referer (the stub answers 403 otherwise)
+  assert.equal(imageHits.length, 14);
+});
+
+test('fails the chapter when a page cannot be downloaded', async () => {
+  const source = mangapillModule(siteFetch, { logLevel: 'silent' });
+  await assert.rejects(exportCbz(source, '/manga/2/one-piece', { from: 3 }), { name: 'NotFoundError', status: 404 });
+});
+
+test('image requests without the Referer are refused', async () => {
+  const source = mangapillModule(siteFetch, { logLevel: 'silent' });
+  await assert.rejects(source.fetchImage({ url: `${imageBase}/1-1.jpeg`, headers: {} }), { name: 'HttpError', status: 403 });
+});
+
+test('leaves placeholders and missing fields out of ComicInfo.xml', () => {
+  const info = comicInfoXml(
+    { id: '/manga/9/x', title: 'X', author: 'N/A', description: '', genres: [], status: 'N/A', type: 'N/A' },
+    { title: 'Side Story', number: null, volume: null, releaseDate: '2024-03-05T00:00:00.000Z' },
+  );
+  assert.doesNotMatch(info, /<Writer>|<Number>|<Format>|<Manga>|PublishingStatus|<Genre>/);
+  assert.match(info, /<Year>2024<\/Year>\n {2}<Month>3<\/Month>\n {2}<Day>5<\/Day>/);
+});
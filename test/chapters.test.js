@@ -0,0 +1,221 @@
+/**
+ * Chapter numbering and ordering from lib/chapters.js, and streamed chapter lists:
+ * listChapters() and getBookDetails({ includeChapters }) in the novel modules, and
+ * loadInOrder() from lib/paging.js.
+ *
+ *   node --test test/chapters.test.js
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import readwnModule from '../ReadNovelFull.js';
+import readNovelFullModule from '../ReadFullNovelV2.js';
+import { loadInOrder } from '../lib/paging.js';
+import { describeChapter, orderChapters, parseChapterNumber, unseenChapters } from '../lib/chapters.js';
+
+const page = (url, body) => Object.defineProperty(
+  new Response(body, { status: 200, headers: { 'content-type': 'text/html' } }), 'url', { value: url },
+);
+
+const collect = async (batches) => {
+  const all = [];
+  for await (const batch of batches) all.push(batch);
+  return all;
+};
+
+test('parses chapter numbers only from chapter markers, not stray letters', () => {
+  assert.deepEqual(parseChapterNumber('Chapter 12.5 - Title'), { number: 12.5, volume: null, kind: 'main' });
+  assert.deepEqual(parseChapterNumber('Vol.3 Ch.21'), { number: 21, volume: 3, kind: 'main' });
+  assert.deepEqual(parseChapterNumber('Episode 4, part 2'), { number: 4, volume: null, kind: 'main' });
+  assert.deepEqual(parseChapterNumber('Vol. 2 c 3'), { number: null, volume: 2, kind: 'main' });
+  assert.deepEqual(parseChapterNumber('Magic c 30 Spells'), { number: null, volume: null, kind: 'main' });
+  assert.deepEqual(parseChapterNumber('12: The Hunt'), { number: 12, volume: null, kind: 'main' });
+  assert.deepEqual(parseChapterNumber('The Hunt', '/x/chapter-12-5'), { number: 12.5, volume: null, kind: 'main' });
+  assert.deepEqual(parseChapterNumber('Prologue'), { number: 0, volume: null, kind: 'main' });
+});
+
+test('classifies side stories, extras and bonus chapters apart from the main line', () => {
+  for (const title of ['Side Story Chapter 2', 'Side Story 2', 'Extra Chapter 3', 'Bonus Chapter 1', 'Special Episode 5', "Author's Note"]) {
+    assert.deepEqual(parseChapterNumber(title), { number: null, volume: null, kind: 'extra' }, title);
+  }
+  assert.deepEqual(parseChapterNumber('Chapter 7: Bonus Round'), { number: 7, volume: null, kind: 'main' });
+  assert.deepEqual(parseChapterNumber('Chapter 45 - A Special Day'), { number: 45, volume: null, kind: 'main' });
+});
+
+test('side chapters keep their listed place instead of colliding with main chapters', () => {
+  const listed = ['Chapter 1', 'Chapter 2', 'Chapter 3', 'Side Story Chapter 1', 'Side Story Chapter 2', 'Chapter 4']
+    .map((title, index) => describeChapter({ id: `c${index}`, title }));
+  const ascending = orderChapters(listed);
+  assert.deepEqual(ascending.map(chapter => chapter.title), listed.map(chapter => chapter.title));
+  assert.deepEqual(orderChapters(listed.slice().reverse()).map(chapter => chapter.id), ascending.map(chapter => chapter.id));
+
+  // The side stories are new even though main chapters 1 and 2 are known
+  assert.deepEqual(unseenChapters(ascending, ['c0', 'c1', 'c2']).map(chapter => chapter.title), ['Side Story Chapter 1', 'Side Story Chapter 2', 'Chapter 4']);
+});
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('loadInOrder keeps a bounded number of loads running and yields in order', async () => {
+  let running = 0;
+  let most = 0;
+  const load = async (ms, index) => {
+    running++;
+    most = Math.max(most, running);
+    await delay(ms);
+    running--;
+    return index;
+  };
+  assert.deepEqual(await collect(loadInOrder([30, 5, 20, 1, 10], load, { concurrency: 2 })), [0, 1, 2, 3, 4]);
+  assert.equal(most, 2);
+
+  const failing = loadInOrder([1, 2], async (value) => { if (value === 2) throw new Error('page 2'); return value; });
+  assert.equal((await failing.next()).value, 1);
+  await assert.rejects(failing.next(), /page 2/);
+});
+
+// A readwn novel whose chapter list runs over three pages; page 2 repeats chapter 2.
+const readwnSite = () => {
+  const requested = [];
+  const list = numbers => `<ul class="chapter-list">${numbers.map(n => `<li><a href="/novel/x/chapter-${n}" title="Chapter ${n}">Chapter ${n}</a></li>`).join('')}</ul>`;
+  const pagination = '<ul class="pagination"><li><a href="/e/extend/fy.php?page=1&wjm=x">2</a></li><li><a href="/e/extend/fy.php?page=2&wjm=x">Last</a></li></ul>';
+  const fetch = async (url) => {
+    requested.push(url);
+    const match = url.match(/page=(\d)/);
+    if (match) {
+      await delay(match[1] === '1' ? 20 : 1); // The last page answers first
+      return page(url, match[1] === '1' ? list([2, 3, 4]) : list([5, 6]));
+    }
+    return page(url, `<h1 class="novel-title">X</h1><div class="author"><span>Author:</span><a>A</a></div>${list([1, 2])}${pagination}`);
+  };
+  return { fetch, requested };
+};
+
+test('readwn lists every chapter page in order, and details can leave chapters out', async () => {
+  const site = readwnSite();
+  const source = readwnModule(site.fetch, { logLevel: 'silent' });
+
+  const batches = await collect(source.listChapters({ id: 'x' }));
+  assert.deepEqual(batches.map(batch => batch.map(chapter => chapter.number)), [[1, 2], [3, 4], [5, 6]]);
+  assert.ok(site.requested.some(url => url.endsWith('/e/extend/fy.php?page=2&wjm=x')));
+
+  const book = await source.getBookDetails('x');
+  assert.deepEqual(book.chapters.map(chapter => chapter.id), ['chapter-1', 'chapter-2', 'chapter-3', 'chapter-4', 'chapter-5', 'chapter-6']);
+
+  const quick = readwnModule(readwnSite().fetch, { logLevel: 'silent' });
+  const details = await quick.getBookDetails('x', { includeChapters: false });
+  assert.equal(details.title, 'X');
+  assert.equal(details.chapters, null);
+});
+
+test('readwn getNewChapters reads chapter pages from the newest back to the first known chapter', async () => {
+  const check = async (known) => {
+    const site = readwnSite();
+    const source = readwnModule(site.fetch, { logLevel: 'silent' });
+    const found = await source.getNewChapters({ id: 'x' }, known);
+    const pages = site.requested.map(url => (url.match(/page=(\d)/) || [null, 'details'])[1]);
+    return { ids: found.chapters.map(chapter => chapter.id), pages };
+  };
+
+  assert.deepEqual(await check(['chapter-1', 'chapter-5']), { ids: ['chapter-6'], pages: ['details', '2'] });
+  assert.deepEqual(await check(['chapter-1', 'chapter-2', 'chapter-3']), { ids: ['chapter-4', 'chapter-5', 'chapter-6'], pages: ['details', '2', '1'] });
+  assert.deepEqual(await check(['chapter-1']), { ids: ['chapter-2', 'chapter-3', 'chapter-4', 'chapter-5', 'chapter-6'], pages: ['details', '2', '1'] });
+  assert.deepEqual((await check(['chapter-6'])).ids, []);
+  assert.deepEqual((await check([])).ids, ['chapter-1', 'chapter-2', 'chapter-3', 'chapter-4', 'chapter-5', 'chapter-6']);
+});
+
+test('listChapters stops when cancelled', async () => {
+  const source = readwnModule(readwnSite().fetch, { logLevel: 'silent' });
+  const controller = new AbortController();
+  const batches = source.listChapters('x', { signal: controller.signal });
+  assert.equal((await batches.next()).value.length, 2);
+  controller.abort();
+  await assert.rejects(batches.next(), { name: 'AbortError' });
+});
+
+// A ReadNovelFull novel with 250 chapters in its archive, newest first when asked.
+const readNovelFullSite = ({ newestFirst = false } = {}) => {
+  const requested = [];
+  const numbers = Array.from({ length: 250 }, (_, index) => index + 1);
+  if (newestFirst) numbers.reverse();
+  const archive = `<ul>${numbers.map(n => `<li><a href="/x/chapter-${n}.html" title="Chapter ${n}">Chapter ${n}</a></li>`).join('')}</ul>`;
+  const fetch = async (url) => {
+    requested.push(url);
+    if (url.includes('/ajax/chapter-archive')) return page(url, archive);
+    return page(url, '<h3 class="title">X</h3><div id="rating" data-novel-id="42"></div>');
+  };
+  return { fetch, requested };
+};
+
+test('ReadNovelFull V2 streams its chapter archive in ascending batches', async () => {
+  for (const newestFirst of [false, true]) {
+    const site = readNovelFullSite({ newestFirst });
+    const source = readNovelFullModule(site.fetch, { logLevel: 'silent' });
+    const batches = await collect(source.listChapters({ id: 'x', novelId: '42' }));
+    assert.deepEqual(batches.map(batch => batch.length), [100, 100, 50]);
+    assert.deepEqual(batches.flat().map(chapter => chapter.number), Array.from({ length: 250 }, (_, index) => index + 1));
+    assert.ok(site.requested.every(url => url.includes('/ajax/chapter-archive')), 'a known novelId skips the details page');
+  }
+
+  const site = readNovelFullSite();
+  const source = readNovelFullModule(site.fetch, { logLevel: 'silent' });
+  const details = await source.getBookDetails('x', { includeChapters: false });
+  assert.equal(details.novelId, '42');
+  assert.equal(details.chapters, null);
+  assert.ok(!site.requested.some(url => url.includes('/ajax/chapter-archive')));
+  assert.equal((await source.getBookDetails('x')).chapters.length, 250);
+});
+
+test('ReadNovelFull V2 getNewChapters walks the archive back to the first known chapter and keeps the status', async () => {
+  const details = '<h3 class="title">X</h3><div id="rating" data-novel-id="42"></div><div class="info"><div><h3>Status:</h3><a href="/status/Completed">Completed</a></div></div>';
+  const check = async (newestFirst, known) => {
+    const numbers = Array.from({ length: 250 }, (_, index) => index + 1);
+    if (newestFirst) numbers.reverse();
+    const items = numbers.map(n => `<li><a href="/x/chapter-${n}.html" title="Chapter ${n}">Chapter ${n}</a></li>`);
+    let pulled = 0;
+    let cancelled = false;
+    const fetch = async url => page(url, !url.includes('/ajax/chapter-archive') ? details : new ReadableStream({
+      pull(controller) {
+        if (pulled === items.length) return controller.close();
+        controller.enqueue(new TextEncoder().encode(items[pulled++]));
+      },
+      cancel() { cancelled = true; },
+    }));
+    const source = readNovelFullModule(fetch, { logLevel: 'silent' });
+    const found = await source.getNewChapters({ id: 'x', novelId: '42' }, known);
+    return { numbers: found.chapters.map(chapter => chapter.number), status: found.status, pulled, cancelled };
+  };
+
+  const cutShort = await check(true, ['x/chapter-1', 'x/chapter-248']);
+  assert.deepEqual(cutShort.numbers, [249, 250]);
+  assert.equal(cutShort.status, 'completed', 'a known novelId still gets the status');
+  assert.ok(cutShort.cancelled && cutShort.pulled < 250, 'a newest-first archive stops downloading at the first known chapter');
+
+  const whole = await check(false, ['x/chapter-1', 'x/chapter-248']);
+  assert.deepEqual(whole.numbers, [249, 250]);
+  assert.equal(whole.status, 'completed');
+  assert.equal(whole.pulled, 250);
+
+  assert.deepEqual((await check(true, [])).numbers, Array.from({ length: 250 }, (_, index) => index + 1));
+  assert.deepEqual((await check(false, ['x/chapter-250'])).numbers, []);
+});
+
+test('ReadNovelFull V2 parses the archive as it arrives, unclosed items included', async () => {
+  let finish;
+  const rest = new Promise((resolve) => { finish = resolve; });
+  const item = n => `<li><a href="/x/chapter-${n}.html" title="Chapter ${n}">Chapter ${n}</a>`; // No </li>
+  const pieces = [`<div class="row"><ul class="list-chapter">${Array.from({ length: 150 }, (_, index) => item(index + 1)).join('')}`, rest];
+  const fetch = async url => page(url, new ReadableStream({
+    async pull(controller) {
+      if (!pieces.length) return controller.close();
+      controller.enqueue(new TextEncoder().encode(await pieces.shift()));
+    },
+  }));
+  const source = readNovelFullModule(fetch, { logLevel: 'silent' });
+  const batches = source.listChapters({ id: 'x', novelId: '42' });
+
+  const first = (await batches.next()).value;
+  assert.deepEqual(first.map(chapter => chapter.number), Array.from({ length: 100 }, (_, index) => index + 1), 'the first batch comes before the archive ends');
+  finish(`${item(151)}</ul></div><a href="/x/chapter-999.html" title="Not a chapter">Next</a>`);
+  const others = await collect(batches);
+  assert.deepEqual(others.map(batch => batch.length), [51]);
+  assert.equal(others[0].at(-1).id, 'x/chapter-151');
+});
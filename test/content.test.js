@@ -0,0 +1,80 @@
+/**
+ * Tests for lib/content.js: the text, blocks and html chapter formats.
+ *
+ *   node --test test/content.test.js
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { parse, selectOne } from '../lib/html.js';
+import { escapeHtml, isEmptyContent, renderContent, toBlocks, toSafeHtml } from '../lib/content.js';
+
+const CHAPTER = `<div id="chr-content">
+  <h3>Chapter 1: <i>The Start</i></h3>
+  <p>He said, <em>“Run!”</em> and <strong>ran <i>fast</i></strong>.</p>
+  <script>track()</script><div class="ads"><ins>ad</ins></div>
+  <hr>
+  <p>Line one<br>line two</p>
+  <img data-src="/images/map.png" src="data:image/gif;base64,R0lG" alt="Map">
+  <ul><li>First</li><li>Second</li></ul>
+  <table><tr><td>a</td><td>b</td></tr></table>
+</div>`;
+const BASE_URL = 'https://readnovelfull.com/x/chapter-1.html';
+const content = () => selectOne(parse(CHAPTER), '#chr-content');
+
+test('blocks keep headings, emphasis, separators, images, lists and table rows', () => {
+  assert.deepEqual(toBlocks(content(), { baseUrl: BASE_URL }), [
+    { type: 'heading', level: 3, spans: [{ text: 'Chapter 1: ', marks: [] }, { text: 'The Start', marks: ['italic'] }] },
+    {
+      type: 'paragraph',
+      spans: [
+        { text: 'He said, ', marks: [] }, { text: '“Run!”', marks: ['italic'] }, { text: ' and ', marks: [] },
+        { text: 'ran ', marks: ['bold'] }, { text: 'fast', marks: ['bold', 'italic'] }, { text: '.', marks: [] },
+      ],
+    },
+    { type: 'separator' },
+    { type: 'paragraph', spans: [{ text: 'Line one\nline two', marks: [] }] },
+    { type: 'image', src: 'https://readnovelfull.com/images/map.png', alt: 'Map' },
+    { type: 'paragraph', spans: [{ text: '• First', marks: [] }] },
+    { type: 'paragraph', spans: [{ text: '• Second', marks: [] }] },
+    { type: 'paragraph', spans: [{ text: 'a | b', marks: [] }] },
+  ]);
+  assert.deepEqual(toBlocks('<p> </p><p><b> </b></p>'), [], 'blank paragraphs are dropped');
+});
+
+test('html keeps allowlisted tags and attributes only', () => {
+  assert.equal(toSafeHtml(content(), { baseUrl: BASE_URL }).replace(/\s+/g, ' '), [
+    '<h3>Chapter 1: <i>The Start</i></h3> <p>He said, <em>“Run!”</em> and <strong>ran <i>fast</i></strong>.</p> ',
+    '<hr> <p>Line one<br>line two</p> <img src="https://readnovelfull.com/images/map.png" alt="Map"> ',
+    '<ul><li>First</li><li>Second</li></ul> <table><tr><td>a</td><td>b</td></tr></table>',
+  ].join(''));
+
+  assert.equal(
+    toSafeHtml('<p onclick="x()" style="color:red"><a href="javascript:x()">link</a> <span class="n">text</span></p>'),
+    '<p>link text</p>',
+  );
+  assert.equal(toSafeHtml('<img src="javascript:alert(1)"><img src="/rel.png"><p>&lt;b&gt; "q"</p>'), '<p>&lt;b&gt; &quot;q&quot;</p>');
+  assert.equal(toSafeHtml('<table><tr><td colspan="2" rowspan="x">c</td></tr></table><img src="https://x/y.png" width="100%" height="20">'),
+    '<table><tr><td colspan="2">c</td></tr></table><img src="https://x/y.png" height="20">');
+  assert.equal(toSafeHtml('<p></p><p> </p><p>kept</p>'), '<p>kept</p>');
+  assert.equal(escapeHtml('<a href="x">&</a>'), '&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;');
+});
+
+test('text is laid out per text style', () => {
+  const node = selectOne(parse('<div><p>One</p><p>Two</p><p>Three<br>still three</p></div>'), 'div');
+  assert.equal(renderContent(node), 'One\n\nTwo\n\nThree\nstill three');
+  assert.equal(renderContent(node, 'text', { textStyle: 'lines' }), 'One\nTwo\nThree\nstill three');
+  assert.equal(renderContent(node, 'text', { textStyle: 'continuous' }), 'One Two Three still three');
+  assert.equal(renderContent(node, 'html'), '<p>One</p><p>Two</p><p>Three<br>still three</p>');
+  assert.equal(renderContent(node, 'blocks').length, 3);
+  assert.throws(() => renderContent(node, 'markdown'), /Unsupported content format "markdown"\. Use one of: text, blocks, html/);
+});
+
+test('isEmptyContent sees through markup but not images', () => {
+  assert.equal(isEmptyContent(''), true);
+  assert.equal(isEmptyContent('  \n '), true);
+  assert.equal(isEmptyContent('<p> </p><br>'), true);
+  assert.equal(isEmptyContent('<img src="https://x/y.png">'), false);
+  assert.equal(isEmptyContent('<p>x</p>'), false);
+  assert.equal(isEmptyContent([]), true);
+  assert.equal(isEmptyContent([{ type: 'separator' }]), false);
+});
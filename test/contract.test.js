@@ -0,0 +1,72 @@
+/**
+ * Tests for lib/contract.js: declarations, capability checks and the v1 adapter.
+ *
+ *   node --test test/contract.test.js
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import mangapillModule from '../mangapills.js';
+import readwnModule from '../ReadNovelFull.js';
+import readNovelFullModule from '../ReadFullNovelV2.js';
+import { CAPABILITIES, CONTRACT_VERSION, adaptModule, contractErrors, moduleCapabilities } from '../lib/contract.js';
+
+const page = (url, body) => Object.defineProperty(
+  new Response(body, { status: 200, headers: { 'content-type': 'text/html' } }), 'url', { value: url },
+);
+
+test('every module declares a contract that matches its methods', () => {
+  for (const factory of [mangapillModule, readwnModule, readNovelFullModule]) {
+    const source = factory(fetch, { logLevel: 'silent' });
+    assert.deepEqual(contractErrors(source), [], source.id);
+    assert.deepEqual(Object.keys(moduleCapabilities(source)), CAPABILITIES);
+  }
+  assert.deepEqual(contractErrors({ contractVersion: 3, contentType: 'audio', capabilities: { settings: true, teleport: true } }), [
+    'Unknown contractVersion 3.',
+    'contentType must be one of images, text, not "audio".',
+    'Capability "settings" is declared but getSettingsSchema(), configure() missing.',
+    'Unknown capability "teleport".',
+  ]);
+});
+
+test('adapted modules answer in v2 shapes', async () => {
+  const fetch = async url => page(url, url.includes('/chapters/')
+    ? '<chapter-page><img data-src="https://cdn.mangapill.com/1.jpeg"></chapter-page>'
+    : '<div class="grid"><div><a href="/manga/2/x"><img data-src="c"><div class="font-black">X</div></a></div></div>');
+  const manga = adaptModule(mangapillModule(fetch, { logLevel: 'silent' }));
+  assert.equal(manga.contractVersion, CONTRACT_VERSION);
+  assert.equal(manga.id, 'mangapill');
+  assert.equal(manga.baseURL, 'https://mangapill.com');
+
+  const found = await manga.search('x');
+  assert.deepEqual(found.results.map(result => result.id), ['/manga/2/x']);
+  assert.equal(found.page, 1);
+  assert.deepEqual(await manga.getContent('/chapters/2-1/x-chapter-1'), {
+    contentType: 'images',
+    pages: [{ url: 'https://cdn.mangapill.com/1.jpeg', headers: { Referer: 'https://mangapill.com/' }, index: 0 }],
+  });
+
+  const novel = adaptModule(readNovelFullModule(async url => page(url, '<div id="chr-content"><p>Hi <b>there</b></p></div>'), { logLevel: 'silent' }));
+  assert.deepEqual(await novel.getContent('t/chapter-1', { id: 't' }), { contentType: 'text', format: 'text', content: 'Hi there' });
+  assert.equal((await novel.getContent('t/chapter-1', { id: 't' }, { format: 'blocks' })).content[0].type, 'paragraph');
+  await assert.rejects(novel.getContent('t/chapter-1', { id: 't' }, { format: 'pdf' }), /Unsupported content format/);
+});
+
+test('bare v1 modules need their content type, and v2 modules pass through', async () => {
+  const legacy = {
+    id: 'legacy',
+    search: async () => [{ id: 'a', title: 'A' }],
+    getBookDetails: async id => ({ id, chapters: [] }),
+    getContent: async () => ['https://cdn.example.com/1.png', 'https://cdn.example.com/2.png'],
+  };
+  assert.throws(() => adaptModule(legacy), /does not declare its contentType/);
+
+  const adapted = adaptModule(legacy, { contentType: 'images' });
+  assert.deepEqual(adapted.capabilities, { searchPages: false, filters: false, feeds: false, settings: false, urlResolution: false, chapterStream: false });
+  assert.deepEqual(await adapted.search('a', { page: 2 }), { results: [{ id: 'a', title: 'A' }], hasNextPage: false, page: 2 });
+  assert.deepEqual((await adapted.getContent('c1', null)).pages.map(item => [item.index, item.url]), [
+    [0, 'https://cdn.example.com/1.png'], [1, 'https://cdn.example.com/2.png'],
+  ]);
+
+  const native = { ...legacy, contractVersion: CONTRACT_VERSION, contentType: 'text' };
+  assert.equal(adaptModule(native), native);
+});
@@ -0,0 +1,121 @@
+/**
+ * Tests for lib/cookies.js and anti-bot challenge handling in the modules.
+ *
+ *   node --test test/cookies.test.js
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import readwnModule from '../ReadNovelFull.js';
+import { createMemoryStore } from '../lib/cache.js';
+import { createCookieJar, parseSetCookie, setCookieHeaders, withCookies } from '../lib/cookies.js';
+import { challengeProvider } from '../lib/errors.js';
+
+const NOW = Date.parse('2024-05-01T00:00:00Z');
+
+test('parses Set-Cookie attributes with RFC 6265 defaults', () => {
+  assert.deepEqual(parseSetCookie('sid="abc"; Max-Age=60; Secure; HttpOnly', 'https://www.example.com/novel/x/1', NOW), {
+    name: 'sid', value: 'abc', domain: 'www.example.com', hostOnly: true, path: '/novel/x', secure: true, expires: NOW + 60000,
+  });
+  const wide = parseSetCookie('a=1; Domain=.Example.com; Path=/; Expires=Wed, 01 May 2024 01:00:00 GMT', 'https://www.example.com/', NOW);
+  assert.equal(wide.domain, 'example.com');
+  assert.equal(wide.hostOnly, false);
+  assert.equal(wide.expires, NOW + 3600000);
+
+  assert.equal(parseSetCookie('a=1; Domain=other.com', 'https://www.example.com/', NOW), null);
+  assert.equal(parseSetCookie('novalue', 'https://www.example.com/', NOW), null);
+});
+
+test('splits a combined Set-Cookie header without breaking Expires dates', () => {
+  const headers = { get: () => 'a=1; Expires=Wed, 01 May 2024 01:00:00 GMT; Path=/, b=2' };
+  assert.deepEqual(setCookieHeaders({ headers }), ['a=1; Expires=Wed, 01 May 2024 01:00:00 GMT; Path=/', 'b=2']);
+});
+
+test('sends cookies by domain, path, scheme and expiry', async () => {
+  let now = NOW;
+  const jar = createCookieJar({ now: () => now });
+  await jar.receive('https://www.example.com/novel/x', [
+    'host=1; Path=/',
+    'wide=2; Domain=example.com; Path=/',
+    'deep=3; Path=/novel',
+    'secret=4; Path=/; Secure',
+    'short=5; Path=/; Max-Age=10',
+  ]);
+
+  assert.equal(await jar.cookieHeader('https://www.example.com/novel/x/1'), 'deep=3; host=1; wide=2; secret=4; short=5');
+  assert.equal(await jar.cookieHeader('http://www.example.com/'), 'host=1; wide=2; short=5');
+  assert.equal(await jar.cookieHeader('https://example.com/novels'), 'wide=2');
+  assert.equal(await jar.cookieHeader('https://other.com/'), null);
+
+  now += 11000;
+  assert.equal(await jar.cookieHeader('https://example.com/'), 'wide=2');
+
+  await jar.receive('https://www.example.com/', ['wide=; Domain=example.com; Path=/; Max-Age=0']);
+  assert.equal(await jar.cookieHeader('https://example.com/'), null);
+});
+
+test('persists through a store adapter', async () => {
+  const store = createMemoryStore();
+  const first = createCookieJar({ store, key: 'demo:cookies', now: () => NOW });
+  await first.set('https://example.com/', 'cf_clearance=abc; theme=dark');
+  await first.set('https://example.com/', [{ name: 'sid', value: 'x', domain: 'example.com', path: '/', expires: NOW + 1000 }]);
+
+  const second = createCookieJar({ store, key: 'demo:cookies', now: () => NOW });
+  assert.equal(await second.cookieHeader('https://example.com/page'), 'cf_clearance=abc; theme=dark; sid=x');
+  assert.equal(await second.clear(), 3);
+  assert.deepEqual(await store.get('demo:cookies'), []);
+});
+
+test('withCookies keeps an explicit Cookie header and records responses', async () => {
+  const jar = createCookieJar();
+  const sent = [];
+  const fetch = async (url, options) => {
+    sent.push(options.headers.Cookie || options.headers.cookie || null);
+    return new Response('ok', { headers: [['set-cookie', 'a=1; Path=/'], ['set-cookie', 'b=2; Path=/']] });
+  };
+  const cookieFetch = withCookies(fetch, jar);
+  await cookieFetch('https://example.com/');
+  await cookieFetch('https://example.com/next');
+  await cookieFetch('https://example.com/own', { headers: { cookie: 'mine=1' } });
+  assert.deepEqual(sent, [null, 'a=1; b=2', 'mine=1']);
+});
+
+test('names the provider of a challenge page', () => {
+  assert.equal(challengeProvider({ headers: { get: name => (name === 'cf-mitigated' ? 'challenge' : null) } }), 'cloudflare');
+  assert.equal(challengeProvider(null, '<title>Just a moment...</title>'), 'cloudflare');
+  assert.equal(challengeProvider(null, '<script src="https://check.ddos-guard.net/check.js"></script>'), 'ddos-guard');
+  assert.equal(challengeProvider(null, '<title>Sucuri WebSite Firewall - Access Denied</title>'), 'sucuri');
+  assert.equal(challengeProvider(null, '<title>Checking your browser before accessing</title>'), 'generic');
+  assert.equal(challengeProvider(null, '<title>Martial Peak - Read Novel</title>'), null);
+});
+
+test('a challenged module asks for verification and recovers with the webview cookies', async () => {
+  const store = createMemoryStore();
+  const requests = [];
+  // Responses carry their URL, as from a real fetch
+  const page = (url, status, body) => Object.defineProperty(
+    new Response(body, { status, headers: { 'content-type': 'text/html' } }), 'url', { value: url },
+  );
+  const fetch = async (url, options) => {
+    const cookie = options.headers.Cookie || '';
+    requests.push([url, cookie]);
+    if (!cookie.includes('cf_clearance=ok')) return page(url, 403, '<title>Just a moment...</title>');
+    return page(url, 200, '<ul class="novel-list"><li class="novel-item"><a href="/novel/x" title="X"><h4 class="novel-title">X</h4></a></li></ul>');
+  };
+  const source = readwnModule(fetch, { cookieStore: store, logLevel: 'silent' });
+
+  const error = await source.search('x', {}).catch(caught => caught);
+  assert.equal(error.name, 'ChallengePageError');
+  assert.equal(error.provider, 'cloudflare');
+  assert.equal(error.needsVerification, true);
+  assert.match(error.verificationUrl, /^https:\/\/(www\.)?readwn\.com\/search\//);
+
+  // The host opens error.verificationUrl, the user passes, and the webview's cookies come back
+  assert.equal(await source.setCookies(error.verificationUrl, 'cf_clearance=ok'), 1);
+  const { results } = await source.search('x', {});
+  assert.deepEqual(results.map(result => result.id), ['x']);
+  assert.equal(requests.at(-1)[1], 'cf_clearance=ok');
+
+  // A new module instance over the same store starts verified
+  const restarted = readwnModule(fetch, { cookieStore: store, logLevel: 'silent' });
+  assert.deepEqual((await restarted.getCookies(error.verificationUrl)).map(cookie => cookie.name), ['cf_clearance']);
+});
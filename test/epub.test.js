@@ -0,0 +1,113 @@
+/**
+ * Tests for lib/zip.js and lib/epub.js, using a fake novel module.
+ *
+ *   node --test test/epub.test.js
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createMemoryStore } from '../lib/cache.js';
+import { describeChapter } from '../lib/chapters.js';
+import { toBlocks } from '../lib/content.js';
+import { exportEpub } from '../lib/epub.js';
+import { crc32, createZip } from '../lib/zip.js';
+import { readZip } from './read-zip.js';
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+});
+
+test('zip entries round-trip, stored or deflated', async () => {
+  const zip = createZip();
+  zip.add('stored.txt', 'plain', { compress: false });
+  zip.add('dir/deflated.txt', 'abc'.repeat(1000));
+  zip.add('dir/bytes.bin', new Uint8Array([0, 1, 2, 255]));
+  zip.add('ünïcode.txt', 'ok');
+  assert.throws(() => zip.add('stored.txt', 'again'), /Duplicate/);
+
+  const entries = readZip(await zip.toBytes());
+  assert.deepEqual(entries.map(entry => entry.name), ['stored.txt', 'dir/deflated.txt', 'dir/bytes.bin', 'ünïcode.txt']);
+  assert.equal(entries[0].method, 0);
+  assert.equal(entries[1].text, 'abc'.repeat(1000));
+  assert.deepEqual([...entries[2].data], [0, 1, 2, 255]);
+});
+
+const PNG = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 0]);
+
+const fakeNovel = ({ failOn = null } = {}) => {
+  const calls = [];
+  const chapters = [1, 2, 3, 4].map(n => describeChapter({ id: `novel/chapter-${n}`, title: `Chapter ${n}` }));
+  return {
+    calls,
+    source: {
+      id: 'fake',
+      supportedLanguages: ['en'],
+      async getBookDetails(id) {
+        return {
+          id, title: 'A <Novel> & Co', author: 'Momo', coverUrl: 'https://example.com/c.png',
+          description: 'Line one.\n\nLine two.', genres: ['Action', 'Xianxia'], status: 'Ongoing', chapters,
+        };
+      },
+      async getContent(id, book, options) {
+        calls.push(id);
+        assert.equal(options.format, 'blocks');
+        if (id === failOn) throw new Error(`Network down at ${id}`);
+        return toBlocks(`<p>Text of <i>${id}</i> &amp; more<br>next line</p><hr><img src="https://example.com/x.png">`);
+      },
+      async fetchImage(url) {
+        return { url, index: null, contentType: 'image/png', data: PNG };
+      },
+    },
+  };
+};
+
+test('exports a valid EPUB 3 package', async () => {
+  const { source } = fakeNovel();
+  const { fileName, mimeType, data } = await exportEpub(source, 'novel', { from: 2, to: 3, date: new Date('2024-05-01T10:00:00Z') });
+  assert.equal(fileName, 'A Novel & Co (2-3).epub');
+  assert.equal(mimeType, 'application/epub+zip');
+
+  const entries = readZip(data);
+  const files = Object.fromEntries(entries.map(entry => [entry.name, entry]));
+  assert.equal(entries[0].name, 'mimetype');
+  assert.equal(entries[0].offset, 0);
+  assert.equal(entries[0].method, 0);
+  assert.equal(entries[0].text, 'application/epub+zip');
+  assert.match(files['META-INF/container.xml'].text, /full-path="OEBPS\/content.opf"/);
+
+  const opf = files['OEBPS/content.opf'].text;
+  assert.match(opf, /<dc:title>A &lt;Novel&gt; &amp; Co<\/dc:title>/);
+  assert.match(opf, /<dc:creator>Momo<\/dc:creator>/);
+  assert.match(opf, /<dc:subject>Xianxia<\/dc:subject>/);
+  assert.match(opf, /<dc:description>Line one.\n\nLine two.<\/dc:description>/);
+  assert.match(opf, /<meta property="dcterms:modified">2024-05-01T10:00:00Z<\/meta>/);
+  assert.match(opf, /href="images\/cover.png" media-type="image\/png" properties="cover-image"/);
+  assert.deepEqual([...opf.matchAll(/<itemref idref="([^"]+)"/g)].map(match => match[1]), ['cover', 'chapter-0001', 'chapter-0002']);
+  assert.deepEqual([...files['OEBPS/images/cover.png'].data], [...PNG]);
+
+  // Every manifest item is in the archive
+  for (const [, href] of opf.matchAll(/<item [^>]*href="([^"]+)"/g)) {
+    assert.ok(files[`OEBPS/${href}`], `${href} is packaged`);
+  }
+
+  assert.match(files['OEBPS/nav.xhtml'].text, /<a href="text\/chapter-0002.xhtml">Chapter 3<\/a>/);
+  const chapter = files['OEBPS/text/chapter-0001.xhtml'].text;
+  assert.match(chapter, /<h2>Chapter 2<\/h2>/);
+  assert.match(chapter, /<p>Text of <em>novel\/chapter-2<\/em> &amp; more<br\/>next line<\/p>\n<hr\/>/);
+  assert.doesNotMatch(chapter, /<img/);
+});
+
+test('resumes a failed export without refetching finished chapters', async () => {
+  const store = createMemoryStore();
+  const first = fakeNovel({ failOn: 'novel/chapter-3' });
+  const book = await first.source.getBookDetails('novel');
+  await assert.rejects(exportEpub(first.source, book, { store }), /Network down/);
+  assert.deepEqual(first.calls, ['novel/chapter-1', 'novel/chapter-2', 'novel/chapter-3']);
+
+  const second = fakeNovel();
+  const progress = [];
+  const { data } = await exportEpub(second.source, book, { store, onProgress: ({ done, resumed }) => progress.push([done, resumed]) });
+  assert.deepEqual(second.calls, ['novel/chapter-3', 'novel/chapter-4']);
+  assert.deepEqual(progress, [[1, true], [2, true], [3, false], [4, false]]);
+  assert.equal(readZip(data).filter(entry => entry.name.startsWith('OEBPS/text/')).length, 4);
+  assert.deepEqual(await store.keys(), []); // Progress is dropped once the book is built
+});
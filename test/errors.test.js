@@ -0,0 +1,137 @@
+/**
+ * Tests for lib/errors.js: mapping responses, bodies and failures to typed errors.
+ *
+ *   node --test test/errors.test.js
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import {
+  AbortError, ChallengePageError, HttpError, NetworkError, NotFoundError, ParseError, RateLimitedError, SourceError,
+  asSourceError, challengeProvider, fetchOrThrow, isChallengePage, parseRetryAfter, readPage, responseError,
+} from '../lib/errors.js';
+
+const URL_ = 'https://example.com/novel/x';
+
+const respond = (body, { status = 200, headers = {}, url = URL_ } = {}) => Object.defineProperty(
+  new Response(body, { status, headers: { 'content-type': 'text/html', ...headers } }), 'url', { value: url },
+);
+
+const CLOUDFLARE = '<!DOCTYPE html><html><head><title>Just a moment...</title></head><body><div id="cf-turnstile"></div><script src="/cdn-cgi/challenge-platform/h/g/orchestrate/chl_page/v1"></script></body></html>';
+const abortException = () => new DOMException('This operation was aborted', 'AbortError');
+
+test('maps error statuses to typed errors', () => {
+  const gone = responseError(respond('', { status: 410 }));
+  assert.ok(gone instanceof NotFoundError && gone instanceof HttpError);
+  assert.equal(gone.status, 410);
+  assert.equal(gone.url, URL_);
+  assert.equal(gone.retryable, false);
+
+  const limited = responseError(respond('', { status: 429, headers: { 'retry-after': '30' } }));
+  assert.ok(limited instanceof RateLimitedError);
+  assert.equal(limited.retryAfter, 30);
+  assert.equal(limited.retryable, true);
+  assert.match(limited.message, /retry after 30s/);
+  assert.equal(responseError(respond('', { status: 429 })).retryAfter, null);
+
+  const forbidden = responseError(respond('', { status: 403 }), URL_, '<h1>Forbidden</h1>');
+  assert.equal(forbidden.constructor, HttpError);
+  assert.equal(forbidden.status, 403);
+  assert.equal(forbidden.retryable, false);
+
+  for (const status of [500, 502, 503]) {
+    const error = responseError(respond('', { status }));
+    assert.equal(error.constructor, HttpError);
+    assert.equal(error.status, status);
+    assert.equal(error.retryable, true, `${status} is worth retrying`);
+  }
+  assert.equal(responseError(respond('', { status: 408 })).retryable, true);
+  assert.equal(responseError(respond('', { status: 400 })).retryable, false);
+
+  const unnamed = responseError({ status: 500, statusText: 'Internal Server Error', url: '' }, URL_);
+  assert.equal(unnamed.message, `HTTP 500 Internal Server Error: ${URL_}`);
+});
+
+test('parses Retry-After as seconds or an HTTP date', () => {
+  const now = new Date('2026-01-01T00:00:00Z');
+  assert.equal(parseRetryAfter('120', now), 120);
+  assert.equal(parseRetryAfter('Thu, 01 Jan 2026 00:01:30 GMT', now), 90);
+  assert.equal(parseRetryAfter('Wed, 31 Dec 2025 23:00:00 GMT', now), 0);
+  assert.equal(parseRetryAfter('soon', now), null);
+  assert.equal(parseRetryAfter(null, now), null);
+});
+
+test('recognises anti-bot challenge pages by body and by header', () => {
+  assert.equal(challengeProvider(null, CLOUDFLARE), 'cloudflare');
+  assert.equal(challengeProvider(respond('', { headers: { 'cf-mitigated': 'challenge' } })), 'cloudflare');
+  assert.equal(challengeProvider(null, '<title>DDoS-Guard</title>'), 'ddos-guard');
+  assert.equal(challengeProvider(null, '<title>Sucuri WebSite Firewall - Access Denied</title>'), 'sucuri');
+  assert.equal(challengeProvider(null, '<title>Checking your browser before accessing</title>'), 'generic');
+  assert.equal(isChallengePage('<title>Martial Peak - Chapter 1</title><p>Just a moment, he said.</p>'), false);
+  assert.equal(isChallengePage(''), false);
+
+  for (const status of [403, 503]) {
+    const error = responseError(respond('', { status }), URL_, CLOUDFLARE);
+    assert.ok(error instanceof ChallengePageError, `${status} with a challenge body`);
+    assert.equal(error.provider, 'cloudflare');
+    assert.equal(error.verificationUrl, URL_);
+    assert.equal(error.needsVerification, true);
+  }
+  assert.equal(responseError(respond('', { status: 500 }), URL_, CLOUDFLARE).constructor, HttpError, 'only 403/503 are challenges');
+});
+
+test('readPage returns the HTML of real pages and throws for errors and challenges', async () => {
+  assert.equal(await readPage(respond('<p>ok</p>'), URL_), '<p>ok</p>');
+  await assert.rejects(readPage(respond('gone', { status: 404 }), URL_), NotFoundError);
+  await assert.rejects(readPage(respond(CLOUDFLARE, { status: 503 }), URL_), { name: 'ChallengePageError', provider: 'cloudflare' });
+  await assert.rejects(readPage(respond(CLOUDFLARE, { status: 403 }), URL_), ChallengePageError);
+  await assert.rejects(readPage(respond('<h1>Forbidden</h1>', { status: 403 }), URL_), error => error.constructor === HttpError);
+  await assert.rejects(readPage(respond(CLOUDFLARE), URL_), ChallengePageError, 'a challenge served with 200');
+
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(readPage(respond('<p>ok</p>'), URL_, controller.signal), AbortError);
+  const failingBody = { ok: true, status: 200, url: URL_, headers: new Headers(), text: async () => { throw abortException(); } };
+  await assert.rejects(readPage(failingBody, URL_), AbortError);
+});
+
+test('fetchOrThrow separates network failures from cancellation', async () => {
+  const offline = await fetchOrThrow(async () => { throw new TypeError('fetch failed'); }, URL_).catch(error => error);
+  assert.ok(offline instanceof NetworkError);
+  assert.equal(offline.retryable, true);
+  assert.equal(offline.cause.message, 'fetch failed');
+  assert.equal(offline.url, URL_);
+
+  const aborted = await fetchOrThrow(async () => { throw abortException(); }, URL_).catch(error => error);
+  assert.ok(aborted instanceof AbortError);
+  assert.equal(aborted.name, 'AbortError');
+
+  const controller = new AbortController();
+  controller.abort(new Error('user left'));
+  let called = false;
+  const early = await fetchOrThrow(async () => { called = true; }, URL_, { signal: controller.signal }).catch(error => error);
+  assert.ok(early instanceof AbortError);
+  assert.equal(early.cause.message, 'user left');
+  assert.equal(called, false, 'nothing is fetched once cancelled');
+
+  const typed = new NotFoundError('gone', { url: URL_ });
+  assert.equal(await fetchOrThrow(async () => { throw typed; }, URL_).catch(error => error), typed);
+  assert.equal((await fetchOrThrow(async () => respond('', { status: 500 }), URL_)).status, 500, 'statuses are left to the caller');
+});
+
+test('asSourceError keeps typed errors, preserves aborts and wraps the rest as ParseError', () => {
+  const limited = new RateLimitedError('slow down', { url: URL_ });
+  assert.equal(asSourceError(limited, 'novel-items', URL_), limited);
+
+  const dom = abortException();
+  const aborted = asSourceError(dom, 'novel-items', URL_);
+  assert.ok(aborted instanceof AbortError && aborted instanceof SourceError);
+  assert.equal(aborted.cause, dom);
+  assert.equal(aborted.url, URL_);
+
+  const bug = new TypeError("Cannot read properties of null (reading 'split')");
+  const parsed = asSourceError(bug, 'chapter-list', URL_);
+  assert.ok(parsed instanceof ParseError);
+  assert.equal(parsed.extractor, 'chapter-list');
+  assert.equal(parsed.cause, bug);
+  assert.equal(parsed.retryable, false);
+});
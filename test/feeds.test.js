@@ -0,0 +1,50 @@
+/**
+ * Tests for lib/feeds.js and the modules' browse feeds.
+ *
+ *   node --test test/feeds.test.js
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { describeFeeds } from '../lib/feeds.js';
+import readwnModule from '../ReadNovelFull.js';
+import mangapillModule from '../mangapills.js';
+
+const page = (url, body) => Object.defineProperty(
+  new Response(body, { status: 200, headers: { 'content-type': 'text/html' } }), 'url', { value: url },
+);
+
+test('describeFeeds names each feed method and lists genres on the genre feed only', () => {
+  const genres = [{ value: 'action', label: 'Action' }];
+  assert.deepEqual(describeFeeds(['popular', 'latest', 'genre'], { genres }), [
+    { id: 'popular', label: 'Popular', method: 'getPopular' },
+    { id: 'latest', label: 'Latest Updates', method: 'getLatestUpdates' },
+    { id: 'genre', label: 'Genres', method: 'getByGenre', genres },
+  ]);
+  assert.deepEqual(describeFeeds(['genre'])[0].genres, []);
+  assert.throws(() => describeFeeds(['popular', 'random']), /Unknown feed "random"/);
+});
+
+test('every declared feed method exists and answers a page of search-shaped results', async () => {
+  const requested = [];
+  const fetch = async (url) => {
+    requested.push(new URL(url).pathname);
+    return page(url, '<div class="novel-item"><a href="/novel/x"><div class="novel-detail"><h3>X</h3></div></a></div><a href="/list/all/all-onclick-1.html">2</a>');
+  };
+  const source = readwnModule(fetch, { logLevel: 'silent' });
+  for (const feed of source.feeds) assert.equal(typeof source[feed.method], 'function', feed.method);
+
+  const popular = await source.getPopular();
+  assert.deepEqual(popular.results.map(result => result.id), ['x']);
+  assert.equal(popular.hasNextPage, true);
+  assert.equal(popular.page, 1);
+  await source.getLatestUpdates({ page: 2 });
+  await source.getByGenre('martial-arts');
+  assert.deepEqual(requested, ['/list/all/all-onclick-0.html', '/list/all/all-lastdotime-1.html', '/list/martial-arts/all-newstime-0.html']);
+  await assert.rejects(source.getByGenre('Martial Arts'), /Unsupported value/);
+});
+
+test('MangaPill popular is a single page', async () => {
+  const source = mangapillModule(async () => { throw new Error('no fetch expected'); }, { logLevel: 'silent' });
+  assert.deepEqual(await source.getPopular({ page: 2 }), { results: [], hasNextPage: false, page: 2 });
+  await assert.rejects(source.getByGenre(''), /A genre is required/);
+});
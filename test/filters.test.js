@@ -0,0 +1,94 @@
+/**
+ * Tests for lib/filters.js, and filtered search in the novel modules, whose
+ * listings cannot be narrowed by title.
+ *
+ *   node --test test/filters.test.js
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { describeFilters, optionsFrom, resolveFilters } from '../lib/filters.js';
+import readwnModule from '../ReadNovelFull.js';
+import readNovelFullModule from '../ReadFullNovelV2.js';
+
+const page = (url, body) => Object.defineProperty(
+  new Response(body, { status: 200, headers: { 'content-type': 'text/html' } }), 'url', { value: url },
+);
+
+const DEFINITIONS = [
+  { key: 'genre', label: 'Genre', type: 'multiselect', options: optionsFrom(['Action', 'Slice of Life'], label => label.toLowerCase().replace(/\s+/g, '-')) },
+  { key: 'status', label: 'Status', type: 'select', options: optionsFrom(['Ongoing', 'Completed']) },
+];
+
+test('optionsFrom derives values from labels', () => {
+  assert.deepEqual(DEFINITIONS[0].options, [{ value: 'action', label: 'Action' }, { value: 'slice-of-life', label: 'Slice of Life' }]);
+  assert.deepEqual(DEFINITIONS[1].options[0], { value: 'Ongoing', label: 'Ongoing' });
+});
+
+test('resolveFilters keeps set filters in their declared shape and rejects what the module does not know', () => {
+  assert.deepEqual(resolveFilters(DEFINITIONS), {});
+  assert.deepEqual(resolveFilters(DEFINITIONS, { genre: 'action', status: ['Completed'] }), { genre: ['action'], status: 'Completed' });
+  assert.deepEqual(resolveFilters(DEFINITIONS, { genre: ['action', 'slice-of-life'] }), { genre: ['action', 'slice-of-life'] });
+  assert.deepEqual(resolveFilters(DEFINITIONS, { genre: [], status: '' }), {}, 'empty values are dropped');
+  assert.deepEqual(resolveFilters(DEFINITIONS, { genre: [null, undefined, 'action'] }), { genre: ['action'] });
+
+  assert.throws(() => resolveFilters(DEFINITIONS, { type: 'manga' }), /Unknown filter "type"\. Supported: genre, status/);
+  assert.throws(() => resolveFilters(DEFINITIONS, { genre: 'Action' }), /Unsupported value "Action" for filter "genre"/);
+  assert.throws(() => resolveFilters(DEFINITIONS, { status: ['Ongoing', 'Completed'] }), /accepts a single value/);
+});
+
+test('describeFilters hands out a copy the host cannot change the module through', () => {
+  const described = describeFilters(DEFINITIONS);
+  assert.deepEqual(described, DEFINITIONS);
+  described[0].options.push({ value: 'horror', label: 'Horror' });
+  assert.equal(DEFINITIONS[0].options.length, 2);
+});
+
+const ids = found => found.results.map(result => result.id);
+
+// Listing pages of three novels each; the titles of the "peak" ones contain "Peak".
+const LISTING = [['peak-1', 'other-1', 'other-2'], ['other-3', 'other-4', 'other-5'], ['peak-2', 'peak-3', 'peak-4'], ['peak-5', 'other-6', 'other-7']];
+const titleOf = id => (id.startsWith('peak') ? `Martial Peak ${id.slice(5)}` : `Other ${id.slice(6)}`);
+
+test('readwn reads on through a filtered listing until a page of title matches fills', async () => {
+  const requested = [];
+  const fetch = async (url) => {
+    requested.push(url);
+    const number = parseInt(url.match(/-(\d+)\.html$/)[1], 10);
+    const items = LISTING[number].map(id => `<div class="novel-item"><a href="/novel/${id}"><div class="novel-detail"><h3>${titleOf(id)}</h3></div></a></div>`);
+    const next = number + 1 < LISTING.length ? `<a href="/list/action/completed-newstime-${number + 1}.html">Next</a>` : '';
+    return page(url, `${items.join('')}${next}`);
+  };
+  const source = readwnModule(fetch, { logLevel: 'silent' });
+  const filters = { genre: 'action', status: 'completed' };
+
+  const first = await source.search('peak', { filters });
+  assert.deepEqual(ids(first), ['peak-1', 'peak-2', 'peak-3']);
+  assert.equal(first.hasNextPage, true);
+  assert.deepEqual(requested.map(url => new URL(url).pathname), [0, 1, 2].map(n => `/list/action/completed-newstime-${n}.html`));
+
+  const second = await source.search('peak', { filters, page: 2 });
+  assert.deepEqual(ids(second), ['peak-4', 'peak-5']);
+  assert.equal(second.hasNextPage, false);
+
+  const all = await source.search('', { filters, page: 2 });
+  assert.deepEqual(ids(all), LISTING[1], 'without a query a results page is a listing page');
+});
+
+test('ReadNovelFull V2 narrows genre listings to completed novels a full page at a time', async () => {
+  const fetch = async (url) => {
+    const number = parseInt(new URL(url).searchParams.get('page') || '1', 10);
+    const rows = LISTING[number - 1].map(id => `<div class="row"><h3 class="novel-title"><a href="/${id}.html">${titleOf(id)}</a></h3>${id.startsWith('peak') ? '<span class="label-full">Full</span>' : ''}</div>`);
+    const next = number < LISTING.length ? `<ul class="pagination"><li><a href="/genres/action?page=${number + 1}">${number + 1}</a></li></ul>` : '';
+    return page(url, `<div class="list-novel">${rows.join('')}</div>${next}`);
+  };
+  const source = readNovelFullModule(fetch, { logLevel: 'silent' });
+  const filters = { genre: 'action', status: 'completed' };
+
+  const first = await source.search('', { filters });
+  assert.deepEqual(ids(first), ['peak-1', 'peak-2', 'peak-3']);
+  assert.equal(first.hasNextPage, true);
+  const second = await source.search('', { filters, page: 2 });
+  assert.deepEqual(ids(second), ['peak-4', 'peak-5']);
+  assert.equal(second.hasNextPage, false);
+  assert.deepEqual(ids(await source.search('peak 5', { filters })), ['peak-5']);
+});
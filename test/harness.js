@@ -0,0 +1,233 @@
+/**
+ * Offline fixture harness for Rida modules.
+ *
+ * Serves recorded HTML fixtures to a module through an injected fake `fetch`,
+ * so `search`, `getBookDetails` and `getContent` can be exercised and compared
+ * against golden JSON outputs without touching the network.
+ *
+ * Fixtures live in test/fixtures/<suite>/:
+ *   pages.json        URL -> { status, headers, file }
+ *   pages/*.html      recorded response bodies
+ *   golden/<case>.json expected module output for each case
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+
+// --- Fixture Store ---
+
+// File-system safe name for a recorded URL, e.g. mangapill.com_search_q-one-piece.html
+const fixtureFileName = (url, taken) => {
+  const base = url
+    .replace(/^https?:\/\//, '')
+    .replace(/\.html?$/, '')
+    .replace(/[^A-Za-z0-9._-]+/g, '_')
+    .replace(/_+$/, '')
+    .slice(0, 120) || 'page';
+  let name = `${base}.html`;
+  for (let n = 2; taken.has(name); n++) name = `${base}-${n}.html`;
+  taken.add(name);
+  return name;
+};
+
+/**
+ * Load a suite's recorded pages.
+ * @param {string} dir - The suite's fixture directory.
+ * @returns {Map<string, {status: number, headers: object, body: string}>} - Pages keyed by URL.
+ */
+export const loadFixtures = (dir) => {
+  const pages = new Map();
+  const indexFile = path.join(dir, 'pages.json');
+  if (!fs.existsSync(indexFile)) return pages;
+
+  const index = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+  for (const [url, entry] of Object.entries(index)) {
+    pages.set(url, {
+      status: entry.status,
+      headers: entry.headers || {},
+      body: fs.readFileSync(path.join(dir, 'pages', entry.file), 'utf8'),
+    });
+  }
+  return pages;
+};
+
+/**
+ * Write a suite's pages, replacing whatever was recorded before.
+ * @param {string} dir - The suite's fixture directory.
+ * @param {Map<string, {status: number, headers: object, body: string}>} pages
+ */
+export const saveFixtures = (dir, pages) => {
+  const pagesDir = path.join(dir, 'pages');
+  fs.rmSync(pagesDir, { recursive: true, force: true });
+  fs.mkdirSync(pagesDir, { recursive: true });
+
+  const index = {};
+  const taken = new Set();
+  for (const url of [...pages.keys()].sort()) {
+    const { status, headers, body } = pages.get(url);
+    const file = fixtureFileName(url, taken);
+    fs.writeFileSync(path.join(pagesDir, file), body);
+    index[url] = { status, headers, file };
+  }
+  fs.writeFileSync(path.join(dir, 'pages.json'), `${JSON.stringify(index, null, 2)}\n`);
+};
+
+/**
+ * Read the pages captured in a HAR file (browser dev tools "Save all as HAR").
+ * Only text responses are kept; later entries for the same URL win.
+ * @param {string} harFile - Path to the .har file.
+ * @returns {Map<string, {status: number, headers: object, body: string}>}
+ */
+export const readHar = (harFile) => {
+  const har = JSON.parse(fs.readFileSync(harFile, 'utf8'));
+  const pages = new Map();
+
+  for (const entry of (har.log && har.log.entries) || []) {
+    const { request, response } = entry;
+    if (!request || !response || request.method !== 'GET' || !response.content) continue;
+
+    const { text, encoding, mimeType = '' } = response.content;
+    if (typeof text !== 'string' || !/html|text|json|xml/.test(mimeType)) continue;
+
+    const headers = {};
+    for (const { name, value } of response.headers || []) {
+      if (/^(content-type|location|retry-after|etag|last-modified)$/i.test(name)) {
+        headers[name.toLowerCase()] = value;
+      }
+    }
+    pages.set(request.url, {
+      status: response.status,
+      headers,
+      body: encoding === 'base64' ? Buffer.from(text, 'base64').toString('utf8') : text,
+    });
+  }
+  return pages;
+};
+
+// --- Fake Fetch ---
+
+/**
+ * Create a `fetch` replacement that answers from recorded pages only.
+ * Unknown URLs get a 404 and are listed in `fetch.misses`, so a missing
+ * fixture shows up as a failed case instead of a network request.
+ * @param {Map<string, {status: number, headers: object, body: string}>} pages
+ * @returns {Function} - fetch(url, options) resolving to a Response-like object.
+ */
+export const createFixtureFetch = (pages) => {
+  const misses = [];
+  const requests = [];
+
+  const fixtureFetch = async (url, options = {}) => {
+    const key = String(url);
+    requests.push({ url: key, options });
+    const page = pages.get(key);
+    if (!page) misses.push(key);
+
+    const status = page ? page.status : 404;
+    const headers = page ? page.headers : {};
+    const body = page ? page.body : '';
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      statusText: page ? '' : 'No Fixture',
+      url: key,
+      redirected: false,
+      headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+      text: async () => body,
+      json: async () => JSON.parse(body),
+      arrayBuffer: async () => new TextEncoder().encode(body).buffer,
+    };
+  };
+
+  fixtureFetch.misses = misses;
+  fixtureFetch.requests = requests;
+  return fixtureFetch;
+};
+
+// --- Case Runner ---
+
+// Outputs are compared as JSON; thrown errors become { error, type } so failures can be golden too.
+// Module logging stays off unless asked for, to keep the harness output readable.
+const runCase = async (factory, fetch, testCase, { verbose = false } = {}) => {
+  const module = factory(fetch, { logLevel: verbose ? 'debug' : 'silent' });
+  try {
+    return { result: await module[testCase.method](...testCase.args) };
+  } catch (error) {
+    return { error: error.message, type: error.name };
+  }
+};
+
+const goldenFile = (dir, testCase) => path.join(dir, 'golden', `${testCase.name}.json`);
+
+/**
+ * Run every case of a suite against its fixtures and compare with the goldens.
+ * @param {object} suite - { name, factory, cases: [{ name, method, args }] }
+ * @param {string} fixturesRoot - Directory holding one folder per suite.
+ * @param {object} [options]
+ * @param {boolean} [options.verbose=false] - Let module logging through.
+ * @returns {Promise<Array<object>>} - One { suite, name, status, ... } entry per case.
+ */
+export const runSuite = async (suite, fixturesRoot, { verbose = false } = {}) => {
+  const dir = path.join(fixturesRoot, suite.name);
+  const pages = loadFixtures(dir);
+  const outcomes = [];
+
+  for (const testCase of suite.cases) {
+    const file = goldenFile(dir, testCase);
+    if (!fs.existsSync(file)) {
+      outcomes.push({ suite: suite.name, name: testCase.name, status: 'missing' });
+      continue;
+    }
+
+    const fetch = createFixtureFetch(pages);
+    const actual = await runCase(suite.factory, fetch, testCase, { verbose });
+    const expected = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const passed = JSON.stringify(actual) === JSON.stringify(expected);
+
+    outcomes.push({
+      suite: suite.name,
+      name: testCase.name,
+      status: passed ? 'pass' : 'fail',
+      expected,
+      actual,
+      misses: fetch.misses,
+    });
+  }
+  return outcomes;
+};
+
+/**
+ * Refresh a suite's fixtures and goldens.
+ *
+ * With a captured page set, its pages replace the recorded ones for the same
+ * URL and the fixtures are rewritten to exactly the pages the cases request.
+ * Without one, the existing fixtures are kept and only the goldens are
+ * regenerated.
+ * @param {object} suite - { name, factory, cases }
+ * @param {string} fixturesRoot - Directory holding one folder per suite.
+ * @param {Map<string, object>|null} captured - Pages from readHar(), or null.
+ * @param {object} [options]
+ * @param {boolean} [options.verbose=false] - Let module logging through.
+ * @returns {Promise<Array<object>>} - One { suite, name, status: 'recorded', misses } per case.
+ */
+export const recordSuite = async (suite, fixturesRoot, captured, { verbose = false } = {}) => {
+  const dir = path.join(fixturesRoot, suite.name);
+  const source = new Map([...loadFixtures(dir), ...(captured || [])]);
+  const used = new Map();
+  const outcomes = [];
+
+  fs.mkdirSync(path.join(dir, 'golden'), { recursive: true });
+
+  for (const testCase of suite.cases) {
+    const fetch = createFixtureFetch(source);
+    const actual = await runCase(suite.factory, fetch, testCase, { verbose });
+
+    for (const { url } of fetch.requests) {
+      if (source.has(url)) used.set(url, source.get(url));
+    }
+    fs.writeFileSync(goldenFile(dir, testCase), `${JSON.stringify(actual, null, 2)}\n`);
+    outcomes.push({ suite: suite.name, name: testCase.name, status: 'recorded', misses: fetch.misses });
+  }
+
+  if (captured) saveFixtures(dir, used);
+  return outcomes;
+};
@@ -0,0 +1,104 @@
+/**
+ * Tests for lib/html.js: entity decoding, tree building and the tree helpers.
+ *
+ *   node --test test/html.test.js
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { attr, cleanHtmlText, decodeEntities, parse, parseListItems, select, selectOne, text } from '../lib/html.js';
+import { toBlocks, toSafeHtml } from '../lib/content.js';
+
+const names = nodes => nodes.map(node => node.name);
+
+test('decodes named and numeric entities, astral ones included', () => {
+  assert.equal(decodeEntities('Tom &amp; Jerry &lt;3 &hellip;&nbsp;!'), 'Tom & Jerry <3 … !');
+  assert.equal(decodeEntities('&NotEqualTilde; &fjlig;'), '≂̸ fj'); // Two code points each
+  assert.equal(decodeEntities('&Afr;&zopf;'), '\u{1D504}\u{1D56B}');
+  assert.equal(decodeEntities('&#128512; &#x1F600; &#X1f600;'), '😀 😀 😀');
+  assert.equal(decodeEntities('&#150; &#x80;'), '– €'); // windows-1252, as browsers read them
+  assert.equal(decodeEntities('&#0; &#xD800; &#x110000;'), '� � �');
+  assert.equal(decodeEntities('&bogus; & &#; &#xZ;'), '&bogus; & &#; &#xZ;');
+});
+
+test('decodes legacy entities without a semicolon, except before attribute-like text', () => {
+  assert.equal(decodeEntities('&copy 2024 &amp &AMP &ampx'), '© 2024 & & &x');
+  assert.equal(decodeEntities('&notit; &notin;'), '¬it; ∉');
+  assert.equal(decodeEntities('&hellip and &frac12'), '&hellip and ½'); // hellip is not a legacy entity
+  assert.equal(decodeEntities('?a=1&copy=2&copyx', true), '?a=1&copy=2&copyx');
+  assert.equal(decodeEntities('?a=1&copy', true), '?a=1©');
+
+  const doc = parse('<a href="/search?q=1&amp;page=2&copy=3&reg">&copy 2024 &reg</a>');
+  assert.equal(attr(selectOne(doc, 'a'), 'href'), '/search?q=1&page=2&copy=3®');
+  assert.equal(text(doc), '© 2024 ®');
+});
+
+test('keeps astral characters intact in text, attributes and selectors', () => {
+  const doc = parse('<p class="𝔘" title="😀 &#x1F4D6;">𝔘𝔫𝔦𝔠𝔬𝔡𝔢 &#x1D518; 🀄</p>');
+  const p = selectOne(doc, 'p[title^="😀"]');
+  assert.equal(attr(p, 'title'), '😀 📖');
+  assert.equal(text(p), '𝔘𝔫𝔦𝔠𝔬𝔡𝔢 𝔘 🀄');
+  assert.equal(cleanHtmlText('<p>𝔘</p><p>😀</p>'), '𝔘\n\n😀');
+});
+
+test('ignores the slash on non-void HTML elements, as browsers do', () => {
+  const doc = parse('<div id="a"/>inside<span/>too</div><p>after</p><br/><img src="x.png"/>');
+  const div = selectOne(doc, '#a');
+  assert.equal(text(div), 'insidetoo');
+  assert.equal(text(selectOne(div, 'span')), 'too');
+  assert.deepEqual(names(doc.children), ['div', 'p', 'br', 'img']);
+});
+
+test('honours the slash in SVG and MathML, but not in HTML inside them', () => {
+  const doc = parse('<svg><path d="M0 0"/><circle r="1"/><title>Logo</title><foreignObject><div/>html</foreignObject></svg><math><mi/><mn>2</mn></math><i>x</i>');
+  const svg = selectOne(doc, 'svg');
+  assert.deepEqual(names(svg.children), ['path', 'circle', 'title', 'foreignobject']);
+  assert.equal(text(selectOne(svg, 'title')), 'Logo');
+  assert.equal(text(selectOne(doc, 'foreignobject div')), 'html');
+  assert.deepEqual(names(selectOne(doc, 'math').children), ['mi', 'mn']);
+  assert.deepEqual(names(doc.children), ['svg', 'math', 'i']);
+});
+
+test('handles pages nested tens of thousands of levels deep without overflowing the stack', () => {
+  const depth = 50000;
+  const html = `<div id="content">${'<span><font>'.repeat(depth)}<p>Deep <b>text</b></p></div><p id="after">after</p>`;
+  const doc = parse(html);
+
+  assert.equal(select(doc, 'font').length, depth);
+  assert.equal(text(selectOne(doc, 'b')), 'text');
+  assert.equal(selectOne(doc, '#content p b').name, 'b');
+  assert.equal(text(selectOne(doc, '#content')), 'Deep text');
+  assert.equal(cleanHtmlText(selectOne(doc, '#content')), 'Deep text');
+  assert.equal(text(selectOne(doc, '#after')), 'after');
+
+  const content = selectOne(doc, '#content');
+  assert.deepEqual(toBlocks(content), [{ type: 'paragraph', spans: [{ text: 'Deep ', marks: [] }, { text: 'text', marks: ['bold'] }] }]);
+  assert.equal(toSafeHtml(content), '<p>Deep <b>text</b></p>');
+});
+
+test('recovers from unclosed and misnested tags', () => {
+  const doc = parse('<ul><li>One<li>Two <b>bold</ul><p>First<p>Second</i></p><table><tr><td>a<td>b</table>');
+  assert.deepEqual(select(doc, 'li').map(li => text(li)), ['One', 'Two bold']);
+  assert.deepEqual(select(doc, 'p').map(p => text(p)), ['First', 'Second']);
+  assert.deepEqual(select(doc, 'td').map(td => text(td)), ['a', 'b']);
+});
+
+test('parseListItems reads list items as the HTML arrives, wherever it is cut', async () => {
+  const html = '<div class="row"><ul class="list-chapter"><li><a href="/1">One</a></li>\n<LI class="locked"><a href="/2">Two</a>'
+    + '<li><a href="/3">Three <b>3</b></a></ul><a href="/next">Next</a><ul><li>Four</li><li>Five<li/>Six</ul></div>';
+  const items = async (chunks) => {
+    const read = [];
+    async function* pieces() { yield* chunks; }
+    for await (const item of parseListItems(pieces())) read.push(item);
+    return read;
+  };
+  const expected = ['One', 'Two', 'Three 3', 'Four', 'Five', 'Six'];
+
+  for (let cut = 0; cut <= html.length; cut++) {
+    const found = await items([html.slice(0, cut), html.slice(cut)]);
+    assert.deepEqual(found.map(item => text(item)), expected, `cut at ${cut}`);
+  }
+  const [, two, three] = await items([...html]); // One character at a time
+  assert.equal(attr(two, 'class'), 'locked');
+  assert.equal(attr(selectOne(three, 'a'), 'href'), '/3');
+  assert.deepEqual(await items(['<p>No list</p>']), []);
+});
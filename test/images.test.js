@@ -0,0 +1,102 @@
+/**
+ * Tests for lib/images.js: page objects, image type detection and downloads.
+ *
+ *   node --test test/images.test.js
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { AbortError, NotFoundError, ParseError } from '../lib/errors.js';
+import { fetchImageWith, parseSrcset, sniffImageType, toPages } from '../lib/images.js';
+
+const JPEG = [0xFF, 0xD8, 0xFF, 0xE0, 0, 0x10];
+const SITE_HEADERS = { Referer: 'https://mangapill.com/' };
+
+// A fetch answering every request with `body`, recording what it was asked for.
+const serve = (body, { status = 200, contentType = 'application/octet-stream' } = {}) => {
+  const calls = [];
+  const fetch = async (url, options) => {
+    calls.push({ url, options });
+    return new Response(new Uint8Array(body), { status, headers: { 'content-type': contentType } });
+  };
+  return { fetch, calls };
+};
+
+test('sniffImageType knows the usual image formats by their first bytes', () => {
+  const bytes = values => new Uint8Array(values);
+  assert.equal(sniffImageType(bytes(JPEG)), 'image/jpeg');
+  assert.equal(sniffImageType(bytes([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0])), 'image/png');
+  assert.equal(sniffImageType(bytes([...Buffer.from('GIF89a')])), 'image/gif');
+  assert.equal(sniffImageType(bytes([...Buffer.from('RIFF'), 1, 2, 3, 4, ...Buffer.from('WEBPVP8 ')])), 'image/webp');
+  assert.equal(sniffImageType(bytes([0, 0, 0, 0x1C, ...Buffer.from('ftypavif')])), 'image/avif');
+  assert.equal(sniffImageType(bytes([...Buffer.from('BM'), 0, 0])), 'image/bmp');
+  assert.equal(sniffImageType(bytes([...Buffer.from('RIFF'), 1, 2, 3, 4, ...Buffer.from('WAVE')])), null);
+  assert.equal(sniffImageType(bytes([...Buffer.from('<html>')])), null);
+  assert.equal(sniffImageType(bytes([0xFF, 0xD8])), null, 'too short to tell');
+});
+
+test('toPages numbers the pages and gives each its own headers', () => {
+  const pages = toPages(['https://cdn/1.jpeg', 'https://cdn/2.jpeg'], SITE_HEADERS);
+  assert.deepEqual(pages, [
+    { url: 'https://cdn/1.jpeg', headers: SITE_HEADERS, index: 0 },
+    { url: 'https://cdn/2.jpeg', headers: SITE_HEADERS, index: 1 },
+  ]);
+  pages[0].headers.Referer = 'changed';
+  assert.equal(pages[1].headers.Referer, SITE_HEADERS.Referer);
+});
+
+test('parseSrcset reads width and density candidates, commas in URLs included', () => {
+  assert.deepEqual(parseSrcset('https://cdn/1-800.webp 800w, https://cdn/1-400.webp 400w'), [
+    { url: 'https://cdn/1-800.webp', width: 800, density: null },
+    { url: 'https://cdn/1-400.webp', width: 400, density: null },
+  ]);
+  assert.deepEqual(parseSrcset(' https://cdn/1.jpg, https://cdn/1,hd.jpg 2x '), [
+    { url: 'https://cdn/1.jpg', width: null, density: 1 },
+    { url: 'https://cdn/1,hd.jpg', width: null, density: 2 },
+  ]);
+  assert.deepEqual(parseSrcset(''), []);
+  assert.deepEqual(parseSrcset(null), []);
+});
+
+test('toPages keeps the original image unless data-saver asks for the smallest candidate', () => {
+  const images = [
+    { url: 'https://cdn/1.jpeg', candidates: parseSrcset('https://cdn/1-1600.jpeg 1600w, https://cdn/1-480.jpeg 480w, https://cdn/1-960.jpeg 960w') },
+    { url: 'https://cdn/2.jpeg', candidates: parseSrcset('https://cdn/2@2x.jpeg 2x, https://cdn/2@1x.jpeg 1x') },
+    { url: 'https://cdn/3.jpeg', candidates: [] },
+    'https://cdn/4.jpeg',
+  ];
+  const urls = quality => toPages(images, SITE_HEADERS, { quality }).map(page => page.url);
+  assert.deepEqual(urls('original'), ['https://cdn/1.jpeg', 'https://cdn/2.jpeg', 'https://cdn/3.jpeg', 'https://cdn/4.jpeg']);
+  assert.deepEqual(urls(undefined), urls('original'));
+  assert.deepEqual(urls('data-saver'), ['https://cdn/1-480.jpeg', 'https://cdn/2@1x.jpeg', 'https://cdn/3.jpeg', 'https://cdn/4.jpeg']);
+});
+
+test('fetchImageWith sends the page headers, or the defaults for bare URLs, and detects the type', async () => {
+  const site = serve(JPEG);
+  const image = await fetchImageWith(site.fetch, { url: 'https://cdn/1.jpeg', headers: { Referer: 'https://other/' }, index: 4 }, SITE_HEADERS);
+  assert.deepEqual({ ...image, data: [...image.data] }, { url: 'https://cdn/1.jpeg', index: 4, contentType: 'image/jpeg', data: JPEG });
+  assert.deepEqual(site.calls[0].options.headers, { Referer: 'https://other/' });
+
+  const cover = await fetchImageWith(site.fetch, 'https://cdn/cover.jpeg', SITE_HEADERS);
+  assert.equal(cover.index, null);
+  assert.deepEqual(site.calls[1].options.headers, SITE_HEADERS);
+
+  const unknown = await fetchImageWith(serve([1, 2, 3], { contentType: 'image/x-custom; q=1' }).fetch, 'https://cdn/x', SITE_HEADERS);
+  assert.equal(unknown.contentType, 'image/x-custom', 'falls back to an image Content-Type');
+
+  await assert.rejects(fetchImageWith(site.fetch, {}, SITE_HEADERS), /An image URL or page object is required/);
+});
+
+test('fetchImageWith turns error and hotlink pages into typed errors', async () => {
+  const html = [...Buffer.from('<html>Hotlinking not allowed</html>')];
+  await assert.rejects(fetchImageWith(serve(html, { contentType: 'text/html' }).fetch, 'https://cdn/1.jpeg', SITE_HEADERS),
+    error => error instanceof ParseError && /not an image \(text\/html\)/.test(error.message));
+  await assert.rejects(fetchImageWith(serve([], { status: 404 }).fetch, 'https://cdn/1.jpeg', SITE_HEADERS), NotFoundError);
+
+  const controller = new AbortController();
+  controller.abort();
+  const aborting = async (url, options) => {
+    if (options.signal.aborted) throw new DOMException('The operation was aborted.', 'AbortError');
+    return new Response(new Uint8Array(JPEG));
+  };
+  await assert.rejects(fetchImageWith(aborting, 'https://cdn/1.jpeg', SITE_HEADERS, { signal: controller.signal }), AbortError);
+});
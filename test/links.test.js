@@ -0,0 +1,61 @@
+/**
+ * Deep links: resolveUrl(), canHandleUrl() and toWebUrl() in every module.
+ *
+ *   node --test test/links.test.js
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import mangapillModule from '../mangapills.js';
+import readwnModule from '../ReadNovelFull.js';
+import readNovelFullModule from '../ReadFullNovelV2.js';
+
+const noFetch = async () => { throw new Error('Links are resolved without fetching'); };
+
+test('MangaPill links resolve to path ids', () => {
+  const source = mangapillModule(noFetch, { logLevel: 'silent' });
+  assert.deepEqual(source.resolveUrl('https://mangapill.com/chapters/1-1000000/one-piece-chapter-0'), {
+    type: 'chapter', bookId: '/manga/1/one-piece', chapterId: '/chapters/1-1000000/one-piece-chapter-0',
+  });
+  assert.deepEqual(source.resolveUrl('http://www.mangapill.com/manga/2/one-piece/?ref=share#top'), {
+    type: 'book', bookId: '/manga/2/one-piece', chapterId: null,
+  });
+  assert.equal(source.resolveUrl('https://mangapill.com/chapters/7-7000500/extra').bookId, null);
+  assert.equal(source.canHandleUrl('https://mangapill.com/search?q=one'), false);
+  assert.equal(source.canHandleUrl('https://example.com/manga/2/one-piece'), false);
+  assert.equal(source.canHandleUrl('not a url'), false);
+
+  assert.equal(source.toWebUrl({ id: '/manga/2/one-piece' }), 'https://mangapill.com/manga/2/one-piece');
+  assert.equal(source.toWebUrl(null, '/chapters/2-10001000/one-piece-chapter-1'), 'https://mangapill.com/chapters/2-10001000/one-piece-chapter-1');
+});
+
+test('readwn links resolve to slugs within the novel', () => {
+  const source = readwnModule(noFetch, { logLevel: 'silent' });
+  assert.deepEqual(source.resolveUrl('https://readwn.com/novel/martial-peak/chapter-1'), {
+    type: 'chapter', bookId: 'martial-peak', chapterId: 'chapter-1',
+  });
+  assert.deepEqual(source.resolveUrl('https://www.readwn.com/novel/martial-peak'), { type: 'book', bookId: 'martial-peak', chapterId: null });
+  assert.equal(source.canHandleUrl('https://www.readwn.com/list/all/all-newstime-0.html'), false);
+  assert.equal(source.canHandleUrl('https://readnovelfull.com/martial-peak.html'), false);
+
+  assert.equal(source.toWebUrl('martial-peak', { id: 'chapter-1' }), 'https://www.readwn.com/novel/martial-peak/chapter-1');
+  assert.throws(() => source.toWebUrl(null, 'chapter-1'), /Book details/);
+});
+
+test('ReadNovelFull V2 links resolve to slug/chapter ids, with or without .html', () => {
+  const source = readNovelFullModule(noFetch, { logLevel: 'silent' });
+  assert.deepEqual(source.resolveUrl('https://readnovelfull.com/martial-peak/chapter-1.html'), {
+    type: 'chapter', bookId: 'martial-peak', chapterId: 'martial-peak/chapter-1',
+  });
+  assert.deepEqual(source.resolveUrl('https://www.readnovelfull.com/martial-peak'), { type: 'book', bookId: 'martial-peak', chapterId: null });
+  assert.equal(source.canHandleUrl('https://readnovelfull.com/genres/action'), false);
+  assert.equal(source.canHandleUrl('https://readnovelfull.com/'), false);
+
+  assert.equal(source.toWebUrl({ id: 'martial-peak' }), 'https://readnovelfull.com/martial-peak.html');
+  assert.equal(source.toWebUrl('martial-peak', 'martial-peak/chapter-1'), 'https://readnovelfull.com/martial-peak/chapter-1.html');
+
+  // The web URL follows the preferred mirror, and resolves back to the same ids
+  source.configure({ mirror: 'https://www.readnovelfull.com' });
+  const url = source.toWebUrl('martial-peak', 'martial-peak/chapter-1');
+  assert.equal(url, 'https://www.readnovelfull.com/martial-peak/chapter-1.html');
+  assert.equal(source.resolveUrl(url).chapterId, 'martial-peak/chapter-1');
+});
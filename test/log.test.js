@@ -0,0 +1,79 @@
+/**
+ * Tests for lib/log.js and the diagnostics extractor errors carry.
+ *
+ *   node --test test/log.test.js
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import readNovelFullModule from '../ReadFullNovelV2.js';
+import { extractorError } from '../lib/errors.js';
+import { createLog, trimHtml } from '../lib/log.js';
+
+const collect = () => {
+  const events = [];
+  return { events, logger: event => events.push(event) };
+};
+
+test('drops events below the level and tags the rest', () => {
+  const { events, logger } = collect();
+  const log = createLog({ logger, level: 'info', fields: { module: 'demo' } });
+  log.debug('hidden');
+  log.info('shown', { count: 2 });
+  assert.deepEqual(events, [{ level: 'info', message: 'shown', module: 'demo', count: 2 }]);
+
+  createLog({ logger, level: 'silent' }).error('never');
+  assert.equal(events.length, 1);
+  assert.throws(() => createLog({ level: 'loud' }), /Unknown log level/);
+});
+
+test('operations share an id and report their duration and failures', () => {
+  const { events, logger } = collect();
+  const op = createLog({ logger, level: 'debug', fields: { module: 'demo' } }).operation('search', { url: '/s' });
+  op.debug('start');
+  const error = extractorError('cards', 'No cards', { url: '/s', html: '<body><div>x</div></body>', patterns: ['div.card'] });
+  assert.equal(op.failed(error), error);
+
+  assert.deepEqual(events.map(event => [event.level, event.operation, event.url]), [
+    ['debug', 'search', '/s'], ['error', 'search', '/s'], ['warn', 'search', '/s'],
+  ]);
+  assert.equal(new Set(events.map(event => event.operationId)).size, 1);
+  assert.ok(events.every(event => typeof event.durationMs === 'number'));
+  assert.equal(events[1].errorType, 'ParseError');
+  assert.deepEqual(events[2].diagnostics.patterns, ['div.card']);
+});
+
+test('object loggers get (message, fields) and cannot break the caller', () => {
+  const calls = [];
+  const log = createLog({ logger: { warn: (message, fields) => calls.push([message, fields]), info: () => { throw new Error('broken'); } } });
+  log.warn('careful', { url: '/x' });
+  log.info('ignored');
+  assert.deepEqual(calls, [['careful', { url: '/x' }]]);
+});
+
+test('trimHtml keeps the body without scripts and bounds its size', () => {
+  const { html, htmlLength, trimmed } = trimHtml(`<head><title>t</title></head><body><script>var x = 1;</script><p>${'a'.repeat(100)}</p></body>`, 60);
+  assert.ok(html.startsWith('<body><p>aaa'));
+  assert.doesNotMatch(html, /script/);
+  assert.match(html, /characters trimmed/);
+  assert.ok(htmlLength > 100);
+  assert.equal(trimmed, true);
+});
+
+test('a failing extractor throws a ParseError with a page snapshot', async () => {
+  const { events, logger } = collect();
+  const page = '<html><body><div class="chapter">Moved</div></body></html>';
+  const fetch = async () => new Response(page, { status: 200, headers: { 'content-type': 'text/html' } });
+  const source = readNovelFullModule(fetch, { logger, logLevel: 'warn' });
+
+  const error = await source.getContent('novel/chapter-1').catch(caught => caught);
+  assert.equal(error.name, 'ParseError');
+  assert.equal(error.diagnostics.extractor, 'chr-content');
+  assert.deepEqual(error.diagnostics.patterns, ['div#chr-content']);
+  assert.match(error.diagnostics.html, /Moved/);
+  assert.equal(error.diagnostics.url, 'https://readnovelfull.com/novel/chapter-1.html');
+
+  const failure = events.find(event => event.level === 'error');
+  assert.equal(failure.module, 'readnovelfull-v2');
+  assert.equal(failure.operation, 'getContent');
+  assert.ok(events.some(event => event.diagnostics === error.diagnostics));
+});
@@ -0,0 +1,66 @@
+/**
+ * Tests for lib/metadata.js and the normalized details the modules return.
+ *
+ *   node --test test/metadata.test.js
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import mangapillModule from '../mangapills.js';
+import readNovelFullModule from '../ReadFullNovelV2.js';
+import { BOOK_STATUSES, GENRES, bookMetadata, canonicalGenres, normalizeStatus, splitAuthors } from '../lib/metadata.js';
+
+test('maps site status wording onto the enum', () => {
+  const cases = {
+    Ongoing: 'ongoing', publishing: 'ongoing', Completed: 'completed', Finished: 'completed', Full: 'completed',
+    'On Hiatus': 'hiatus', Discontinued: 'cancelled', Dropped: 'cancelled', 'Not Yet Published': 'unknown', Updating: 'unknown', '': 'unknown',
+  };
+  for (const [label, status] of Object.entries(cases)) assert.equal(normalizeStatus(label), status, label);
+  assert.equal(normalizeStatus(undefined), 'unknown');
+  assert.ok(Object.values(cases).every(status => BOOK_STATUSES.includes(status)));
+});
+
+test('splits author lines and drops placeholders', () => {
+  assert.deepEqual(splitAuthors('Momo, Yu Wo'), ['Momo', 'Yu Wo']);
+  assert.deepEqual(splitAuthors('A & B; A / C'), ['A', 'B', 'C']);
+  assert.deepEqual(splitAuthors('Unknown Author'), []);
+  assert.deepEqual(splitAuthors(null), []);
+});
+
+test('maps genre labels onto the canonical taxonomy', () => {
+  assert.deepEqual(canonicalGenres(['Action', 'martial arts', 'Xianxia', 'Shonen', 'Sci-Fi', 'Slice of Life', 'Oddball']),
+    ['action', 'martial-arts', 'shounen', 'sci-fi', 'slice-of-life']);
+  assert.deepEqual(canonicalGenres(['Wuxia', 'Xianxia', 'Xuanhuan', 'Magic', 'Vampire', 'Demons', 'Doujinshi', 'Reincarnation', 'Police', 'Space', 'Cars']), [],
+    'labels that only overlap a genre get none');
+  assert.equal(new Set(GENRES.map(genre => genre.id)).size, GENRES.length);
+
+  assert.deepEqual(bookMetadata({ author: 'Updating', status: 'Updating', genres: [' Yaoi', 'BL', ''] }), {
+    author: null, authors: [], status: 'unknown', statusLabel: null, genres: ['Yaoi', 'BL'], canonicalGenres: ['boys-love'],
+  });
+});
+
+const page = (url, body) => Object.defineProperty(
+  new Response(body, { status: body ? 200 : 404, headers: { 'content-type': 'text/html' } }), 'url', { value: url },
+);
+
+test('modules return normalized details and null for missing fields', async () => {
+  const novel = readNovelFullModule(async url => page(url, url.endsWith('/t.html') ? `
+    <h3 class="title">T</h3>
+    <ul class="info info-meta">
+      <li><h3>Author:</h3><a href="/a/1">Momo</a>, <a href="/a/2">Yu Wo</a></li>
+      <li><h3>Genre:</h3><a>Action</a>, <a>Xianxia</a></li>
+      <li><h3>Status:</h3><a>Completed</a></li>
+    </ul>
+    <div id="list-chapter"><ul><li><a href="/t/chapter-1.html" title="C1">C1</a></li></ul></div>` : ''), { logLevel: 'silent' });
+  const details = await novel.getBookDetails('t');
+  assert.equal(details.author, 'Momo, Yu Wo');
+  assert.deepEqual(details.authors, ['Momo', 'Yu Wo']);
+  assert.equal(details.status, 'completed');
+  assert.equal(details.statusLabel, 'Completed');
+  assert.deepEqual(details.genres, ['Action', 'Xianxia']);
+  assert.deepEqual(details.canonicalGenres, ['action']);
+  assert.equal(details.description, null);
+
+  const manga = mangapillModule(async url => page(url, '<h1>X</h1><div id="chapters"></div>'), { logLevel: 'silent' });
+  const bare = await manga.getBookDetails('/manga/1/x');
+  assert.deepEqual([bare.author, bare.description, bare.type, bare.status, bare.statusLabel], [null, null, null, 'unknown', null]);
+});
@@ -0,0 +1,127 @@
+/**
+ * Tests for lib/mirrors.js: failover, redirects, persistence and URL rewriting.
+ *
+ *   node --test test/mirrors.test.js
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createMemoryStore } from '../lib/cache.js';
+import { createLog } from '../lib/log.js';
+import { createMirrors } from '../lib/mirrors.js';
+
+const log = createLog({ level: 'silent' });
+const MIRRORS = ['https://www.example.com', 'https://example.org', 'https://example.net'];
+
+const respond = (url, status = 200) => Object.defineProperty(new Response('page', { status }), 'url', { value: url });
+
+// A fetch answering per origin: a status, 'down' (network error), or a URL it redirects to.
+const site = (answers) => {
+  const requested = [];
+  const fetch = async (url) => {
+    requested.push(url);
+    const answer = answers[new URL(url).origin] ?? 200;
+    if (answer === 'down') throw new TypeError('fetch failed');
+    if (typeof answer === 'string') return respond(answer + new URL(url).pathname);
+    return respond(url, answer);
+  };
+  return { fetch, requested };
+};
+
+test('fails over to the next mirror and sticks with the one that answered', async () => {
+  const { fetch, requested } = site({ 'https://www.example.com': 'down', 'https://example.org': 503 });
+  const mirrors = createMirrors(fetch, MIRRORS, { log });
+  const response = await mirrors.fetch('/novel/x');
+  assert.equal(response.url, 'https://example.net/novel/x');
+  assert.equal(mirrors.baseUrl, 'https://example.net');
+
+  await mirrors.fetch('https://www.example.com/novel/y');
+  assert.equal(requested.at(-1), 'https://example.net/novel/y', 'URLs on any mirror go to the working one');
+  assert.equal((await mirrors.fetch('/missing')).status, 200);
+
+  const down = createMirrors(site({ 'https://www.example.com': 404 }).fetch, MIRRORS, { log });
+  assert.equal((await down.fetch('/gone')).status, 404, 'a 404 is an answer, not a failing mirror');
+  assert.equal(down.baseUrl, 'https://www.example.com');
+});
+
+test('adopts redirects to listed mirrors only', async () => {
+  const moved = createMirrors(site({ 'https://www.example.com': 'https://example.net' }).fetch, MIRRORS, { log });
+  await moved.fetch('/novel/x');
+  assert.equal(moved.baseUrl, 'https://example.net');
+
+  const hijacked = site({ 'https://www.example.com': 'https://parked.example' });
+  const mirrors = createMirrors(hijacked.fetch, MIRRORS, { log });
+  const response = await mirrors.fetch('/novel/x');
+  assert.equal(response.url, 'https://example.org/novel/x', 'the next mirror is tried instead');
+  assert.equal(mirrors.baseUrl, 'https://example.org');
+  assert.deepEqual(mirrors.domains, MIRRORS);
+
+  const allParked = createMirrors(site(Object.fromEntries(MIRRORS.map(origin => [origin, 'https://parked.example']))).fetch, MIRRORS, { log });
+  assert.equal((await allParked.fetch('/novel/x')).url, 'https://parked.example/novel/x', 'the last answer is returned');
+  assert.equal(allParked.baseUrl, 'https://www.example.com');
+  assert.equal(allParked.url('/x'), 'https://www.example.com/x');
+});
+
+test('persists the working mirror and reads it back on first use', async () => {
+  const store = createMemoryStore();
+  const first = createMirrors(site({ 'https://www.example.com': 'down' }).fetch, MIRRORS, { store, key: 'test:mirror', log });
+  await first.fetch('/');
+  assert.equal(await store.get('test:mirror'), 'https://example.org');
+
+  const { fetch, requested } = site({});
+  const second = createMirrors(fetch, MIRRORS, { store, key: 'test:mirror', log });
+  await second.fetch('/novel/x');
+  assert.deepEqual(requested, ['https://example.org/novel/x']);
+
+  const preferred = createMirrors(site({}).fetch, MIRRORS, { store, key: 'test:mirror', log });
+  preferred.prefer('https://example.net');
+  await preferred.fetch('/');
+  assert.equal(preferred.baseUrl, 'https://example.net', 'a chosen mirror wins over the stored one');
+  assert.equal(await store.get('test:mirror'), 'https://example.org', 'answering from the working mirror changes nothing');
+  preferred.prefer(null);
+  assert.equal(preferred.baseUrl, 'https://example.org', 'back on auto, the stored mirror is used again');
+
+  const pinnedFirst = createMirrors(site({}).fetch, MIRRORS, { store, key: 'test:mirror', log });
+  pinnedFirst.prefer('https://example.net');
+  pinnedFirst.prefer(null);
+  await pinnedFirst.fetch('/');
+  assert.equal(pinnedFirst.baseUrl, 'https://example.org', 'unpinned before the store was read');
+
+  await store.set('test:mirror', 'https://retired.example');
+  const retired = createMirrors(site({}).fetch, MIRRORS, { store, key: 'test:mirror', log });
+  await retired.fetch('/');
+  assert.equal(retired.baseUrl, 'https://www.example.com', 'a stored mirror no longer listed is ignored');
+
+  const broken = { get: async () => { throw new Error('disk'); }, set: async () => { throw new Error('disk'); } };
+  const unstored = createMirrors(site({ 'https://www.example.com': 'down' }).fetch, MIRRORS, { store: broken, log });
+  assert.equal((await unstored.fetch('/')).url, 'https://example.org/', 'store failures do not fail requests');
+});
+
+test('does not fail over when the caller aborts', async () => {
+  const controller = new AbortController();
+  const requested = [];
+  const fetch = async (url) => {
+    requested.push(url);
+    controller.abort(); // Cancelled while the first mirror was answering
+    throw new DOMException('The operation was aborted.', 'AbortError');
+  };
+  const mirrors = createMirrors(fetch, MIRRORS, { log });
+  await assert.rejects(mirrors.fetch('/', { signal: controller.signal }), { name: 'AbortError' });
+  assert.deepEqual(requested, ['https://www.example.com/']);
+});
+
+test('rewrites and strips mirror URLs, leaving other sites alone', () => {
+  const mirrors = createMirrors(site({}).fetch, MIRRORS, { log });
+  mirrors.prefer('https://example.org/');
+  assert.equal(mirrors.url('/novel/x'), 'https://example.org/novel/x');
+  assert.equal(mirrors.url('novel/x'), 'https://example.org/novel/x');
+  assert.equal(mirrors.url('//cdn.example.com/x.jpg'), 'https://cdn.example.com/x.jpg');
+  assert.equal(mirrors.rewrite('https://example.net/cover.jpg'), 'https://example.org/cover.jpg');
+  assert.equal(mirrors.rewrite('https://cdn.example.com/x.jpg'), 'https://cdn.example.com/x.jpg');
+  assert.equal(mirrors.path('https://www.example.com/novel/x'), '/novel/x');
+  assert.equal(mirrors.path('martial-peak'), 'martial-peak');
+  assert.equal(mirrors.linkPath('http://example.com/novel/x?ref=share#top'), '/novel/x');
+  assert.equal(mirrors.linkPath('https://other.example/novel/x'), null);
+  assert.throws(() => mirrors.prefer('https://other.example'), /Unknown mirror domain/);
+  assert.throws(() => createMirrors(site({}).fetch, []), /At least one mirror/);
+  assert.throws(() => createMirrors(site({}).fetch, ['ftp://x']), /Invalid mirror domain/);
+});
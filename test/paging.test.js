@@ -0,0 +1,95 @@
+/**
+ * Tests for lib/paging.js.
+ *
+ *   node --test test/paging.test.js
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { parse } from '../lib/html.js';
+import { fillPage, hasNextPageLink, pageResult, requestedPage } from '../lib/paging.js';
+import mangapillModule from '../mangapills.js';
+
+const page = (url, body) => Object.defineProperty(
+  new Response(body, { status: 200, headers: { 'content-type': 'text/html' } }), 'url', { value: url },
+);
+
+test('hasNextPageLink finds rel="next", an enabled .next item or a link to the next page number', () => {
+  assert.equal(hasNextPageLink(parse('<a rel="prev next" href="/x">»</a>'), 1), true);
+  assert.equal(hasNextPageLink(parse('<head><link rel="next" href="/x?page=9"></head>'), 1), true);
+  assert.equal(hasNextPageLink(parse('<ul class="pagination"><li class="next"><a href="/x">»</a></li></ul>'), 1), true);
+  assert.equal(hasNextPageLink(parse('<ul class="pagination"><li class="next disabled"><a href="#">»</a></li></ul>'), 1), false);
+  assert.equal(hasNextPageLink(parse('<a href="/search?q=a&page=3">3</a>'), 2), true);
+  assert.equal(hasNextPageLink(parse('<a href="/search?q=a&page=2">2</a>'), 2), false);
+  assert.equal(hasNextPageLink(parse('<p>no links</p>'), 1), false);
+
+  const zeroBased = { pageParam: /-(\d+)\.html$/, firstPage: 0 };
+  assert.equal(hasNextPageLink(parse('<a href="/list/all/all-newstime-1.html">2</a>'), 1, zeroBased), true);
+  assert.equal(hasNextPageLink(parse('<a href="/list/all/all-newstime-1.html">2</a>'), 2, zeroBased), false);
+});
+
+test('requestedPage reads a positive page number and falls back to 1', () => {
+  assert.equal(requestedPage(), 1);
+  assert.equal(requestedPage({}), 1);
+  assert.equal(requestedPage({ page: 3 }), 3);
+  assert.equal(requestedPage({ page: '2' }), 2);
+  for (const bad of [0, -1, 'x', null, NaN]) assert.equal(requestedPage({ page: bad }), 1);
+});
+
+test('search answers a plain array without options and { results, hasNextPage, page } with them', async () => {
+  assert.deepEqual(pageResult([{ id: 'a' }], true, 2), [{ id: 'a' }]);
+  assert.deepEqual(pageResult([{ id: 'a' }], true, 2, {}), { results: [{ id: 'a' }], hasNextPage: true, page: 2 });
+
+  const fetch = async url => page(url, '<div class="grid"><div><a href="/manga/2/x"><img data-src="c"><div class="font-black">X</div></a></div></div><a href="/search?q=x&page=2">2</a>');
+  const source = mangapillModule(fetch, { logLevel: 'silent' });
+  const plain = await source.search('x');
+  assert.ok(Array.isArray(plain));
+  assert.deepEqual(plain.map(result => result.id), ['/manga/2/x']);
+
+  const found = await source.search('x', {});
+  assert.deepEqual(Object.keys(found), ['results', 'hasNextPage', 'page']);
+  assert.deepEqual(found.results.map(result => result.id), ['/manga/2/x']);
+  assert.equal(found.hasNextPage, true);
+  assert.equal(found.page, 1);
+});
+
+// A listing of `pages` (arrays of titles), recording which pages were read.
+const listing = (pages) => {
+  const read = [];
+  const loadPage = async (number) => {
+    read.push(number);
+    return { results: pages[number - 1].map(title => ({ title })), hasNextPage: number < pages.length };
+  };
+  return { loadPage, read };
+};
+
+const titles = found => found.results.map(result => result.title);
+const isMatch = result => result.title.startsWith('match');
+
+test('fillPage reads on until a page of matches fills, without skipping any between pages', async () => {
+  const pages = [['a', 'match 1', 'b'], ['c', 'd', 'e'], ['match 2', 'match 3', 'match 4'], ['match 5', 'f', 'g']];
+
+  const first = listing(pages);
+  const page1 = await fillPage(first.loadPage, isMatch, 1);
+  assert.deepEqual(titles(page1), ['match 1', 'match 2', 'match 3']);
+  assert.equal(page1.hasNextPage, true);
+  assert.deepEqual(first.read, [1, 2, 3]);
+
+  const page2 = await fillPage(listing(pages).loadPage, isMatch, 2);
+  assert.deepEqual(titles(page2), ['match 4', 'match 5']);
+  assert.equal(page2.hasNextPage, false);
+
+  const page3 = await fillPage(listing(pages).loadPage, isMatch, 3);
+  assert.deepEqual(page3, { results: [], hasNextPage: false, page: 3 });
+});
+
+test('fillPage returns a short page after maxPages listing pages and carries on from there', async () => {
+  const pages = [['a', 'b'], ['c', 'd'], ['e', 'f'], ['g', 'h'], ['match 1', 'match 2'], ['match 3', 'i']];
+  const pageOf = async page => titles(await fillPage(listing(pages).loadPage, isMatch, page, { maxPages: 2 }));
+
+  assert.deepEqual(await pageOf(1), []);
+  assert.equal((await fillPage(listing(pages).loadPage, isMatch, 1, { maxPages: 2 })).hasNextPage, true);
+  assert.deepEqual(await pageOf(2), []);
+  assert.deepEqual(await pageOf(3), ['match 1', 'match 2']);
+  assert.deepEqual(await pageOf(4), ['match 3']);
+  assert.equal((await fillPage(listing(pages).loadPage, isMatch, 4, { maxPages: 2 })).hasNextPage, false);
+});
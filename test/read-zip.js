@@ -0,0 +1,40 @@
+/**
+ * Minimal ZIP reader for the export tests (lib/zip.js output).
+ */
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { crc32 } from '../lib/zip.js';
+
+/**
+ * Read entries back through the central directory, checking sizes and CRCs on the way.
+ * @param {Uint8Array} bytes - A ZIP archive.
+ * @returns {Array<{name: string, method: number, offset: number, data: Uint8Array, text: string}>}
+ */
+export const readZip = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054B50, 'end of central directory');
+  const count = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(position, true), 0x02014B50, 'central directory header');
+    const method = view.getUint16(position + 10, true);
+    const crc = view.getUint32(position + 16, true);
+    const compressedSize = view.getUint32(position + 20, true);
+    const size = view.getUint32(position + 24, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const offset = view.getUint32(position + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(position + 46, position + 46 + nameLength));
+
+    assert.equal(view.getUint32(offset, true), 0x04034B50, `local header of ${name}`);
+    const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+    const raw = bytes.subarray(start, start + compressedSize);
+    const data = method === 8 ? new Uint8Array(zlib.inflateRawSync(raw)) : raw;
+    assert.equal(data.length, size, `size of ${name}`);
+    assert.equal(crc32(data), crc, `CRC of ${name}`);
+    entries.push({ name, method, offset, data, text: new TextDecoder().decode(data) });
+    position += 46 + nameLength;
+  }
+  return entries;
+};
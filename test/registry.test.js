@@ -0,0 +1,111 @@
+/**
+ * Tests for tools/registry.js: manifest checks, duplicate ids, file hashing,
+ * version bumps and the index.
+ *
+ *   node --test test/registry.test.js
+ */
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { buildIndex, checkManifest, hashScript, loadRegistry, scriptFiles } from '../tools/registry.js';
+
+const SCRIPT_URL = 'https://example.com/repo/main/';
+
+const manifestFor = (id, script, version = '1.0.0') => ({
+  id, name: id, version, author: 'Tests', supportedLanguages: ['en'], isEnabled: true, scriptUrl: `${SCRIPT_URL}${script}`,
+});
+
+const moduleSource = (id, version = '1.0.0') => `import { greeting } from './lib/helper.js';
+
+export default () => ({
+  id: '${id}', name: '${id}', version: '${version}', author: 'Tests', supportedLanguages: ['en'],
+  search: async () => [greeting], getBookDetails: async () => ({}), getContent: async () => '',
+});
+`;
+
+// A throwaway repository: one lib file and the given modules, removed when the test ends.
+const makeRepo = (t, modules) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(root, 'lib'));
+  fs.writeFileSync(path.join(root, 'lib/helper.js'), "export const greeting = 'hello';\n");
+  for (const { manifestFile, manifest, script, source } of modules) {
+    fs.writeFileSync(path.join(root, manifestFile), JSON.stringify(manifest));
+    if (source) fs.writeFileSync(path.join(root, script), source);
+  }
+  return root;
+};
+
+const source = (id, script, version) => ({
+  manifestFile: `${id}Module.json`, manifest: manifestFor(id, script, version), script, source: moduleSource(id, version),
+});
+
+test('checkManifest reports missing fields and fields that differ from the code', () => {
+  const module = { id: 'a', name: 'a', version: '1.0.0', author: 'Tests', supportedLanguages: ['en'],
+    search() {}, getBookDetails() {}, getContent() {} };
+  assert.deepEqual(checkManifest(manifestFor('a', 'a.js'), module), []);
+
+  assert.deepEqual(checkManifest({ ...manifestFor('a', 'a.js'), name: undefined }, module), [
+    'Manifest is missing "name".',
+    'name differs: manifest has undefined, code has "a".',
+  ]);
+  assert.deepEqual(checkManifest({ ...manifestFor('a', 'a.js'), version: '1.0' }, module), [
+    'Manifest version "1.0" is not MAJOR.MINOR.PATCH.',
+    'version differs: manifest has "1.0", code has "1.0.0".',
+  ]);
+});
+
+test('checkManifest wants a higher version once the files changed since publishing', () => {
+  const module = { id: 'a', name: 'a', version: '1.2.0', author: 'Tests', supportedLanguages: ['en'],
+    search() {}, getBookDetails() {}, getContent() {} };
+  const manifest = manifestFor('a', 'a.js', '1.2.0');
+  const published = { version: '1.2.0', sha256: 'old' };
+
+  assert.deepEqual(checkManifest(manifest, module, { sha256: 'old', published }), [], 'unchanged files keep their version');
+  assert.deepEqual(checkManifest(manifest, module, { sha256: 'new', published }), [
+    'Files changed since version 1.2.0 was published; raise "version" above it.',
+  ]);
+  assert.equal(checkManifest(manifest, module, { sha256: 'new', published: { version: '1.10.0', sha256: 'old' } }).length, 1,
+    'versions compare by number, not as text');
+  assert.deepEqual(checkManifest(manifest, module, { sha256: 'new', published: { version: '1.1.9', sha256: 'old' } }), []);
+});
+
+test('loadRegistry rejects a second module with the same id or script', async (t) => {
+  const root = makeRepo(t, [
+    source('alpha', 'alpha.js'),
+    { ...source('alpha', 'beta.js'), manifestFile: 'betaModule.json' },
+    { ...source('gamma', 'alpha.js'), source: null },
+  ]);
+  const entries = await loadRegistry(root);
+  assert.deepEqual(entries.map(entry => entry.manifestFile), ['alphaModule.json', 'betaModule.json', 'gammaModule.json']);
+  assert.deepEqual(entries[0].errors, []);
+  assert.deepEqual(entries[1].errors, ['Duplicate id "alpha", already used by alphaModule.json.']);
+  assert.deepEqual(entries[2].errors, [
+    'id differs: manifest has "gamma", code has "alpha".',
+    'name differs: manifest has "gamma", code has "alpha".',
+    'alpha.js is already listed by alphaModule.json.',
+  ]);
+  assert.throws(() => buildIndex(root, entries), /Cannot build the index while betaModule\.json, gammaModule\.json has errors/);
+});
+
+test('a changed lib file changes the sha256 and needs a version bump', async (t) => {
+  const root = makeRepo(t, [source('alpha', 'alpha.js')]);
+  assert.deepEqual(scriptFiles(root, 'alpha.js'), ['alpha.js', 'lib/helper.js']);
+
+  const index = buildIndex(root, await loadRegistry(root));
+  assert.equal(index.formatVersion, 1);
+  const [listed] = index.modules;
+  assert.deepEqual(listed.files.map(file => file.path), ['alpha.js', 'lib/helper.js']);
+  assert.equal(listed.sha256, hashScript(root, 'alpha.js').sha256);
+  assert.notEqual(listed.sha256, listed.files[0].sha256, 'the digest covers more than the script');
+
+  fs.writeFileSync(path.join(root, 'lib/helper.js'), "export const greeting = 'hi';\n");
+  const changed = hashScript(root, 'alpha.js');
+  assert.equal(changed.files[0].sha256, listed.files[0].sha256);
+  assert.notEqual(changed.sha256, listed.sha256);
+
+  const [stale] = await loadRegistry(root, { published: index });
+  assert.deepEqual(stale.errors, ['Files changed since version 1.0.0 was published; raise "version" above it.']);
+});
@@ -0,0 +1,210 @@
+/**
+ * Tests for lib/request.js against a local stub server.
+ *
+ *   node --test test/request.test.js
+ *
+ * Each test scripts the server's answers per request; backoff waits go
+ * through an injected sleep so the suite runs in well under a second, except
+ * where real timing (interval, concurrency) is what is being tested.
+ */
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { after, before, beforeEach, test } from 'node:test';
+import { createRequester } from '../lib/request.js';
+
+let server;
+let baseUrl;
+let handlers = [];
+let hits = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const hit = { url: req.url, start: Date.now() };
+    hits.push(hit);
+    const handler = handlers[Math.min(hits.length - 1, handlers.length - 1)];
+    handler(req, res, hit);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  handlers = [];
+  hits = [];
+});
+
+const reply = (status, body = '', headers = {}) => (req, res) => {
+  res.writeHead(status, { 'content-type': 'text/plain', ...headers });
+  res.end(body);
+};
+
+const recordingSleep = () => {
+  const waits = [];
+  const sleep = async (ms) => { waits.push(ms); };
+  return { waits, sleep };
+};
+
+const quiet = async (fn) => {
+  const { warn } = console;
+  console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.warn = warn;
+  }
+};
+
+test('retries transient 5xx with exponential backoff', async () => {
+  handlers = [reply(503), reply(502), reply(200, 'ok')];
+  const { waits, sleep } = recordingSleep();
+  const request = createRequester(fetch, { baseDelay: 100, sleep, random: () => 1 });
+
+  const response = await quiet(() => request(`${baseUrl}/page`));
+  assert.equal(response.status, 200);
+  assert.equal(await response.text(), 'ok');
+  assert.equal(hits.length, 3);
+  assert.deepEqual(waits, [100, 200]);
+});
+
+test('jitter keeps at least half of the backoff', async () => {
+  handlers = [reply(500), reply(200)];
+  const { waits, sleep } = recordingSleep();
+  const request = createRequester(fetch, { baseDelay: 100, sleep, random: () => 0 });
+
+  await quiet(() => request(`${baseUrl}/page`));
+  assert.deepEqual(waits, [50]);
+});
+
+test('honors Retry-After on 429', async () => {
+  handlers = [reply(429, '', { 'retry-after': '2' }), reply(200)];
+  const { waits, sleep } = recordingSleep();
+  const request = createRequester(fetch, { sleep });
+
+  const response = await quiet(() => request(`${baseUrl}/page`));
+  assert.equal(response.status, 200);
+  assert.equal(waits[0], 2000);
+});
+
+test('returns the 429 when Retry-After exceeds the limit', async () => {
+  handlers = [reply(429, '', { 'retry-after': '3600' })];
+  const { waits, sleep } = recordingSleep();
+  const request = createRequester(fetch, { sleep, maxRetryAfter: 60000 });
+
+  const response = await quiet(() => request(`${baseUrl}/page`));
+  assert.equal(response.status, 429);
+  assert.equal(hits.length, 1);
+  assert.deepEqual(waits, []);
+});
+
+test('gives up after the configured retries and returns the last response', async () => {
+  handlers = [reply(503)];
+  const { sleep } = recordingSleep();
+  const request = createRequester(fetch, { retries: 2, sleep });
+
+  const response = await quiet(() => request(`${baseUrl}/page`));
+  assert.equal(response.status, 503);
+  assert.equal(hits.length, 3);
+});
+
+test('does not retry 404 or non-idempotent requests', async () => {
+  handlers = [reply(404)];
+  const { sleep } = recordingSleep();
+  const request = createRequester(fetch, { sleep });
+  assert.equal((await request(`${baseUrl}/missing`)).status, 404);
+  assert.equal(hits.length, 1);
+
+  handlers = [reply(503)];
+  hits = [];
+  assert.equal((await request(`${baseUrl}/form`, { method: 'POST' })).status, 503);
+  assert.equal(hits.length, 1);
+});
+
+test('does not retry Cloudflare challenges', async () => {
+  handlers = [reply(503, 'Just a moment...', { 'cf-mitigated': 'challenge' })];
+  const { sleep } = recordingSleep();
+  const request = createRequester(fetch, { sleep });
+
+  assert.equal((await request(`${baseUrl}/page`)).status, 503);
+  assert.equal(hits.length, 1);
+});
+
+test('retries dropped connections, then rethrows', async () => {
+  handlers = [(req, res) => res.socket.destroy(), reply(200, 'ok')];
+  const { sleep } = recordingSleep();
+  const request = createRequester(fetch, { sleep });
+  assert.equal(await (await quiet(() => request(`${baseUrl}/page`))).text(), 'ok');
+
+  handlers = [(req, res) => res.socket.destroy()];
+  hits = [];
+  await assert.rejects(quiet(() => createRequester(fetch, { retries: 1, sleep })(`${baseUrl}/page`)));
+  assert.equal(hits.length, 2);
+});
+
+test('limits concurrent requests per host', async () => {
+  let inFlight = 0;
+  let peak = 0;
+  handlers = [(req, res) => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    setTimeout(() => {
+      inFlight--;
+      reply(200)(req, res);
+    }, 40);
+  }];
+  const request = createRequester(fetch, { concurrency: 2 });
+
+  const responses = await Promise.all([1, 2, 3, 4, 5, 6].map(n => request(`${baseUrl}/page/${n}`)));
+  assert.ok(responses.every(response => response.status === 200));
+  assert.equal(hits.length, 6);
+  assert.equal(peak, 2);
+});
+
+test('spaces request starts by the minimum interval', async () => {
+  handlers = [reply(200)];
+  const request = createRequester(fetch, { concurrency: 4, minInterval: 80 });
+
+  await Promise.all([1, 2, 3].map(n => request(`${baseUrl}/page/${n}`)));
+  const starts = hits.map(hit => hit.start).sort((a, b) => a - b);
+  for (let i = 1; i < starts.length; i++) {
+    assert.ok(starts[i] - starts[i - 1] >= 70, `requests ${i} and ${i + 1} started ${starts[i] - starts[i - 1]}ms apart`);
+  }
+});
+
+test('keeps separate limits for each host', async () => {
+  handlers = [reply(200)];
+  const request = createRequester(fetch, { minInterval: 1000 });
+  const otherHost = baseUrl.replace('127.0.0.1', 'localhost');
+
+  const started = Date.now();
+  await Promise.all([request(`${baseUrl}/a`), request(`${otherHost}/b`)]);
+  assert.ok(Date.now() - started < 900);
+});
+
+test('an aborted signal stops a backoff wait without another attempt', async () => {
+  handlers = [reply(503)];
+  const controller = new AbortController();
+  const request = createRequester(fetch, { sleep: () => new Promise(() => {}) }); // A backoff that never ends by itself
+
+  const pending = quiet(() => request(`${baseUrl}/page`, { signal: controller.signal }));
+  setTimeout(() => controller.abort(), 50);
+  await assert.rejects(pending, { name: 'AbortError' });
+  assert.equal(hits.length, 1);
+});
+
+test('aborting a queued request frees its place for the next one', async () => {
+  handlers = [(req, res) => setTimeout(() => reply(200)(req, res), 60)];
+  const request = createRequester(fetch, { concurrency: 1 });
+  const controller = new AbortController();
+
+  const first = request(`${baseUrl}/first`);
+  const queued = request(`${baseUrl}/queued`, { signal: controller.signal });
+  const last = request(`${baseUrl}/last`);
+  controller.abort();
+
+  await assert.rejects(queued, { name: 'AbortError', url: `${baseUrl}/queued` });
+  assert.equal((await first).status, 200);
+  assert.equal((await last).status, 200);
+  assert.deepEqual(hits.map(hit => hit.url), ['/first', '/last']);
+});
@@ -0,0 +1,75 @@
+/**
+ * Run the offline fixture suites, or refresh their fixtures and goldens.
+ *
+ *   node test/run.js                          compare every case with its golden
+ *   node test/run.js --suite mangapill        only one suite
+ *   node test/run.js --record capture.har     import pages from a HAR capture, rewrite goldens
+ *   node test/run.js --record                 rewrite goldens from the existing fixtures
+ *   node test/run.js --verbose                let module logging through
+ *
+ * The modules are ES modules without a package.json; on Node < 22 run with
+ * `node --experimental-default-type=module test/run.js`.
+ * Exits non-zero when a case fails or has no golden yet.
+ */
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { readHar, recordSuite, runSuite } from './harness.js';
+import suites from './cases.js';
+
+const FIXTURES_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+const parseArgs = (argv) => {
+  const options = { record: false, har: null, suite: null, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--record') {
+      options.record = true;
+      if (argv[i + 1] && !argv[i + 1].startsWith('--')) options.har = argv[++i];
+    } else if (arg === '--suite') {
+      options.suite = argv[++i];
+    } else if (arg === '--verbose') {
+      options.verbose = true;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return options;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const selected = suites.filter(suite => !options.suite || suite.name === options.suite);
+  if (selected.length === 0) throw new Error(`No suite named "${options.suite}"`);
+
+  if (options.record) {
+    const captured = options.har ? readHar(options.har) : null;
+    for (const suite of selected) {
+      for (const outcome of await recordSuite(suite, FIXTURES_ROOT, captured, options)) {
+        const missing = outcome.misses.length ? ` (not captured: ${outcome.misses.join(', ')})` : '';
+        console.log(`recorded ${outcome.suite}/${outcome.name}${missing}`);
+      }
+    }
+    return 0;
+  }
+
+  let failures = 0;
+  for (const suite of selected) {
+    for (const outcome of await runSuite(suite, FIXTURES_ROOT, options)) {
+      console.log(`${outcome.status.padEnd(7)} ${outcome.suite}/${outcome.name}`);
+      if (outcome.status === 'pass') continue;
+      failures++;
+      if (outcome.status === 'fail') {
+        if (outcome.misses.length) console.log(`  no fixture for: ${outcome.misses.join(', ')}`);
+        console.log(`  expected: ${JSON.stringify(outcome.expected)}`);
+        console.log(`  actual:   ${JSON.stringify(outcome.actual)}`);
+      }
+    }
+  }
+  console.log(failures ? `\n${failures} case(s) failed or missing goldens.` : '\nAll cases passed.');
+  return failures ? 1 : 0;
+};
+
+main().then(code => { process.exitCode = code; }, (error) => {
+  console.error(error.message);
+  process.exitCode = 2;
+});
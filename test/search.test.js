@@ -0,0 +1,105 @@
+/**
+ * Tests for lib/search.js, with stub modules standing in for the sites.
+ *
+ *   node --test test/search.test.js
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { NotFoundError } from '../lib/errors.js';
+import { createLog } from '../lib/log.js';
+import { groupResults, normalizeTitle, searchAll, titleSimilarity } from '../lib/search.js';
+
+const quiet = createLog({ level: 'silent' });
+
+// A module whose search answers after `delay` ms, or never when delay is null.
+const stub = (id, titles, { delay = 0, error = null, paged = false } = {}) => ({
+  id,
+  name: id.toUpperCase(),
+  calls: [],
+  search(query, options) {
+    this.calls.push({ query, options });
+    if (delay === null) return new Promise(() => {});
+    return new Promise((resolve, reject) => setTimeout(() => {
+      if (error) return reject(error);
+      const results = titles.map(title => ({ id: `${id}/${title}`, title }));
+      return resolve(paged ? { results, hasNextPage: false, page: 1 } : results);
+    }, delay));
+  },
+});
+
+test('normalizes titles for matching', () => {
+  assert.equal(normalizeTitle('The Beginning After the End (Novel)'), 'beginning after the end');
+  assert.equal(normalizeTitle('Pokémon: Adventures & More!'), 'pokemon adventures and more');
+  assert.equal(normalizeTitle('[Oshi no Ko]'), 'oshi no ko');
+  assert.equal(titleSimilarity('Martial Peak', 'martial  peak'), 1);
+  assert.ok(titleSimilarity('Tales of Demons and Gods', 'Tales of Demons & God') >= 0.85);
+  assert.ok(titleSimilarity('Solo Leveling', 'Solo Leveling: Ragnarok') < 0.85);
+  assert.ok(titleSimilarity('One Piece', 'One Punch-Man') < 0.5);
+});
+
+test('groups one result per source under a title', () => {
+  const entry = (source, title) => ({ source: { id: source, name: source }, result: { title } });
+  const groups = groupResults([
+    entry('a', 'Martial Peak'), entry('a', 'Martial Peak (Web Novel)'), entry('b', 'MARTIAL PEAK'), entry('c', 'Martial Peak!'),
+  ]);
+  assert.deepEqual(groups.map(group => group.items.map(item => item.source.id)), [['a', 'b', 'c'], ['a']]);
+  assert.equal(groups[0].title, 'Martial Peak');
+});
+
+test('streams grouped results as sources answer and reports failures per source', async () => {
+  const sources = [
+    stub('slow', ['Martial Peak', 'Martial God Asura'], { delay: 30, paged: true }),
+    stub('fast', ['martial peak'], { delay: 5 }),
+    stub('broken', [], { delay: 10, error: new NotFoundError('gone') }),
+  ];
+  const updates = [];
+  const { groups, sources: states } = await searchAll(sources, 'martial', {
+    log: quiet,
+    onUpdate: update => updates.push([update.source, update.pending, update.groups.length]),
+  });
+
+  assert.deepEqual(updates, [['fast', 2, 1], ['broken', 1, 1], ['slow', 0, 2]]);
+  assert.deepEqual(groups.map(group => [group.title, group.items.map(item => item.source.id)]), [
+    ['Martial Peak', ['slow', 'fast']],
+    ['Martial God Asura', ['slow']],
+  ]);
+  assert.deepEqual(states.map(state => [state.id, state.status, state.results.length]), [['slow', 'ok', 2], ['fast', 'ok', 1], ['broken', 'failed', 0]]);
+  assert.equal(states[2].error.name, 'NotFoundError');
+  assert.equal(sources[0].calls[0].query, 'martial');
+  assert.ok(sources[0].calls[0].options.signal instanceof AbortSignal);
+});
+
+test('an onUpdate that throws is logged and costs no source its results', async () => {
+  const events = [];
+  const log = createLog({ level: 'warn', logger: event => events.push(event) });
+  const { sources } = await searchAll([stub('a', ['X'], { delay: 5 }), stub('b', ['Y'], { delay: 15 })], 'x', {
+    log,
+    onUpdate: () => { throw new Error('render failed'); },
+  });
+
+  assert.deepEqual(sources.map(state => [state.id, state.status, state.results.length]), [['a', 'ok', 1], ['b', 'ok', 1]]);
+  assert.deepEqual(events.map(event => [event.level, event.message, event.source]), [
+    ['error', 'onUpdate failed after A answered: render failed', 'a'],
+    ['error', 'onUpdate failed after B answered: render failed', 'b'],
+  ]);
+});
+
+test('a source that outlives its timeout fails alone and has its search aborted', async () => {
+  const hanging = stub('hanging', [], { delay: null });
+  const { groups, sources } = await searchAll([hanging, stub('ok', ['X'])], 'x', { timeoutMs: 20, log: quiet });
+
+  assert.equal(groups.length, 1);
+  assert.equal(sources[0].status, 'failed');
+  assert.equal(sources[0].error.name, 'TimeoutError');
+  assert.equal(sources[0].error.retryable, true);
+  assert.equal(hanging.calls[0].options.signal.aborted, true);
+});
+
+test('the caller can cancel the whole search', async () => {
+  const controller = new AbortController();
+  const updates = [];
+  const pending = searchAll([stub('hanging', [], { delay: null })], 'x', { signal: controller.signal, onUpdate: update => updates.push(update), log: quiet });
+  controller.abort();
+  await assert.rejects(pending, { name: 'AbortError' });
+  assert.deepEqual(updates, []);
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests for lib/settings.js and the modules' getSettingsSchema()/configure().
+ *
+ *   node --test test/settings.test.js
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import mangapillModule from '../mangapills.js';
+import readNovelFullModule from '../ReadFullNovelV2.js';
+import { SETTING_TYPES, defaultSettings, resolveSettings, validateSettingsSchema } from '../lib/settings.js';
+
+const DEFINITIONS = [
+  { key: 'style', label: 'Style', type: 'select', options: [{ value: 'a', label: 'A' }, { value: 'b', label: 'B' }], default: 'a' },
+  { key: 'hide', label: 'Hide', type: 'toggle', default: false },
+  { key: 'size', label: 'Size', type: 'number', min: 1, max: 5, default: 3 },
+];
+
+test('resolves changes against the schema and rejects host mistakes', () => {
+  const current = defaultSettings(DEFINITIONS);
+  assert.deepEqual(current, { style: 'a', hide: false, size: 3 });
+  assert.deepEqual(resolveSettings(DEFINITIONS, current, { style: 'b', size: 5 }), { style: 'b', hide: false, size: 5 });
+  assert.deepEqual(resolveSettings(DEFINITIONS, { style: 'b', hide: true, size: 1 }, { hide: null }), { style: 'b', hide: false, size: 1 });
+
+  assert.throws(() => resolveSettings(DEFINITIONS, current, { colour: 'red' }), /Unknown setting "colour"/);
+  assert.throws(() => resolveSettings(DEFINITIONS, current, { style: 'c' }), /Unsupported value "c"/);
+  assert.throws(() => resolveSettings(DEFINITIONS, current, { hide: 'yes' }), /setting "hide"/);
+  assert.throws(() => resolveSettings(DEFINITIONS, current, { size: 9 }), /setting "size"/);
+});
+
+test('schema validation catches broken definitions', () => {
+  assert.doesNotThrow(() => validateSettingsSchema(DEFINITIONS));
+  assert.throws(() => validateSettingsSchema([{ key: 'x', label: 'X', type: 'slider', default: 1 }]), /unknown type/);
+  assert.throws(() => validateSettingsSchema([{ key: 'x', label: 'X', type: 'select', options: [], default: 'a' }]), /no options/);
+  assert.throws(() => validateSettingsSchema([{ key: 'x', label: 'X', type: 'toggle', default: 'no' }]), /invalid default/);
+});
+
+test('every module schema renders from known types', () => {
+  for (const factory of [mangapillModule, readNovelFullModule]) {
+    const schema = factory(fetch).getSettingsSchema();
+    assert.ok(schema.length > 0);
+    assert.ok(schema.every(setting => SETTING_TYPES.includes(setting.type) && setting.label && 'default' in setting));
+  }
+});
+
+const page = (url, body) => Object.defineProperty(
+  new Response(body, { status: 200, headers: { 'content-type': 'text/html' } }), 'url', { value: url },
+);
+
+test('novel settings pick the mirror, text layout and cover placeholder', async () => {
+  const requests = [];
+  const fetch = async (url) => {
+    requests.push(url);
+    if (/chapter-\d/.test(url)) return page(url, '<div id="chr-content"><p>One</p><p>Two<br>Three</p></div>');
+    return page(url, '<h3 class="title">T</h3><div id="list-chapter"><ul><li><a href="/t/chapter-1.html" title="C1">C1</a></li></ul></div>');
+  };
+  const source = readNovelFullModule(fetch, { logLevel: 'silent' });
+  assert.equal(await source.getContent('t/chapter-1'), 'One\n\nTwo\nThree');
+
+  assert.deepEqual(source.configure({ mirror: 'https://www.readnovelfull.com', textStyle: 'continuous', placeholderCovers: false }), {
+    mirror: 'https://www.readnovelfull.com', textStyle: 'continuous', placeholderCovers: false,
+  });
+  assert.equal(await source.getContent('t/chapter-2'), 'One Two Three');
+  assert.equal(requests.at(-1), 'https://www.readnovelfull.com/t/chapter-2.html');
+  assert.equal((await source.getBookDetails('t')).coverUrl, '');
+
+  source.configure({ textStyle: 'lines', placeholderCovers: null });
+  assert.equal(await source.getContent('t/chapter-3'), 'One\nTwo\nThree');
+  assert.match((await source.getBookDetails('u')).coverUrl, /placeholder/);
+  assert.throws(() => source.configure({ textStyle: 'fancy' }), /Unsupported value/);
+
+  source.configure({ mirror: 'auto' });
+  await source.getContent('t/chapter-4');
+  assert.equal(requests.at(-1), 'https://readnovelfull.com/t/chapter-4.html', 'back on auto, the chosen mirror is let go');
+});
+
+test('the MangaPill Referer setting reaches page objects and image requests', async () => {
+  const source = mangapillModule(async url => page(url, '<chapter-page><img data-src="https://cdn.mangapill.com/1.jpeg"></chapter-page>'), { logLevel: 'silent' });
+  source.configure({ referer: 'https://example.org/' });
+  const [first] = await source.getContent('/chapters/1-1/x-chapter-1', null, { format: 'pages' });
+  assert.deepEqual(first.headers, { Referer: 'https://example.org/' });
+});
+
+test('the MangaPill image quality setting picks the smallest listed size for data-saver', async () => {
+  const chapter = '<chapter-page><picture><source type="image/webp" data-srcset="https://cdn.mangapill.com/1-1200.webp 1200w, https://cdn.mangapill.com/1-600.webp 600w">'
+    + '<img data-src="https://cdn.mangapill.com/1.jpeg" data-srcset="https://cdn.mangapill.com/1-900.jpeg 900w"></picture></chapter-page>'
+    + '<chapter-page><img data-src="https://cdn.mangapill.com/2.jpeg"></chapter-page>';
+  const source = mangapillModule(async url => page(url, chapter), { logLevel: 'silent' });
+  assert.deepEqual(await source.getContent('/chapters/1-1/x-chapter-1'), ['https://cdn.mangapill.com/1.jpeg', 'https://cdn.mangapill.com/2.jpeg']);
+
+  source.configure({ imageQuality: 'data-saver' });
+  assert.deepEqual(await source.getContent('/chapters/1-1/x-chapter-2'), ['https://cdn.mangapill.com/1-600.webp', 'https://cdn.mangapill.com/2.jpeg']);
+  const pages = await source.getContent('/chapters/1-1/x-chapter-3', null, { format: 'pages' });
+  assert.deepEqual(pages.map(({ url, index }) => ({ url, index })), [
+    { url: 'https://cdn.mangapill.com/1-600.webp', index: 0 },
+    { url: 'https://cdn.mangapill.com/2.jpeg', index: 1 },
+  ]);
+  assert.throws(() => source.configure({ imageQuality: 'tiny' }), /Unsupported value/);
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests for lib/stream.js: reading long pages in pieces.
+ *
+ *   node --test test/stream.test.js
+ */
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createCachedFetch } from '../lib/cache.js';
+import { AbortError, ChallengePageError, NotFoundError } from '../lib/errors.js';
+import { createLog } from '../lib/log.js';
+import { readPageChunks } from '../lib/stream.js';
+
+const URL_ = 'https://example.com/ajax/chapter-archive?novelId=1';
+
+const respond = (body, { status = 200 } = {}) => Object.defineProperty(
+  new Response(body, { status, headers: { 'content-type': 'text/html' } }), 'url', { value: URL_ },
+);
+
+const CLOUDFLARE = '<!DOCTYPE html><html><head><title>Just a moment...</title></head><body><div id="cf-turnstile"></div></body></html>';
+
+// A response whose body arrives in the given pieces; a piece that is a function is awaited first.
+const streamed = (pieces, { status = 200, onCancel } = {}) => {
+  const encoder = new TextEncoder();
+  let index = 0;
+  const body = new ReadableStream({
+    async pull(controller) {
+      if (index === pieces.length) return controller.close();
+      const piece = pieces[index++];
+      controller.enqueue(encoder.encode(typeof piece === 'function' ? await piece() : piece));
+    },
+    cancel: onCancel,
+  });
+  return respond(body, { status });
+};
+
+const readAll = async (chunks) => {
+  const read = [];
+  for await (const chunk of chunks) read.push(chunk);
+  return read;
+};
+
+test('readPageChunks yields the body as it arrives, with readPage\'s checks', async () => {
+  assert.deepEqual(await readAll(readPageChunks(streamed(['<ul><li>1', '</li><li>2 é', '</li></ul>']), URL_)), ['<ul><li>1', '</li><li>2 é', '</li></ul>']);
+  assert.deepEqual(await readAll(readPageChunks({ ok: true, status: 200, url: URL_, headers: new Headers(), text: async () => '<p>cached</p>' }, URL_)), ['<p>cached</p>']);
+  await assert.rejects(readAll(readPageChunks(respond('gone', { status: 404 }), URL_)), NotFoundError);
+
+  // A challenge is caught even when its marker is cut in two between pieces
+  const cut = CLOUDFLARE.indexOf('Just a') + 4;
+  await assert.rejects(readAll(readPageChunks(streamed([CLOUDFLARE.slice(0, cut), CLOUDFLARE.slice(cut)]), URL_)), ChallengePageError);
+
+  const controller = new AbortController();
+  const chunks = readPageChunks(streamed(['<li>1</li>', () => { controller.abort(); return '<li>2</li>'; }]), URL_, controller.signal);
+  assert.equal((await chunks.next()).value, '<li>1</li>');
+  await assert.rejects(chunks.next(), AbortError);
+});
+
+test('giving up early cancels the download, also behind the cache', async () => {
+  let cancelled = 0;
+  const site = async () => streamed(['<li>1</li>', '<li>2</li>', '<li>3</li>'], { onCancel: () => { cancelled++; } });
+  const cache = createCachedFetch(site, { log: createLog({ level: 'silent' }) });
+
+  const response = await cache(URL_, { cacheHint: { resource: 'chapters', book: 'x', stream: true } });
+  for await (const chunk of readPageChunks(response, URL_)) {
+    assert.equal(chunk, '<li>1</li>');
+    break;
+  }
+  assert.equal(cancelled, 1);
+
+  for await (const chunk of readPageChunks(await site(), URL_)) assert.ok(chunk);
+  assert.equal(cancelled, 1, 'a body read to its end is not cancelled');
+});
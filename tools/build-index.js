@@ -0,0 +1,59 @@
+/**
+ * Check every module against its manifest and write index.json.
+ *
+ *   node tools/build-index.js           check, then rewrite index.json
+ *   node tools/build-index.js --check   check, and fail if index.json is out of date
+ *
+ * The modules are ES modules without a package.json; on Node < 22 run with
+ * `node --experimental-default-type=module tools/build-index.js`.
+ * Exits non-zero when a module fails its checks or (with --check) the index is stale.
+ * The index.json on disk is taken as published: a module whose files changed
+ * since must raise its version before it is listed again.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { buildIndex, loadRegistry } from './registry.js';
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const INDEX_FILE = path.join(ROOT, 'index.json');
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const unknown = args.find(arg => arg !== '--check');
+  if (unknown) throw new Error(`Unknown argument: ${unknown}`);
+  const checkOnly = args.includes('--check');
+
+  const current = fs.existsSync(INDEX_FILE) ? fs.readFileSync(INDEX_FILE, 'utf8') : null;
+  const entries = await loadRegistry(ROOT, { published: current && JSON.parse(current) });
+  let failures = 0;
+  for (const entry of entries) {
+    const label = entry.manifest && entry.manifest.id ? `${entry.manifest.id} (${entry.manifestFile})` : entry.manifestFile;
+    console.log(`${entry.errors.length ? 'error' : 'ok   '} ${label}`);
+    for (const error of entry.errors) console.log(`  ${error}`);
+    if (entry.errors.length) failures++;
+  }
+  if (failures) {
+    console.log(`\n${failures} module(s) failed their checks; index.json was not written.`);
+    return 1;
+  }
+
+  const content = `${JSON.stringify(buildIndex(ROOT, entries), null, 2)}\n`;
+  if (checkOnly) {
+    if (content !== current) {
+      console.log('\nindex.json is out of date; run node tools/build-index.js.');
+      return 1;
+    }
+    console.log('\nindex.json is up to date.');
+    return 0;
+  }
+
+  fs.writeFileSync(INDEX_FILE, content);
+  console.log(`\nWrote index.json (${entries.length} modules).`);
+  return 0;
+};
+
+main().then(code => { process.exitCode = code; }, (error) => {
+  console.error(error.message);
+  process.exitCode = 2;
+});
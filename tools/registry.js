@@ -0,0 +1,281 @@
+/**
+ * Module registry for this repository.
+ *
+ * Loads every *Module.json manifest together with the script its scriptUrl
+ * points to, checks that the two agree, and builds the index.json listing the
+ * app installs and updates modules from.
+ *
+ * A manifest's script is the repository file named by the last segment of its
+ * scriptUrl. Scripts may import shared helpers from ./lib; those files are
+ * hashed too, since changing them changes what the app downloads. A module
+ * whose files changed since the published index must raise its version, or
+ * installed copies would never be offered the update.
+ */
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { contractErrors } from '../lib/contract.js';
+import { validateSettingsSchema } from '../lib/settings.js';
+
+export const REQUIRED_METHODS = ['search', 'getBookDetails', 'getContent'];
+
+// Deep-link methods: a module offers all of them or none.
+const LINK_METHODS = ['canHandleUrl', 'resolveUrl', 'toWebUrl'];
+
+// Manifest fields that must equal the module object's own properties.
+const MIRRORED_FIELDS = ['id', 'name', 'version', 'author'];
+
+const MANIFEST_SUFFIX = 'Module.json';
+const VERSION_RE = /^\d+\.\d+\.\d+$/;
+const RELATIVE_IMPORT_RE = /^\s*import\s[^'"]*?from\s+['"](\.{1,2}\/[^'"]+)['"]/gm;
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+// One digest over every file a module loads, so a change to a shared lib file changes it too.
+const filesDigest = (files) => sha256(files.map(file => `${file.path} ${file.sha256}\n`).join(''));
+
+const compareVersions = (a, b) => {
+  const [left, right] = [a, b].map(version => version.split('.').map(Number));
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return 0;
+};
+
+const sameList = (a, b) => Array.isArray(a) && Array.isArray(b)
+  && a.length === b.length && a.every((value, i) => value === b[i]);
+
+// --- Loading ---
+
+/**
+ * List the manifests in a directory.
+ * @param {string} root - Repository root.
+ * @returns {Array<string>} - Manifest file names, sorted.
+ */
+export const findManifests = (root) => fs.readdirSync(root)
+  .filter(file => file.endsWith(MANIFEST_SUFFIX))
+  .sort();
+
+/**
+ * Resolve a script and the local modules it imports, transitively.
+ * @param {string} root - Repository root.
+ * @param {string} script - Script path relative to root.
+ * @returns {Array<string>} - Paths relative to root (POSIX separators), the script first.
+ */
+export const scriptFiles = (root, script) => {
+  const seen = [];
+  const visit = (file) => {
+    if (seen.includes(file)) return;
+    seen.push(file);
+    const source = fs.readFileSync(path.join(root, file), 'utf8');
+    for (const [, specifier] of source.matchAll(RELATIVE_IMPORT_RE)) {
+      visit(path.posix.normalize(path.posix.join(path.posix.dirname(file), specifier)));
+    }
+  };
+  visit(script);
+  return seen;
+};
+
+/**
+ * Hash a script and the local modules it imports.
+ * @param {string} root - Repository root.
+ * @param {string} script - Script path relative to root.
+ * @returns {{sha256: string, files: Array<{path: string, sha256: string}>}} - sha256 covers every file.
+ */
+export const hashScript = (root, script) => {
+  const files = scriptFiles(root, script).map(file => ({
+    path: file,
+    sha256: sha256(fs.readFileSync(path.join(root, file))),
+  }));
+  return { sha256: filesDigest(files), files };
+};
+
+// Modules only touch the network when a method is called; loading must not.
+const offlineFetch = async (url) => {
+  throw new Error(`Network access is not allowed while loading modules (${url})`);
+};
+
+/**
+ * Load one manifest and instantiate its module.
+ * Problems that prevent loading are reported instead of thrown, so one broken
+ * module does not hide the state of the others.
+ * @param {string} root - Repository root.
+ * @param {string} manifestFile - Manifest file name, e.g. MangaPillModule.json.
+ * @returns {Promise<object>} - { manifestFile, manifest, script, sha256, files, module, errors }
+ */
+export const loadEntry = async (root, manifestFile) => {
+  const entry = { manifestFile, manifest: null, script: null, sha256: null, files: null, module: null, errors: [] };
+  try {
+    entry.manifest = JSON.parse(fs.readFileSync(path.join(root, manifestFile), 'utf8'));
+  } catch (error) {
+    entry.errors.push(`Cannot read manifest: ${error.message}`);
+    return entry;
+  }
+
+  const { scriptUrl } = entry.manifest;
+  if (typeof scriptUrl !== 'string' || !/^https:\/\//.test(scriptUrl)) {
+    entry.errors.push('scriptUrl must be an https URL.');
+    return entry;
+  }
+  entry.script = decodeURIComponent(new URL(scriptUrl).pathname.split('/').pop());
+  if (!fs.existsSync(path.join(root, entry.script))) {
+    entry.errors.push(`scriptUrl points to ${entry.script}, which is not in the repository.`);
+    return entry;
+  }
+
+  try {
+    Object.assign(entry, hashScript(root, entry.script));
+  } catch (error) {
+    entry.errors.push(`Cannot read ${entry.script} and its imports: ${error.message}`);
+    return entry;
+  }
+
+  try {
+    const { default: factory } = await import(pathToFileURL(path.join(root, entry.script)).href);
+    if (typeof factory !== 'function') {
+      entry.errors.push(`${entry.script} must default-export a module factory function.`);
+      return entry;
+    }
+    entry.module = factory(offlineFetch);
+  } catch (error) {
+    entry.errors.push(`Cannot load ${entry.script}: ${error.message}`);
+  }
+  return entry;
+};
+
+// --- Checks ---
+
+/**
+ * Compare a manifest with the module object its script exports.
+ * @param {object} manifest - Parsed *Module.json.
+ * @param {object} module - The object returned by the script's factory.
+ * @param {object} [release]
+ * @param {string} [release.sha256] - Digest of the module's files as they are now.
+ * @param {object} [release.published] - { version, sha256 } as last published; a changed
+ *   digest then needs a higher version.
+ * @returns {Array<string>} - Problems found; empty when they agree.
+ */
+export const checkManifest = (manifest, module, { sha256: digest, published } = {}) => {
+  const errors = [];
+  for (const field of ['id', 'name', 'version', 'scriptUrl']) {
+    if (typeof manifest[field] !== 'string' || !manifest[field]) errors.push(`Manifest is missing "${field}".`);
+  }
+  if (manifest.version && !VERSION_RE.test(manifest.version)) {
+    errors.push(`Manifest version "${manifest.version}" is not MAJOR.MINOR.PATCH.`);
+  } else if (manifest.version && published && digest && digest !== published.sha256
+    && VERSION_RE.test(published.version) && compareVersions(manifest.version, published.version) <= 0) {
+    errors.push(`Files changed since version ${published.version} was published; raise "version" above it.`);
+  }
+
+  for (const field of MIRRORED_FIELDS) {
+    if (manifest[field] !== module[field]) {
+      errors.push(`${field} differs: manifest has ${JSON.stringify(manifest[field])}, code has ${JSON.stringify(module[field])}.`);
+    }
+  }
+  if (!sameList(manifest.supportedLanguages, module.supportedLanguages)) {
+    errors.push(`supportedLanguages differ: manifest has ${JSON.stringify(manifest.supportedLanguages)}, code has ${JSON.stringify(module.supportedLanguages)}.`);
+  }
+
+  for (const method of REQUIRED_METHODS) {
+    if (typeof module[method] !== 'function') errors.push(`Required method ${method}() is missing.`);
+  }
+  for (const feed of module.feeds || []) {
+    if (typeof module[feed.method] !== 'function') {
+      errors.push(`Feed "${feed.id}" declares ${feed.method}(), which is missing.`);
+    }
+  }
+  if (typeof module.getSettingsSchema === 'function') {
+    try {
+      validateSettingsSchema(module.getSettingsSchema());
+    } catch (error) {
+      errors.push(`Settings schema is invalid: ${error.message}`);
+    }
+    if (typeof module.configure !== 'function') errors.push('getSettingsSchema() is declared but configure() is missing.');
+  }
+  errors.push(...contractErrors(module));
+  const linkMethods = LINK_METHODS.filter(method => typeof module[method] === 'function');
+  if (linkMethods.length && linkMethods.length < LINK_METHODS.length) {
+    errors.push(`Deep-link methods come together: ${LINK_METHODS.filter(method => !linkMethods.includes(method)).map(method => `${method}()`).join(', ')} missing.`);
+  }
+  return errors;
+};
+
+/**
+ * The published { version, sha256 } of a module, from an index built by buildIndex().
+ * The digest is worked out from the listed files, so indexes written before the
+ * top-level sha256 covered lib files still compare correctly.
+ * @param {object} [index] - A parsed index.json.
+ * @param {string} id - Module id.
+ * @returns {object|null}
+ */
+const publishedRelease = (index, id) => {
+  const listed = index && Array.isArray(index.modules) && index.modules.find(module => module.id === id);
+  if (!listed || !Array.isArray(listed.files)) return null;
+  return { version: listed.version, sha256: filesDigest(listed.files) };
+};
+
+/**
+ * Load and check every module in the repository.
+ * @param {string} root - Repository root.
+ * @param {object} [options]
+ * @param {object} [options.published] - The index.json currently published; modules whose
+ *   files changed since must have a higher version than it lists.
+ * @returns {Promise<Array<object>>} - One entry per manifest: { manifestFile, manifest, script, sha256, files, module, errors }.
+ */
+export const loadRegistry = async (root, { published } = {}) => {
+  const entries = [];
+  for (const manifestFile of findManifests(root)) {
+    const entry = await loadEntry(root, manifestFile);
+    if (entry.module) {
+      entry.errors.push(...checkManifest(entry.manifest, entry.module, {
+        sha256: entry.sha256,
+        published: publishedRelease(published, entry.manifest.id),
+      }));
+    }
+    entries.push(entry);
+  }
+
+  // Ids are how the app tells installed modules apart; two scripts must never share one.
+  const owners = new Map();
+  for (const entry of entries) {
+    const id = entry.manifest && entry.manifest.id;
+    if (!id) continue;
+    if (owners.has(id)) {
+      entry.errors.push(`Duplicate id "${id}", already used by ${owners.get(id)}.`);
+    } else {
+      owners.set(id, entry.manifestFile);
+    }
+  }
+  const scripts = new Map();
+  for (const entry of entries) {
+    if (!entry.script) continue;
+    if (scripts.has(entry.script)) {
+      entry.errors.push(`${entry.script} is already listed by ${scripts.get(entry.script)}.`);
+    } else {
+      scripts.set(entry.script, entry.manifestFile);
+    }
+  }
+  return entries;
+};
+
+// --- Index ---
+
+/**
+ * Build the repository listing from checked entries.
+ * @param {string} root - Repository root.
+ * @param {Array<object>} entries - From loadRegistry(); all must be free of errors.
+ * @returns {object} - { formatVersion, modules: [{ ...manifest, manifestFile, script, sha256, files }] },
+ *   where sha256 covers the script and every file it imports.
+ */
+export const buildIndex = (root, entries) => {
+  const broken = entries.filter(entry => entry.errors.length);
+  if (broken.length) {
+    throw new Error(`Cannot build the index while ${broken.map(entry => entry.manifestFile).join(', ')} has errors.`);
+  }
+
+  const modules = entries
+    .map(({ manifestFile, manifest, script }) => ({ ...manifest, manifestFile, script, ...hashScript(root, script) }))
+    .sort((a, b) => a.id.localeCompare(b.id));
+  return { formatVersion: 1, modules };
+};